@@ -0,0 +1,105 @@
+/**
+ * yOS WebOS - Administrador de tareas: monitor del log del kernel
+ * Últimas entradas del log del kernel y recuento de avisos y errores por facilidad
+ */
+
+import KernelLog from '../../../../kernel/core/klog.js';
+
+class KernelLogMonitor {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {number} [options.level=6] - Nivel máximo de las entradas mostradas
+     * @param {number} [options.maxEntries=200] - Entradas conservadas en la vista
+     * @param {Function} [options.onUpdate] - (monitor) => void tras cada entrada nueva
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.level = options.level !== undefined ? KernelLog.parseLevel(options.level) : KernelLog.KERN_INFO;
+        this.maxEntries = options.maxEntries || 200;
+        this.onUpdate = options.onUpdate || null;
+        this.entries = [];
+        this.counts = {};
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Suscribirse al log del kernel (incluye las entradas ya almacenadas)
+     */
+    start() {
+        if (this.unsubscribe) {
+            return this;
+        }
+        
+        this.entries = [];
+        this.counts = {};
+        this.unsubscribe = this.getKernelLog().subscribe((entry) => this.record(entry), {
+            level: this.level,
+            replay: true
+        });
+        return this;
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    record(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        
+        // Avisos y errores (nivel <= warning) por facilidad
+        if (entry.level <= KernelLog.KERN_WARNING) {
+            const counts = this.counts[entry.facility] || { warnings: 0, errors: 0 };
+            counts[entry.level === KernelLog.KERN_WARNING ? 'warnings' : 'errors']++;
+            this.counts[entry.facility] = counts;
+        }
+        
+        if (this.onUpdate) {
+            this.onUpdate(this);
+        }
+    }
+
+    /**
+     * Datos para la pestaña del administrador de tareas
+     */
+    getSnapshot() {
+        const totals = Object.values(this.counts).reduce((sum, counts) => ({
+            warnings: sum.warnings + counts.warnings,
+            errors: sum.errors + counts.errors
+        }), { warnings: 0, errors: 0 });
+        
+        return {
+            lines: this.entries.map(entry => ({
+                level: entry.levelName,
+                facility: entry.facility,
+                text: KernelLog.format(entry)
+            })),
+            byFacility: { ...this.counts },
+            totals: totals,
+            buffer: this.getKernelLog().getStats()
+        };
+    }
+
+    getKernelLog() {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        return bootLoader.getKernelLog();
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.KernelLogMonitor = KernelLogMonitor;
+}
+
+export default KernelLogMonitor;
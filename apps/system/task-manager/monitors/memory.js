@@ -1,10 +1,141 @@
-// memory.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Administrador de tareas: monitor de memoria
+ * Memoria global de /proc/meminfo y por proceso de /proc/<pid>/status (módulo procfs)
+ *
+ * Lee los ficheros igual que lo haría un programa del sistema, así que los procesos
+ * que no se ven desde el namespace de PIDs del lector no aparecen.
+ */
 
-console.log('memory.js cargado');
+const INIT_PID = 1;
 
-function init() {
-    console.log('Aplicación inicializada');
+class MemoryMonitor {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {number} [options.interval=2000] - Milisegundos entre muestras
+     * @param {number} [options.pid=1] - Proceso desde el que se leen los ficheros
+     * @param {Function} [options.onUpdate] - (monitor) => void tras cada muestra
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.interval = options.interval || 2000;
+        this.pid = options.pid || INIT_PID;
+        this.onUpdate = options.onUpdate || null;
+        this.timer = null;
+        this.snapshot = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return this;
+        }
+        
+        this.sample();
+        this.timer = setInterval(() => this.sample(), this.interval);
+        return this;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Tomar una muestra: totales en bytes y procesos ordenados por memoria residente
+     */
+    sample() {
+        const read = this.getSymbol('proc_read');
+        const meminfo = MemoryMonitor.parseFields(read(this.pid, '/proc/meminfo'));
+        const processes = [];
+        for (const entry of this.getSymbol('proc_readdir')(this.pid, '/proc')) {
+            if (!/^\d+$/.test(entry)) {
+                continue;
+            }
+            // El proceso puede haber terminado entre el listado y la lectura
+            let status = null;
+            try {
+                status = MemoryMonitor.parseFields(read(this.pid, `/proc/${entry}/status`));
+            } catch (error) {
+                continue;
+            }
+            processes.push({
+                pid: Number(entry),
+                name: status.Name,
+                state: status.State,
+                rss: status.VmRSS,
+                peak: status.VmPeak,
+                data: status.VmData
+            });
+        }
+        
+        const total = meminfo.MemTotal;
+        this.snapshot = {
+            total: total,
+            free: meminfo.MemFree,
+            available: meminfo.MemAvailable,
+            used: total - meminfo.MemFree,
+            kernel: meminfo.Slab,
+            limit: meminfo.CommitLimit,
+            percent: total ? Number(((total - meminfo.MemFree) / total * 100).toFixed(1)) : 0,
+            processes: processes.sort((a, b) => b.rss - a.rss || a.pid - b.pid),
+            timestamp: Date.now()
+        };
+        
+        if (this.onUpdate) {
+            this.onUpdate(this);
+        }
+        return this.snapshot;
+    }
+
+    /**
+     * Datos para la pestaña del administrador de tareas
+     */
+    getSnapshot() {
+        return this.snapshot || this.sample();
+    }
+
+    /**
+     * Líneas "Campo:  valor" de /proc; los valores en kB se pasan a bytes y los enteros a número
+     */
+    static parseFields(text) {
+        const fields = {};
+        for (const line of text.split('\n')) {
+            const match = /^([^:]+):\s*(.*)$/.exec(line);
+            if (!match) {
+                continue;
+            }
+            const value = match[2].trim();
+            const kb = /^(\d+) kB$/.exec(value);
+            if (kb) {
+                fields[match[1]] = Number(kb[1]) * 1024;
+            } else {
+                fields[match[1]] = /^\d+$/.test(value) ? Number(value) : value;
+            }
+        }
+        return fields;
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.MemoryMonitor = MemoryMonitor;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default MemoryMonitor;
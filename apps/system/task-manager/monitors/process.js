@@ -1,10 +1,164 @@
-// process.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Administrador de tareas: monitor de procesos
+ * Uso de CPU por proceso a partir de las estadísticas del planificador (sched_stats)
+ *
+ * Cada muestra compara el tiempo de CPU acumulado de cada tarea con el de la muestra
+ * anterior; los procesos del árbol sin tarea planificada aparecen con 0 %.
+ * "Finalizar tarea" envía SIGTERM y, si el proceso sigue vivo tras el margen, SIGKILL.
+ */
 
-console.log('process.js cargado');
+const END_TASK_GRACE = 3000;
+const END_TASK_POLL = 100;
 
-function init() {
-    console.log('Aplicación inicializada');
+class ProcessMonitor {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {number} [options.interval=1000] - Milisegundos entre muestras
+     * @param {Function} [options.onUpdate] - (monitor) => void tras cada muestra
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.interval = options.interval || 1000;
+        this.onUpdate = options.onUpdate || null;
+        this.timer = null;
+        this.previous = null;
+        this.snapshot = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return this;
+        }
+        
+        this.sample();
+        this.timer = setInterval(() => this.sample(), this.interval);
+        return this;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Tomar una muestra y calcular el % de CPU desde la anterior
+     */
+    sample() {
+        const stats = this.getSymbol('sched_stats')();
+        const processes = this.getSymbol('getAllProcesses')();
+        const time = Date.now();
+        const tasks = new Map(stats.tasks.map(task => [task.pid, task]));
+        
+        const elapsed = this.previous ? time - this.previous.time : 0;
+        const cpuPercent = (task) => {
+            if (!elapsed) {
+                return 0;
+            }
+            // Las tareas creadas después de la muestra anterior parten de 0
+            const before = this.previous.runtime.get(task.pid) || 0;
+            return Math.min(100, (task.sumExecRuntime - before) / elapsed * 100);
+        };
+        
+        this.snapshot = {
+            processes: processes.map(process => {
+                const task = tasks.get(process.pid);
+                return {
+                    pid: process.pid,
+                    ppid: process.ppid,
+                    name: process.name,
+                    type: process.type,
+                    state: process.state,
+                    policy: task ? task.policy : null,
+                    nice: task ? task.nice : 0,
+                    cpu: task ? Number(cpuPercent(task).toFixed(1)) : 0,
+                    cpuTime: task ? Math.round(task.sumExecRuntime) : 0,
+                    switches: task ? task.nrSwitches : 0
+                };
+            }).sort((a, b) => b.cpu - a.cpu || a.pid - b.pid),
+            running: stats.nrRunning,
+            total: processes.length,
+            contextSwitches: stats.contextSwitches,
+            loadAverage: stats.loadAverage.map(load => Number(load.toFixed(2))),
+            ticks: stats.ticks,
+            timestamp: time
+        };
+        
+        this.previous = {
+            time: time,
+            runtime: new Map(stats.tasks.map(task => [task.pid, task.sumExecRuntime]))
+        };
+        
+        if (this.onUpdate) {
+            this.onUpdate(this);
+        }
+        return this.snapshot;
+    }
+
+    /**
+     * Finalizar tarea: SIGTERM para que el proceso termine por sí mismo y SIGKILL si no lo hace
+     * @param {number} pid
+     * @param {Object} [options]
+     * @param {number} [options.grace=3000] - Milisegundos de espera entre SIGTERM y SIGKILL
+     * @returns {Promise<Object>} { pid, signal } con la última señal enviada
+     */
+    async endTask(pid, options = {}) {
+        const grace = options.grace === undefined ? END_TASK_GRACE : options.grace;
+        const sendSignal = this.getSymbol('sendSignal');
+        sendSignal(pid, 'SIGTERM');
+        
+        const deadline = Date.now() + grace;
+        while (!this.hasExited(pid)) {
+            if (Date.now() >= deadline) {
+                try {
+                    sendSignal(pid, 'SIGKILL');
+                } catch (error) {
+                    // Recogido justo después de la última comprobación: terminó con SIGTERM
+                    if (!error.message.startsWith('ESRCH')) {
+                        throw error;
+                    }
+                    break;
+                }
+                return { pid, signal: 'SIGKILL' };
+            }
+            await new Promise(resolve => setTimeout(resolve, END_TASK_POLL));
+        }
+        return { pid, signal: 'SIGTERM' };
+    }
+
+    hasExited(pid) {
+        const process = this.getSymbol('getProcessById')(pid);
+        return !process || process.state === 'zombie';
+    }
+
+    /**
+     * Datos para la pestaña del administrador de tareas
+     */
+    getSnapshot() {
+        return this.snapshot || this.sample();
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.ProcessMonitor = ProcessMonitor;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default ProcessMonitor;
@@ -1,10 +1,129 @@
-// fs-commands.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Terminal: comandos de ficheros
+ * Lectura de los sistemas de ficheros del kernel (cat, ls) sobre el BootLoader en ejecución
+ *
+ * De momento los ficheros con contenido son los de /proc y /sys (módulo procfs), que se
+ * generan al leerlos. Se leen como los vería el proceso de la terminal (por defecto init):
+ * sus PIDs y sus montajes.
+ */
 
-console.log('fs-commands.js cargado');
+const INIT_PID = 1;
 
-function init() {
-    console.log('Aplicación inicializada');
+class FsCommands {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {number} [options.pid=1] - Proceso desde el que se leen las rutas
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.pid = options.pid || INIT_PID;
+        
+        this.commands = {
+            cat: {
+                description: 'Muestra el contenido de ficheros (p. ej. /proc/meminfo)',
+                usage: 'cat <fichero...>',
+                run: (args) => this.cmdCat(args)
+            },
+            ls: {
+                description: 'Lista las entradas de un directorio',
+                usage: 'ls <directorio...>',
+                run: (args) => this.cmdLs(args)
+            }
+        };
+    }
+
+    /**
+     * Ejecutar una línea de comando y devolver las líneas de salida
+     */
+    async execute(line) {
+        const [name, ...args] = line.trim().split(/\s+/);
+        const command = this.commands[name];
+        if (!command) {
+            return [`${name}: comando no encontrado`];
+        }
+        
+        try {
+            return await command.run(args);
+        } catch (error) {
+            return [`${name}: ${error.message}`];
+        }
+    }
+
+    cmdCat(args) {
+        if (args.length === 0) {
+            return [`uso: ${this.commands.cat.usage}`];
+        }
+        
+        const read = this.getSymbol('proc_read');
+        const lines = [];
+        for (const path of args) {
+            try {
+                // Los separadores NUL (cmdline, environ) se muestran como espacios
+                const content = read(this.pid, this.resolve(path)).replace(/\0/g, ' ');
+                lines.push(...content.replace(/\n$/, '').split('\n'));
+            } catch (error) {
+                lines.push(`cat: ${path}: ${error.message}`);
+            }
+        }
+        return lines;
+    }
+
+    cmdLs(args) {
+        if (args.length === 0) {
+            return [`uso: ${this.commands.ls.usage}`];
+        }
+        
+        const readdir = this.getSymbol('proc_readdir');
+        const lines = [];
+        for (const path of args) {
+            try {
+                const entries = readdir(this.pid, this.resolve(path));
+                if (args.length > 1) {
+                    lines.push(`${path}:`);
+                }
+                lines.push(entries.join('  '));
+            } catch (error) {
+                lines.push(`ls: ${path}: ${error.message}`);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Ruta absoluta normalizada (las relativas parten de /)
+     */
+    resolve(path) {
+        const parts = [];
+        for (const part of path.split('/')) {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        }
+        return `/${parts.join('/')}`;
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.FsCommands = FsCommands;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default FsCommands;
@@ -1,10 +1,387 @@
-// system-commands.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Terminal: comandos del sistema
+ * Control del runlevel y de los módulos del kernel sobre el BootLoader en ejecución
+ * (runlevel, telinit, lsmod, insmod, modprobe, rmmod, modinfo, dmesg, lsirq, kill, strace)
+ *
+ * kill pasa por syscall_dispatch en nombre del proceso de la sesión: los PIDs son los de
+ * su namespace y necesita la capacidad 'signal', como cualquier otro proceso.
+ */
 
-console.log('system-commands.js cargado');
+import KernelLog from '../../../../kernel/core/klog.js';
+import Signals from '../../../../kernel/core/signals.js';
+import SyscallABI from '../../../../kernel/core/syscall-abi.js';
 
-function init() {
-    console.log('Aplicación inicializada');
+const INIT_PID = 1;
+
+class SystemCommands {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {number} [options.sessionPid=1] - Proceso del shell en cuyo nombre se envían las señales
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.sessionPid = options.sessionPid || INIT_PID;
+
+        this.commands = {
+            runlevel: {
+                description: 'Muestra el runlevel anterior y el actual',
+                usage: 'runlevel',
+                run: () => this.cmdRunlevel()
+            },
+            telinit: {
+                description: 'Cambia de runlevel (0 apaga, 6 reinicia, S monousuario)',
+                usage: 'telinit <0-6|S>',
+                run: (args) => this.cmdTelinit(args)
+            },
+            lsmod: {
+                description: 'Lista los módulos del kernel cargados',
+                usage: 'lsmod',
+                run: () => this.cmdLsmod()
+            },
+            insmod: {
+                description: 'Carga un módulo del kernel (sus dependencias deben estar cargadas)',
+                usage: 'insmod <módulo> [param=valor...]',
+                run: (args) => this.cmdInsmod(args, false)
+            },
+            modprobe: {
+                description: 'Carga un módulo del kernel y sus dependencias',
+                usage: 'modprobe <módulo> [param=valor...]',
+                run: (args) => this.cmdInsmod(args, true)
+            },
+            rmmod: {
+                description: 'Descarga un módulo del kernel que no esté en uso',
+                usage: 'rmmod <módulo>',
+                run: (args) => this.cmdRmmod(args)
+            },
+            modinfo: {
+                description: 'Muestra la información de un módulo del kernel',
+                usage: 'modinfo <módulo>',
+                run: (args) => this.cmdModinfo(args)
+            },
+            dmesg: {
+                description: 'Muestra el log del kernel (-c lee y vacía, -C vacía, -n fija el nivel de consola)',
+                usage: 'dmesg [-l nivel[,nivel...]] [-f facilidad] [-x] [-c|-C] [-n nivel]',
+                run: (args) => this.cmdDmesg(args)
+            },
+            lsirq: {
+                description: 'Muestra las IRQs con sus contadores y drivers (como /proc/interrupts)',
+                usage: 'lsirq',
+                run: () => this.cmdLsirq()
+            },
+            kill: {
+                description: 'Envía una señal a procesos (por defecto SIGTERM); -l lista las señales',
+                usage: 'kill [-s señal | -señal] <pid...> | kill -l',
+                run: (args) => this.cmdKill(args)
+            },
+            strace: {
+                description: 'Traza las llamadas al sistema de un proceso durante -T ms (5000) o hasta que termina',
+                usage: 'strace [-f] [-e llamada[,llamada...]] [-T ms] -p <pid>',
+                run: (args) => this.cmdStrace(args)
+            }
+        };
+    }
+
+    /**
+     * Ejecutar una línea de comando y devolver las líneas de salida
+     */
+    async execute(line) {
+        const [name, ...args] = line.trim().split(/\s+/);
+        const command = this.commands[name];
+        if (!command) {
+            return [`${name}: comando no encontrado`];
+        }
+        
+        try {
+            return await command.run(args);
+        } catch (error) {
+            return [`${name}: ${error.message}`];
+        }
+    }
+
+    cmdRunlevel() {
+        const init = this.getInit();
+        const previous = init.previousRunlevel === null ? 'N' : init.previousRunlevel;
+        return [`${previous} ${init.runlevel}`];
+    }
+
+    async cmdTelinit(args) {
+        if (args.length !== 1) {
+            return [`uso: ${this.commands.telinit.usage}`];
+        }
+        
+        const target = this.parseRunlevel(args[0]);
+        if (target === null) {
+            return [`telinit: runlevel inválido "${args[0]}"`, `uso: ${this.commands.telinit.usage}`];
+        }
+        
+        const init = this.getInit();
+        if (target === init.runlevel) {
+            return [`Ya en runlevel ${target}`];
+        }
+        
+        const lines = [`Cambiando a runlevel ${target}: ${init.runlevels[target]}`];
+        const result = await this.getBootLoader().switchRunlevel(target);
+        
+        if (result.stopped.length > 0) {
+            lines.push(`Parados: ${result.stopped.join(', ')}`);
+        }
+        if (result.started.length > 0) {
+            lines.push(`Iniciados: ${result.started.join(', ')}`);
+        }
+        if (result.failed.length > 0) {
+            lines.push(`Fallidos: ${result.failed.join(', ')}`);
+        }
+        
+        if (target === 0) {
+            lines.push('Sistema detenido');
+        } else if (target === 6) {
+            lines.push(result.reboot && result.reboot.success ? 'Sistema reiniciado' : 'Fallo al reiniciar');
+        }
+        
+        return lines;
+    }
+
+    cmdLsmod() {
+        const lines = ['Module                      Version  Used by'];
+        for (const module of this.getModuleLoader().lsmod()) {
+            const usedBy = module.usedBy.length > 0 ? ` ${module.usedBy.join(',')}` : '';
+            lines.push(`${module.name.padEnd(28)}${module.version.padEnd(9)}${module.refcount}${usedBy}`);
+        }
+        return lines;
+    }
+
+    async cmdInsmod(args, withDependencies) {
+        const usage = this.commands[withDependencies ? 'modprobe' : 'insmod'].usage;
+        if (args.length === 0) {
+            return [`uso: ${usage}`];
+        }
+        
+        const [name, ...paramArgs] = args;
+        const params = {};
+        for (const arg of paramArgs) {
+            const separator = arg.indexOf('=');
+            if (separator <= 0) {
+                return [`Parámetro inválido "${arg}"`, `uso: ${usage}`];
+            }
+            params[arg.slice(0, separator)] = arg.slice(separator + 1);
+        }
+        
+        const loader = this.getModuleLoader();
+        const record = withDependencies ? await loader.modprobe(name, params) : await loader.insmod(name, params);
+        return [`${record.name} ${record.version} cargado (${Object.keys(record.api).length} símbolos)`];
+    }
+
+    async cmdRmmod(args) {
+        if (args.length !== 1) {
+            return [`uso: ${this.commands.rmmod.usage}`];
+        }
+        
+        await this.getModuleLoader().rmmod(args[0]);
+        return [`${args[0]} descargado`];
+    }
+
+    cmdModinfo(args) {
+        if (args.length !== 1) {
+            return [`uso: ${this.commands.modinfo.usage}`];
+        }
+        
+        const info = this.getModuleLoader().modinfo(args[0]);
+        const depends = Object.entries(info.dependencies).map(([name, range]) => `${name}@${range}`);
+        return [
+            `name:        ${info.name}`,
+            `version:     ${info.version}`,
+            `filename:    ${info.path}`,
+            `description: ${info.description}`,
+            `depends:     ${depends.join(', ')}`,
+            `symbols:     ${info.exports.join(', ')}`,
+            `state:       ${info.state} (refcount ${info.refcount})`
+        ];
+    }
+
+    cmdDmesg(args) {
+        const klog = this.getKernelLog();
+        const options = { levels: null, facility: null, clear: false };
+        let decode = false;
+        
+        for (let i = 0; i < args.length; i++) {
+            const flag = args[i];
+            if (flag === '-c') {
+                options.clear = true;
+            } else if (flag === '-C') {
+                klog.clear();
+                return [];
+            } else if (flag === '-x') {
+                decode = true;
+            } else if ((flag === '-l' || flag === '-f' || flag === '-n') && args[i + 1] !== undefined) {
+                const value = args[++i];
+                if (flag === '-l') {
+                    options.levels = value.split(',');
+                } else if (flag === '-f') {
+                    options.facility = value;
+                } else {
+                    return [`Nivel de consola: ${klog.setConsoleLevel(value)}`];
+                }
+            } else {
+                return [`dmesg: opción inválida "${flag}"`, `uso: ${this.commands.dmesg.usage}`];
+            }
+        }
+        
+        return klog.dmesg(options).map(entry => {
+            const line = KernelLog.format(entry);
+            return decode ? `${entry.levelName.padEnd(7)} : ${line}` : line;
+        });
+    }
+
+    cmdLsirq() {
+        const controller = this.getBootLoader().getInterruptController();
+        if (!controller) {
+            throw new Error('El controlador de interrupciones no está disponible');
+        }
+        return controller.getProcInterrupts();
+    }
+
+    async cmdKill(args) {
+        if (args[0] === '-l') {
+            return Signals.list().map(signal => `${String(signal.number).padStart(2)}) ${signal.name.padEnd(9)} ${signal.description}`);
+        }
+        
+        let signal = 'SIGTERM';
+        let pids = args;
+        if (args[0] === '-s' && args.length > 1) {
+            signal = args[1];
+            pids = args.slice(2);
+        } else if (args.length > 0 && args[0].startsWith('-')) {
+            signal = args[0].slice(1);
+            pids = args.slice(1);
+        }
+        if (pids.length === 0 || pids.some(pid => !/^\d+$/.test(pid))) {
+            return [`uso: ${this.commands.kill.usage}`];
+        }
+        
+        const { name } = Signals.lookup(signal);
+        const dispatch = this.getModuleLoader().resolveSymbol('syscall_dispatch');
+        if (!dispatch) {
+            throw new Error('El dispatcher de syscalls no está cargado');
+        }
+        const lines = [];
+        for (const pid of pids.map(Number)) {
+            const result = await dispatch(this.sessionPid, 'kill', [pid, name]);
+            if (result.error) {
+                lines.push(`kill: (${pid}) ${result.error}`);
+            }
+        }
+        return lines;
+    }
+
+    async cmdStrace(args) {
+        let pid = null;
+        let follow = false;
+        let filter = null;
+        let duration = 5000;
+        
+        for (let i = 0; i < args.length; i++) {
+            const flag = args[i];
+            if (flag === '-f') {
+                follow = true;
+            } else if ((flag === '-p' || flag === '-e' || flag === '-T') && args[i + 1] !== undefined) {
+                const value = args[++i];
+                if (flag === '-p') {
+                    pid = /^\d+$/.test(value) ? Number(value) : null;
+                } else if (flag === '-e') {
+                    filter = value.replace(/^trace=/, '').split(',');
+                } else {
+                    duration = Number(value);
+                }
+            } else {
+                return [`strace: opción inválida "${flag}"`, `uso: ${this.commands.strace.usage}`];
+            }
+        }
+        if (pid === null || !Number.isFinite(duration) || duration <= 0) {
+            return [`uso: ${this.commands.strace.usage}`];
+        }
+        
+        const loader = this.getModuleLoader();
+        const trace = loader.resolveSymbol('syscall_trace');
+        const getProcess = loader.resolveSymbol('getProcessById');
+        if (!trace || !getProcess) {
+            throw new Error('El dispatcher de syscalls no está cargado');
+        }
+        const running = () => {
+            const process = getProcess(pid);
+            return Boolean(process) && process.state !== 'zombie';
+        };
+        if (!running()) {
+            return [`strace: (${pid}) ESRCH: no existe el proceso ${pid}`];
+        }
+        
+        const lines = [`strace: proceso ${pid} enganchado`];
+        const tracerId = trace(pid, (event) => {
+            if (event.phase === 'exit' && (!filter || filter.includes(event.name))) {
+                const prefix = event.pid !== pid ? `[pid ${event.pid}] ` : '';
+                lines.push(`${prefix}${SyscallABI.format(event)}`);
+            }
+        }, { follow });
+        
+        // Como strace -p: hasta que el proceso termina o se acaba el tiempo
+        const deadline = Date.now() + duration;
+        while (Date.now() < deadline && running()) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(100, deadline - Date.now())));
+        }
+        loader.resolveSymbol('syscall_untrace')(tracerId);
+        
+        lines.push(running() ? `strace: proceso ${pid} desenganchado` : `+++ proceso ${pid} terminado +++`);
+        return lines;
+    }
+
+    /**
+     * 0-6, o S/s como alias de runlevel 1
+     */
+    parseRunlevel(value) {
+        if (/^[sS]$/.test(value)) {
+            return 1;
+        }
+        return /^[0-6]$/.test(value) ? Number(value) : null;
+    }
+
+    getBootLoader() {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        return bootLoader;
+    }
+
+    getModuleLoader() {
+        const loader = this.getBootLoader().getModuleLoader();
+        if (!loader) {
+            throw new Error('El cargador de módulos del kernel no está disponible');
+        }
+        return loader;
+    }
+
+    getKernelLog() {
+        const klog = this.getBootLoader().getKernelLog();
+        if (!klog) {
+            throw new Error('El log del kernel no está disponible');
+        }
+        return klog;
+    }
+
+    getInit() {
+        const init = this.getBootLoader().getStage('stage3-init');
+        if (!init || !init.initSystem) {
+            throw new Error('El sistema de init no está en ejecución');
+        }
+        return init;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.SystemCommands = SystemCommands;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default SystemCommands;
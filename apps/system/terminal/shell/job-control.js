@@ -0,0 +1,202 @@
+/**
+ * yOS WebOS - Terminal: control de trabajos
+ * Trabajos de la sesión del terminal como procesos hijos del shell, con uno en primer plano
+ *
+ * Ctrl+C envía SIGINT y Ctrl+Z SIGTSTP al trabajo en primer plano; fg y bg lo reanudan
+ * con SIGCONT. Cada trabajo se recoge con wait4 desde el proceso del shell.
+ */
+
+class JobControl {
+    /**
+     * @param {Object} options
+     * @param {number} [options.sessionPid=1] - Proceso del shell, padre de los trabajos
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {Function} [options.onExit] - (job) => void al terminar un trabajo
+     */
+    constructor(options = {}) {
+        this.sessionPid = options.sessionPid || 1;
+        this.bootLoader = options.bootLoader || null;
+        this.onExit = options.onExit || null;
+        this.jobs = new Map();
+        this.nextJobId = 1;
+        this.foreground = null;
+        
+        this.commands = {
+            jobs: {
+                description: 'Lista los trabajos de la sesión',
+                usage: 'jobs',
+                run: () => this.cmdJobs()
+            },
+            fg: {
+                description: 'Reanuda un trabajo en primer plano',
+                usage: 'fg [%trabajo]',
+                run: (args) => this.cmdResume(args, true)
+            },
+            bg: {
+                description: 'Reanuda un trabajo detenido en segundo plano',
+                usage: 'bg [%trabajo]',
+                run: (args) => this.cmdResume(args, false)
+            }
+        };
+    }
+
+    /**
+     * Lanzar un programa como trabajo de la sesión
+     * @param {string} command - Línea de comando (nombre del trabajo)
+     * @param {Function} program - Programa del proceso (ver process-manager)
+     * @param {Object} [options]
+     * @param {boolean} [options.background=false]
+     * @returns {Object} Trabajo; job.done se resuelve con el estado de wait4
+     */
+    spawn(command, program, options = {}) {
+        const name = command.trim().split(/\s+/)[0];
+        const process = this.getSymbol('createProcess')(name, program, this.sessionPid);
+        const job = {
+            id: this.nextJobId++,
+            pid: process.pid,
+            command: command,
+            state: 'running',
+            status: null,
+            done: null
+        };
+        
+        // wait4 solo falla si el gestor de procesos se descarga: el trabajo se da por terminado
+        job.done = this.getSymbol('waitProcess')(this.sessionPid, job.pid)
+            .catch(() => null)
+            .then(status => {
+                job.state = 'done';
+                job.status = status;
+                this.jobs.delete(job.id);
+                if (this.foreground === job) {
+                    this.foreground = null;
+                }
+                if (this.onExit) {
+                    this.onExit(job);
+                }
+                return status;
+            });
+        
+        this.jobs.set(job.id, job);
+        if (!options.background) {
+            this.foreground = job;
+        }
+        return job;
+    }
+
+    /**
+     * Teclas de control del terminal
+     * @returns {boolean} true si la tecla se ha enviado como señal
+     */
+    handleKey(event) {
+        if (!event.ctrlKey || event.altKey || event.metaKey) {
+            return false;
+        }
+        const key = String(event.key).toLowerCase();
+        if (key === 'c') {
+            return this.interrupt();
+        }
+        if (key === 'z') {
+            return this.suspend();
+        }
+        return false;
+    }
+
+    /**
+     * Ctrl+C: SIGINT al trabajo en primer plano
+     */
+    interrupt() {
+        return this.signalForeground('SIGINT');
+    }
+
+    /**
+     * Ctrl+Z: SIGTSTP al trabajo en primer plano, que pasa a segundo plano
+     */
+    suspend() {
+        const job = this.foreground;
+        if (!this.signalForeground('SIGTSTP')) {
+            return false;
+        }
+        if (this.isStopped(job)) {
+            job.state = 'stopped';
+            this.foreground = null;
+        }
+        return true;
+    }
+
+    signalForeground(signal) {
+        if (!this.foreground) {
+            return false;
+        }
+        this.getSymbol('sendSignal')(this.foreground.pid, signal, this.sessionPid);
+        return true;
+    }
+
+    /**
+     * fg/bg: SIGCONT al trabajo (por defecto el más reciente)
+     */
+    resume(jobId, foreground) {
+        const job = jobId === undefined ? [...this.jobs.values()].pop() : this.jobs.get(jobId);
+        if (!job) {
+            throw new Error(`no existe el trabajo ${jobId === undefined ? 'actual' : `%${jobId}`}`);
+        }
+        this.getSymbol('sendSignal')(job.pid, 'SIGCONT', this.sessionPid);
+        job.state = 'running';
+        if (foreground) {
+            this.foreground = job;
+        }
+        return job;
+    }
+
+    list() {
+        return [...this.jobs.values()].map(job => ({
+            id: job.id,
+            pid: job.pid,
+            command: job.command,
+            state: this.isStopped(job) ? 'stopped' : job.state,
+            foreground: this.foreground === job
+        }));
+    }
+
+    cmdJobs() {
+        return this.list().map(job => {
+            const state = job.state === 'stopped' ? 'Detenido' : 'Ejecutando';
+            return `[${job.id}]${job.foreground ? '+' : ' '} ${String(job.pid).padStart(5)} ${state.padEnd(11)} ${job.command}`;
+        });
+    }
+
+    cmdResume(args, foreground) {
+        const jobId = args.length > 0 ? Number(String(args[0]).replace(/^%/, '')) : undefined;
+        if (jobId !== undefined && !Number.isInteger(jobId)) {
+            return [`uso: ${this.commands[foreground ? 'fg' : 'bg'].usage}`];
+        }
+        const job = this.resume(jobId, foreground);
+        return [foreground ? job.command : `[${job.id}] ${job.command} &`];
+    }
+
+    isStopped(job) {
+        const process = this.getSymbol('getProcessById')(job.pid);
+        return Boolean(process) && process.state === 'stopped';
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.JobControl = JobControl;
+}
+
+export default JobControl;
@@ -0,0 +1,334 @@
+/**
+ * yOS WebOS - Boot Splash
+ * Pantalla de arranque con barra de progreso, paso actual y logs detallados
+ *
+ * Se alimenta solo de los eventos del host:
+ *   yOS:boot:start     { mode, stages }
+ *   yOS:boot:stage     { stage, index, total, status: start|complete|failed, error }
+ *   yOS:boot:progress  { stage, step, current, total, status: start|done|failed, message }
+ *   yOS:boot:cmdline   { quiet, splash }
+ *   yOS:boot:complete / yOS:boot:recovery / yOS:boot:error
+ *
+ * Con "splash" se muestra la pantalla gráfica; con "quiet" los logs empiezan plegados.
+ * Sin "splash" (arranque en modo texto) los logs se muestran siempre desplegados.
+ * Si el arranque falla ofrece reintentar un arranque normal o entrar en recuperación.
+ */
+
+const STAGE_LABELS = {
+    'stage1-bios': 'Detectando hardware',
+    'stage2-kernel-loader': 'Cargando el kernel',
+    'stage3-init': 'Iniciando servicios'
+};
+
+class BootSplash {
+    /**
+     * @param {BootLoader} bootLoader
+     * @param {Object} options
+     * @param {Document} [options.document] - Documento donde pintar (sin él solo se mantiene el estado)
+     * @param {number} [options.hideDelay=400] - Espera en ms antes de ocultar tras un arranque correcto
+     * @param {number} [options.maxLogs=500] - Líneas de log conservadas
+     */
+    constructor(bootLoader, options = {}) {
+        this.bootLoader = bootLoader;
+        this.host = bootLoader.host;
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.hideDelay = options.hideDelay !== undefined ? options.hideDelay : 400;
+        this.maxLogs = options.maxLogs || 500;
+        
+        // Valores de la línea de comandos por defecto del kernel hasta recibir yOS:boot:cmdline
+        this.quiet = true;
+        this.splash = true;
+        
+        this.handlers = {
+            'yOS:boot:start': (event) => this.onStart(event.detail),
+            'yOS:boot:stage': (event) => this.onStage(event.detail),
+            'yOS:boot:progress': (event) => this.onProgress(event.detail),
+            'yOS:boot:cmdline': (event) => this.onCmdline(event.detail),
+            'yOS:boot:complete': () => this.onComplete(),
+            'yOS:boot:recovery': () => this.hide(),
+            'yOS:boot:error': (event) => this.onError(event.detail)
+        };
+        
+        this.container = null;
+        this.elements = {};
+        this.hideTimer = null;
+        this.reset();
+    }
+
+    /**
+     * Suscribirse a los eventos de arranque del host
+     */
+    attach() {
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.host.addEventListener(type, handler);
+        }
+        return this;
+    }
+
+    detach() {
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.host.removeEventListener(type, handler);
+        }
+        this.hide();
+    }
+
+    reset(mode = 'normal', stages = this.bootLoader.stages) {
+        this.state = {
+            status: 'booting',
+            mode: mode,
+            stages: stages,
+            stageIndex: 0,
+            stage: null,
+            step: 'Iniciando yOS WebOS...',
+            percent: 0,
+            failure: null
+        };
+        this.logs = [];
+        this.expanded = this.isVerbose();
+    }
+
+    /**
+     * Logs desplegados por defecto: arranque en modo texto o sin quiet
+     */
+    isVerbose() {
+        return !this.splash || !this.quiet;
+    }
+
+    getState() {
+        return { ...this.state, expanded: this.expanded, logs: [...this.logs] };
+    }
+
+    onStart({ mode, stages }) {
+        clearTimeout(this.hideTimer);
+        this.reset(mode, stages || this.bootLoader.stages);
+        this.log(mode === 'recovery' ? 'Arranque en modo de recuperación' : 'Arranque normal');
+        this.show();
+        this.render();
+    }
+
+    onStage({ stage, index, total, status, error }) {
+        const label = STAGE_LABELS[stage] || stage;
+        this.state.stage = stage;
+        this.state.stageIndex = index;
+        
+        if (status === 'start') {
+            this.state.step = `${label}...`;
+            this.setProgress(index, 0, total);
+            this.log(`[${index + 1}/${total}] ${label}`);
+        } else if (status === 'complete') {
+            this.setProgress(index + 1, 0, total);
+            this.log(`[${index + 1}/${total}] ${label}: completado`);
+        } else {
+            this.log(`[${index + 1}/${total}] ${label}: ${error || 'error'}`);
+        }
+        this.render();
+    }
+
+    onProgress({ stage, current, total, status, message }) {
+        const index = this.state.stages.indexOf(stage);
+        if (index !== -1 && total > 0) {
+            this.setProgress(index, current / total, this.state.stages.length);
+        }
+        if (status === 'start') {
+            this.state.step = message;
+        }
+        this.log(message);
+        this.render();
+    }
+
+    onCmdline({ quiet, splash }) {
+        this.quiet = quiet;
+        this.splash = splash;
+        this.expanded = this.expanded || this.isVerbose();
+        this.log(`Línea de comandos: ${[quiet && 'quiet', splash && 'splash'].filter(Boolean).join(' ') || '(modo texto)'}`);
+        this.render();
+    }
+
+    onComplete() {
+        this.state.status = 'complete';
+        this.state.step = 'Sistema listo';
+        this.state.percent = 100;
+        this.log('Arranque completado');
+        this.render();
+        
+        this.hideTimer = setTimeout(() => this.hide(), this.hideDelay);
+    }
+
+    onError(failure) {
+        this.state.status = 'failed';
+        this.state.failure = {
+            error: failure.error,
+            stageName: failure.stageName || null,
+            consecutiveFailures: failure.recovery ? failure.recovery.consecutiveFailures : null
+        };
+        this.state.step = 'El arranque ha fallado';
+        this.expanded = true;
+        this.log(`Error: ${failure.error}`);
+        this.show();
+        this.render();
+        
+        if (this.elements.retry) {
+            this.elements.retry.focus();
+        }
+    }
+
+    /**
+     * Avance global: cada etapa pesa lo mismo y la barra nunca retrocede
+     * (stage3 repite 0..N en cada runlevel)
+     */
+    setProgress(stageIndex, fraction, stageCount) {
+        const percent = Math.min(99, Math.round(((stageIndex + Math.min(fraction, 1)) / stageCount) * 100));
+        this.state.percent = Math.max(this.state.percent, percent);
+    }
+
+    log(line) {
+        this.logs.push(line);
+        if (this.logs.length > this.maxLogs) {
+            this.logs.shift();
+        }
+        if (this.elements.logs) {
+            this.elements.logs.textContent = this.logs.join('\n');
+            this.elements.logs.scrollTop = this.elements.logs.scrollHeight;
+        }
+    }
+
+    toggleLogs() {
+        this.expanded = !this.expanded;
+        this.render();
+    }
+
+    /**
+     * Reintentar un arranque normal (reinicia el contador de fallos)
+     */
+    retry() {
+        return this.bootLoader.retryNormalBoot();
+    }
+
+    /**
+     * Reiniciar en modo de recuperación (runlevel 1)
+     */
+    recover() {
+        return this.bootLoader.reboot({ mode: 'recovery' });
+    }
+
+    /**
+     * Crear la pantalla de arranque
+     */
+    show() {
+        if (!this.document || this.container) {
+            return;
+        }
+        
+        const doc = this.document;
+        const element = (tag, cssText, text = '') => {
+            const node = doc.createElement(tag);
+            node.style.cssText = cssText;
+            node.textContent = text;
+            return node;
+        };
+        
+        this.container = element('div', [
+            'position: fixed', 'inset: 0', 'z-index: 2147483646',
+            'display: flex', 'flex-direction: column', 'align-items: center', 'justify-content: center',
+            'gap: 16px', 'padding: 24px', 'background: #0b0f19', 'color: #d8dee9',
+            'font: 14px/1.4 system-ui, sans-serif'
+        ].join(';'));
+        this.container.className = 'yos-boot-splash';
+        
+        const logo = element('div', 'font-size: 40px; font-weight: 300; letter-spacing: 4px;', 'yOS');
+        
+        const track = element('div', 'width: min(420px, 80vw); height: 6px; border-radius: 3px; background: #1f2636; overflow: hidden;');
+        track.setAttribute('role', 'progressbar');
+        track.setAttribute('aria-valuemin', '0');
+        track.setAttribute('aria-valuemax', '100');
+        track.setAttribute('aria-label', 'Progreso del arranque');
+        const bar = element('div', 'width: 0; height: 100%; background: #5e81ac; transition: width 0.2s;');
+        track.appendChild(bar);
+        
+        const step = element('div', 'min-height: 1.4em; opacity: 0.8;');
+        step.setAttribute('aria-live', 'polite');
+        
+        const toggle = element('button', 'background: none; border: none; color: #81a1c1; cursor: pointer; font: inherit;');
+        toggle.type = 'button';
+        toggle.addEventListener('click', () => this.toggleLogs());
+        
+        const logs = element('pre', [
+            'width: min(720px, 90vw)', 'max-height: 40vh', 'margin: 0', 'padding: 8px',
+            'overflow: auto', 'white-space: pre-wrap', 'background: #000', 'color: #a3be8c',
+            'font: 12px/1.4 monospace'
+        ].join(';'), this.logs.join('\n'));
+        
+        const failure = element('div', 'display: none; flex-direction: column; align-items: center; gap: 12px;');
+        const error = element('div', 'color: #bf616a; text-align: center; white-space: pre-line;');
+        const actions = element('div', 'display: flex; gap: 12px;');
+        const retry = element('button', 'padding: 6px 16px; cursor: pointer;', 'Reintentar arranque');
+        retry.type = 'button';
+        retry.addEventListener('click', () => this.retry());
+        const recover = element('button', 'padding: 6px 16px; cursor: pointer;', 'Modo de recuperación');
+        recover.type = 'button';
+        recover.addEventListener('click', () => this.recover());
+        actions.appendChild(retry);
+        actions.appendChild(recover);
+        failure.appendChild(error);
+        failure.appendChild(actions);
+        
+        for (const node of [logo, track, step, failure, toggle, logs]) {
+            this.container.appendChild(node);
+        }
+        doc.body.appendChild(this.container);
+        
+        this.elements = { track, bar, step, toggle, logs, failure, error, retry };
+    }
+
+    /**
+     * Actualizar la pantalla con el estado actual
+     */
+    render() {
+        if (!this.container) {
+            return;
+        }
+        
+        const { track, bar, step, toggle, logs, failure, error } = this.elements;
+        const failed = this.state.status === 'failed';
+        
+        bar.style.width = `${this.state.percent}%`;
+        bar.style.background = failed ? '#bf616a' : '#5e81ac';
+        track.setAttribute('aria-valuenow', String(this.state.percent));
+        step.textContent = this.state.step;
+        
+        // Sin splash la pantalla es un arranque en modo texto: solo los logs
+        track.style.display = this.splash || failed ? '' : 'none';
+        toggle.style.display = this.splash ? '' : 'none';
+        toggle.textContent = this.expanded ? 'Ocultar detalles' : 'Mostrar detalles';
+        logs.style.display = this.expanded ? '' : 'none';
+        
+        failure.style.display = failed ? 'flex' : 'none';
+        if (failed) {
+            const { error: message, stageName, consecutiveFailures } = this.state.failure;
+            error.textContent = [
+                stageName ? `${STAGE_LABELS[stageName] || stageName}: ${message}` : message,
+                consecutiveFailures ? `Arranques fallidos consecutivos: ${consecutiveFailures}` : null
+            ].filter(Boolean).join('\n');
+        }
+    }
+
+    /**
+     * Quitar la pantalla de arranque
+     */
+    hide() {
+        clearTimeout(this.hideTimer);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+        this.elements = {};
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.BootSplash = BootSplash;
+}
+
+export default BootSplash;
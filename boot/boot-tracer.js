@@ -0,0 +1,249 @@
+/**
+ * yOS WebOS - Boot Tracer
+ * Registro estructurado de la línea de tiempo del arranque
+ * Exportable en formato Chrome Trace Event (chrome://tracing, Perfetto)
+ *
+ * El tracer no guarda un span activo: el padre se indica siempre ({ parent }) porque
+ * las units arrancan en paralelo y un span "actual" compartido las anidaría mal.
+ */
+
+class BootTracer {
+    constructor(options = {}) {
+        this.name = options.name || 'yOS boot';
+        this.origin = this.now();
+        this.wallClockOrigin = Date.now();
+        this.spans = [];
+        this.marks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Ejecuta una función dentro de un span con nombre
+     * fn recibe el span, para pasarlo como { parent } a los spans anidados
+     */
+    async span(name, fn, options = {}) {
+        const span = this.begin(name, options);
+        
+        try {
+            const result = await fn(span);
+            
+            // Una etapa que devuelve { success: false } también cuenta como fallo
+            if (result && result.success === false) {
+                this.end(span, { status: 'error', error: result.error });
+            } else {
+                this.end(span);
+            }
+            return result;
+        } catch (error) {
+            this.end(span, { status: 'error', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Abre un span manualmente (debe cerrarse con end())
+     * Sin options.parent es un span raíz
+     */
+    begin(name, options = {}) {
+        const parent = options.parent || null;
+        
+        const span = {
+            id: this.nextId++,
+            name: name,
+            category: options.category || (parent ? parent.category : 'boot'),
+            parentId: parent ? parent.id : null,
+            start: this.now() - this.origin,
+            end: null,
+            duration: null,
+            status: 'running',
+            error: null,
+            args: { ...options.args }
+        };
+        
+        this.spans.push(span);
+        return span;
+    }
+
+    /**
+     * Cierra un span abierto
+     */
+    end(span, outcome = {}) {
+        if (!span || span.end !== null) {
+            return span;
+        }
+        
+        span.end = this.now() - this.origin;
+        span.duration = span.end - span.start;
+        span.status = outcome.status || 'ok';
+        span.error = outcome.error || null;
+        
+        if (outcome.args) {
+            span.args = { ...span.args, ...outcome.args };
+        }
+        
+        return span;
+    }
+
+    /**
+     * Registra un evento puntual (error, aviso, hito)
+     * @param {Object} [parent] - Span en el que ocurre
+     */
+    mark(name, args = {}, parent = null) {
+        const mark = {
+            name: name,
+            category: parent ? parent.category : 'boot',
+            parentId: parent ? parent.id : null,
+            time: this.now() - this.origin,
+            args: { ...args }
+        };
+        
+        this.marks.push(mark);
+        return mark;
+    }
+
+    /**
+     * Línea de tiempo como árbol de spans anidados
+     */
+    getTimeline() {
+        const nodes = new Map();
+        const roots = [];
+        
+        for (const span of this.spans) {
+            nodes.set(span.id, { ...span, children: [] });
+        }
+        
+        for (const node of nodes.values()) {
+            const parent = node.parentId !== null ? nodes.get(node.parentId) : null;
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+        
+        return roots;
+    }
+
+    /**
+     * Resumen compacto: duración total y spans más lentos
+     */
+    getSummary(limit = 5) {
+        const finished = this.spans.filter(span => span.end !== null);
+        const total = finished.reduce((max, span) => Math.max(max, span.end), 0);
+        
+        // Solo spans hoja: los padres siempre son más lentos que sus hijos
+        const parents = new Set(this.spans.map(span => span.parentId));
+        const slowest = finished
+            .filter(span => !parents.has(span.id))
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, limit)
+            .map(span => ({ name: span.name, category: span.category, duration: span.duration }));
+        
+        return {
+            totalTime: total,
+            spans: this.spans.length,
+            failed: this.spans.filter(span => span.status === 'error').map(span => span.name),
+            slowest: slowest
+        };
+    }
+
+    /**
+     * Exportar en formato Chrome Trace Event
+     * Los tiempos se expresan en microsegundos
+     */
+    toChromeTrace() {
+        const pid = 1;
+        const tid = 1;
+        
+        const events = [
+            { name: 'process_name', ph: 'M', pid: pid, tid: tid, args: { name: this.name } },
+            { name: 'thread_name', ph: 'M', pid: pid, tid: tid, args: { name: 'boot' } }
+        ];
+        
+        for (const span of this.spans) {
+            const end = span.end !== null ? span.end : this.now() - this.origin;
+            
+            events.push({
+                name: span.name,
+                cat: span.category,
+                ph: 'X',
+                ts: Math.round(span.start * 1000),
+                dur: Math.max(Math.round((end - span.start) * 1000), 0),
+                pid: pid,
+                tid: span.args.lane || tid,
+                args: {
+                    ...span.args,
+                    status: span.end !== null ? span.status : 'unfinished',
+                    ...(span.error ? { error: span.error } : {})
+                }
+            });
+        }
+        
+        for (const mark of this.marks) {
+            events.push({
+                name: mark.name,
+                cat: mark.category,
+                ph: 'i',
+                s: 't',
+                ts: Math.round(mark.time * 1000),
+                pid: pid,
+                tid: tid,
+                args: mark.args
+            });
+        }
+        
+        return {
+            traceEvents: events,
+            displayTimeUnit: 'ms',
+            otherData: {
+                system: 'yOS WebOS',
+                bootStartedAt: new Date(this.wallClockOrigin).toISOString()
+            }
+        };
+    }
+
+    /**
+     * Perfil de arranque serializado, listo para guardar como .json
+     */
+    exportProfile() {
+        return JSON.stringify(this.toChromeTrace(), null, 2);
+    }
+
+    /**
+     * Reiniciar la línea de tiempo
+     */
+    reset() {
+        this.origin = this.now();
+        this.wallClockOrigin = Date.now();
+        this.spans = [];
+        this.marks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Reloj monotónico en milisegundos
+     */
+    now() {
+        if (typeof performance !== 'undefined' && performance.now) {
+            return performance.now();
+        }
+        return Date.now();
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.BootTracer = BootTracer;
+}
+
+/**
+ * Ejecutar un paso de una etapa (o del kernel) dentro de un span de la línea de tiempo
+ * @param {Object} owner - Etapa con tracer; su name es la categoría del span
+ * @param {Object|null} parent - Span padre
+ */
+export function trace(owner, parent, name, fn, args = {}) {
+    return owner.tracer.span(name, fn, { category: owner.name, parent: parent, args: args });
+}
+
+export default BootTracer;
@@ -0,0 +1,300 @@
+/**
+ * yOS WebOS - Capability Probe
+ * Detección de las capacidades reales del navegador (o del host headless)
+ *
+ * Cada sonda recibe el entorno { global, navigator, performance, document } y devuelve
+ * { available, ...detalles }. El entorno se puede inyectar para probar con un navigator
+ * falso en Node:
+ *
+ *   const probe = new CapabilityProbe({ env: { global: {}, navigator: { deviceMemory: 8 } } });
+ *   probe.register('gamepad', (env) => ({ available: 'getGamepads' in env.navigator }));
+ *   const profile = await probe.run();
+ *
+ * El perfil resultante incluye una política derivada (policy) que consulta el resto del
+ * sistema: efectos del compositor, driver del VFS, renderizador y memoria compartida.
+ */
+
+const GB = 1024 * 1024 * 1024;
+
+class CapabilityProbe {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.env] - Entorno a sondear (por defecto el global actual)
+     * @param {number} [options.timeout=1000] - Tiempo máximo por sonda en ms
+     * @param {boolean} [options.defaults=true] - Registrar las sondas por defecto
+     * @param {string[]} [options.required=[]] - Capacidades sin las que el arranque falla
+     */
+    constructor(options = {}) {
+        this.env = CapabilityProbe.createEnvironment(options.env);
+        this.timeout = options.timeout || 1000;
+        this.required = options.required || [];
+        this.probes = new Map();
+        this.profile = null;
+        
+        if (options.defaults !== false) {
+            this.registerDefaults();
+        }
+    }
+
+    /**
+     * Completar un entorno parcial con los valores por defecto
+     */
+    static createEnvironment(env = {}) {
+        const global = env.global || (typeof globalThis !== 'undefined' ? globalThis : {});
+        return {
+            global: global,
+            navigator: env.navigator || global.navigator || {},
+            performance: env.performance || global.performance || null,
+            document: env.document !== undefined ? env.document : (global.document || null)
+        };
+    }
+
+    /**
+     * Registrar (o reemplazar) una sonda
+     * @param {string} name
+     * @param {Function} probe - (env) => { available, ... } (puede ser asíncrona)
+     */
+    register(name, probe) {
+        if (typeof probe !== 'function') {
+            throw new Error(`La sonda ${name} debe ser una función`);
+        }
+        this.probes.set(name, probe);
+        return this;
+    }
+
+    unregister(name) {
+        return this.probes.delete(name);
+    }
+
+    /**
+     * Ejecutar todas las sondas en paralelo y construir el perfil de capacidades
+     */
+    async run() {
+        const capabilities = {};
+        
+        await Promise.all([...this.probes].map(async ([name, probe]) => {
+            const startTime = Date.now();
+            try {
+                const result = await this.withTimeout(Promise.resolve().then(() => probe(this.env)), name);
+                capabilities[name] = { available: false, ...result, duration: Date.now() - startTime };
+            } catch (error) {
+                // Una sonda que falla solo marca la capacidad como no disponible
+                capabilities[name] = { available: false, error: error.message, duration: Date.now() - startTime };
+            }
+        }));
+        
+        this.profile = {
+            capabilities: capabilities,
+            memory: this.resolveMemory(capabilities),
+            policy: this.derivePolicy(capabilities),
+            missingRequired: this.required.filter(name => !capabilities[name] || !capabilities[name].available),
+            timestamp: Date.now()
+        };
+        return this.profile;
+    }
+
+    /**
+     * ¿Está disponible una capacidad en el último perfil?
+     */
+    has(name) {
+        const capability = this.profile && this.profile.capabilities[name];
+        return Boolean(capability && capability.available);
+    }
+
+    withTimeout(promise, name) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Sonda ${name} sin respuesta en ${this.timeout}ms`)), this.timeout);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Memoria total y disponible a partir de navigator.deviceMemory y performance.memory
+     */
+    resolveMemory(capabilities) {
+        const memory = capabilities.memory || {};
+        
+        if (memory.deviceMemory) {
+            const total = memory.deviceMemory;
+            const heapFree = memory.heapLimit ? memory.heapLimit - memory.heapUsed : null;
+            return {
+                total: total,
+                available: heapFree !== null ? Math.min(heapFree, total) : Math.floor(total * 0.8),
+                source: 'navigator.deviceMemory'
+            };
+        }
+        
+        if (memory.heapLimit) {
+            return {
+                total: memory.heapLimit,
+                available: memory.heapLimit - memory.heapUsed,
+                source: 'performance.memory'
+            };
+        }
+        
+        // Sin información del host: valor conservador
+        return { total: 2 * GB, available: Math.floor(2 * GB * 0.8), source: 'default' };
+    }
+
+    /**
+     * Decisiones del sistema según las capacidades detectadas
+     */
+    derivePolicy(capabilities) {
+        const available = (name) => Boolean(capabilities[name] && capabilities[name].available);
+        const memory = this.resolveMemory(capabilities);
+        
+        let renderer = 'canvas2d';
+        if (available('webgpu')) {
+            renderer = 'webgpu';
+        } else if (available('webgl')) {
+            renderer = capabilities.webgl.version === 2 ? 'webgl2' : 'webgl';
+        }
+        
+        return {
+            renderer: renderer,
+            // Sombras, transparencias y animaciones solo con GPU y memoria suficiente
+            compositorEffects: renderer !== 'canvas2d' && memory.total >= 2 * GB,
+            vfsDriver: available('indexedDB') ? 'indexeddb' : 'memory',
+            sharedMemory: available('sharedArrayBuffer'),
+            audio: available('webAudio'),
+            workers: available('workers')
+        };
+    }
+
+    /**
+     * Sondas por defecto
+     */
+    registerDefaults() {
+        this.register('memory', ({ navigator, performance }) => {
+            const heap = performance && performance.memory;
+            return {
+                available: true,
+                deviceMemory: navigator.deviceMemory ? navigator.deviceMemory * GB : null,
+                heapLimit: heap ? heap.jsHeapSizeLimit : null,
+                heapUsed: heap ? heap.usedJSHeapSize : 0
+            };
+        });
+        
+        this.register('storage', async ({ navigator }) => {
+            if (!navigator.storage || typeof navigator.storage.estimate !== 'function') {
+                return { available: false };
+            }
+            const estimate = await navigator.storage.estimate();
+            const persisted = typeof navigator.storage.persisted === 'function'
+                ? await navigator.storage.persisted()
+                : false;
+            return {
+                available: true,
+                quota: estimate.quota || 0,
+                usage: estimate.usage || 0,
+                persisted: persisted
+            };
+        });
+        
+        this.register('cpu', ({ navigator }) => ({
+            available: true,
+            cores: navigator.hardwareConcurrency || 1
+        }));
+        
+        this.register('webgl', ({ global, document }) => {
+            const canvas = this.createCanvas(global, document);
+            if (!canvas) {
+                return { available: false };
+            }
+            
+            const gl2 = canvas.getContext('webgl2');
+            const gl = gl2 || canvas.getContext('webgl');
+            if (!gl) {
+                return { available: false };
+            }
+            return {
+                available: true,
+                version: gl2 ? 2 : 1,
+                maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE)
+            };
+        });
+        
+        this.register('webgpu', async ({ navigator }) => {
+            if (!navigator.gpu || typeof navigator.gpu.requestAdapter !== 'function') {
+                return { available: false };
+            }
+            const adapter = await navigator.gpu.requestAdapter();
+            return { available: Boolean(adapter) };
+        });
+        
+        this.register('webAudio', ({ global }) => ({
+            available: typeof (global.AudioContext || global.webkitAudioContext) === 'function'
+        }));
+        
+        this.register('indexedDB', ({ global }) => this.probeIndexedDB(global.indexedDB));
+        
+        this.register('sharedArrayBuffer', ({ global }) => ({
+            // Los navegadores solo lo exponen con aislamiento de origen cruzado (COOP/COEP)
+            available: typeof global.SharedArrayBuffer === 'function' && global.crossOriginIsolated !== false,
+            crossOriginIsolated: global.crossOriginIsolated === true
+        }));
+        
+        this.register('offscreenCanvas', ({ global }) => ({
+            available: typeof global.OffscreenCanvas === 'function'
+        }));
+        
+        this.register('webAssembly', ({ global }) => ({
+            available: typeof global.WebAssembly === 'object' && typeof global.WebAssembly.instantiate === 'function'
+        }));
+        
+        this.register('webCrypto', ({ global }) => ({
+            available: Boolean(global.crypto && global.crypto.subtle)
+        }));
+        
+        this.register('workers', ({ global }) => ({
+            available: typeof global.Worker === 'function'
+        }));
+        
+        this.register('serviceWorker', ({ navigator }) => ({
+            available: Boolean(navigator.serviceWorker)
+        }));
+        
+        this.register('mediaDevices', ({ navigator }) => ({
+            available: Boolean(navigator.mediaDevices)
+        }));
+    }
+
+    createCanvas(global, document) {
+        if (document && typeof document.createElement === 'function') {
+            return document.createElement('canvas');
+        }
+        if (typeof global.OffscreenCanvas === 'function') {
+            return new global.OffscreenCanvas(1, 1);
+        }
+        return null;
+    }
+
+    /**
+     * Abrir una base de datos de prueba (falla en algunos modos privados)
+     */
+    probeIndexedDB(indexedDB) {
+        if (!indexedDB || typeof indexedDB.open !== 'function') {
+            return { available: false };
+        }
+        
+        return new Promise(resolve => {
+            const name = 'yOS-capability-probe';
+            const request = indexedDB.open(name);
+            request.onsuccess = () => {
+                request.result.close();
+                indexedDB.deleteDatabase(name);
+                resolve({ available: true });
+            };
+            request.onerror = () => resolve({ available: false, error: request.error ? request.error.message : 'open falló' });
+        });
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.CapabilityProbe = CapabilityProbe;
+}
+
+export default CapabilityProbe;
@@ -0,0 +1,364 @@
+/**
+ * yOS WebOS - Kernel Command Line
+ * Parser de la línea de comandos del kernel con registro de parámetros tipados
+ *
+ * Gramática:
+ *   cmdline   := token (espacio token)*
+ *   token     := clave | clave '=' valor
+ *   clave     := nombre | modulo '.' parametro
+ *   valor     := texto sin espacios | "texto con espacios" | 'texto'
+ * El valor se separa en el primer '=', por lo que puede contener más '='.
+ */
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on', 'y'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off', 'n'];
+
+// Orden de prioridad de las fuentes: cada una sobrescribe a las anteriores
+const SOURCES = ['default', 'cmdline', 'config', 'url'];
+
+const DEFAULT_PARAMETERS = {
+    root: { type: 'string', default: '/dev/ram0', description: 'Dispositivo raíz' },
+    ro: { type: 'boolean', default: false, description: 'Montar la raíz en solo lectura' },
+    rw: { type: 'boolean', default: false, description: 'Montar la raíz en lectura/escritura' },
+    init: {
+        type: 'string',
+        default: '/sbin/init',
+        description: 'Programa init que arranca el espacio de usuario',
+        validate: (value) => value.startsWith('/') || 'debe ser una ruta absoluta'
+    },
+    runlevel: { type: 'integer', default: 5, min: 1, max: 5, description: 'Runlevel objetivo del arranque' },
+    loglevel: { type: 'integer', default: 6, min: 0, max: 7, description: 'Nivel de log de consola (0=emerg ... 7=debug)' },
+    debug: { type: 'boolean', default: false, description: 'Habilita la salida de depuración (loglevel=7)' },
+    quiet: { type: 'boolean', default: false, description: 'Reduce la salida de consola (loglevel=4)' },
+    single: { type: 'boolean', default: false, description: 'Arranca en modo monousuario (runlevel 1)' },
+    splash: { type: 'boolean', default: false, description: 'Muestra la pantalla de arranque gráfica' },
+    noresume: { type: 'boolean', default: false, description: 'Arranca en frío y descarta la imagen de hibernación' },
+    integrity: {
+        type: 'enum',
+        values: ['enforce', 'warn', 'off'],
+        // enforce en los despliegues publicados; warn deja arrancar el árbol de desarrollo sin firmar
+        default: 'warn',
+        description: 'Arranque verificado: rechazar (enforce) o marcar (warn) ficheros alterados'
+    }
+};
+
+class KernelCommandLine {
+    constructor() {
+        this.parameters = new Map();
+        this.moduleParameters = new Map();
+        
+        for (const [name, spec] of Object.entries(DEFAULT_PARAMETERS)) {
+            this.register(name, spec);
+        }
+    }
+
+    /**
+     * Registrar un parámetro conocido
+     * @param {string} name
+     * @param {Object} spec - { type, default, description, min, max, values, validate }
+     *   type: 'boolean' | 'integer' | 'string' | 'enum' | 'list'
+     */
+    register(name, spec) {
+        if (!['boolean', 'integer', 'string', 'enum', 'list'].includes(spec.type)) {
+            throw new Error(`Tipo de parámetro no soportado para ${name}: ${spec.type}`);
+        }
+        
+        this.parameters.set(name, { name, ...spec });
+        return this;
+    }
+
+    /**
+     * Registrar un parámetro de módulo (modulo.parametro=valor)
+     */
+    registerModuleParameter(moduleName, name, spec) {
+        if (!this.moduleParameters.has(moduleName)) {
+            this.moduleParameters.set(moduleName, new Map());
+        }
+        
+        this.moduleParameters.get(moduleName).set(name, { name: `${moduleName}.${name}`, ...spec });
+        return this;
+    }
+
+    /**
+     * Dividir la línea de comandos en tokens clave/valor respetando comillas
+     */
+    tokenize(text, errors = []) {
+        const tokens = [];
+        let current = '';
+        let quote = null;
+        let inToken = false;
+        
+        const flush = () => {
+            if (inToken) {
+                tokens.push(current);
+            }
+            current = '';
+            inToken = false;
+        };
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quote) {
+                if (char === '\\' && quote === '"' && i + 1 < text.length) {
+                    current += text[++i];
+                } else if (char === quote) {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                inToken = true;
+            } else if (/\s/.test(char)) {
+                flush();
+            } else {
+                current += char;
+                inToken = true;
+            }
+        }
+        
+        if (quote) {
+            errors.push(`Comilla ${quote} sin cerrar en la línea de comandos`);
+        }
+        flush();
+        
+        return tokens.map(raw => {
+            const separator = raw.indexOf('=');
+            if (separator === -1) {
+                return { key: raw, value: null, raw: raw };
+            }
+            return { key: raw.slice(0, separator), value: raw.slice(separator + 1), raw: raw };
+        });
+    }
+
+    /**
+     * Parsear la línea de comandos base más las sobrescrituras
+     * @param {string} cmdline - Línea de comandos base del bootloader
+     * @param {Array<{source: string, cmdline: string}>} overrides - Fragmentos de config persistida o URL
+     */
+    parse(cmdline, overrides = []) {
+        const result = {
+            params: {},
+            modules: {},
+            sources: {},
+            unknown: {},
+            errors: [],
+            warnings: [],
+            cmdline: ''
+        };
+        
+        // Valores por defecto
+        for (const [name, spec] of this.parameters) {
+            result.params[name] = this.cloneDefault(spec);
+            result.sources[name] = 'default';
+        }
+        
+        const fragments = [{ source: 'cmdline', cmdline: cmdline || '' }, ...overrides]
+            .filter(fragment => fragment.cmdline && fragment.cmdline.trim())
+            .sort((a, b) => SOURCES.indexOf(a.source) - SOURCES.indexOf(b.source));
+        
+        const explicit = new Set();
+        
+        for (const fragment of fragments) {
+            const seen = new Set();
+            
+            for (const token of this.tokenize(fragment.cmdline, result.errors)) {
+                if (!token.key) {
+                    result.errors.push(`Token sin clave: "${token.raw}"`);
+                    continue;
+                }
+                
+                if (token.key.includes('.')) {
+                    this.applyModuleParameter(token, result);
+                    continue;
+                }
+                
+                const spec = this.parameters.get(token.key);
+                if (!spec) {
+                    result.unknown[token.key] = token.value === null ? true : token.value;
+                    result.warnings.push(`Parámetro desconocido: ${token.key}`);
+                    continue;
+                }
+                
+                if (seen.has(token.key) && spec.type !== 'list') {
+                    result.warnings.push(`Parámetro repetido, se usa el último valor: ${token.key}`);
+                }
+                seen.add(token.key);
+                
+                const converted = this.convert(spec, token.value);
+                if (converted.error) {
+                    result.errors.push(`${token.key}: ${converted.error} (se mantiene ${JSON.stringify(result.params[token.key])})`);
+                    continue;
+                }
+                
+                // Las listas acumulan valores dentro de una misma fuente
+                if (spec.type === 'list' && result.sources[token.key] === fragment.source) {
+                    result.params[token.key] = [...result.params[token.key], ...converted.value];
+                } else {
+                    result.params[token.key] = converted.value;
+                }
+                
+                result.sources[token.key] = fragment.source;
+                explicit.add(token.key);
+            }
+        }
+        
+        this.applyImpliedParameters(result, explicit);
+        result.cmdline = fragments.map(fragment => fragment.cmdline.trim()).join(' ');
+        
+        return result;
+    }
+
+    /**
+     * Parámetros implícitos: single, quiet y debug ajustan runlevel/loglevel
+     * salvo que se hayan indicado explícitamente
+     */
+    applyImpliedParameters(result, explicit) {
+        if (result.params.single) {
+            result.params.runlevel = 1;
+            result.sources.runlevel = result.sources.single;
+        }
+        
+        if (!explicit.has('loglevel')) {
+            if (result.params.debug) {
+                result.params.loglevel = 7;
+                result.sources.loglevel = result.sources.debug;
+            } else if (result.params.quiet) {
+                result.params.loglevel = 4;
+                result.sources.loglevel = result.sources.quiet;
+            }
+        }
+        
+        if (result.params.ro && result.params.rw) {
+            result.warnings.push('ro y rw indicados a la vez, se usa rw');
+            result.params.ro = false;
+        }
+    }
+
+    /**
+     * Aplicar un parámetro de módulo modulo.parametro=valor
+     */
+    applyModuleParameter(token, result) {
+        const separator = token.key.indexOf('.');
+        const moduleName = token.key.slice(0, separator);
+        const paramName = token.key.slice(separator + 1);
+        
+        if (!moduleName || !paramName) {
+            result.errors.push(`Parámetro de módulo mal formado: ${token.key}`);
+            return;
+        }
+        
+        const spec = this.moduleParameters.has(moduleName)
+            ? this.moduleParameters.get(moduleName).get(paramName)
+            : null;
+        
+        // Sin especificación registrada el valor se conserva como texto
+        const converted = spec
+            ? this.convert(spec, token.value)
+            : { value: token.value === null ? true : token.value };
+        
+        if (converted.error) {
+            result.errors.push(`${token.key}: ${converted.error}`);
+            return;
+        }
+        
+        result.modules[moduleName] = result.modules[moduleName] || {};
+        result.modules[moduleName][paramName] = converted.value;
+    }
+
+    /**
+     * Convertir y validar un valor según la especificación del parámetro
+     */
+    convert(spec, rawValue) {
+        let value;
+        
+        switch (spec.type) {
+            case 'boolean': {
+                if (rawValue === null || rawValue === '') {
+                    value = true;
+                } else if (TRUE_VALUES.includes(rawValue.toLowerCase())) {
+                    value = true;
+                } else if (FALSE_VALUES.includes(rawValue.toLowerCase())) {
+                    value = false;
+                } else {
+                    return { error: `valor booleano inválido "${rawValue}"` };
+                }
+                break;
+            }
+            case 'integer': {
+                if (rawValue === null || !/^[-+]?(0x[0-9a-f]+|\d+)$/i.test(rawValue)) {
+                    return { error: `se esperaba un entero, recibido "${rawValue}"` };
+                }
+                value = rawValue.toLowerCase().includes('0x') ? parseInt(rawValue, 16) : parseInt(rawValue, 10);
+                if (spec.min !== undefined && value < spec.min) {
+                    return { error: `${value} es menor que el mínimo ${spec.min}` };
+                }
+                if (spec.max !== undefined && value > spec.max) {
+                    return { error: `${value} es mayor que el máximo ${spec.max}` };
+                }
+                break;
+            }
+            case 'enum': {
+                if (!spec.values.includes(rawValue)) {
+                    return { error: `"${rawValue}" no es uno de: ${spec.values.join(', ')}` };
+                }
+                value = rawValue;
+                break;
+            }
+            case 'list': {
+                value = (rawValue || '').split(',').map(item => item.trim()).filter(Boolean);
+                break;
+            }
+            default: {
+                if (rawValue === null) {
+                    return { error: 'requiere un valor (clave=valor)' };
+                }
+                value = rawValue;
+            }
+        }
+        
+        if (spec.validate) {
+            const validation = spec.validate(value);
+            if (validation !== true) {
+                return { error: typeof validation === 'string' ? validation : `valor inválido "${rawValue}"` };
+            }
+        }
+        
+        return { value };
+    }
+
+    cloneDefault(spec) {
+        return Array.isArray(spec.default) ? [...spec.default] : spec.default;
+    }
+
+    /**
+     * Descripción de los parámetros registrados (para ayuda y diagnóstico)
+     */
+    describe() {
+        return [...this.parameters.values()].map(spec => ({
+            name: spec.name,
+            type: spec.type,
+            default: spec.default,
+            description: spec.description || ''
+        }));
+    }
+
+    /**
+     * Extraer un fragmento de línea de comandos de la query string (?cmdline=...)
+     */
+    static fromQueryString(search) {
+        if (!search || typeof URLSearchParams === 'undefined') {
+            return '';
+        }
+        return new URLSearchParams(search).get('cmdline') || '';
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.KernelCommandLine = KernelCommandLine;
+}
+
+export default KernelCommandLine;
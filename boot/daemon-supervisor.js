@@ -0,0 +1,308 @@
+/**
+ * yOS WebOS - Daemon Supervisor
+ * Vigila la salud de los daemons del sistema de init y los reinicia cuando caen
+ *
+ * Cada daemon con bloque "health" en su unit file se comprueba periódicamente:
+ *   heartbeat: el proceso debe llamar a context.heartbeat() antes de health.timeout
+ *   probe:     health() del módulo (o proceso vivo en units simuladas) antes de health.timeout
+ * Tras health.failureThreshold comprobaciones fallidas seguidas, o si el proceso sale,
+ * el daemon se considera caído y se reinicia con backoff exponencial según su política
+ * de reinicio. Superado restartLimit dentro de restartWindow queda en estado failed.
+ *
+ * Eventos (on/off y 'yOS:daemon:<evento>' en el host):
+ *   watch, unhealthy, healthy, crashed, restarting, restarted, failed
+ */
+
+import BootHost from './host.js';
+import KernelLog from '../kernel/core/klog.js';
+
+class DaemonSupervisor {
+    /**
+     * @param {InitSystem} initSystem
+     * @param {Object} [options]
+     * @param {BootHost} [options.host] - Host donde se publican los eventos yOS:daemon:*
+     * @param {KernelLog} [options.klog]
+     */
+    constructor(initSystem, options = {}) {
+        this.initSystem = initSystem;
+        this.host = options.host || BootHost.detect();
+        this.console = (options.klog || new KernelLog()).logger('init');
+        this.daemons = new Map();
+        this.listeners = {};
+        this.unsubscribers = [];
+        this.running = false;
+    }
+
+    /**
+     * Empezar a supervisar los daemons que arranque el sistema de init
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        
+        this.running = true;
+        this.unsubscribers = [
+            this.initSystem.on('unit:started', ({ name }) => this.watch(name)),
+            this.initSystem.on('unit:stopped', ({ name }) => this.unwatch(name)),
+            this.initSystem.on('unit:exited', ({ name, code, reason }) => this.handleExit(name, code, reason))
+        ];
+        
+        // Daemons que ya estaban en ejecución
+        for (const unit of this.initSystem.list()) {
+            if (unit.status === 'running') {
+                this.watch(unit.name);
+            }
+        }
+    }
+
+    /**
+     * Dejar de supervisar (apagado del sistema)
+     */
+    stop() {
+        this.running = false;
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        
+        for (const name of [...this.daemons.keys()]) {
+            this.unwatch(name);
+        }
+    }
+
+    /**
+     * Añadir un daemon a la supervisión (o reanudarla tras un reinicio)
+     */
+    watch(name) {
+        const record = this.initSystem.getRecord(name);
+        if (!this.running || !record || record.type !== 'daemon' || !record.unit.health) {
+            return;
+        }
+        
+        const existing = this.daemons.get(name);
+        const daemon = existing || {
+            name: name,
+            health: 'unknown',
+            failures: 0,
+            restarts: [],
+            totalRestarts: 0,
+            lastCheck: null,
+            lastError: null,
+            nextRestartAt: null,
+            timer: null
+        };
+        
+        this.clearTimer(daemon);
+        daemon.health = 'healthy';
+        daemon.failures = 0;
+        daemon.nextRestartAt = null;
+        this.daemons.set(name, daemon);
+        
+        if (!existing) {
+            this.emit('watch', { name, pid: record.pid, health: record.unit.health });
+        }
+        this.scheduleCheck(daemon);
+    }
+
+    /**
+     * Quitar un daemon de la supervisión (parada ordenada)
+     */
+    unwatch(name) {
+        const daemon = this.daemons.get(name);
+        if (!daemon) {
+            return;
+        }
+        this.clearTimer(daemon);
+        this.daemons.delete(name);
+    }
+
+    scheduleCheck(daemon) {
+        const health = this.initSystem.getRecord(daemon.name).unit.health;
+        daemon.timer = setTimeout(() => this.check(daemon.name), health.interval);
+    }
+
+    /**
+     * Comprobación periódica de salud de un daemon
+     */
+    async check(name) {
+        const daemon = this.daemons.get(name);
+        const record = this.initSystem.getRecord(name);
+        if (!daemon || !record || record.status !== 'running') {
+            return;
+        }
+        
+        daemon.timer = null;
+        daemon.lastCheck = Date.now();
+        const health = record.unit.health;
+        let error = null;
+        
+        try {
+            if (health.type === 'heartbeat') {
+                const age = Date.now() - record.lastHeartbeat;
+                if (age > health.timeout) {
+                    error = `Sin latido desde hace ${age}ms`;
+                }
+            } else {
+                const healthy = await this.initSystem.withTimeout(this.initSystem.probe(name), health.timeout, `sonda de ${name}`);
+                if (!healthy) {
+                    error = 'La sonda de salud falló';
+                }
+            }
+        } catch (probeError) {
+            error = probeError.message;
+        }
+        
+        // El daemon pudo pararse o caer mientras se ejecutaba la sonda
+        if (this.daemons.get(name) !== daemon || record.status !== 'running') {
+            return;
+        }
+        
+        if (error) {
+            daemon.failures++;
+            daemon.lastError = error;
+            daemon.health = 'unhealthy';
+            this.emit('unhealthy', { name, pid: record.pid, failures: daemon.failures, error });
+            
+            if (daemon.failures >= health.failureThreshold) {
+                this.initSystem.fail(name, `${error} (${daemon.failures} comprobaciones fallidas)`);
+                return;
+            }
+        } else if (daemon.failures > 0) {
+            daemon.failures = 0;
+            daemon.health = 'healthy';
+            this.emit('healthy', { name, pid: record.pid });
+        }
+        
+        this.scheduleCheck(daemon);
+    }
+
+    /**
+     * El proceso de un daemon terminó: reiniciar con backoff o marcarlo como fallido
+     */
+    async handleExit(name, code, reason) {
+        const daemon = this.daemons.get(name);
+        if (!daemon) {
+            return;
+        }
+        
+        const unit = this.initSystem.getRecord(name).unit;
+        this.clearTimer(daemon);
+        daemon.health = 'crashed';
+        daemon.lastError = reason;
+        this.emit('crashed', { name, code, reason });
+        
+        const cleanExit = code === 0;
+        if (unit.restart === 'no' || (unit.restart === 'on-failure' && cleanExit)) {
+            this.markFailed(daemon, `Política de reinicio "${unit.restart}": no se reinicia`);
+            return;
+        }
+        
+        // Solo cuentan los reinicios dentro de la ventana
+        const now = Date.now();
+        daemon.restarts = daemon.restarts.filter(timestamp => now - timestamp < unit.restartWindow);
+        if (daemon.restarts.length >= unit.restartLimit) {
+            this.markFailed(daemon, `Límite de reinicios alcanzado (${unit.restartLimit} en ${unit.restartWindow}ms)`);
+            return;
+        }
+        
+        daemon.restarts.push(now);
+        daemon.totalRestarts++;
+        const attempt = daemon.restarts.length;
+        const delay = Math.min(unit.restartDelay * Math.pow(2, attempt - 1), unit.restartMaxDelay);
+        
+        daemon.health = 'restarting';
+        daemon.nextRestartAt = now + delay;
+        this.emit('restarting', { name, attempt, delay, reason });
+        
+        await new Promise(resolve => {
+            daemon.timer = setTimeout(resolve, delay);
+        });
+        daemon.timer = null;
+        
+        // Parado o reiniciado manualmente durante la espera
+        const record = this.initSystem.getRecord(name);
+        if (this.daemons.get(name) !== daemon || record.status !== 'failed') {
+            return;
+        }
+        
+        try {
+            await this.initSystem.start(name, { attempts: 1, runlevel: record.runlevel });
+            this.emit('restarted', { name, pid: record.pid, attempt });
+        } catch (error) {
+            // Un arranque fallido cuenta como una nueva caída
+            await this.handleExit(name, null, error.message);
+        }
+    }
+
+    markFailed(daemon, reason) {
+        this.clearTimer(daemon);
+        daemon.health = 'failed';
+        daemon.nextRestartAt = null;
+        daemon.lastError = reason;
+        this.console.error(`❌ Daemon ${daemon.name} fallido: ${reason}`);
+        this.emit('failed', { name: daemon.name, reason, restarts: daemon.totalRestarts });
+    }
+
+    clearTimer(daemon) {
+        if (daemon.timer !== null) {
+            clearTimeout(daemon.timer);
+            daemon.timer = null;
+        }
+    }
+
+    /**
+     * Estado de supervisión de los daemons (para el monitor de procesos)
+     */
+    getStatus() {
+        return [...this.daemons.values()].map(daemon => {
+            const record = this.initSystem.getRecord(daemon.name);
+            return {
+                name: daemon.name,
+                pid: record ? record.pid : null,
+                status: record ? record.status : 'unknown',
+                health: daemon.health,
+                failures: daemon.failures,
+                restarts: daemon.totalRestarts,
+                lastCheck: daemon.lastCheck,
+                lastHeartbeat: record ? record.lastHeartbeat : null,
+                lastError: daemon.lastError,
+                nextRestartAt: daemon.nextRestartAt
+            };
+        });
+    }
+
+    /**
+     * Suscripción a eventos del supervisor
+     */
+    on(event, listener) {
+        this.listeners[event] = this.listeners[event] || [];
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(fn => fn !== listener);
+    }
+
+    emit(event, detail) {
+        const payload = { ...detail, timestamp: Date.now() };
+        
+        for (const listener of this.listeners[event] || []) {
+            try {
+                listener(payload);
+            } catch (error) {
+                this.console.error(`Error en listener de ${event}:`, error);
+            }
+        }
+        
+        // El monitor de procesos y el servicio de notificaciones escuchan en el host (window)
+        this.host.dispatch(`yOS:daemon:${event}`, payload);
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.DaemonSupervisor = DaemonSupervisor;
+}
+
+export default DaemonSupervisor;
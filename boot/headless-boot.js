@@ -0,0 +1,167 @@
+/**
+ * yOS WebOS - Headless Boot
+ * Arranque completo sin navegador (Node, test runner) sobre HeadlessHost
+ *
+ *   const headless = new HeadlessBoot({ cmdline: 'runlevel=3' });
+ *   const { passed, failures, warnings, report } = await headless.run();
+ *
+ * run() arranca hasta Stage3Init.checkSystemStatus, verifica el reporte estructurado
+ * de BootLoader.getBootReport() y detiene el sistema (runlevel 0) para no dejar
+ * temporizadores activos.
+ *
+ * Línea de comandos (Node con detección de módulos ES):
+ *   node boot/headless-boot.js [--cmdline "runlevel=3 debug"] [--verbose] [--json]
+ * Sale con código 1 si la verificación falla; es lo que ejecuta npm test.
+ */
+
+import BootLoader from './loader.js';
+import { HeadlessHost } from './host.js';
+
+const REQUIRED_MODULES = ['scheduler', 'memory-manager', 'process-manager', 'syscalls'];
+
+class HeadlessBoot {
+    /**
+     * @param {Object} options
+     * @param {string} [options.cmdline] - Línea de comandos del kernel (como ?cmdline=)
+     * @param {Object} [options.host] - Opciones de HeadlessHost (display, navigator, storage, globals)
+     * @param {Object} [options.expect] - Expectativas extra: { mode, runlevel, units: [nombres en ejecución] }
+     * @param {boolean} [options.verbose=false] - Mostrar los logs del arranque
+     */
+    constructor(options = {}) {
+        const search = options.cmdline ? `?cmdline=${encodeURIComponent(options.cmdline)}` : '';
+        this.host = new HeadlessHost({ search, ...options.host });
+        this.bootLoader = new BootLoader({ host: this.host, capabilityProbe: options.capabilityProbe });
+        this.expect = { mode: 'normal', ...options.expect };
+        this.verbose = options.verbose || false;
+    }
+
+    /**
+     * Arrancar, verificar el reporte y detener el sistema
+     */
+    async run() {
+        const restoreConsole = this.verbose ? () => {} : this.silenceConsole();
+        let report;
+        
+        try {
+            await this.bootLoader.start();
+            report = this.bootLoader.getBootReport();
+        } finally {
+            await this.shutdown();
+            restoreConsole();
+        }
+        
+        const warnings = [];
+        const failures = this.verify(report, warnings);
+        return { passed: failures.length === 0, failures, warnings, report };
+    }
+
+    /**
+     * Comprobaciones sobre el reporte estructurado; devuelve la lista de fallos
+     * @param {Array} [warnings] - Recibe lo que no es un fallo con la política actual
+     */
+    verify(report, warnings = []) {
+        const failures = [];
+        const check = (condition, message) => {
+            if (!condition) {
+                failures.push(message);
+            }
+        };
+        
+        check(report.success, `El arranque falló: ${report.errors.join(', ') || 'sin detalle'}`);
+        check(report.host === 'headless', `Host inesperado: ${report.host}`);
+        check(report.mode === this.expect.mode, `Modo ${report.mode}, se esperaba ${this.expect.mode}`);
+        
+        for (const stage of report.stages) {
+            check(stage.executed && stage.success, `Etapa ${stage.name} fallida: ${stage.error || 'no ejecutada'}`);
+        }
+        
+        if (report.hardware) {
+            check(report.hardware.integrity.passed, `Integridad del BIOS: ${report.hardware.integrity.errors.join(', ')}`);
+        }
+        
+        if (report.kernel) {
+            check(report.kernel.status.healthy, `Kernel no saludable: ${report.kernel.status.issues.join(', ')}`);
+            for (const moduleName of REQUIRED_MODULES) {
+                check(report.kernel.modules.includes(moduleName), `Módulo ${moduleName} no cargado`);
+            }
+        }
+        
+        // Con integrity=warn (árbol de desarrollo sin firmar) los ficheros alterados son avisos
+        if (report.integrity) {
+            for (const failure of report.integrity.failures) {
+                const message = `Integridad: ${failure.path} ${failure.error}`;
+                if (report.integrity.policy === 'enforce') {
+                    check(false, message);
+                } else {
+                    warnings.push(message);
+                }
+            }
+        }
+        
+        if (report.init) {
+            check(report.init.systemStatus.ready, `Sistema no listo: ${report.init.systemStatus.issues.join(', ')}`);
+            
+            const failed = report.init.units.filter(unit => unit.status === 'failed').map(unit => unit.name);
+            check(failed.length === 0, `Units fallidas: ${failed.join(', ')}`);
+            
+            if (this.expect.runlevel !== undefined) {
+                check(report.init.runlevel === this.expect.runlevel, `Runlevel ${report.init.runlevel}, se esperaba ${this.expect.runlevel}`);
+            }
+            for (const unitName of this.expect.units || []) {
+                const unit = report.init.units.find(candidate => candidate.name === unitName);
+                check(unit && unit.status === 'running', `Unit ${unitName} no está en ejecución`);
+            }
+        }
+        
+        return failures;
+    }
+
+    /**
+     * Detener el sistema para que el proceso de Node pueda terminar
+     */
+    async shutdown() {
+        const init = this.bootLoader.getStage('stage3-init');
+        try {
+            if (this.bootLoader.bootStatus.initialized) {
+                await this.bootLoader.switchRunlevel(0);
+            }
+        } finally {
+            if (init && init.supervisor) {
+                init.supervisor.stop();
+            }
+        }
+    }
+
+    silenceConsole() {
+        const original = { log: console.log, warn: console.warn, error: console.error };
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+        return () => Object.assign(console, original);
+    }
+}
+
+// Uso desde la línea de comandos
+if (typeof process !== 'undefined' && process.argv && process.argv[1]) {
+    const { pathToFileURL } = await import('node:url');
+    if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+        const args = process.argv.slice(2);
+        const cmdlineIndex = args.indexOf('--cmdline');
+        const headless = new HeadlessBoot({
+            cmdline: cmdlineIndex !== -1 ? args[cmdlineIndex + 1] : undefined,
+            verbose: args.includes('--verbose')
+        });
+        
+        const { passed, failures, warnings, report } = await headless.run();
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            console.log(`${passed ? '✅' : '❌'} Arranque headless: modo ${report.mode}, runlevel ${report.init ? report.init.runlevel : '-'}, ${report.bootTime}ms`);
+            failures.forEach(failure => console.log(`  ❌ ${failure}`));
+            warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+        }
+        process.exitCode = passed ? 0 : 1;
+    }
+}
+
+export default HeadlessBoot;
@@ -0,0 +1,302 @@
+/**
+ * yOS WebOS - Hibernation
+ * Imagen de hibernación del sistema arrancado para reanudar sin arranque en frío
+ *
+ * Al apagar (runlevel 0) y en cada checkpoint (página oculta, cambio de runlevel o de
+ * servicios; ver BootLoader.checkpoint) el BootLoader guarda una imagen con:
+ *   - el estado de cada etapa (tablas del kernel, tabla de montaje, servicios en
+ *     ejecución, sesiones de usuario) mediante stage.snapshot()
+ *   - las secciones de los proveedores registrados ('windows': ventanas abiertas del
+ *     servicio window-manager, que la registra con context.hibernation)
+ *   - una huella del sistema: versiones de los módulos del kernel, firma del manifiesto
+ *     de integridad y línea de comandos
+ *
+ * El siguiente arranque restaura con stage.restore(estado, resultadoAnterior) en lugar de
+ * stage.execute(). Si la huella no coincide (módulos actualizados, otra cmdline) la imagen
+ * se descarta y se arranca en frío. La imagen es de un solo uso, como en swsusp.
+ *
+ * Almacenamiento: IndexedDB si el host lo ofrece; si no, el almacenamiento clave/valor del host.
+ */
+
+import KernelLog from '../kernel/core/klog.js';
+
+const SNAPSHOT_FORMAT = 1;
+const DB_NAME = 'yOS-hibernate';
+const STORE_NAME = 'images';
+const IMAGE_KEY = 'resume';
+const STORAGE_KEY = 'yOS:hibernate:image';
+
+/**
+ * Imagen en IndexedDB
+ */
+class IndexedDBImageStore {
+    constructor(indexedDB) {
+        this.indexedDB = indexedDB;
+        this.name = 'indexeddb';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error(`No se pudo abrir ${DB_NAME}`));
+        });
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = operation(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Transacción abortada'));
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    async get() {
+        return (await this.request('readonly', store => store.get(IMAGE_KEY))) || null;
+    }
+
+    put(image) {
+        return this.request('readwrite', store => store.put(image, IMAGE_KEY));
+    }
+
+    delete() {
+        return this.request('readwrite', store => store.delete(IMAGE_KEY));
+    }
+}
+
+/**
+ * Imagen serializada en el almacenamiento del host (localStorage o MemoryStorage)
+ */
+class StorageImageStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.name = 'storage';
+    }
+
+    async get() {
+        const raw = this.storage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async put(image) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(image));
+    }
+
+    async delete() {
+        this.storage.removeItem(STORAGE_KEY);
+    }
+}
+
+class Hibernation {
+    /**
+     * @param {Object} options
+     * @param {BootHost} options.host
+     * @param {Object} [options.store] - { get, put, delete } (por defecto IndexedDB o el almacenamiento del host)
+     * @param {KernelLog} [options.klog]
+     */
+    constructor(options = {}) {
+        this.host = options.host;
+        this.console = (options.klog || new KernelLog()).logger('hibernate');
+        this.store = options.store || Hibernation.createStore(this.host);
+        this.providers = new Map();
+    }
+
+    static createStore(host) {
+        const indexedDB = host.getProbeEnvironment().global.indexedDB;
+        if (indexedDB && typeof indexedDB.open === 'function') {
+            return new IndexedDBImageStore(indexedDB);
+        }
+        return new StorageImageStore(host.storage);
+    }
+
+    /**
+     * Registrar una sección extra de la imagen (p. ej. 'windows' del gestor de ventanas)
+     * @param {string} name
+     * @param {Object} provider - { save: () => datos, restore: async (datos) => {} }
+     */
+    register(name, provider) {
+        if (typeof provider.save !== 'function' || typeof provider.restore !== 'function') {
+            throw new Error(`El proveedor de hibernación ${name} debe implementar save() y restore()`);
+        }
+        this.providers.set(name, provider);
+        return this;
+    }
+
+    unregister(name) {
+        return this.providers.delete(name);
+    }
+
+    /**
+     * Construir la imagen a partir del estado de las etapas
+     * @param {Object} stages - nombre de etapa → estado devuelto por stage.snapshot()
+     * @param {Object} fingerprint - Huella del sistema (ver BootLoader.getSystemFingerprint)
+     */
+    createImage(stages, fingerprint) {
+        const sections = {};
+        for (const [name, provider] of this.providers) {
+            try {
+                sections[name] = Hibernation.serialize(provider.save());
+            } catch (error) {
+                this.console.warn(`⚠️ Hibernación: sección ${name} omitida (${error.message})`);
+            }
+        }
+        
+        return {
+            format: SNAPSHOT_FORMAT,
+            createdAt: Date.now(),
+            fingerprint: fingerprint,
+            stages: stages,
+            sections: sections
+        };
+    }
+
+    async save(image) {
+        await this.store.put(image);
+        this.console.log(`💤 Imagen de hibernación guardada (${this.store.name}, ${Object.keys(image.stages).length} etapas)`);
+        return image;
+    }
+
+    async load() {
+        try {
+            return await this.store.get();
+        } catch (error) {
+            this.console.warn(`⚠️ No se pudo leer la imagen de hibernación: ${error.message}`);
+            return null;
+        }
+    }
+
+    async discard() {
+        try {
+            await this.store.delete();
+        } catch (error) {
+            this.console.warn(`⚠️ No se pudo descartar la imagen de hibernación: ${error.message}`);
+        }
+    }
+
+    /**
+     * Entregar a cada proveedor su sección de la imagen
+     */
+    async restoreSections(sections = {}) {
+        for (const [name, provider] of this.providers) {
+            if (sections[name] !== undefined) {
+                await provider.restore(Hibernation.revive(sections[name]));
+            }
+        }
+    }
+
+    /**
+     * Motivos por los que una imagen no se puede reanudar (lista vacía si es compatible)
+     */
+    static compare(image, current) {
+        if (!image || image.format !== SNAPSHOT_FORMAT) {
+            return [`Formato de imagen ${image ? image.format : '-'} no soportado (se esperaba ${SNAPSHOT_FORMAT})`];
+        }
+        
+        const saved = image.fingerprint || {};
+        const reasons = [];
+        
+        const savedModules = saved.modules || {};
+        for (const [name, version] of Object.entries(current.modules)) {
+            if (!(name in savedModules)) {
+                reasons.push(`Módulo nuevo: ${name}@${version}`);
+            } else if (savedModules[name] !== version) {
+                reasons.push(`Módulo ${name} actualizado: ${savedModules[name]} → ${version}`);
+            }
+        }
+        for (const name of Object.keys(savedModules)) {
+            if (!(name in current.modules)) {
+                reasons.push(`Módulo eliminado: ${name}`);
+            }
+        }
+        
+        if (saved.integrity !== current.integrity) {
+            reasons.push('El manifiesto de integridad ha cambiado (ficheros del sistema actualizados)');
+        }
+        if (saved.cmdline !== current.cmdline) {
+            reasons.push(`Línea de comandos distinta: "${saved.cmdline}" → "${current.cmdline}"`);
+        }
+        if (saved.host !== current.host) {
+            reasons.push(`Host distinto: ${saved.host} → ${current.host}`);
+        }
+        
+        return reasons;
+    }
+
+    /**
+     * Copia serializable (JSON) de un estado con funciones, Set y Map
+     * Los métodos enlazados de owner (handler: this.sys_fork.bind(this)) se guardan por nombre
+     * para que revive() los vuelva a enlazar; el resto de funciones se descartan.
+     */
+    static serialize(value, owner = null) {
+        if (typeof value === 'function') {
+            const method = value.name.startsWith('bound ') ? value.name.slice(6) : null;
+            return owner && method && typeof owner[method] === 'function' ? { $method: method } : undefined;
+        }
+        if (value instanceof Set) {
+            return { $set: [...value].map(item => Hibernation.serialize(item, owner)) };
+        }
+        if (value instanceof Map) {
+            return { $map: [...value].map(([key, item]) => [key, Hibernation.serialize(item, owner)]) };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => {
+                const serialized = Hibernation.serialize(item, owner);
+                return serialized === undefined ? null : serialized;
+            });
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                const serialized = Hibernation.serialize(item, owner);
+                if (serialized !== undefined) {
+                    copy[key] = serialized;
+                }
+            }
+            return copy;
+        }
+        return value;
+    }
+
+    static revive(value, owner = null) {
+        if (Array.isArray(value)) {
+            return value.map(item => Hibernation.revive(item, owner));
+        }
+        if (value && typeof value === 'object') {
+            if (typeof value.$method === 'string' && owner && typeof owner[value.$method] === 'function') {
+                return owner[value.$method].bind(owner);
+            }
+            if (Array.isArray(value.$set)) {
+                return new Set(value.$set.map(item => Hibernation.revive(item, owner)));
+            }
+            if (Array.isArray(value.$map)) {
+                return new Map(value.$map.map(([key, item]) => [key, Hibernation.revive(item, owner)]));
+            }
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                copy[key] = Hibernation.revive(item, owner);
+            }
+            return copy;
+        }
+        return value;
+    }
+}
+
+Hibernation.FORMAT = SNAPSHOT_FORMAT;
+Hibernation.IndexedDBImageStore = IndexedDBImageStore;
+Hibernation.StorageImageStore = StorageImageStore;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.Hibernation = Hibernation;
+}
+
+export default Hibernation;
@@ -0,0 +1,300 @@
+/**
+ * yOS WebOS - Boot Host
+ * Capa de abstracción del host sobre el que arranca el sistema
+ *
+ * BrowserHost: window, navigator, localStorage, fetch y CustomEvent del navegador
+ * HeadlessHost: Node o test runner (pantalla falsa, almacenamiento en memoria,
+ *               fetch de ficheros file: y registro de los eventos emitidos)
+ *
+ * Las etapas de boot solo acceden al entorno a través del host:
+ *   host.navigator, host.display, host.storage, host.fetch(url),
+ *   host.dispatch(evento, detail), host.addEventListener(tipo, fn),
+ *   host.addDeviceListener(tipo, fn) (eventos de dispositivo: teclado, puntero, resize...),
+ *   host.getLocationSearch(), host.getProbeEnvironment()
+ *
+ * El historial de eventos (getEvents) guarda solo los últimos options.eventHistory para
+ * que una pestaña abierta mucho tiempo no acumule eventos sin límite.
+ */
+
+// Eventos que se conservan en el historial por defecto
+const EVENT_HISTORY = 256;
+
+/**
+ * Almacenamiento clave/valor en memoria con la interfaz de localStorage
+ */
+class MemoryStorage {
+    constructor(initial = {}) {
+        this.items = new Map(Object.entries(initial).map(([key, value]) => [key, String(value)]));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+class BootHost {
+    /**
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {number} [options.eventHistory=256] - Eventos que guarda getEvents()
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.listeners = {};
+        this.deviceListeners = {};
+        this.events = [];
+        this.eventHistory = options.eventHistory || EVENT_HISTORY;
+    }
+
+    /**
+     * Host adecuado al entorno actual
+     */
+    static detect(options = {}) {
+        if (typeof window !== 'undefined' && window.document) {
+            return new BrowserHost(options);
+        }
+        return new HeadlessHost(options);
+    }
+
+    /**
+     * Emitir un evento del sistema (yOS:boot:complete, yOS:runlevel:changed...)
+     */
+    dispatch(type, detail = {}) {
+        const event = { type, detail, timestamp: Date.now() };
+        this.events.push(event);
+        if (this.events.length > this.eventHistory) {
+            this.events.shift();
+        }
+        
+        for (const listener of this.listeners[type] || []) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Error en listener de ${type}:`, error);
+            }
+        }
+        return event;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = this.listeners[type] || [];
+        this.listeners[type].push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(fn => fn !== listener);
+    }
+
+    /**
+     * Escuchar un evento de dispositivo (keydown, pointermove, resize, online...)
+     * @returns {Function} Elimina el listener
+     */
+    addDeviceListener(type, listener) {
+        this.deviceListeners[type] = this.deviceListeners[type] || [];
+        this.deviceListeners[type].push(listener);
+        return () => {
+            this.deviceListeners[type] = this.deviceListeners[type].filter(fn => fn !== listener);
+        };
+    }
+
+    /**
+     * Simular un evento de dispositivo con la forma del evento del navegador
+     * host.emitDeviceEvent('keydown', { key: 'a', code: 'KeyA' })
+     */
+    emitDeviceEvent(type, event = {}) {
+        const deviceEvent = { ...event, type };
+        for (const listener of this.deviceListeners[type] || []) {
+            listener(deviceEvent);
+        }
+        return deviceEvent;
+    }
+
+    /**
+     * Últimos eventos emitidos (opcionalmente de un tipo)
+     */
+    getEvents(type = null) {
+        return type ? this.events.filter(event => event.type === type) : [...this.events];
+    }
+}
+
+class BrowserHost extends BootHost {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.global] - Objeto global (por defecto window)
+     * @param {number} [options.eventHistory] - Eventos que guarda getEvents()
+     */
+    constructor(options = {}) {
+        super('browser', options);
+        this.global = options.global || window;
+        this.navigator = this.global.navigator || {};
+        this.storage = options.storage || this.getLocalStorage();
+    }
+
+    get display() {
+        const screen = this.global.screen || {};
+        return {
+            width: screen.width,
+            height: screen.height,
+            colorDepth: screen.colorDepth,
+            pixelRatio: this.global.devicePixelRatio || 1
+        };
+    }
+
+    getLocalStorage() {
+        try {
+            if (this.global.localStorage) {
+                return this.global.localStorage;
+            }
+        } catch (error) {
+            // Acceso a localStorage bloqueado (modo privado, iframes sandbox)
+        }
+        return new MemoryStorage();
+    }
+
+    dispatch(type, detail = {}) {
+        const event = super.dispatch(type, detail);
+        if (this.global.dispatchEvent) {
+            this.global.dispatchEvent(new this.global.CustomEvent(type, { detail }));
+        }
+        return event;
+    }
+
+    addEventListener(type, listener) {
+        super.addEventListener(type, listener);
+        // Los errores globales los produce el propio navegador
+        if (type === 'error' || type === 'unhandledrejection') {
+            this.global.addEventListener(type, listener);
+        }
+    }
+
+    addDeviceListener(type, listener) {
+        // visibilitychange se emite en el documento; el resto en window
+        const target = type === 'visibilitychange' ? this.global.document : this.global;
+        if (!target || typeof target.addEventListener !== 'function') {
+            return super.addDeviceListener(type, listener);
+        }
+        target.addEventListener(type, listener);
+        return () => target.removeEventListener(type, listener);
+    }
+
+    fetch(url, options) {
+        return this.global.fetch(url, options);
+    }
+
+    getLocationSearch() {
+        return this.global.location ? this.global.location.search : '';
+    }
+
+    getProbeEnvironment() {
+        return {
+            global: this.global,
+            navigator: this.navigator,
+            performance: this.global.performance || null,
+            document: this.global.document || null
+        };
+    }
+}
+
+class HeadlessHost extends BootHost {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.display] - Pantalla falsa { width, height, colorDepth, pixelRatio }
+     * @param {Object} [options.navigator] - Campos del navigator falso
+     * @param {Object|Storage} [options.storage] - Valores iniciales o almacenamiento propio
+     * @param {string} [options.search=''] - Query string simulada (?cmdline=...)
+     * @param {Object} [options.globals] - Globals extra visibles para las sondas (AudioContext, indexedDB...)
+     * @param {number} [options.eventHistory] - Eventos que guarda getEvents()
+     */
+    constructor(options = {}) {
+        super('headless', options);
+        this.display = { width: 1024, height: 768, colorDepth: 24, pixelRatio: 1, ...options.display };
+        this.navigator = {
+            userAgent: '',
+            language: 'es-ES',
+            hardwareConcurrency: 1,
+            onLine: false,
+            ...options.navigator
+        };
+        this.storage = options.storage && typeof options.storage.getItem === 'function'
+            ? options.storage
+            : new MemoryStorage(options.storage);
+        this.search = options.search || '';
+        this.globals = options.globals || {};
+    }
+
+    /**
+     * fetch de ficheros file: (unit files, manifiesto de módulos) sin servidor HTTP
+     */
+    async fetch(url, options) {
+        const target = new URL(url);
+        if (target.protocol !== 'file:') {
+            if (typeof globalThis.fetch !== 'function') {
+                throw new Error(`fetch no disponible en el host headless: ${target.href}`);
+            }
+            return globalThis.fetch(target.href, options);
+        }
+        
+        const { readFile } = await import('node:fs/promises');
+        let data;
+        try {
+            data = await readFile(target);
+        } catch (error) {
+            return { ok: false, status: error.code === 'ENOENT' ? 404 : 500, url: target.href };
+        }
+        
+        return {
+            ok: true,
+            status: 200,
+            url: target.href,
+            text: async () => data.toString('utf8'),
+            json: async () => JSON.parse(data.toString('utf8')),
+            arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+        };
+    }
+
+    getLocationSearch() {
+        return this.search;
+    }
+
+    getProbeEnvironment() {
+        return {
+            global: {
+                screen: this.display,
+                devicePixelRatio: this.display.pixelRatio,
+                WebAssembly: globalThis.WebAssembly,
+                crypto: globalThis.crypto,
+                SharedArrayBuffer: globalThis.SharedArrayBuffer,
+                crossOriginIsolated: true,
+                ...this.globals
+            },
+            navigator: this.navigator,
+            performance: null,
+            document: null
+        };
+    }
+}
+
+BootHost.MemoryStorage = MemoryStorage;
+BootHost.Browser = BrowserHost;
+BootHost.Headless = HeadlessHost;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.BootHost = BootHost;
+}
+
+export { BrowserHost, HeadlessHost, MemoryStorage };
+export default BootHost;
@@ -0,0 +1,932 @@
+/**
+ * yOS WebOS - Init System
+ * Gestor de servicios basado en unit files JSON (/etc/init.d)
+ * Ordena las dependencias topológicamente y arranca en paralelo las units independientes
+ *
+ * Las unit files se leen de /etc/init.d (módulo etcfs, persistente), donde el administrador
+ * puede editarlas o añadir otras. Las que trae el sistema en boot/init.d solo siembran ese
+ * directorio, o se leen directamente si etcfs no está cargado.
+ *
+ * Formato de unit file:
+ *   {
+ *     "name": "syslog",
+ *     "description": "Sistema de logging",
+ *     "type": "daemon",              // daemon | service | oneshot
+ *     "runlevels": [2, 3, 5],
+ *     "requires": ["minimal-fs"],    // dependencias obligatorias (su fallo propaga; un oneshot debe salir con 0)
+ *     "wants": [],                   // dependencias opcionales (su fallo no propaga)
+ *     "after": ["basic-network"],    // solo orden de arranque
+ *     "restart": "on-failure",       // no | on-failure | always
+ *     "restartLimit": 3,             // reinicios permitidos dentro de restartWindow
+ *     "restartDelay": 500,           // espera inicial del backoff exponencial (ms)
+ *     "restartMaxDelay": 30000,
+ *     "restartWindow": 60000,
+ *     "timeout": 5000,               // ms para arrancar o parar
+ *     "health": { "type": "probe", "interval": 5000, "timeout": 1000, "failureThreshold": 3 },
+ *     "exec": { "startupTime": 30, "state": { "facility": "local0" } }
+ *   }
+ *
+ * exec.module (opcional) es la ruta a un módulo ES que exporta start(context), stop(context)
+ * y health(context); sin él la unit se simula con exec.startupTime y exec.state.
+ * context.heartbeat() y context.exit(code) notifican latidos y la salida del proceso;
+ * context.signal (AbortSignal) se aborta si start() supera el timeout de la unit: el
+ * módulo debe abandonar el arranque, y si aun así termina tarde la instancia se detiene
+ * antes de reintentar para no dejar dos en marcha;
+ * context.klog es el log del kernel (syslog se suscribe a él), context.symbol(nombre)
+ * resuelve los símbolos de los módulos del kernel (cron usa la rueda de temporizadores) y
+ * context.hibernation registra secciones de la imagen de hibernación (ventanas abiertas).
+ */
+
+import BootTracer from './boot-tracer.js';
+import KernelLog from '../kernel/core/klog.js';
+import PidAllocator from '../kernel/core/pid-allocator.js';
+
+// Unit files que trae el sistema; se copian a unitDir (etcfs) y allí se editan
+const BUNDLED_UNITS = new URL('./init.d/', import.meta.url);
+const SEED_FILE = '.seeded';
+
+const UNIT_TYPES = ['daemon', 'service', 'oneshot'];
+const RESTART_POLICIES = ['no', 'on-failure', 'always'];
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_RESTART_LIMIT = 3;
+const HEALTH_TYPES = ['heartbeat', 'probe'];
+
+class InitSystem {
+    /**
+     * @param {Object} options
+     * @param {string} [options.unitDir='/etc/init.d'] - Directorio virtual de unit files
+     * @param {Function} [options.unitLoader] - async (unitDir) => Array<unit> (por defecto unitDir en etcfs)
+     * @param {Function} [options.fetch] - fetch del host para el lector por defecto
+     * @param {Function} [options.verify] - async (url, { kind, data }) comprobación de integridad de unit files y módulos
+     * @param {BootTracer} [options.tracer]
+     * @param {KernelLog} [options.klog] - Log del kernel (también se entrega a los módulos en context.klog)
+     * @param {PidAllocator} [options.pidAllocator] - Asignador del kernel; los procesos de las units son hijos de init
+     * @param {Function} [options.resolveSymbol] - (símbolo) => función exportada por un módulo del kernel
+     * @param {Hibernation} [options.hibernation] - Imagen de hibernación del BootLoader (context.hibernation)
+     */
+    constructor(options = {}) {
+        this.unitDir = options.unitDir || '/etc/init.d';
+        this.unitLoader = options.unitLoader || ((unitDir) => this.readUnitFiles(unitDir));
+        this.fetch = options.fetch || ((url) => fetch(url));
+        this.verify = options.verify || null;
+        this.tracer = options.tracer || new BootTracer();
+        this.klog = options.klog || new KernelLog();
+        this.console = this.klog.logger('init');
+        this.units = new Map();
+        this.loadErrors = [];
+        this.listeners = {};
+        this.pending = new Map();
+        this.freeLanes = [];
+        this.nextLane = 2;
+        this.pidAllocator = options.pidAllocator || PidAllocator.withInit();
+        this.resolveSymbol = options.resolveSymbol || (() => null);
+        this.hibernation = options.hibernation || null;
+    }
+
+    /**
+     * Cargar y validar todas las unit files del directorio
+     */
+    async loadUnits() {
+        this.loadErrors = [];
+        const definitions = await this.unitLoader(this.unitDir);
+        
+        for (const definition of definitions) {
+            try {
+                this.installUnit(definition);
+            } catch (error) {
+                this.loadErrors.push(error.message);
+                this.console.error(`    ❌ Unit inválida: ${error.message}`);
+            }
+        }
+        
+        return [...this.units.keys()];
+    }
+
+    /**
+     * Lector por defecto: los .json de unitDir en el sistema de ficheros /etc (módulo etcfs)
+     * Sin etcfs (InitSystem fuera del kernel, unitDir fuera de /etc) se leen las empaquetadas
+     */
+    async readUnitFiles(unitDir) {
+        const etc = this.getEtcFs(unitDir);
+        if (!etc) {
+            return this.fetchUnitFiles(unitDir);
+        }
+        
+        await this.seedUnitDir(unitDir, etc);
+        const units = [];
+        for (const file of etc.readdir(unitDir).filter(name => name.endsWith('.json'))) {
+            try {
+                units.push(JSON.parse(etc.read(`${unitDir}/${file}`)));
+            } catch (error) {
+                this.loadErrors.push(`${unitDir}/${file}: ${error.message}`);
+            }
+        }
+        return units;
+    }
+
+    getEtcFs(unitDir) {
+        const read = this.resolveSymbol('etc_read');
+        if (!read || !unitDir.startsWith('/etc/')) {
+            return null;
+        }
+        return {
+            read: read,
+            write: this.resolveSymbol('etc_write'),
+            readdir: this.resolveSymbol('etc_readdir'),
+            exists: this.resolveSymbol('etc_exists')
+        };
+    }
+
+    /**
+     * Copiar a unitDir las unit files empaquetadas, como los conffiles de dpkg
+     * unitDir/.seeded guarda la última copia de cada una: si el administrador no la ha
+     * tocado se actualiza con la versión del sistema; editada o borrada, se respeta
+     */
+    async seedUnitDir(unitDir, etc) {
+        const seedFile = `${unitDir}/${SEED_FILE}`;
+        let seeded = {};
+        if (etc.exists(seedFile)) {
+            try {
+                seeded = JSON.parse(etc.read(seedFile));
+            } catch (error) {
+                this.loadErrors.push(`${seedFile}: ${error.message}`);
+            }
+        }
+        
+        const index = await this.fetchJSON(new URL('index.json', BUNDLED_UNITS));
+        let copied = 0;
+        let changed = false;
+        
+        for (const file of index.units) {
+            const path = `${unitDir}/${file}`;
+            try {
+                const text = `${JSON.stringify(await this.fetchJSON(new URL(file, BUNDLED_UNITS)), null, 2)}\n`;
+                if (seeded[file] === text) {
+                    continue;
+                }
+                // Nueva en esta versión (sin fichero del administrador con ese nombre) o sin editar
+                const current = etc.exists(path) ? etc.read(path) : null;
+                if (seeded[file] === undefined ? current === null : current === seeded[file]) {
+                    etc.write(path, text);
+                    copied++;
+                }
+                seeded[file] = text;
+                changed = true;
+            } catch (error) {
+                this.loadErrors.push(`${path}: ${error.message}`);
+            }
+        }
+        
+        if (changed) {
+            etc.write(seedFile, JSON.stringify(seeded));
+        }
+        if (copied > 0) {
+            this.console.log(`    🌱 ${copied} unit files copiadas a ${unitDir}`);
+        }
+    }
+
+    /**
+     * Unit files empaquetadas en boot/init.d
+     * index.json enumera los ficheros porque el navegador no puede listar directorios
+     */
+    async fetchUnitFiles(unitDir) {
+        const index = await this.fetchJSON(new URL('index.json', BUNDLED_UNITS));
+        const units = [];
+        
+        for (const file of index.units) {
+            try {
+                units.push(await this.fetchJSON(new URL(file, BUNDLED_UNITS)));
+            } catch (error) {
+                this.loadErrors.push(`${unitDir}/${file}: ${error.message}`);
+            }
+        }
+        
+        return units;
+    }
+
+    async fetchJSON(url) {
+        const response = await this.fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} al leer ${url}`);
+        }
+        
+        const text = await response.text();
+        if (this.verify) {
+            await this.verify(url, { kind: 'unit', data: text });
+        }
+        return JSON.parse(text);
+    }
+
+    /**
+     * Validar y registrar una unit (también permite añadir servicios en tiempo de ejecución)
+     */
+    installUnit(definition) {
+        const unit = this.validateUnit(definition);
+        
+        const existing = this.units.get(unit.name);
+        if (existing && existing.status !== 'stopped' && existing.status !== 'failed') {
+            throw new Error(`No se puede reemplazar ${unit.name} mientras está en ejecución`);
+        }
+        
+        this.units.set(unit.name, {
+            name: unit.name,
+            description: unit.description,
+            type: unit.type,
+            runlevels: unit.runlevels,
+            unit: unit,
+            status: 'stopped',
+            pid: null,
+            process: null,
+            module: null,
+            startedAt: null,
+            stoppedAt: null,
+            runlevel: null,
+            attempts: 0,
+            lastHeartbeat: null,
+            exitCode: null,
+            error: null
+        });
+        
+        return unit;
+    }
+
+    validateUnit(definition) {
+        if (!definition || typeof definition.name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(definition.name)) {
+            throw new Error(`Nombre de unit inválido: ${definition && definition.name}`);
+        }
+        
+        const name = definition.name;
+        const listOf = (field) => {
+            const value = definition[field] || [];
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+                throw new Error(`${name}: "${field}" debe ser una lista de nombres de unit`);
+            }
+            return [...value];
+        };
+        
+        const type = definition.type || 'service';
+        if (!UNIT_TYPES.includes(type)) {
+            throw new Error(`${name}: tipo "${type}" no soportado (${UNIT_TYPES.join(', ')})`);
+        }
+        
+        const runlevels = definition.runlevels || [];
+        if (!Array.isArray(runlevels) || !runlevels.every(rl => Number.isInteger(rl) && rl >= 0 && rl <= 6)) {
+            throw new Error(`${name}: "runlevels" debe contener enteros entre 0 y 6`);
+        }
+        
+        const restart = definition.restart || 'no';
+        if (!RESTART_POLICIES.includes(restart)) {
+            throw new Error(`${name}: política de reinicio "${restart}" no soportada`);
+        }
+        
+        const timeout = definition.timeout === undefined ? DEFAULT_TIMEOUT : definition.timeout;
+        if (typeof timeout !== 'number' || timeout <= 0) {
+            throw new Error(`${name}: "timeout" debe ser un número positivo de ms`);
+        }
+        
+        return {
+            ...definition,
+            name: name,
+            description: definition.description || name,
+            type: type,
+            runlevels: runlevels,
+            requires: listOf('requires'),
+            wants: listOf('wants'),
+            after: listOf('after'),
+            restart: restart,
+            restartLimit: definition.restartLimit === undefined ? DEFAULT_RESTART_LIMIT : definition.restartLimit,
+            restartDelay: this.validateDuration(name, 'restartDelay', definition.restartDelay, 500),
+            restartMaxDelay: this.validateDuration(name, 'restartMaxDelay', definition.restartMaxDelay, 30000),
+            restartWindow: this.validateDuration(name, 'restartWindow', definition.restartWindow, 60000),
+            timeout: timeout,
+            health: this.validateHealth(name, definition.health),
+            exec: definition.exec || {}
+        };
+    }
+
+    validateDuration(name, field, value, defaultValue) {
+        if (value === undefined) {
+            return defaultValue;
+        }
+        if (typeof value !== 'number' || value < 0) {
+            throw new Error(`${name}: "${field}" debe ser un número de ms`);
+        }
+        return value;
+    }
+
+    /**
+     * Comprobación de salud: latido (heartbeat) o sonda periódica (probe)
+     */
+    validateHealth(name, health) {
+        if (health === undefined || health === null) {
+            return null;
+        }
+        if (!HEALTH_TYPES.includes(health.type)) {
+            throw new Error(`${name}: tipo de health "${health.type}" no soportado (${HEALTH_TYPES.join(', ')})`);
+        }
+        
+        const interval = this.validateDuration(name, 'health.interval', health.interval, 5000);
+        const failureThreshold = health.failureThreshold === undefined ? 3 : health.failureThreshold;
+        if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+            throw new Error(`${name}: "health.failureThreshold" debe ser un entero positivo`);
+        }
+        
+        return {
+            type: health.type,
+            interval: interval,
+            // heartbeat: antigüedad máxima del último latido; probe: tiempo máximo de la sonda
+            timeout: this.validateDuration(name, 'health.timeout', health.timeout, health.type === 'heartbeat' ? interval * 3 : 1000),
+            failureThreshold: failureThreshold
+        };
+    }
+
+    /**
+     * Tabla runlevel → units, derivada de las unit files
+     */
+    getRunlevelTable() {
+        const table = {};
+        for (const record of this.units.values()) {
+            for (const runlevel of record.runlevels) {
+                table[runlevel] = table[runlevel] || [];
+                table[runlevel].push(record.name);
+            }
+        }
+        return table;
+    }
+
+    getUnitsForRunlevel(runlevel) {
+        return [...this.units.values()]
+            .filter(record => record.runlevels.includes(runlevel))
+            .map(record => record.name);
+    }
+
+    /**
+     * Units necesarias para un runlevel: las declaradas más sus requires/wants transitivos
+     */
+    getUnitsForTarget(runlevel) {
+        return this.buildTransaction(this.getUnitsForRunlevel(runlevel)).units;
+    }
+
+    /**
+     * Construir la transacción de arranque: units pedidas + requires/wants transitivos
+     */
+    buildTransaction(names) {
+        const transaction = new Set();
+        const missing = [];
+        const visit = (name, required) => {
+            if (transaction.has(name)) {
+                return;
+            }
+            const record = this.units.get(name);
+            if (!record) {
+                missing.push({ name, required });
+                return;
+            }
+            transaction.add(name);
+            record.unit.requires.forEach(dep => visit(dep, true));
+            record.unit.wants.forEach(dep => visit(dep, false));
+        };
+        
+        names.forEach(name => visit(name, true));
+        return { units: [...transaction], missing };
+    }
+
+    /**
+     * Orden topológico de la transacción (requires, wants y after)
+     * Las units que forman un ciclo se excluyen y se devuelven en cycles
+     */
+    sortTransaction(names) {
+        const inTransaction = new Set(names);
+        const ordered = [];
+        const cycles = [];
+        const cyclic = new Set();
+        const state = new Map();
+        
+        const visit = (name, path) => {
+            if (state.get(name) === 'done') {
+                return;
+            }
+            if (state.get(name) === 'visiting') {
+                const cycle = path.slice(path.indexOf(name));
+                cycle.forEach(member => cyclic.add(member));
+                cycles.push([...cycle, name]);
+                return;
+            }
+            
+            state.set(name, 'visiting');
+            for (const dep of this.getOrderingDependencies(name)) {
+                if (inTransaction.has(dep)) {
+                    visit(dep, [...path, name]);
+                }
+            }
+            state.set(name, 'done');
+            ordered.push(name);
+        };
+        
+        names.forEach(name => visit(name, []));
+        return { ordered: ordered.filter(name => !cyclic.has(name)), cycles: cycles, cyclic: [...cyclic] };
+    }
+
+    getOrderingDependencies(name) {
+        const unit = this.units.get(name).unit;
+        return [...new Set([...unit.requires, ...unit.wants, ...unit.after])];
+    }
+
+    /**
+     * Arrancar un conjunto de units respetando dependencias
+     * Cada unit arranca en cuanto terminan sus dependencias, en paralelo con las demás
+     * @param {Object} [options] - { runlevel, parentSpan: span bajo el que se anidan las units }
+     */
+    async startUnits(names, options = {}) {
+        const { units, missing } = this.buildTransaction(names);
+        const results = {};
+        
+        for (const { name, required } of missing) {
+            if (required) {
+                results[name] = { name, status: 'failed', error: `Unit no encontrada: ${name}` };
+                this.console.error(`      ❌ Unit no encontrada: ${name}`);
+            } else {
+                this.console.warn(`      ⚠️ Unit opcional no encontrada: ${name}`);
+            }
+        }
+        
+        const active = new Set(units.filter(name => ['running', 'exited'].includes(this.units.get(name).status)));
+        const { ordered, cycles, cyclic } = this.sortTransaction(units);
+        for (const cycle of cycles) {
+            this.console.error(`      ❌ Dependencia cíclica: ${cycle.join(' → ')}`);
+        }
+        for (const name of cyclic) {
+            const record = this.units.get(name);
+            record.status = 'failed';
+            record.error = 'Dependencia cíclica';
+            results[name] = this.status(name);
+            this.emit('unit:failed', { name, error: record.error });
+        }
+        
+        const parentSpan = options.parentSpan || null;
+        const jobs = new Map();
+        
+        for (const name of ordered) {
+            const dependencies = this.getOrderingDependencies(name).filter(dep => jobs.has(dep));
+            jobs.set(name, Promise.all(dependencies.map(dep => jobs.get(dep)))
+                .then(() => this.startWhenReady(name, options, parentSpan)));
+        }
+        
+        await Promise.all(jobs.values());
+        
+        // Solo se informan las units que no estaban ya en ejecución
+        for (const name of ordered.filter(name => !active.has(name))) {
+            results[name] = this.status(name);
+        }
+        return results;
+    }
+
+    async startWhenReady(name, options, parentSpan) {
+        const record = this.units.get(name);
+        
+        // Una dependencia obligatoria que falló impide arrancar la unit
+        const failedRequirement = record.unit.requires.find(dep => !this.isSatisfied(this.units.get(dep)));
+        if (failedRequirement) {
+            record.status = 'failed';
+            record.error = `Dependencia fallida: ${failedRequirement}`;
+            this.console.error(`      ❌ ${name} no arrancado: ${record.error}`);
+            this.emit('unit:failed', { name, error: record.error });
+            return record;
+        }
+        
+        try {
+            return await this.start(name, { ...options, parentSpan });
+        } catch (error) {
+            return record;
+        }
+    }
+
+    /**
+     * Una dependencia cumple requires si está en ejecución o es un oneshot que terminó con 0
+     */
+    isSatisfied(record) {
+        if (!record) {
+            return false;
+        }
+        return record.status === 'running'
+            || (record.type === 'oneshot' && record.status === 'exited' && record.exitCode === 0);
+    }
+
+    /**
+     * Arrancar una unit (las dependencias deben estar ya en ejecución)
+     */
+    async start(name, options = {}) {
+        const record = this.units.get(name);
+        if (!record) {
+            throw new Error(`Unit no encontrada: ${name}`);
+        }
+        if (record.status === 'running') {
+            return record;
+        }
+        if (this.pending.has(name)) {
+            return this.pending.get(name);
+        }
+        
+        const job = this.runStart(record, options);
+        this.pending.set(name, job);
+        
+        try {
+            return await job;
+        } finally {
+            this.pending.delete(name);
+        }
+    }
+
+    async runStart(record, options) {
+        const unit = record.unit;
+        const maxAttempts = options.attempts || (unit.restart === 'no' ? 1 : unit.restartLimit + 1);
+        const lane = this.acquireLane();
+        const span = this.tracer.begin(unit.name, {
+            category: 'unit',
+            parent: options.parentSpan || null,
+            args: { lane: lane, runlevel: options.runlevel }
+        });
+        
+        record.status = 'starting';
+        record.error = null;
+        record.exitCode = null;
+        this.emit('unit:starting', { name: unit.name, runlevel: options.runlevel });
+        
+        try {
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                record.attempts = attempt;
+                
+                const controller = new AbortController();
+                const job = this.execStart(record, controller.signal);
+                try {
+                    const process = await this.withTimeout(job, unit.timeout, `arranque de ${unit.name}`, controller);
+                    
+                    record.process = process;
+                    record.pid = process.pid;
+                    record.status = unit.type === 'oneshot' ? 'exited' : 'running';
+                    // start() de un oneshot puede devolver { exitCode }; sin él terminó con 0
+                    record.exitCode = unit.type === 'oneshot' ? (Number.isInteger(process.exitCode) ? process.exitCode : 0) : null;
+                    record.startedAt = Date.now();
+                    record.lastHeartbeat = record.startedAt;
+                    record.runlevel = options.runlevel !== undefined ? options.runlevel : null;
+                    
+                    this.tracer.end(span, { args: { attempts: attempt } });
+                    this.emit('unit:started', { name: unit.name, pid: record.pid, runlevel: options.runlevel });
+                    return record;
+                } catch (error) {
+                    record.error = error.message;
+                    // No se reintenta mientras el arranque cancelado pueda seguir vivo
+                    if (controller.signal.aborted && !(await this.settles(job, unit.timeout))) {
+                        record.error = `${error.message}; el arranque no respondió a la cancelación`;
+                        break;
+                    }
+                    if (attempt < maxAttempts) {
+                        this.console.warn(`      ⚠️ ${unit.name} falló (${error.message}), reintento ${attempt}/${unit.restartLimit}`);
+                    }
+                }
+            }
+            
+            record.status = 'failed';
+            this.tracer.end(span, { status: 'error', error: record.error });
+            this.emit('unit:failed', { name: unit.name, error: record.error });
+            throw new Error(`${unit.name}: ${record.error}`);
+        } finally {
+            this.releaseLane(lane);
+        }
+    }
+
+    /**
+     * Ejecutar el arranque de la unit: módulo ES real o proceso simulado
+     * @param {AbortSignal} signal - Abortada por withTimeout si el arranque tarda demasiado
+     */
+    async execStart(record, signal) {
+        const exec = record.unit.exec;
+        
+        if (exec.module) {
+            if (this.verify) {
+                await this.verify(new URL(exec.module, import.meta.url), { kind: 'service' });
+            }
+            record.module = await import(exec.module);
+            if (signal.aborted) {
+                throw signal.reason;
+            }
+            const result = await record.module.start(this.createContext(record, signal));
+            if (signal.aborted) {
+                await this.discardLateStart(record);
+                throw signal.reason;
+            }
+            return { pid: this.allocatePid(record), status: 'running', alive: true, ...result };
+        }
+        
+        await this.delay(exec.startupTime || 0, signal);
+        if (exec.fail) {
+            throw new Error(exec.fail);
+        }
+        return { pid: this.allocatePid(record), status: 'running', alive: true, ...exec.state };
+    }
+
+    /**
+     * Un start() que termina después del timeout: se detiene la instancia sin asignarle PID
+     */
+    async discardLateStart(record) {
+        this.console.warn(`      ⚠️ ${record.name} terminó de arrancar tras el timeout, se detiene`);
+        if (typeof record.module.stop !== 'function') {
+            return;
+        }
+        try {
+            await this.withTimeout(record.module.stop({ unit: record.unit }), record.unit.timeout, `parada de ${record.name}`);
+        } catch (error) {
+            this.console.warn(`      ⚠️ ${record.name} no se detuvo limpiamente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Contexto entregado a los módulos de las units
+     * @param {AbortSignal} [signal] - Cancelación del arranque (solo en start)
+     */
+    createContext(record, signal = null) {
+        return {
+            unit: record.unit,
+            klog: this.klog,
+            signal: signal,
+            hibernation: this.hibernation,
+            heartbeat: () => this.heartbeat(record.name),
+            exit: (code = 0, reason) => this.fail(record.name, reason || `Salió con código ${code}`, code),
+            symbol: (symbol) => {
+                const fn = this.resolveSymbol(symbol);
+                if (!fn) {
+                    throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+                }
+                return fn;
+            }
+        };
+    }
+
+    /**
+     * Registrar un latido del proceso de la unit
+     */
+    heartbeat(name) {
+        const record = this.units.get(name);
+        if (!record || record.status !== 'running') {
+            return;
+        }
+        record.lastHeartbeat = Date.now();
+        this.emit('unit:heartbeat', { name, pid: record.pid });
+    }
+
+    /**
+     * Sonda de salud: health() del módulo o, en units simuladas, que el proceso siga vivo
+     */
+    async probe(name) {
+        const record = this.units.get(name);
+        if (!record || record.status !== 'running' || !record.process || record.process.alive === false) {
+            return false;
+        }
+        if (record.module && typeof record.module.health === 'function') {
+            return Boolean(await record.module.health(this.createContext(record)));
+        }
+        return true;
+    }
+
+    /**
+     * El proceso de una unit en ejecución terminó de forma inesperada (caída, sonda fallida)
+     */
+    fail(name, reason, code = null) {
+        const record = this.units.get(name);
+        if (!record || (record.status !== 'running' && record.status !== 'exited')) {
+            return null;
+        }
+        
+        if (record.process) {
+            record.process.alive = false;
+        }
+        record.status = 'failed';
+        record.error = reason;
+        record.exitCode = code;
+        this.releasePid(record);
+        record.process = null;
+        record.stoppedAt = Date.now();
+        
+        this.emit('unit:exited', { name, code, reason });
+        this.emit('unit:failed', { name, error: reason });
+        return record;
+    }
+
+    /**
+     * Parar una unit; primero se paran las units en ejecución que la requieren
+     */
+    async stop(name) {
+        const record = this.units.get(name);
+        if (!record) {
+            throw new Error(`Unit no encontrada: ${name}`);
+        }
+        if (record.status === 'stopped') {
+            return record;
+        }
+        
+        // Una unit fallida pasa a stopped (cancela los reinicios pendientes del supervisor)
+        if (record.status === 'failed') {
+            record.status = 'stopped';
+            this.emit('unit:stopped', { name });
+            return record;
+        }
+        
+        const dependents = [...this.units.values()]
+            .filter(other => other.status === 'running' && other.unit.requires.includes(name));
+        for (const dependent of dependents) {
+            await this.stop(dependent.name);
+        }
+        
+        record.status = 'stopping';
+        this.emit('unit:stopping', { name });
+        
+        try {
+            if (record.module && typeof record.module.stop === 'function') {
+                await this.withTimeout(record.module.stop({ unit: record.unit }), record.unit.timeout, `parada de ${name}`);
+            } else {
+                await this.delay(record.unit.exec.stopTime || 0);
+            }
+        } catch (error) {
+            this.console.warn(`      ⚠️ ${name} no se detuvo limpiamente: ${error.message}`);
+        }
+        
+        record.status = 'stopped';
+        this.releasePid(record);
+        record.process = null;
+        record.stoppedAt = Date.now();
+        this.emit('unit:stopped', { name });
+        return record;
+    }
+
+    /**
+     * Parar un conjunto de units en orden inverso de dependencias
+     * Cada unit se para cuando ya se han parado las que dependen de ella
+     */
+    async stopUnits(names) {
+        const known = names.filter(name => this.units.has(name));
+        const { ordered, cyclic } = this.sortTransaction(known);
+        const jobs = new Map();
+        
+        for (const name of [...ordered, ...cyclic].reverse()) {
+            const dependents = [...jobs.keys()].filter(other => this.getOrderingDependencies(other).includes(name));
+            jobs.set(name, Promise.all(dependents.map(dependent => jobs.get(dependent)))
+                .then(() => this.stop(name)));
+        }
+        
+        await Promise.all(jobs.values());
+        
+        const results = {};
+        for (const name of known) {
+            results[name] = this.status(name);
+        }
+        return results;
+    }
+
+    /**
+     * Reiniciar una unit y volver a arrancar las que dependían de ella
+     */
+    async restart(name) {
+        const running = [...this.units.values()].filter(record => record.status === 'running').map(record => record.name);
+        await this.stop(name);
+        
+        const toStart = [name, ...running.filter(other => this.units.get(other).status === 'stopped')];
+        const results = await this.startUnits(toStart);
+        return results[name];
+    }
+
+    /**
+     * Estado de una unit
+     */
+    status(name) {
+        const record = this.units.get(name);
+        if (!record) {
+            return null;
+        }
+        
+        return {
+            name: record.name,
+            description: record.description,
+            type: record.type,
+            status: record.status,
+            pid: record.pid,
+            runlevel: record.runlevel,
+            startedAt: record.startedAt,
+            stoppedAt: record.stoppedAt,
+            attempts: record.attempts,
+            lastHeartbeat: record.lastHeartbeat,
+            exitCode: record.exitCode,
+            error: record.error,
+            requires: record.unit.requires,
+            wants: record.unit.wants,
+            after: record.unit.after,
+            restart: record.unit.restart,
+            health: record.unit.health
+        };
+    }
+
+    /**
+     * Estado de todas las units
+     */
+    list() {
+        return [...this.units.keys()].map(name => this.status(name));
+    }
+
+    getRecord(name) {
+        return this.units.get(name) || null;
+    }
+
+    /**
+     * Suscripción a eventos: unit:starting, unit:started, unit:failed, unit:stopping, unit:stopped,
+     * unit:heartbeat, unit:exited
+     */
+    on(event, listener) {
+        this.listeners[event] = this.listeners[event] || [];
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(fn => fn !== listener);
+    }
+
+    emit(event, detail) {
+        for (const listener of this.listeners[event] || []) {
+            try {
+                listener(detail);
+            } catch (error) {
+                this.console.error(`Error en listener de ${event}:`, error);
+            }
+        }
+    }
+
+    /**
+     * @param {AbortController} [controller] - Se aborta al agotarse el tiempo
+     */
+    withTimeout(promise, ms, label, controller = null) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Tiempo de espera agotado en ${label} (${ms}ms)`);
+                if (controller) {
+                    controller.abort(error);
+                }
+                reject(error);
+            }, ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * true si la promesa termina (bien o mal) antes de ms
+     */
+    settles(promise, ms) {
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), ms);
+        });
+        return Promise.race([promise.then(() => true, () => true), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Carriles de la línea de tiempo para spans que se ejecutan en paralelo
+     */
+    acquireLane() {
+        return this.freeLanes.length > 0 ? this.freeLanes.shift() : this.nextLane++;
+    }
+
+    releaseLane(lane) {
+        this.freeLanes.push(lane);
+        this.freeLanes.sort((a, b) => a - b);
+    }
+
+    allocatePid(record) {
+        return this.pidAllocator.allocate({ name: record.name, parentPid: PidAllocator.INIT_PID, type: record.type }).pid;
+    }
+
+    releasePid(record) {
+        if (record.pid !== null) {
+            this.pidAllocator.release(record.pid);
+        }
+        record.pid = null;
+    }
+
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.InitSystem = InitSystem;
+}
+
+export default InitSystem;
@@ -3,58 +3,90 @@
  * Inicialización del kernel y preparación para el entorno de usuario
  */
 
+import BootTracer, { trace } from './boot-tracer.js';
+import KernelLog from '../kernel/core/klog.js';
+import KernelCommandLine from './cmdline.js';
+import PidAllocator from '../kernel/core/pid-allocator.js';
+import BootHost from './host.js';
+import Hibernation from './hibernation.js';
+import InterruptController from '../kernel/core/interrupt-controller.js';
+import Signals from '../kernel/core/signals.js';
+import SyscallABI from '../kernel/core/syscall-abi.js';
+
 class KernelInitializer {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {BootTracer} [options.tracer]
+     * @param {Array<{source: string, cmdline: string}>} [options.cmdlineOverrides] - Config persistida / URL
+     * @param {BootHost} [options.host] - Navegador o headless
+     * @param {VerifiedBoot} [options.verifiedBoot] - Verificación de módulos y unit files
+     * @param {KernelLog} [options.klog] - Log del kernel (printk/dmesg)
+     */
+    constructor(options = {}) {
         this.name = 'kernel-init';
+        this.tracer = options.tracer || new BootTracer();
+        this.klog = options.klog || new KernelLog();
+        this.console = this.klog.logger('kernel');
+        this.commandLine = new KernelCommandLine();
+        this.cmdlineOverrides = options.cmdlineOverrides || [];
+        this.host = options.host || BootHost.detect();
+        this.verifiedBoot = options.verifiedBoot || null;
         this.version = '1.0.0';
         this.kernelModules = {};
         this.systemTables = {};
         this.deviceTree = {};
         this.interruptHandlers = {};
+        this.interruptController = null;
         this.kernelHeap = null;
         this.cpuState = {};
         this.bootParams = {};
+        this.pidAllocator = null;
+        this.initProcess = null;
+        this.moduleLoader = null;
     }
 
-    async initialize() {
-        console.log('🎛️ Inicializando Kernel yOS...');
+    /**
+     * @param {Object} [span] - Span padre de los pasos de inicialización
+     */
+    async initialize(span = null) {
+        this.console.log('🎛️ Inicializando Kernel yOS...');
         
         try {
             // 1. Configurar parámetros de boot
-            await this.setupBootParameters();
+            await trace(this, span, 'setupBootParameters', () => this.setupBootParameters());
             
             // 2. Inicializar estructuras de datos del kernel
-            await this.initializeKernelDataStructures();
+            await trace(this, span, 'initializeKernelDataStructures', () => this.initializeKernelDataStructures());
             
             // 3. Configurar manejadores de interrupciones
-            await this.setupInterruptHandlers();
+            await trace(this, span, 'setupInterruptHandlers', () => this.setupInterruptHandlers());
             
             // 4. Inicializar sistema de tiempo
-            await this.initializeTimekeeping();
+            await trace(this, span, 'initializeTimekeeping', () => this.initializeTimekeeping());
             
             // 5. Configurar árbol de dispositivos
-            await this.setupDeviceTree();
+            await trace(this, span, 'setupDeviceTree', () => this.setupDeviceTree());
             
             // 6. Inicializar sistema de memoria
-            await this.initializeMemorySystem();
+            await trace(this, span, 'initializeMemorySystem', () => this.initializeMemorySystem());
             
             // 7. Configurar planificador
-            await this.setupScheduler();
+            await trace(this, span, 'setupScheduler', () => this.setupScheduler());
             
             // 8. Inicializar IPC
-            await this.initializeIPC();
+            await trace(this, span, 'initializeIPC', () => this.initializeIPC());
             
             // 9. Configurar llamadas al sistema
-            await this.setupSystemCalls();
+            await trace(this, span, 'setupSystemCalls', () => this.setupSystemCalls());
             
             // 10. Verificar integridad del kernel
-            const kernelStatus = await this.verifyKernelIntegrity();
+            const kernelStatus = await trace(this, span, 'verifyKernelIntegrity', () => this.verifyKernelIntegrity());
             
             if (!kernelStatus.healthy) {
                 throw new Error(`Integridad del kernel comprometida: ${kernelStatus.issues.join(', ')}`);
             }
             
-            console.log('✅ Kernel inicializado exitosamente');
+            this.console.log('✅ Kernel inicializado exitosamente');
             
             return {
                 success: true,
@@ -66,7 +98,7 @@ class KernelInitializer {
             };
             
         } catch (error) {
-            console.error('❌ Error en inicialización del kernel:', error);
+            this.console.error('❌ Error en inicialización del kernel:', error);
             return {
                 success: false,
                 error: error.message,
@@ -79,7 +111,7 @@ class KernelInitializer {
      * Configurar parámetros de boot
      */
     async setupBootParameters() {
-        console.log('  ⚙️ Configurando parámetros de boot...');
+        this.console.log('  ⚙️ Configurando parámetros de boot...');
         
         await this.delay(40);
         
@@ -105,13 +137,13 @@ class KernelInitializer {
             apic: 'enabled',
             smp: 'enabled',
             debug: false,
-            logLevel: 3 // INFO
+            logLevel: 6 // KERN_INFO
         };
         
         // Parsear línea de comandos del kernel
         this.parseKernelCommandLine();
         
-        console.log('  ✅ Parámetros de boot configurados');
+        this.console.log('  ✅ Parámetros de boot configurados');
         return this.bootParams;
     }
 
@@ -119,7 +151,7 @@ class KernelInitializer {
      * Inicializar estructuras de datos del kernel
      */
     async initializeKernelDataStructures() {
-        console.log('  🏗️ Inicializando estructuras de datos del kernel...');
+        this.console.log('  🏗️ Inicializando estructuras de datos del kernel...');
         
         // Tablas del sistema
         this.systemTables = {
@@ -158,7 +190,7 @@ class KernelInitializer {
             portAllocator: this.setupPortAllocator()
         };
         
-        console.log(`  ✅ ${Object.keys(this.systemTables).length} tablas del sistema inicializadas`);
+        this.console.log(`  ✅ ${Object.keys(this.systemTables).length} tablas del sistema inicializadas`);
         return this.systemTables;
     }
 
@@ -166,7 +198,7 @@ class KernelInitializer {
      * Configurar manejadores de interrupciones
      */
     async setupInterruptHandlers() {
-        console.log('  🚨 Configurando manejadores de interrupciones...');
+        this.console.log('  🚨 Configurando manejadores de interrupciones...');
         
         await this.delay(50);
         
@@ -200,8 +232,8 @@ class KernelInitializer {
             { vector: 38, name: 'Floppy', handler: this.handleFloppyInterrupt.bind(this) },
             { vector: 39, name: 'LPT1', handler: this.handleLPT1Interrupt.bind(this) },
             { vector: 40, name: 'RTC', handler: this.handleRTCInterrupt.bind(this) },
-            { vector: 41, name: 'Reserved1', handler: this.handleReserved1.bind(this) },
-            { vector: 42, name: 'Reserved2', handler: this.handleReserved2.bind(this) },
+            { vector: 41, name: 'Display', handler: this.handleDisplayInterrupt.bind(this) },
+            { vector: 42, name: 'Network', handler: this.handleNetworkInterrupt.bind(this) },
             { vector: 43, name: 'PS/2 Mouse', handler: this.handlePS2Mouse.bind(this) },
             { vector: 44, name: 'FPU', handler: this.handleFPUInterrupt.bind(this) },
             { vector: 45, name: 'ATA Primary', handler: this.handleATAPrimary.bind(this) },
@@ -225,13 +257,14 @@ class KernelInitializer {
             };
         });
         
-        // Configurar PIC/APIC
+        // Configurar PIC/APIC: las IRQs de los eventos del navegador se despachan por esta tabla
+        this.interruptController = this.createInterruptController();
         await this.configureInterruptControllers();
         
         // Habilitar interrupciones
         await this.enableInterrupts();
         
-        console.log(`  ✅ ${Object.keys(this.interruptHandlers).length} manejadores de interrupciones configurados`);
+        this.console.log(`  ✅ ${Object.keys(this.interruptHandlers).length} manejadores de interrupciones configurados`);
         return this.interruptHandlers;
     }
 
@@ -239,7 +272,7 @@ class KernelInitializer {
      * Inicializar sistema de tiempo
      */
     async initializeTimekeeping() {
-        console.log('  ⏱️ Inicializando sistema de tiempo...');
+        this.console.log('  ⏱️ Inicializando sistema de tiempo...');
         
         await this.delay(60);
         
@@ -275,7 +308,7 @@ class KernelInitializer {
         // Iniciar tick del sistema
         await this.startSystemTick();
         
-        console.log('  ✅ Sistema de tiempo inicializado');
+        this.console.log('  ✅ Sistema de tiempo inicializado');
         return this.kernelModules.time;
     }
 
@@ -283,7 +316,7 @@ class KernelInitializer {
      * Configurar árbol de dispositivos
      */
     async setupDeviceTree() {
-        console.log('  🌳 Configurando árbol de dispositivos...');
+        this.console.log('  🌳 Configurando árbol de dispositivos...');
         
         // Estructura jerárquica de dispositivos
         this.deviceTree = {
@@ -309,7 +342,7 @@ class KernelInitializer {
         // Configurar controladores
         await this.setupDeviceDrivers();
         
-        console.log(`  ✅ Árbol de dispositivos configurado (${this.countDevices()} dispositivos)`);
+        this.console.log(`  ✅ Árbol de dispositivos configurado (${this.countDevices()} dispositivos)`);
         return this.deviceTree;
     }
 
@@ -317,7 +350,7 @@ class KernelInitializer {
      * Inicializar sistema de memoria
      */
     async initializeMemorySystem() {
-        console.log('  💾 Inicializando sistema de memoria...');
+        this.console.log('  💾 Inicializando sistema de memoria...');
         
         // Configurar heap del kernel
         this.kernelHeap = this.setupKernelHeap();
@@ -343,7 +376,7 @@ class KernelInitializer {
         // Habilitar protección de memoria
         await this.enableMemoryProtection();
         
-        console.log('  ✅ Sistema de memoria inicializado');
+        this.console.log('  ✅ Sistema de memoria inicializado');
         return this.kernelModules.memory;
     }
 
@@ -351,7 +384,7 @@ class KernelInitializer {
      * Configurar planificador
      */
     async setupScheduler() {
-        console.log('  🎯 Configurando planificador...');
+        this.console.log('  🎯 Configurando planificador...');
         
         this.kernelModules.scheduler = {
             policy: this.setupSchedulerPolicy(),
@@ -370,7 +403,7 @@ class KernelInitializer {
         // Iniciar tick del planificador
         await this.startSchedulerTick();
         
-        console.log('  ✅ Planificador configurado');
+        this.console.log('  ✅ Planificador configurado');
         return this.kernelModules.scheduler;
     }
 
@@ -378,7 +411,7 @@ class KernelInitializer {
      * Inicializar IPC (Inter-Process Communication)
      */
     async initializeIPC() {
-        console.log('  📨 Inicializando sistema IPC...');
+        this.console.log('  📨 Inicializando sistema IPC...');
         
         this.kernelModules.ipc = {
             messageQueues: this.setupMessageQueues(),
@@ -391,10 +424,10 @@ class KernelInitializer {
             futex: this.setupFutex()
         };
         
-        // Crear namespaces IPC
-        await this.createIPCNamespaces();
+        // Namespaces iniciales: el módulo namespaces construye con ellos los de root
+        this.kernelModules.namespaces = await this.createIPCNamespaces();
         
-        console.log('  ✅ Sistema IPC inicializado');
+        this.console.log('  ✅ Sistema IPC inicializado');
         return this.kernelModules.ipc;
     }
 
@@ -402,48 +435,14 @@ class KernelInitializer {
      * Configurar llamadas al sistema
      */
     async setupSystemCalls() {
-        console.log('  📞 Configurando llamadas al sistema...');
-        
-        // Tabla de syscalls
-        const syscalls = [
-            // Control de procesos
-            { number: 1, name: 'fork', handler: this.sys_fork.bind(this) },
-            { number: 2, name: 'execve', handler: this.sys_execve.bind(this) },
-            { number: 3, name: 'exit', handler: this.sys_exit.bind(this) },
-            { number: 4, name: 'wait4', handler: this.sys_wait4.bind(this) },
-            { number: 5, name: 'getpid', handler: this.sys_getpid.bind(this) },
-            { number: 6, name: 'getppid', handler: this.sys_getppid.bind(this) },
-            
-            // Gestión de archivos
-            { number: 10, name: 'open', handler: this.sys_open.bind(this) },
-            { number: 11, name: 'close', handler: this.sys_close.bind(this) },
-            { number: 12, name: 'read', handler: this.sys_read.bind(this) },
-            { number: 13, name: 'write', handler: this.sys_write.bind(this) },
-            { number: 14, name: 'lseek', handler: this.sys_lseek.bind(this) },
-            { number: 15, name: 'stat', handler: this.sys_stat.bind(this) },
-            
-            // Memoria
-            { number: 20, name: 'brk', handler: this.sys_brk.bind(this) },
-            { number: 21, name: 'mmap', handler: this.sys_mmap.bind(this) },
-            { number: 22, name: 'munmap', handler: this.sys_munmap.bind(this) },
-            { number: 23, name: 'mprotect', handler: this.sys_mprotect.bind(this) },
-            
-            // IPC
-            { number: 30, name: 'pipe', handler: this.sys_pipe.bind(this) },
-            { number: 31, name: 'shmget', handler: this.sys_shmget.bind(this) },
-            { number: 32, name: 'shmat', handler: this.sys_shmat.bind(this) },
-            { number: 33, name: 'msgget', handler: this.sys_msgget.bind(this) },
-            
-            // Señales
-            { number: 40, name: 'kill', handler: this.sys_kill.bind(this) },
-            { number: 41, name: 'signal', handler: this.sys_signal.bind(this) },
-            { number: 42, name: 'sigaction', handler: this.sys_sigaction.bind(this) },
-            
-            // Tiempo
-            { number: 50, name: 'time', handler: this.sys_time.bind(this) },
-            { number: 51, name: 'gettimeofday', handler: this.sys_gettimeofday.bind(this) },
-            { number: 52, name: 'nanosleep', handler: this.sys_nanosleep.bind(this) }
-        ];
+        this.console.log('  📞 Configurando llamadas al sistema...');
+        
+        // Tabla de syscalls: números y argumentos los fija el ABI (kernel/core/syscall-abi.js)
+        const syscalls = SyscallABI.list().map(entry => ({
+            number: entry.number,
+            name: entry.name,
+            handler: this[`sys_${entry.name}`].bind(this)
+        }));
         
         // Configurar MSR para syscalls (x86_64)
         await this.setupSyscallMSR();
@@ -452,7 +451,7 @@ class KernelInitializer {
         this.systemTables.syscall.entries = syscalls;
         this.systemTables.syscall.count = syscalls.length;
         
-        console.log(`  ✅ ${syscalls.length} llamadas al sistema configuradas`);
+        this.console.log(`  ✅ ${syscalls.length} llamadas al sistema configuradas`);
         return this.systemTables.syscall;
     }
 
@@ -460,7 +459,7 @@ class KernelInitializer {
      * Verificar integridad del kernel
      */
     async verifyKernelIntegrity() {
-        console.log('  🔐 Verificando integridad del kernel...');
+        this.console.log('  🔐 Verificando integridad del kernel...');
         
         await this.delay(70);
         
@@ -519,6 +518,20 @@ class KernelInitializer {
             warnings.push('Parámetros de boot no configurados');
         }
         
+        // Errores de la línea de comandos: se arranca con los valores por defecto
+        for (const error of this.bootParams.cmdlineErrors || []) {
+            warnings.push(`cmdline: ${error}`);
+        }
+        
+        // Los módulos del kernel se verifican al cargarlos; aquí solo que haya un manifiesto firmado
+        if (this.verifiedBoot && this.verifiedBoot.enabled) {
+            if (this.verifiedBoot.signature.valid) {
+                checks.push(`Manifiesto de integridad: OK (${this.verifiedBoot.signature.keyId})`);
+            } else {
+                warnings.push('Módulos del kernel sin manifiesto de integridad válido');
+            }
+        }
+        
         return {
             healthy: issues.length === 0,
             checks: checks,
@@ -705,12 +718,9 @@ class KernelInitializer {
     }
     
     setupPIDAllocator() {
-        return {
-            next_pid: 300,
-            pid_map: new Set(),
-            max_pid: 32768,
-            free_pids: []
-        };
+        // Asignador único de PIDs: lo comparten las etapas de boot y el gestor de procesos
+        this.pidAllocator = new PidAllocator({ maxPid: 32768, minReusePid: 300 });
+        return this.pidAllocator;
     }
     
     setupFDAllocator() {
@@ -744,7 +754,7 @@ class KernelInitializer {
      * Métodos auxiliares - Interrupciones
      */
     handleDivideError(errorCode) {
-        console.error('Divide Error:', errorCode);
+        this.console.error('Divide Error:', errorCode);
         // En un kernel real, esto desencadenaría un panic
     }
     
@@ -754,7 +764,7 @@ class KernelInitializer {
     
     handleNMI() {
         // Non-Maskable Interrupt
-        console.log('NMI recibido');
+        this.console.log('NMI recibido');
     }
     
     handleBreakpoint() {
@@ -762,48 +772,48 @@ class KernelInitializer {
     }
     
     handleOverflow() {
-        console.error('Overflow exception');
+        this.console.error('Overflow exception');
     }
     
     handleBoundsCheck() {
-        console.error('Bounds check failed');
+        this.console.error('Bounds check failed');
     }
     
     handleInvalidOpcode() {
-        console.error('Invalid opcode');
+        this.console.error('Invalid opcode');
     }
     
     handleDeviceNotAvailable() {
-        console.error('Device not available');
+        this.console.error('Device not available');
     }
     
     handleDoubleFault(errorCode) {
-        console.error('Double Fault - Sistema inestable:', errorCode);
+        this.console.error('Double Fault - Sistema inestable:', errorCode);
         // Kernel panic
     }
     
     handleCoprocessorOverrun() {
-        console.error('Coprocessor segment overrun');
+        this.console.error('Coprocessor segment overrun');
     }
     
     handleInvalidTSS(errorCode) {
-        console.error('Invalid TSS:', errorCode);
+        this.console.error('Invalid TSS:', errorCode);
     }
     
     handleSegmentNotPresent(errorCode) {
-        console.error('Segment not present:', errorCode);
+        this.console.error('Segment not present:', errorCode);
     }
     
     handleStackFault(errorCode) {
-        console.error('Stack fault:', errorCode);
+        this.console.error('Stack fault:', errorCode);
     }
     
     handleGeneralProtection(errorCode) {
-        console.error('General Protection Fault:', errorCode);
+        this.console.error('General Protection Fault:', errorCode);
     }
     
     handlePageFault(address, errorCode) {
-        console.error('Page Fault en dirección:', address.toString(16), 'Código:', errorCode);
+        this.console.error('Page Fault en dirección:', address.toString(16), 'Código:', errorCode);
         // Manejar falta de página
     }
     
@@ -816,19 +826,130 @@ class KernelInitializer {
     }
     
     handleKeyboardInterrupt() {
-        // Manejar entrada de teclado
+        // Los eventos de teclado llegan a los drivers registrados en IRQ 1 (virtual-keyboard)
+    }
+    
+    handleCascadeInterrupt() {
+        // IRQ 2: cascada hacia el PIC esclavo, nunca llega como interrupción real
+    }
+    
+    handleCOM2Interrupt() {
+        // Puerto serie COM2 (sin dispositivo emulado)
+    }
+    
+    handleCOM1Interrupt() {
+        // Puerto serie COM1 (sin dispositivo emulado)
+    }
+    
+    handleLPT2Interrupt() {
+        // Puerto paralelo LPT2 (sin dispositivo emulado)
     }
     
+    handleFloppyInterrupt() {
+        // Controlador de disquete (sin dispositivo emulado)
+    }
+    
+    handleLPT1Interrupt() {
+        // Puerto paralelo LPT1 (sin dispositivo emulado)
+    }
+    
+    handleRTCInterrupt(data = {}) {
+        // Reloj de tiempo real: actualizar los registros con la hora del sistema
+        const rtc = this.kernelModules.time && this.kernelModules.time.hardware.rtc;
+        if (rtc) {
+            const now = new Date(data.time || Date.now());
+            rtc.century = Math.floor(now.getFullYear() / 100) + 1;
+            rtc.year = now.getFullYear();
+            rtc.month = now.getMonth() + 1;
+            rtc.day = now.getDate();
+            rtc.hour = now.getHours();
+            rtc.minute = now.getMinutes();
+            rtc.second = now.getSeconds();
+        }
+    }
+    
+    handleDisplayInterrupt(data = {}) {
+        // IRQ 9: cambio de tamaño o de visibilidad de la ventana del navegador
+        if (data.type === 'visibilitychange') {
+            this.console.debug(`Pantalla ${data.visible ? 'visible' : 'oculta'}`);
+        }
+    }
+    
+    handleNetworkInterrupt(data = {}) {
+        // IRQ 10: cambio del estado de la conexión (online/offline)
+        this.console.info(`🌐 Enlace de red ${data.online ? 'activo' : 'caído'}`);
+    }
+    
+    handlePS2Mouse() {
+        // Los eventos de puntero llegan a los drivers registrados en IRQ 11 (virtual-mouse)
+    }
+    
+    handleFPUInterrupt() {
+        this.console.error('FPU exception');
+    }
+    
+    handleATAPrimary() {
+        // Canal ATA primario
+    }
+    
+    handleATASecondary() {
+        // Canal ATA secundario
+    }
+    
+    handleRescheduleIPI() {
+        // Solicitud de replanificación desde otra CPU
+    }
+    
+    handleTLBShootdown() {
+        // Invalidación de TLB solicitada por otra CPU
+    }
+    
+    handleFunctionCallIPI() {
+        // Ejecución remota de función en esta CPU
+    }
+    
+    handleStopCPU() {
+        this.console.log('CPU detenida por IPI');
+    }
+    
+    createInterruptController() {
+        if (this.interruptController) {
+            this.interruptController.shutdown();
+        }
+        return new InterruptController({
+            host: this.host,
+            klog: this.klog,
+            idt: this.interruptHandlers
+        });
+    }
+
     async configureInterruptControllers() {
-        console.log('    🎛️ Configurando controladores de interrupciones...');
+        this.console.log('    🎛️ Configurando controladores de interrupciones...');
         await this.delay(30);
-        console.log('      PIC/APIC configurado');
+        this.interruptController.attach();
+        const lines = InterruptController.LINES.map(line => `IRQ${line.irq} ${line.name}`).join(', ');
+        this.console.log(`      PIC/APIC configurado (${lines})`);
     }
     
     async enableInterrupts() {
-        console.log('    🚦 Habilitando interrupciones...');
+        this.console.log('    🚦 Habilitando interrupciones...');
         await this.delay(20);
-        console.log('      Interrupciones habilitadas');
+        this.interruptController.enable();
+        this.console.log(`      Interrupciones habilitadas (timer a ${this.interruptController.hz} Hz)`);
+    }
+
+    /**
+     * Desconectar las fuentes de interrupciones y detener los timers (apagado)
+     */
+    stopInterrupts() {
+        if (this.interruptController) {
+            this.interruptController.shutdown();
+        }
+        // Sin interrupciones tampoco avanza la rueda de temporizadores
+        const suspend = this.moduleLoader ? this.moduleLoader.resolveSymbol('timer_suspend') : null;
+        if (suspend) {
+            suspend();
+        }
     }
 
     /**
@@ -907,15 +1028,15 @@ class KernelInitializer {
     }
     
     async syncSystemTime() {
-        console.log('    🕐 Sincronizando tiempo del sistema...');
+        this.console.log('    🕐 Sincronizando tiempo del sistema...');
         await this.delay(25);
-        console.log('      Tiempo sincronizado');
+        this.console.log('      Tiempo sincronizado');
     }
     
     async startSystemTick() {
-        console.log('    ⏰ Iniciando tick del sistema...');
+        this.console.log('    ⏰ Iniciando tick del sistema...');
         await this.delay(15);
-        console.log('      System tick activo (1000Hz)');
+        this.console.log('      System tick activo (1000Hz)');
     }
 
     /**
@@ -927,7 +1048,7 @@ class KernelInitializer {
             type: 'cpu',
             vendor: 'yOS Virtual CPU',
             model: 'vCPU-1.0',
-            cores: navigator.hardwareConcurrency || 4,
+            cores: this.host.navigator.hardwareConcurrency || 4,
             features: ['mmx', 'sse', 'sse2', 'sse3', 'ssse3', 'sse4_1', 'sse4_2', 'avx'],
             frequency: '2.4GHz',
             topology: {
@@ -968,7 +1089,7 @@ class KernelInitializer {
             name: 'isa',
             type: 'bus',
             devices: [
-                { name: 'rtc', type: 'rtc', port: 0x70 },
+                { name: 'rtc', type: 'rtc', port: 0x70, class: 'rtc', device: 'rtc0', driver: 'rtc_cmos', irq: 8 },
                 { name: 'pic1', type: 'pic', port: 0x20 },
                 { name: 'pic2', type: 'pic', port: 0xA0 },
                 { name: 'pit', type: 'timer', port: 0x40 }
@@ -996,41 +1117,53 @@ class KernelInitializer {
     }
     
     async scanPCI() {
-        console.log('    🔍 Escaneando bus PCI...');
+        this.console.log('    🔍 Escaneando bus PCI...');
         await this.delay(35);
-        console.log('      PCI scan completado');
+        this.console.log('      PCI scan completado');
     }
     
     async scanUSB() {
-        console.log('    🔌 Escaneando bus USB...');
+        this.console.log('    🔌 Escaneando bus USB...');
         await this.delay(25);
-        console.log('      USB scan completado');
+        this.console.log('      USB scan completado');
     }
     
     async scanISA() {
-        console.log('    🎛️ Escaneando bus ISA...');
+        this.console.log('    🎛️ Escaneando bus ISA...');
         await this.delay(15);
-        console.log('      ISA scan completado');
+        this.console.log('      ISA scan completado');
     }
     
     async setupDeviceDrivers() {
-        console.log('    🚗 Configurando controladores de dispositivos...');
+        this.console.log('    🚗 Configurando controladores de dispositivos...');
         
+        // class/device: entrada en /sys/class (procfs); irq: línea del controlador de interrupciones
+        const video = this.bootParams.videoMode || {};
         const drivers = [
-            { name: 'keyboard', type: 'input', module: 'keyboard_driver' },
-            { name: 'mouse', type: 'input', module: 'mouse_driver' },
-            { name: 'display', type: 'video', module: 'fbdev' },
-            { name: 'storage', type: 'block', module: 'virtio_blk' },
-            { name: 'network', type: 'net', module: 'virtio_net' },
-            { name: 'audio', type: 'sound', module: 'snd_dummy' }
+            { name: 'keyboard', type: 'input', module: 'keyboard_driver', class: 'input', device: 'input0', irq: 1 },
+            { name: 'mouse', type: 'input', module: 'mouse_driver', class: 'input', device: 'input1', irq: 11 },
+            {
+                name: 'display',
+                type: 'video',
+                module: 'fbdev',
+                class: 'graphics',
+                device: 'fb0',
+                irq: 9,
+                attributes: { virtual_size: `${video.width},${video.height}`, bits_per_pixel: video.bpp }
+            },
+            { name: 'storage', type: 'block', module: 'virtio_blk', class: 'block', device: 'vda' },
+            { name: 'network', type: 'net', module: 'virtio_net', class: 'net', device: 'eth0', irq: 10 },
+            { name: 'audio', type: 'sound', module: 'snd_dummy', class: 'sound', device: 'card0' }
         ];
         
         for (const driver of drivers) {
             await this.delay(10);
-            console.log(`      ✅ Controlador ${driver.name} cargado`);
+            const { module, ...node } = driver;
+            this.deviceTree.root.children[driver.name] = { ...node, driver: module };
+            this.console.log(`      ✅ Controlador ${driver.name} cargado`);
         }
         
-        console.log('      Controladores configurados');
+        this.console.log('      Controladores configurados');
     }
     
     countDevices() {
@@ -1168,20 +1301,20 @@ class KernelInitializer {
     }
     
     setupMemoryZones() {
-        console.log('    🗺️ Configurando zonas de memoria...');
-        console.log('      Zonas DMA, DMA32, Normal configuradas');
+        this.console.log('    🗺️ Configurando zonas de memoria...');
+        this.console.log('      Zonas DMA, DMA32, Normal configuradas');
     }
     
     async setupPaging() {
-        console.log('    📄 Configurando paginación...');
+        this.console.log('    📄 Configurando paginación...');
         await this.delay(40);
-        console.log('      Paginación de 4 niveles activa');
+        this.console.log('      Paginación de 4 niveles activa');
     }
     
     async enableMemoryProtection() {
-        console.log('    🛡️ Habilitando protección de memoria...');
+        this.console.log('    🛡️ Habilitando protección de memoria...');
         await this.delay(25);
-        console.log('      Protección de memoria activa');
+        this.console.log('      Protección de memoria activa');
     }
 
     /**
@@ -1220,7 +1353,7 @@ class KernelInitializer {
             processes_created: 0,
             processes_exited: 0,
             load_average: [0, 0, 0],
-            cpu_load: Array(navigator.hardwareConcurrency || 4).fill(0)
+            cpu_load: Array(this.host.navigator.hardwareConcurrency || 4).fill(0)
         };
     }
     
@@ -1238,8 +1371,8 @@ class KernelInitializer {
     
     setupRealtimeScheduler() {
         return {
-            rt_period: 1000000, // 1ms
-            rt_runtime: 950000, // 0.95ms
+            rt_period: 1000000, // 1s (µs, como sched_rt_period_us)
+            rt_runtime: 950000, // 0.95s
             rt_nr_migrate: 32
         };
     }
@@ -1298,12 +1431,21 @@ class KernelInitializer {
     }
     
     async createInitProcess() {
-        console.log('    👶 Creando proceso init...');
+        this.console.log('    👶 Creando proceso init...');
         await this.delay(30);
         
+        // init es la raíz del árbol de procesos (su padre es el PID 0, swapper)
+        const program = this.bootParams.init || '/sbin/init';
+        const entry = this.pidAllocator.allocate({
+            pid: PidAllocator.INIT_PID,
+            name: program.split('/').pop() || 'init',
+            parentPid: 0,
+            type: 'kernel'
+        });
+        
         const initProcess = {
-            pid: 1,
-            comm: 'init',
+            pid: entry.pid,
+            comm: entry.name,
             state: 'running',
             mm: {
                 start_code: 0x400000,
@@ -1333,14 +1475,15 @@ class KernelInitializer {
             }
         };
         
-        console.log('      Proceso init creado (PID: 1)');
+        this.initProcess = initProcess;
+        this.console.log(`      Proceso init creado (PID: ${initProcess.pid}, ${program})`);
         return initProcess;
     }
     
     async startSchedulerTick() {
-        console.log('    ⏱️ Iniciando tick del planificador...');
+        this.console.log('    ⏱️ Iniciando tick del planificador...');
         await this.delay(20);
-        console.log('      Scheduler tick activo (100Hz)');
+        this.console.log('      Scheduler tick activo (100Hz)');
     }
 
     /**
@@ -1397,11 +1540,10 @@ class KernelInitializer {
     }
     
     setupSignalSystem() {
+        // Disposiciones, máscaras y pendientes son de cada proceso (process-manager)
         return {
-            signals: Array(64).fill().map(() => ({ handlers: [], pending: 0 })),
-            blocked: 0,
-            realtime: 0,
-            pending: 0
+            signals: Signals.list(),
+            uncatchable: ['SIGKILL', 'SIGSTOP']
         };
     }
     
@@ -1426,7 +1568,7 @@ class KernelInitializer {
     }
     
     async createIPCNamespaces() {
-        console.log('    🏷️ Creando namespaces IPC...');
+        this.console.log('    🏷️ Creando namespaces IPC...');
         await this.delay(25);
         
         const namespaces = {
@@ -1443,145 +1585,393 @@ class KernelInitializer {
             uts: { nodename: 'yos-webos', domainname: 'local' }
         };
         
-        console.log('      Namespaces creados');
+        this.console.log('      Namespaces creados');
         return namespaces;
     }
 
     /**
-     * Métodos auxiliares - Syscalls (simuladas)
+     * Cargador de módulos del que se resuelven los símbolos de process-manager y scheduler
      */
-    async sys_fork() {
-        return { pid: this.kernelModules.scheduler.stats.processes_created++ + 300 };
+    attachModuleLoader(moduleLoader) {
+        this.moduleLoader = moduleLoader;
     }
     
-    async sys_execve() {
+    resolveSymbol(symbol) {
+        const fn = this.moduleLoader ? this.moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`ENOSYS: símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+
+    /**
+     * PID del proceso que hace la llamada: el de syscall_dispatch, la tarea en ejecución
+     * o init (contexto del kernel)
+     */
+    currentPid() {
+        const caller = this.moduleLoader ? this.moduleLoader.resolveSymbol('syscall_caller') : null;
+        const current = this.moduleLoader ? this.moduleLoader.resolveSymbol('sched_current') : null;
+        return (caller && caller()) || (current && current()) || this.initProcess.pid;
+    }
+
+    /**
+     * PID global visto desde el namespace de PIDs del proceso (0 si queda fuera)
+     */
+    nsPid(viewerPid, pid) {
+        return this.resolveSymbol('ns_pid_vnr')(viewerPid, pid);
+    }
+
+    /**
+     * PID global de un PID que da el proceso en su namespace
+     */
+    globalPid(viewerPid, pid, errno) {
+        const global = this.resolveSymbol('ns_find_pid')(viewerPid, pid);
+        if (global === null) {
+            throw new Error(`${errno}: no existe el proceso ${pid} en el namespace del proceso ${viewerPid}`);
+        }
+        return global;
+    }
+
+    /**
+     * Métodos auxiliares - Syscalls de procesos y señales (process-manager)
+     */
+    async sys_fork(childMain = null) {
+        const pid = this.currentPid();
+        return { pid: this.nsPid(pid, this.resolveSymbol('forkProcess')(pid, childMain).pid) };
+    }
+
+    async sys_execve(program, argv = null, env = null) {
+        this.resolveSymbol('execProcess')(this.currentPid(), program, argv, env);
         return 0;
     }
     
-    async sys_exit() {
-        this.kernelModules.scheduler.stats.processes_exited++;
-        return;
+    async sys_exit(code = 0) {
+        this.resolveSymbol('exitProcess')(this.currentPid(), code);
     }
     
-    async sys_wait4() {
-        return { pid: 0, status: 0 };
+    async sys_wait4(pid = -1, options = {}) {
+        const caller = this.currentPid();
+        const target = pid > 0 ? this.globalPid(caller, pid, 'ECHILD') : pid;
+        const result = await this.resolveSymbol('waitProcess')(caller, target, options);
+        return { pid: this.nsPid(caller, result.pid), status: result.exitCode, signal: result.signal };
     }
     
     async sys_getpid() {
-        return 1;
+        const pid = this.currentPid();
+        return this.nsPid(pid, pid);
     }
     
     async sys_getppid() {
+        const pid = this.currentPid();
+        const entry = this.pidAllocator.get(pid);
+        return entry ? this.nsPid(pid, entry.ppid) : 0;
+    }
+
+    async sys_kill(pid, signal = 'SIGTERM') {
+        const caller = this.currentPid();
+        const target = pid > 0 ? this.globalPid(caller, pid, 'ESRCH') : pid;
+        this.resolveSymbol('sendSignal')(target, signal, caller);
         return 0;
     }
-    
-    async sys_open() {
-        const fd = this.kernelModules.resource.fdAllocator.next_fd++;
-        return fd;
+
+    async sys_signal(signal, handler) {
+        return this.resolveSymbol('sigaction')(this.currentPid(), signal, handler).handler;
     }
-    
-    async sys_close() {
-        return 0;
+
+    async sys_sigaction(signal, action) {
+        return this.resolveSymbol('sigaction')(this.currentPid(), signal, action);
     }
-    
-    async sys_read() {
-        return 0;
+
+    async sys_sigprocmask(how, signals = []) {
+        return this.resolveSymbol('sigprocmask')(this.currentPid(), how, signals);
     }
-    
-    async sys_write() {
-        return 0;
+
+    async sys_sigpending() {
+        return this.resolveSymbol('sigpending')(this.currentPid());
     }
-    
-    async sys_lseek() {
-        return 0;
+
+    /**
+     * Métodos auxiliares - Syscalls de ficheros (descriptores del process-manager)
+     */
+    async sys_open(path, mode = 'r') {
+        return this.resolveSymbol('openFile')(this.currentPid(), path, { mode: mode });
     }
-    
-    async sys_stat() {
-        return 0;
+
+    async sys_close(fd) {
+        return this.resolveSymbol('closeFile')(this.currentPid(), fd);
     }
-    
-    async sys_brk() {
-        return 0x402000;
+
+    async sys_read(fd, count) {
+        return this.resolveSymbol('readFile')(this.currentPid(), fd, count);
     }
-    
-    async sys_mmap() {
-        return 0x700000000000;
+
+    async sys_write(fd, data) {
+        return this.resolveSymbol('writeFile')(this.currentPid(), fd, data);
     }
-    
-    async sys_munmap() {
+
+    async sys_lseek(fd, offset, whence = 'SEEK_SET') {
+        return this.resolveSymbol('seekFile')(this.currentPid(), fd, offset, whence);
+    }
+
+    async sys_stat(path) {
+        return this.resolveSymbol('statFile')(this.currentPid(), path);
+    }
+
+    /**
+     * Métodos auxiliares - Syscalls de memoria (memory-manager)
+     */
+    async sys_brk(address = 0) {
+        return this.resolveSymbol('mm_brk')(this.currentPid(), address);
+    }
+
+    // La dirección es solo una sugerencia (sin MAP_FIXED): el kernel elige la región
+    async sys_mmap(address, length, prot) {
+        return this.resolveSymbol('mm_mmap')(this.currentPid(), length, prot).address;
+    }
+
+    async sys_munmap(address, length) {
+        this.resolveSymbol('mm_munmap')(this.currentPid(), address, length);
         return 0;
     }
-    
-    async sys_mprotect() {
+
+    async sys_mprotect(address, length, prot) {
+        this.resolveSymbol('mm_mprotect')(this.currentPid(), address, length, prot);
         return 0;
     }
-    
-    async sys_pipe() {
-        return { read_fd: 3, write_fd: 4 };
+
+    /**
+     * Métodos auxiliares - Syscalls de IPC (ipc-system)
+     */
+    async sys_pipe(options = {}) {
+        const result = this.resolveSymbol('pipe_create')(this.currentPid(), options);
+        return { read_fd: result.readFd, write_fd: result.writeFd };
     }
-    
-    async sys_shmget() {
-        return this.kernelModules.ipc.sharedMemory.next_id++;
+
+    async sys_shmget(key, size, options = {}) {
+        return this.resolveSymbol('shmget')(this.currentPid(), key, size, options);
     }
-    
-    async sys_shmat() {
-        return 0x600000000000;
+
+    // Sin espacio de direcciones real: se devuelve el buffer del segmento
+    async sys_shmat(shmid, options = {}) {
+        return this.resolveSymbol('shmat')(this.currentPid(), shmid, options);
     }
-    
-    async sys_msgget() {
-        return this.kernelModules.ipc.messageQueues.next_id++;
+
+    async sys_shmdt(shmid) {
+        return this.resolveSymbol('shmdt')(this.currentPid(), shmid);
     }
-    
-    async sys_kill() {
-        return 0;
+
+    async sys_shmctl(shmid, command) {
+        return this.resolveSymbol('shmctl')(this.currentPid(), shmid, command);
     }
-    
-    async sys_signal() {
-        return 0;
+
+    async sys_msgget(key, options = {}) {
+        return this.resolveSymbol('msgget')(this.currentPid(), key, options);
     }
-    
-    async sys_sigaction() {
-        return 0;
+
+    async sys_msgsnd(msqid, type, data, options = {}) {
+        return this.resolveSymbol('msgsnd')(this.currentPid(), msqid, type, data, options);
     }
-    
+
+    async sys_msgrcv(msqid, type = 0, options = {}) {
+        return this.resolveSymbol('msgrcv')(this.currentPid(), msqid, type, options);
+    }
+
+    async sys_msgctl(msqid, command) {
+        return this.resolveSymbol('msgctl')(this.currentPid(), msqid, command);
+    }
+
+    async sys_futex(op, shmid, offset, value, timeout) {
+        if (op === 'FUTEX_WAIT') {
+            return this.resolveSymbol('futex_wait')(this.currentPid(), shmid, offset, value, timeout);
+        }
+        if (op === 'FUTEX_WAKE') {
+            return this.resolveSymbol('futex_wake')(this.currentPid(), shmid, offset, value);
+        }
+        throw new Error(`ENOSYS: operación de futex no soportada: ${op}`);
+    }
+
+    /**
+     * Métodos auxiliares - Syscalls de namespaces (namespaces)
+     */
+    async sys_unshare(types, options = {}) {
+        return this.resolveSymbol('ns_unshare')(this.currentPid(), types, options);
+    }
+
+    async sys_setns(nsId) {
+        return this.resolveSymbol('ns_setns')(this.currentPid(), nsId);
+    }
+
+    async sys_sethostname(name) {
+        const pid = this.currentPid();
+        const process = this.resolveSymbol('getProcessById')(pid);
+        const initial = this.resolveSymbol('ns_id')(this.initProcess.pid, 'uts');
+        // El hostname del namespace inicial es de todo el sistema: solo root
+        if (this.resolveSymbol('ns_id')(pid, 'uts') === initial && (!process || process.uid !== 0)) {
+            throw new Error('EPERM: solo root puede cambiar el hostname del sistema');
+        }
+        return this.resolveSymbol('ns_sethostname')(pid, name);
+    }
+
+    async sys_gethostname() {
+        return this.resolveSymbol('ns_gethostname')(this.currentPid()).nodename;
+    }
+
+    /**
+     * Métodos auxiliares - Syscalls de tiempo (timers)
+     */
     async sys_time() {
-        return Math.floor(Date.now() / 1000);
+        return this.resolveSymbol('clock_gettime')('CLOCK_REALTIME').sec;
     }
-    
+
     async sys_gettimeofday() {
-        return { sec: Math.floor(Date.now() / 1000), usec: (Date.now() % 1000) * 1000 };
+        const now = this.resolveSymbol('clock_gettime')('CLOCK_REALTIME');
+        return { sec: now.sec, usec: Math.floor(now.nsec / 1000) };
     }
-    
-    async sys_nanosleep() {
-        await this.delay(1);
-        return 0;
+
+    async sys_clock_gettime(clock = 'CLOCK_MONOTONIC') {
+        return this.resolveSymbol('clock_gettime')(clock);
     }
-    
+
+    async sys_clock_getres(clock = 'CLOCK_MONOTONIC') {
+        return this.resolveSymbol('clock_getres')(clock);
+    }
+
+    /**
+     * @param {number|Object} duration - ms o { sec, nsec }
+     */
+    async sys_nanosleep(duration = 1) {
+        return this.resolveSymbol('clock_nanosleep')(duration, { owner: this.currentPid() });
+    }
+
+    /**
+     * alarm: SIGALRM al proceso dentro de seconds (0 la cancela)
+     * @returns {number} Segundos que le quedaban a la alarma anterior
+     */
+    async sys_alarm(seconds) {
+        const pid = this.currentPid();
+        const previous = this.resolveSymbol('timer_find')(pid, 'alarm');
+        // Como en Linux, lo que queda se redondea al segundo más cercano (al menos 1)
+        const remaining = previous === null ? 0 : Math.max(1, Math.round(this.resolveSymbol('timer_remaining')(previous) / 1000));
+        if (previous !== null) {
+            this.resolveSymbol('timer_cancel')(previous);
+        }
+        if (seconds > 0) {
+            this.resolveSymbol('timer_create')(() => {
+                const process = this.resolveSymbol('getProcessById')(pid);
+                if (process && process.state !== 'zombie') {
+                    this.resolveSymbol('sendSignal')(pid, 'SIGALRM');
+                }
+            }, { delay: seconds * 1000, owner: pid, name: 'alarm' });
+        }
+        return remaining;
+    }
+
     async setupSyscallMSR() {
-        console.log('    📟 Configurando MSR para syscalls...');
+        this.console.log('    📟 Configurando MSR para syscalls...');
         await this.delay(20);
-        console.log('      Model Specific Registers configuradas');
+        this.console.log('      Model Specific Registers configuradas');
     }
 
     /**
      * Métodos auxiliares generales
      */
     parseKernelCommandLine() {
-        console.log('    📝 Parseando línea de comandos del kernel...');
-        const params = this.bootParams.cmdline.split(' ');
+        this.console.log('    📝 Parseando línea de comandos del kernel...');
         
-        params.forEach(param => {
-            if (param.includes('=')) {
-                const [key, value] = param.split('=');
-                this.bootParams[key] = value;
-            } else {
-                this.bootParams[param] = true;
-            }
-        });
+        const parsed = this.commandLine.parse(this.bootParams.cmdline, this.cmdlineOverrides);
+        
+        // Parámetros tipados (root, init, runlevel, loglevel, debug, quiet, single, splash...)
+        Object.assign(this.bootParams, parsed.params);
+        this.bootParams.logLevel = parsed.params.loglevel;
+        // loglevel=/quiet/debug: nivel de los mensajes que llegan a la consola
+        this.klog.setConsoleLevel(parsed.params.loglevel);
+        this.bootParams.cmdline = parsed.cmdline;
+        this.bootParams.moduleParams = parsed.modules;
+        this.bootParams.cmdlineSources = parsed.sources;
+        this.bootParams.cmdlineUnknown = parsed.unknown;
+        this.bootParams.cmdlineErrors = parsed.errors;
+        this.bootParams.cmdlineWarnings = parsed.warnings;
+        
+        for (const error of parsed.errors) {
+            this.console.warn(`      ⚠️ cmdline: ${error}`);
+        }
+        
+        const overridden = Object.entries(parsed.sources)
+            .filter(([, source]) => source === 'config' || source === 'url')
+            .map(([name, source]) => `${name} (${source})`);
+        if (overridden.length > 0) {
+            this.console.log(`      Sobrescritos: ${overridden.join(', ')}`);
+        }
         
-        console.log('      Línea de comandos parseada');
+        this.console.log(`      Línea de comandos parseada: ${parsed.cmdline}`);
+        return parsed;
     }
     
+    /**
+     * Estado del kernel para la imagen de hibernación
+     * Los procesos no se guardan: al reanudar se vuelven a crear con los servicios
+     */
+    snapshot() {
+        const state = Hibernation.serialize({
+            bootParams: this.bootParams,
+            systemTables: this.systemTables,
+            deviceTree: this.deviceTree,
+            kernelModules: this.kernelModules,
+            interruptHandlers: this.interruptHandlers,
+            kernelHeap: this.kernelHeap,
+            cpuState: this.cpuState,
+            initProcess: this.initProcess
+        }, this);
+        delete state.kernelModules.resource.pidAllocator;
+        return state;
+    }
+
+    /**
+     * Restaurar el kernel desde una imagen de hibernación sin repetir initialize()
+     */
+    restore(state) {
+        this.console.log('⚡ Restaurando kernel yOS desde la imagen de hibernación...');
+        
+        const restored = Hibernation.revive(state, this);
+        this.bootParams = restored.bootParams;
+        this.systemTables = restored.systemTables;
+        this.deviceTree = restored.deviceTree;
+        this.kernelModules = restored.kernelModules;
+        this.interruptHandlers = restored.interruptHandlers;
+        this.kernelHeap = restored.kernelHeap;
+        this.cpuState = restored.cpuState;
+        this.initProcess = restored.initProcess;
+        this.klog.setConsoleLevel(this.bootParams.loglevel);
+        
+        // Las fuentes de interrupciones del navegador se vuelven a conectar
+        this.interruptController = this.createInterruptController();
+        this.interruptController.attach();
+        this.interruptController.enable();
+        
+        // Callbacks que no son métodos del kernel: se vuelven a crear
+        this.kernelModules.time.software.delays = this.setupDelaySystem();
+        this.kernelModules.memory.pageCache.shrinker = this.setupPageCache().shrinker;
+        
+        // Árbol de procesos nuevo con init como raíz
+        this.kernelModules.resource.pidAllocator = this.setupPIDAllocator();
+        this.pidAllocator.allocate({
+            pid: this.initProcess.pid,
+            name: this.initProcess.comm,
+            parentPid: 0,
+            type: 'kernel'
+        });
+        
+        this.console.log(`✅ Kernel restaurado (${Object.keys(this.interruptHandlers).length} manejadores, ${this.systemTables.syscall.count} syscalls)`);
+        return {
+            success: true,
+            restored: true,
+            kernelModules: Object.keys(this.kernelModules),
+            systemTables: Object.keys(this.systemTables),
+            devices: Object.keys(this.deviceTree),
+            interruptVectors: Object.keys(this.interruptHandlers)
+        };
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -4,8 +4,30 @@
  * Coordina la secuencia de arranque del sistema operativo
  */
 
+import BootTracer from './boot-tracer.js';
+import BootRecovery from './recovery.js';
+import KernelCommandLine from './cmdline.js';
+import BootHost from './host.js';
+import VerifiedBoot from './verified-boot.js';
+import Hibernation from './hibernation.js';
+import KernelModuleLoader from '../kernel/core/module-loader.js';
+import KernelLog from '../kernel/core/klog.js';
+
+// Espera tras el último cambio de servicios antes de guardar la imagen de hibernación
+const CHECKPOINT_DELAY = 1000;
+
 class BootLoader {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {BootHost} [options.host] - Navegador o headless (por defecto se detecta)
+     * @param {Object} [options.storage] - Almacenamiento clave/valor (por defecto el del host)
+     * @param {number} [options.maxFailedBoots=3] - Fallos consecutivos antes del modo de recuperación
+     * @param {CapabilityProbe} [options.capabilityProbe] - Sondas de hardware para Stage 1 (tests en Node)
+     * @param {boolean} [options.resume=true] - Reanudar desde la imagen de hibernación si es compatible
+     * @param {Object} [options.snapshotStore] - Almacén de la imagen (por defecto IndexedDB o el del host)
+     * @param {number} [options.logBufferSize=1024] - Entradas del buffer circular del log del kernel
+     */
+    constructor(options = {}) {
         this.stages = [
             'stage1-bios',
             'stage2-kernel-loader', 
@@ -21,140 +43,630 @@ class BootLoader {
         };
         this.kernelModules = {};
         this.systemServices = {};
+        this.stageInstances = {};
+        this.stageResults = {};
+        this.tracer = new BootTracer();
+        this.klog = new KernelLog({ size: options.logBufferSize });
+        this.console = this.klog.logger('boot');
+        this.host = options.host || BootHost.detect();
+        this.recovery = new BootRecovery({
+            storage: options.storage || this.host.storage,
+            maxFailedBoots: options.maxFailedBoots
+        });
+        this.bootConfig = this.recovery.loadConfig();
+        this.capabilityProbe = options.capabilityProbe || null;
+        this.verifiedBoot = null;
+        this.hibernation = new Hibernation({ host: this.host, store: options.snapshotStore, klog: this.klog });
+        this.resumeEnabled = options.resume !== false;
+        this.resumeInfo = null;
+        this.resuming = false;
+        this.checkpointTimer = null;
+        this.checkpointJob = Promise.resolve(null);
+        this.unwatchServices = null;
+        this.mode = 'normal';
     }
 
     /**
      * Inicia el proceso de arranque
+     * Tras varios arranques fallidos consecutivos arranca en modo de recuperación
+     * @param {Object} options
+     * @param {string} [options.mode] - 'normal' o 'recovery' (forzar un modo)
      */
-    async start() {
-        console.log('🚀 Iniciando yOS WebOS...');
+    async start(options = {}) {
+        this.mode = options.mode || (this.recovery.shouldEnterRecovery() ? 'recovery' : 'normal');
+        this.klog.reset();
+        
+        if (this.mode === 'recovery') {
+            this.console.log('🛟 Iniciando yOS WebOS en modo de recuperación (runlevel 1)...');
+        } else {
+            this.console.log('🚀 Iniciando yOS WebOS...');
+        }
+        
         this.bootStatus.startTime = Date.now();
+        this.tracer.reset();
+        const bootSpan = this.tracer.begin('boot', { category: 'loader', args: { mode: this.mode } });
+        this.host.dispatch('yOS:boot:start', { mode: this.mode, stages: [...this.stages] });
         
         try {
-            // Ejecutar cada etapa en orden
-            for (let i = 0; i < this.stages.length; i++) {
-                this.currentStage = i + 1;
-                const stageName = this.stages[i];
-                
-                console.log(`📦 Ejecutando etapa ${this.currentStage}/${this.stages.length}: ${stageName}`);
-                
-                // Cargar y ejecutar la etapa
-                const stage = await this.loadStage(stageName);
-                const result = await stage.execute();
-                
-                if (!result.success) {
-                    throw new Error(`Fallo en etapa ${stageName}: ${result.error}`);
-                }
-                
-                // Almacenar resultados de la etapa
-                this.kernelModules = { ...this.kernelModules, ...result.kernelModules || {} };
-                this.systemServices = { ...this.systemServices, ...result.services || {} };
-                
-                console.log(`✅ Etapa ${stageName} completada`);
+            // Manifiesto firmado con los digests de etapas, módulos y unit files
+            this.verifiedBoot = this.createVerifiedBoot();
+            await this.tracer.span('loadIntegrityManifest', () => this.verifiedBoot.loadManifest(), {
+                category: 'loader',
+                parent: bootSpan
+            });
+            // Todo el manifiesto (también lo que las etapas importan estáticamente) antes de ejecutar nada
+            await this.tracer.span('verifyIntegrityManifest', () => this.verifiedBoot.verifyManifest(), {
+                category: 'loader',
+                parent: bootSpan
+            });
+            
+            // Imagen de hibernación compatible: reanudar en lugar de arrancar en frío
+            this.resumeInfo = this.mode === 'normal' && this.resumeEnabled
+                ? await this.tracer.span('resumeFromSnapshot', (span) => this.resumeFromSnapshot(span), {
+                    category: 'loader',
+                    parent: bootSpan
+                })
+                : null;
+            
+            if (!this.resumeInfo || !this.resumeInfo.resumed) {
+                await this.runStages(null, bootSpan);
             }
             
             // Montar filesystem virtual
-            await this.mountVirtualFilesystem();
+            await this.tracer.span('mountVirtualFilesystem', () => this.mountVirtualFilesystem(), {
+                category: 'loader',
+                parent: bootSpan
+            });
             
             // Inicializar servicios del sistema
-            await this.initializeSystemServices();
+            await this.tracer.span('initializeSystemServices', (span) => this.initializeSystemServices(span), {
+                category: 'loader',
+                parent: bootSpan
+            });
             
             // Arranque completado
             this.bootStatus.initialized = true;
             this.bootStatus.endTime = Date.now();
+            this.watchServices();
+            this.tracer.end(bootSpan);
+            this.recovery.recordSuccess(this.bootConfig, this.mode);
             const bootTime = (this.bootStatus.endTime - this.bootStatus.startTime) / 1000;
             
-            console.log(`✨ yOS WebOS iniciado en ${bootTime.toFixed(2)} segundos`);
-            console.log('🎯 Sistema listo para uso');
+            this.console.log(`✨ yOS WebOS iniciado en ${bootTime.toFixed(2)} segundos`);
+            if (this.mode === 'recovery') {
+                this.console.log('🛟 Sistema en modo de recuperación: consola de recuperación disponible');
+            } else {
+                this.console.log('🎯 Sistema listo para uso');
+            }
             
-            return {
+            const result = {
                 success: true,
+                mode: this.mode,
                 bootTime: bootTime,
                 kernelModules: Object.keys(this.kernelModules),
-                services: Object.keys(this.systemServices)
+                services: Object.keys(this.systemServices),
+                stages: this.getStageReports(),
+                resumed: Boolean(this.resumeInfo && this.resumeInfo.resumed),
+                timeline: this.tracer.getSummary()
             };
             
+            if (result.resumed) {
+                this.host.dispatch('yOS:system:resumed', { ...this.resumeInfo, bootTime: bootTime });
+            }
+            
+            // Publicar evento de boot completado (o de entrada en recuperación)
+            this.host.dispatch(this.mode === 'recovery' ? 'yOS:boot:recovery' : 'yOS:boot:complete', result);
+            return result;
+            
         } catch (error) {
             this.bootStatus.errors.push(error.message);
-            console.error('❌ Error crítico durante el arranque:', error);
+            this.bootStatus.endTime = Date.now();
+            this.tracer.mark('boot:error', { error: error.message, stage: this.stages[this.currentStage - 1] }, bootSpan);
+            this.tracer.end(bootSpan, { status: 'error', error: error.message });
+            this.console.error('❌ Error crítico durante el arranque:', error);
+            this.stopInterrupts();
             
-            return {
+            const failure = {
                 success: false,
+                mode: this.mode,
                 error: error.message,
                 stage: this.currentStage,
-                stageName: this.stages[this.currentStage - 1]
+                stageName: this.stages[this.currentStage - 1],
+                stages: this.getStageReports(),
+                timeline: this.tracer.getSummary()
             };
+            
+            // Guardar el reporte para inspeccionarlo desde la consola de recuperación
+            this.recovery.recordFailure(failure);
+            failure.recovery = this.recovery.getStatus();
+            
+            // Demasiados fallos seguidos: arrancar directamente en modo de recuperación
+            if (this.mode === 'normal' && this.recovery.shouldEnterRecovery()) {
+                this.console.warn(`⚠️ ${failure.recovery.consecutiveFailures} arranques fallidos consecutivos, pasando a modo de recuperación`);
+                this.resetBootState();
+                return this.start({ mode: 'recovery' });
+            }
+            
+            this.host.dispatch('yOS:boot:error', failure);
+            return failure;
         }
     }
 
+    /**
+     * Ejecutar las etapas en orden
+     * Con una imagen de hibernación cada etapa se restaura con stage.restore() en lugar de execute()
+     * @param {Object} [image] - Imagen de hibernación
+     * @param {Object} [parent] - Span bajo el que se anidan las etapas
+     */
+    async runStages(image = null, parent = null) {
+        // Resultado de la etapa anterior, entregado como entrada a la siguiente
+        let previousResult = {};
+        
+        for (let i = 0; i < this.stages.length; i++) {
+            this.currentStage = i + 1;
+            const stageName = this.stages[i];
+            
+            this.console.log(`📦 ${image ? 'Reanudando' : 'Ejecutando'} etapa ${this.currentStage}/${this.stages.length}: ${stageName}`);
+            this.emitStageEvent(stageName, 'start');
+            
+            // Cargar y ejecutar (o restaurar) la etapa
+            const stage = await this.tracer.span(`load ${stageName}`, () => this.loadStage(stageName), {
+                category: 'loader',
+                parent: parent
+            });
+            // Cada etapa recibe su span para anidar sus pasos
+            const run = image
+                ? (span) => stage.restore(image.stages[stageName], previousResult, span)
+                : (span) => stage.execute(previousResult, span);
+            const result = await this.tracer.span(stageName, run, {
+                category: stageName,
+                parent: parent,
+                args: { stage: this.currentStage, resume: Boolean(image) }
+            });
+            this.stageResults[stageName] = result;
+            
+            if (!result.success) {
+                this.emitStageEvent(stageName, 'failed', { error: result.error });
+                throw new Error(`Fallo en etapa ${stageName}: ${result.error}`);
+            }
+            
+            // Almacenar resultados de la etapa
+            this.kernelModules = { ...this.kernelModules, ...result.modules || {} };
+            this.systemServices = { ...this.systemServices, ...result.services || {} };
+            previousResult = result;
+            
+            this.console.log(`✅ Etapa ${stageName} completada`);
+            this.emitStageEvent(stageName, 'complete');
+        }
+        
+        return previousResult;
+    }
+
+    /**
+     * Reanudar desde la imagen de hibernación si existe y es compatible con el sistema actual
+     * La imagen es de un solo uso: se descarta antes de restaurarla. Si no es compatible
+     * o la restauración falla se devuelve el motivo y el arranque continúa en frío.
+     * @param {Object} [span] - Span de la reanudación
+     */
+    async resumeFromSnapshot(span = null) {
+        const image = await this.hibernation.load();
+        if (!image) {
+            return null;
+        }
+        await this.hibernation.discard();
+        
+        const { params } = new KernelCommandLine().parse('', this.getCommandLineOverrides());
+        if (params.noresume) {
+            this.console.log('⏭️ noresume: imagen de hibernación descartada');
+            return { resumed: false, reasons: ['noresume'], createdAt: image.createdAt };
+        }
+        
+        try {
+            const reasons = Hibernation.compare(image, await this.getSystemFingerprint());
+            if (reasons.length > 0) {
+                this.console.log(`❄️ Imagen de hibernación incompatible, arranque en frío: ${reasons.join('; ')}`);
+                return { resumed: false, reasons: reasons, createdAt: image.createdAt };
+            }
+            
+            this.console.log(`⚡ Reanudando desde la imagen de hibernación del ${new Date(image.createdAt).toISOString()}`);
+            this.resuming = true;
+            await this.runStages(image, span);
+            await this.hibernation.restoreSections(image.sections);
+            return { resumed: true, reasons: [], createdAt: image.createdAt };
+        } catch (error) {
+            // Un fallo de integridad en enforce no se enmascara con un arranque en frío
+            if (error.message.startsWith('Arranque verificado')) {
+                throw error;
+            }
+            this.console.warn(`⚠️ No se pudo reanudar (${error.message}), arranque en frío`);
+            this.tracer.mark('resume:failed', { error: error.message }, span);
+            this.teardownStages();
+            return { resumed: false, reasons: [error.message], createdAt: image.createdAt };
+        } finally {
+            this.resuming = false;
+        }
+    }
+
+    /**
+     * Huella del sistema que debe coincidir para reanudar una imagen de hibernación
+     */
+    async getSystemFingerprint() {
+        const moduleLoader = new KernelModuleLoader({
+            fetch: (url) => this.host.fetch(url),
+            verify: this.verifiedBoot ? (url, options) => this.verifiedBoot.verify(url, options) : null
+        });
+        const manifest = await moduleLoader.loadManifest();
+        const integrity = this.verifiedBoot && this.verifiedBoot.manifest ? this.verifiedBoot.manifest.signature : null;
+        
+        return {
+            modules: Object.fromEntries(Object.values(manifest).map(entry => [entry.name, entry.version])),
+            integrity: integrity ? integrity.value : null,
+            cmdline: JSON.stringify(this.getCommandLineOverrides()),
+            host: this.host.name
+        };
+    }
+
+    /**
+     * Guardar la imagen de hibernación del sistema en ejecución
+     * Se llama al apagar (runlevel 0), en los checkpoints y al cerrar la página; solo en arranques normales
+     */
+    async hibernate() {
+        if (!this.bootStatus.initialized || this.mode !== 'normal' || !this.resumeEnabled) {
+            return null;
+        }
+        return this.hibernation.save(await this.createSnapshot());
+    }
+
+    /**
+     * Checkpoint: guardar ya la imagen de hibernación, una escritura detrás de otra
+     * pagehide no da tiempo a terminar una escritura asíncrona, así que la imagen se mantiene
+     * al día al ocultarse la página, al cambiar de runlevel y cuando cambian los servicios
+     * @returns {Promise<Object|null>} La imagen guardada; nunca rechaza
+     */
+    checkpoint(reason) {
+        this.cancelCheckpoint();
+        this.checkpointJob = this.checkpointJob
+            .then(() => this.hibernate())
+            .catch(error => {
+                this.console.warn(`⚠️ Checkpoint de hibernación omitido (${reason}): ${error.message}`);
+                return null;
+            });
+        return this.checkpointJob;
+    }
+
+    /**
+     * Checkpoint cuando los servicios llevan CHECKPOINT_DELAY ms sin cambiar
+     */
+    scheduleCheckpoint(reason) {
+        this.cancelCheckpoint();
+        this.checkpointTimer = setTimeout(() => {
+            this.checkpointTimer = null;
+            const init = this.getStage('stage3-init');
+            // Un cambio de runlevel en curso hace su propio checkpoint al terminar
+            if (init && init.switchingTo === null) {
+                this.checkpoint(reason);
+            }
+        }, CHECKPOINT_DELAY);
+    }
+
+    cancelCheckpoint() {
+        if (this.checkpointTimer) {
+            clearTimeout(this.checkpointTimer);
+            this.checkpointTimer = null;
+        }
+    }
+
+    /**
+     * Checkpoints al arrancar, parar o fallar units después del arranque
+     */
+    watchServices() {
+        this.stopWatchingServices();
+        const initSystem = this.getInitSystem();
+        if (!initSystem || this.mode !== 'normal') {
+            return;
+        }
+        const unsubscribers = ['unit:started', 'unit:stopped', 'unit:failed']
+            .map(event => initSystem.on(event, ({ name }) => this.scheduleCheckpoint(`${event} ${name}`)));
+        this.unwatchServices = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    stopWatchingServices() {
+        if (this.unwatchServices) {
+            this.unwatchServices();
+            this.unwatchServices = null;
+        }
+        this.cancelCheckpoint();
+    }
+
+    /**
+     * Ciclo de vida de la página: checkpoint al ocultarse y un último intento al cerrarse
+     * @returns {Function} Quita los listeners
+     */
+    attachPageLifecycle() {
+        const removers = [
+            this.host.addDeviceListener('visibilitychange', (event) => {
+                const document = this.host.getProbeEnvironment().document;
+                const state = document ? document.visibilityState : event.visibilityState;
+                if (state === 'hidden') {
+                    this.checkpoint('visibilitychange');
+                }
+            }),
+            // Sin garantía de que la escritura termine antes de que se descargue la página
+            this.host.addDeviceListener('pagehide', () => {
+                this.checkpoint('pagehide');
+            })
+        ];
+        return () => removers.forEach(remove => remove());
+    }
+
+    async createSnapshot() {
+        const stages = {};
+        for (const stageName of this.stages) {
+            const stage = this.getStage(stageName);
+            if (!stage || typeof stage.snapshot !== 'function') {
+                throw new Error(`La etapa ${stageName} no admite hibernación`);
+            }
+            stages[stageName] = stage.snapshot();
+        }
+        return this.hibernation.createImage(stages, await this.getSystemFingerprint());
+    }
+
+    /**
+     * Detener lo que dejaron en marcha las etapas de una reanudación fallida
+     */
+    teardownStages() {
+        const init = this.getStage('stage3-init');
+        if (init && init.supervisor) {
+            init.supervisor.stop();
+        }
+        this.resetBootState();
+    }
+
+    /**
+     * Progreso por etapa para la pantalla de arranque (yOS:boot:stage)
+     * @param {string} status - 'start', 'complete' o 'failed'
+     */
+    emitStageEvent(stageName, status, extra = {}) {
+        this.host.dispatch('yOS:boot:stage', {
+            stage: stageName,
+            index: this.stages.indexOf(stageName),
+            total: this.stages.length,
+            status: status,
+            ...extra
+        });
+    }
+
     /**
      * Carga dinámicamente una etapa del boot
+     * Importa boot/<etapa>.js y crea una instancia de la clase exportada
      */
     async loadStage(stageName) {
-        // En un entorno real, esto cargaría módulos dinámicamente
-        // Por ahora simulamos la carga
-        
-        const stages = {
-            'stage1-bios': {
-                execute: async () => {
-                    // Simular carga de Stage 1
-                    await this.delay(100);
-                    return {
-                        success: true,
-                        memory: '4GB detectados',
-                        cpu: 'Virtual CPU inicializado',
-                        devices: ['keyboard', 'mouse', 'display']
-                    };
-                }
-            },
-            'stage2-kernel-loader': {
-                execute: async () => {
-                    // Simular carga del kernel
-                    await this.delay(150);
-                    return {
-                        success: true,
-                        kernelModules: {
-                            'scheduler': { status: 'loaded' },
-                            'memory-manager': { status: 'loaded' },
-                            'process-manager': { status: 'loaded' }
-                        }
-                    };
-                }
-            },
-            'stage3-init': {
-                execute: async () => {
-                    // Simular inicialización del sistema
-                    await this.delay(200);
-                    return {
-                        success: true,
-                        services: {
-                            'auth': { status: 'running' },
-                            'vfs': { status: 'running' },
-                            'network': { status: 'running' }
-                        }
-                    };
-                }
+        if (!this.stages.includes(stageName)) {
+            throw new Error(`Etapa de boot no encontrada: ${stageName}`);
+        }
+        
+        // Comprobar el digest de la etapa antes de ejecutarla
+        if (this.verifiedBoot) {
+            await this.verifiedBoot.verify(new URL(`./${stageName}.js`, import.meta.url), { kind: 'stage' });
+        }
+        
+        let stageModule;
+        try {
+            stageModule = await import(`./${stageName}.js`);
+        } catch (error) {
+            throw new Error(`No se pudo cargar la etapa ${stageName}: ${error.message}`);
+        }
+        
+        const StageClass = stageModule.default;
+        if (typeof StageClass !== 'function') {
+            throw new Error(`La etapa ${stageName} no exporta una clase`);
+        }
+        
+        const stage = new StageClass({
+            tracer: this.tracer,
+            recovery: this.mode === 'recovery',
+            config: this.bootConfig,
+            cmdlineOverrides: this.getCommandLineOverrides(),
+            capabilityProbe: this.capabilityProbe,
+            verifiedBoot: this.verifiedBoot,
+            hibernation: this.hibernation,
+            klog: this.klog,
+            host: this.host
+        });
+        if (typeof stage.execute !== 'function') {
+            throw new Error(`La etapa ${stageName} no implementa execute()`);
+        }
+        
+        this.stageInstances[stageName] = stage;
+        return stage;
+    }
+
+    /**
+     * Sobrescrituras de la línea de comandos del kernel
+     * Config persistida (bootConfig.cmdline) y URL (?cmdline=...), en ese orden de prioridad
+     */
+    getCommandLineOverrides() {
+        const overrides = [];
+        
+        // En recuperación se ignora la config persistida: puede ser la causa del fallo
+        if (this.mode !== 'recovery' && this.bootConfig.cmdline) {
+            overrides.push({ source: 'config', cmdline: this.bootConfig.cmdline });
+        }
+        
+        const urlCmdline = KernelCommandLine.fromQueryString(this.host.getLocationSearch());
+        if (urlCmdline) {
+            overrides.push({ source: 'url', cmdline: urlCmdline });
+        }
+        
+        return overrides;
+    }
+
+    /**
+     * Arranque verificado con la política integrity= de la configuración o la URL
+     */
+    createVerifiedBoot() {
+        const { params } = new KernelCommandLine().parse('', this.getCommandLineOverrides());
+        return new VerifiedBoot({ host: this.host, policy: params.integrity, klog: this.klog });
+    }
+
+    /**
+     * Persiste parámetros de la línea de comandos para los próximos arranques
+     * Ej: setCommandLineOverride('runlevel=3 debug')
+     */
+    setCommandLineOverride(cmdline) {
+        return this.setBootConfig({ ...this.bootConfig, cmdline: cmdline });
+    }
+
+    /**
+     * Obtiene la instancia de una etapa ya cargada
+     */
+    getStage(stageName) {
+        return this.stageInstances[stageName] || null;
+    }
+
+    /**
+     * Sistema de init en ejecución (start/stop/restart/status de units)
+     */
+    getInitSystem() {
+        const init = this.getStage('stage3-init');
+        return init ? init.initSystem : null;
+    }
+
+    /**
+     * Perfil de capacidades del host detectado por el BIOS
+     */
+    getCapabilities() {
+        const bios = this.stageResults['stage1-bios'];
+        return bios ? bios.capabilities : null;
+    }
+
+    /**
+     * Cargador de módulos del kernel (insmod/rmmod/lsmod en tiempo de ejecución)
+     */
+    getModuleLoader() {
+        const kernelLoader = this.getStage('stage2-kernel-loader');
+        return kernelLoader ? kernelLoader.moduleLoader : null;
+    }
+
+    /**
+     * Controlador de interrupciones del kernel (IRQs, máscaras, /proc/interrupts)
+     */
+    getInterruptController() {
+        const kernelLoader = this.getStage('stage2-kernel-loader');
+        return kernelLoader && kernelLoader.kernel ? kernelLoader.kernel.interruptController : null;
+    }
+
+    /**
+     * Desconectar las fuentes de interrupciones para que no sigan llegando IRQs
+     */
+    stopInterrupts() {
+        const kernelLoader = this.getStage('stage2-kernel-loader');
+        if (kernelLoader && kernelLoader.kernel) {
+            kernelLoader.kernel.stopInterrupts();
+        }
+    }
+
+    /**
+     * Log del kernel (printk/dmesg) del arranque actual
+     */
+    getKernelLog() {
+        return this.klog;
+    }
+
+    /**
+     * Cambia de runlevel en tiempo de ejecución (telinit)
+     * 0 detiene el sistema y 6 lo reinicia después de parar los servicios de forma ordenada
+     */
+    async switchRunlevel(target) {
+        const init = this.getStage('stage3-init');
+        if (!init || !this.bootStatus.initialized) {
+            throw new Error('El sistema no ha terminado de arrancar');
+        }
+        
+        // La imagen de hibernación se toma antes de parar los servicios
+        const image = target === 0 && this.mode === 'normal' && this.resumeEnabled
+            ? await this.createSnapshot().catch(error => {
+                this.console.warn(`⚠️ Hibernación omitida: ${error.message}`);
+                return null;
+            })
+            : null;
+        
+        const result = await init.switchRunlevel(target);
+        this.stageResults['stage3-init'].runlevel = result.runlevel;
+        
+        if (target === 6) {
+            return { ...result, reboot: await this.reboot() };
+        }
+        
+        if (target === 0) {
+            this.halt();
+            if (image) {
+                // Detrás del checkpoint que pudiera estar escribiendo
+                await this.checkpointJob;
+                await this.hibernation.save(image);
             }
-        };
+            return result;
+        }
         
-        if (!stages[stageName]) {
-            throw new Error(`Etapa de boot no encontrada: ${stageName}`);
+        if (result.runlevel === 5 && result.previous !== 5) {
+            await this.initializeSystemServices();
+        }
+        await this.checkpoint(`runlevel ${result.runlevel}`);
+        return result;
+    }
+
+    /**
+     * Detiene el sistema tras el apagado ordenado del runlevel 0
+     */
+    halt() {
+        this.stopWatchingServices();
+        this.bootStatus.initialized = false;
+        this.bootStatus.endTime = Date.now();
+        this.stopInterrupts();
+        this.console.log('⏻ yOS WebOS detenido');
+        
+        this.host.dispatch('yOS:system:halt', { timestamp: this.bootStatus.endTime });
+    }
+
+    /**
+     * Reportes de las etapas ejecutadas hasta ahora
+     */
+    getStageReports() {
+        const reports = {};
+        
+        for (const stageName of this.stages) {
+            const stage = this.stageInstances[stageName];
+            const result = this.stageResults[stageName];
+            if (!stage || !result) {
+                continue;
+            }
+            
+            reports[stageName] = {
+                success: result.success,
+                error: result.error || null,
+                report: typeof stage.getReport === 'function' ? stage.getReport() : null
+            };
         }
         
-        return stages[stageName];
+        return reports;
     }
 
     /**
      * Monta el filesystem virtual
      */
     async mountVirtualFilesystem() {
-        console.log('🗂️ Montando filesystem virtual...');
+        this.console.log('🗂️ Montando filesystem virtual...');
         
         // Simular montaje del filesystem
         await this.delay(100);
         
+        // IndexedDB si el host lo permite; si no, un VFS en memoria
+        const capabilities = this.getCapabilities();
+        const driver = capabilities ? capabilities.policy.vfsDriver : 'memory';
+        
         // Estructura básica del filesystem
         const vfsStructure = {
+            driver: driver,
             '/': {
                 type: 'directory',
                 children: {
@@ -167,15 +679,23 @@ class BootLoader {
         };
         
         // En un entorno real, esto inicializaría el servicio VFS
-        console.log('✅ Filesystem virtual montado');
+        this.console.log(`✅ Filesystem virtual montado (${driver})`);
         return vfsStructure;
     }
 
     /**
      * Inicializa servicios del sistema
+     * @param {Object} [parent] - Span bajo el que se anidan los servicios
      */
-    async initializeSystemServices() {
-        console.log('⚙️ Inicializando servicios del sistema...');
+    async initializeSystemServices(parent = null) {
+        this.console.log('⚙️ Inicializando servicios del sistema...');
+        
+        // Sin runlevel gráfico (recuperación, runlevel=3...) no hay entorno de escritorio
+        const initResult = this.stageResults['stage3-init'] || {};
+        if (initResult.runlevel !== 5) {
+            this.console.log(`  ⏭️ Runlevel ${initResult.runlevel}: servicios gráficos omitidos`);
+            return;
+        }
         
         // Lista de servicios esenciales
         const essentialServices = [
@@ -187,18 +707,23 @@ class BootLoader {
         
         // Simular inicialización de servicios
         for (const service of essentialServices) {
-            console.log(`  🔄 Iniciando ${service}...`);
-            await this.delay(50);
-            console.log(`  ✅ ${service} iniciado`);
+            await this.tracer.span(service, async () => {
+                this.console.log(`  🔄 Iniciando ${service}...`);
+                await this.delay(50);
+                this.console.log(`  ✅ ${service} iniciado`);
+            }, { category: 'service', parent: parent });
         }
         
-        console.log('✅ Todos los servicios del sistema iniciados');
+        this.console.log('✅ Todos los servicios del sistema iniciados');
     }
 
     /**
      * Retardo simulado para operaciones asíncronas
      */
     delay(ms) {
+        if (this.resuming) {
+            return Promise.resolve();
+        }
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
@@ -211,27 +736,135 @@ class BootLoader {
             currentStage: this.currentStage,
             totalStages: this.stages.length,
             kernelModules: Object.keys(this.kernelModules).length,
-            systemServices: Object.keys(this.systemServices).length
+            systemServices: Object.keys(this.systemServices).length,
+            mode: this.mode,
+            recovery: this.recovery.getStatus(),
+            timeline: this.tracer.getSummary()
+        };
+    }
+
+    /**
+     * Reporte estructurado del arranque (serializable a JSON)
+     * Resume cada etapa para que un test runner pueda verificarlo sin navegador
+     */
+    getBootReport() {
+        const bios = this.stageResults['stage1-bios'];
+        const kernel = this.stageResults['stage2-kernel-loader'];
+        const init = this.stageResults['stage3-init'];
+        const initSystem = this.getInitSystem();
+        
+        return {
+            success: this.bootStatus.initialized,
+            mode: this.mode,
+            host: this.host.name,
+            bootTime: this.bootStatus.endTime ? this.bootStatus.endTime - this.bootStatus.startTime : null,
+            errors: [...this.bootStatus.errors],
+            stages: this.stages.map(stageName => ({
+                name: stageName,
+                executed: Boolean(this.stageResults[stageName]),
+                success: this.stageResults[stageName] ? this.stageResults[stageName].success : false,
+                error: this.stageResults[stageName] ? this.stageResults[stageName].error || null : null
+            })),
+            hardware: bios && bios.success ? {
+                memory: bios.memory.total,
+                cores: bios.cpu.cores,
+                devices: bios.devices.map(device => device.type),
+                policy: bios.capabilities.policy,
+                integrity: bios.integrity
+            } : null,
+            kernel: kernel && kernel.success ? {
+                modules: Object.keys(kernel.modules),
+                symbols: kernel.symbols,
+                status: kernel.kernelStatus
+            } : null,
+            init: init && init.success ? {
+                runlevel: init.runlevel,
+                units: initSystem ? initSystem.list().map(unit => ({ name: unit.name, status: unit.status, pid: unit.pid })) : [],
+                systemStatus: init.systemStatus
+            } : null,
+            integrity: this.verifiedBoot ? this.verifiedBoot.getReport() : null,
+            resume: this.resumeInfo,
+            log: this.klog.getStats(),
+            events: this.host.getEvents().map(event => event.type),
+            timeline: this.tracer.getSummary()
         };
     }
 
+    /**
+     * Reporte de la etapa que falló en el último arranque fallido
+     */
+    getFailedBootReport() {
+        return this.recovery.getFailedReport();
+    }
+
+    /**
+     * Restaura la última configuración de boot con la que el sistema arrancó bien
+     */
+    rollbackConfig() {
+        this.bootConfig = this.recovery.rollbackConfig();
+        this.console.log('↩️ Configuración de boot restaurada a la última versión válida');
+        return this.bootConfig;
+    }
+
+    /**
+     * Guarda una nueva configuración de boot para el próximo arranque
+     */
+    setBootConfig(config) {
+        this.bootConfig = this.recovery.saveConfig({ ...config });
+        return this.bootConfig;
+    }
+
+    /**
+     * Sale del modo de recuperación y reintenta un arranque normal
+     */
+    async retryNormalBoot() {
+        this.recovery.reset();
+        return this.reboot({ mode: 'normal' });
+    }
+
+    /**
+     * Línea de tiempo del arranque como árbol de spans
+     */
+    getBootTimeline() {
+        return this.tracer.getTimeline();
+    }
+
+    /**
+     * Exporta el perfil de arranque en formato Chrome Trace Event (JSON)
+     * Se puede abrir en chrome://tracing o ui.perfetto.dev
+     */
+    exportBootProfile() {
+        return this.tracer.exportProfile();
+    }
+
     /**
      * Reinicia el sistema
      */
-    async reboot() {
-        console.log('🔄 Reiniciando yOS WebOS...');
+    async reboot(options = {}) {
+        this.console.log('🔄 Reiniciando yOS WebOS...');
         
         // Limpiar estado
-        this.currentStage = 0;
-        this.bootStatus.initialized = false;
-        this.kernelModules = {};
-        this.systemServices = {};
+        this.resetBootState();
         
         // Simular tiempo de reinicio
         await this.delay(500);
         
         // Volver a iniciar
-        return this.start();
+        return this.start(options);
+    }
+
+    /**
+     * Limpia el estado del arranque anterior
+     */
+    resetBootState() {
+        this.stopWatchingServices();
+        this.stopInterrupts();
+        this.currentStage = 0;
+        this.bootStatus.initialized = false;
+        this.kernelModules = {};
+        this.systemServices = {};
+        this.stageInstances = {};
+        this.stageResults = {};
     }
 }
 
@@ -245,18 +878,22 @@ if (typeof window !== 'undefined') {
 if (typeof window !== 'undefined' && window.addEventListener) {
     window.addEventListener('DOMContentLoaded', async () => {
         const bootLoader = new BootLoader();
-        const result = await bootLoader.start();
+        window.yOS.bootLoader = bootLoader;
         
-        // Publicar evento de boot completado
-        if (result.success) {
-            window.dispatchEvent(new CustomEvent('yOS:boot:complete', {
-                detail: result
-            }));
-        } else {
-            window.dispatchEvent(new CustomEvent('yOS:boot:error', {
-                detail: result
-            }));
-        }
+        // Pantalla de arranque: progreso, logs y opciones de reintento o recuperación
+        const { default: BootSplash } = await import('./boot-splash.js');
+        new BootSplash(bootLoader).attach();
+        
+        // La consola de recuperación aparece en cada arranque en modo de recuperación
+        // (también tras reiniciar desde la pantalla de arranque o desde la propia consola)
+        bootLoader.host.addEventListener('yOS:boot:recovery', async () => {
+            const { default: RecoveryConsole } = await import('./recovery-console.js');
+            new RecoveryConsole(bootLoader).show();
+        });
+        // La imagen para reanudar en la próxima carga se guarda al ocultar o cerrar la página
+        bootLoader.attachPageLifecycle();
+        
+        await bootLoader.start();
     });
 }
 
@@ -0,0 +1,228 @@
+/**
+ * yOS WebOS - Recovery Console
+ * Consola de texto del modo de recuperación (runlevel 1)
+ * Permite inspeccionar el arranque fallido, restaurar la configuración y reintentar
+ */
+
+class RecoveryConsole {
+    constructor(bootLoader, options = {}) {
+        this.bootLoader = bootLoader;
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.container = null;
+        this.output = null;
+        this.input = null;
+        this.history = [];
+        
+        this.commands = {
+            help: { description: 'Muestra esta ayuda', run: () => this.cmdHelp() },
+            status: { description: 'Estado de recuperación y fallos consecutivos', run: () => this.cmdStatus() },
+            report: { description: 'Reporte del arranque fallido (report <etapa> para el detalle)', run: (args) => this.cmdReport(args) },
+            config: { description: 'Muestra la configuración de boot actual', run: () => this.cmdConfig() },
+            rollback: { description: 'Restaura la última configuración de boot válida', run: () => this.cmdRollback() },
+            retry: { description: 'Sale del modo de recuperación y reintenta un arranque normal', run: () => this.cmdRetry() },
+            reboot: { description: 'Reinicia en modo de recuperación', run: () => this.cmdReboot() },
+            clear: { description: 'Limpia la pantalla', run: () => this.cmdClear() }
+        };
+    }
+
+    /**
+     * Ejecutar una línea de comando y devolver las líneas de salida
+     */
+    async execute(line) {
+        const [name, ...args] = line.trim().split(/\s+/);
+        if (!name) {
+            return [];
+        }
+        
+        this.history.push(line);
+        const command = this.commands[name];
+        if (!command) {
+            return [`${name}: comando no encontrado (escribe "help")`];
+        }
+        
+        try {
+            return await command.run(args);
+        } catch (error) {
+            return [`${name}: ${error.message}`];
+        }
+    }
+
+    cmdHelp() {
+        return [
+            'Comandos disponibles:',
+            ...Object.entries(this.commands).map(([name, command]) => `  ${name.padEnd(10)} ${command.description}`)
+        ];
+    }
+
+    cmdStatus() {
+        const status = this.bootLoader.recovery.getStatus();
+        const lines = [
+            `Modo actual: ${this.bootLoader.mode}`,
+            `Arranques fallidos consecutivos: ${status.consecutiveFailures}/${status.maxFailedBoots}`,
+            `Configuración válida guardada: ${status.hasKnownGoodConfig ? 'sí' : 'no'}`
+        ];
+        
+        if (status.lastSuccess) {
+            lines.push(`Último arranque correcto: ${new Date(status.lastSuccess.timestamp).toLocaleString()} (${status.lastSuccess.mode})`);
+        }
+        
+        lines.push('Historial:');
+        for (const entry of status.history) {
+            const outcome = entry.success ? 'OK   ' : 'FALLO';
+            const detail = entry.success ? '' : ` ${entry.stageName}: ${entry.error}`;
+            lines.push(`  ${new Date(entry.timestamp).toLocaleTimeString()} ${outcome} [${entry.mode}]${detail}`);
+        }
+        
+        return lines;
+    }
+
+    cmdReport(args) {
+        const failure = this.bootLoader.getFailedBootReport();
+        if (!failure) {
+            return ['No hay arranques fallidos registrados'];
+        }
+        
+        // Detalle de una etapa concreta
+        if (args.length > 0) {
+            const stage = failure.stages && failure.stages[args[0]];
+            if (!stage) {
+                return [`Etapa sin reporte: ${args[0]}`];
+            }
+            return JSON.stringify(stage, null, 2).split('\n');
+        }
+        
+        const lines = [
+            `Intento #${failure.attempt} - ${new Date(failure.timestamp).toLocaleString()}`,
+            `Etapa fallida: ${failure.stage} (${failure.stageName})`,
+            `Error: ${failure.error}`,
+            'Etapas:'
+        ];
+        
+        for (const [stageName, stage] of Object.entries(failure.stages || {})) {
+            lines.push(`  ${stage.success ? '✅' : '❌'} ${stageName}${stage.error ? ` - ${stage.error}` : ''}`);
+        }
+        
+        if (failure.timeline && failure.timeline.failed.length > 0) {
+            lines.push(`Pasos fallidos: ${failure.timeline.failed.join(', ')}`);
+        }
+        
+        return lines;
+    }
+
+    cmdConfig() {
+        return JSON.stringify(this.bootLoader.bootConfig, null, 2).split('\n');
+    }
+
+    cmdRollback() {
+        if (!this.bootLoader.recovery.getStatus().hasKnownGoodConfig) {
+            return ['No hay una configuración válida guardada; se mantiene la actual'];
+        }
+        
+        const config = this.bootLoader.rollbackConfig();
+        return ['Configuración restaurada:', ...JSON.stringify(config, null, 2).split('\n')];
+    }
+
+    async cmdRetry() {
+        this.hide();
+        const result = await this.bootLoader.retryNormalBoot();
+        return [result.success ? `Arranque ${result.mode} completado` : `El arranque volvió a fallar: ${result.error}`];
+    }
+
+    async cmdReboot() {
+        this.hide();
+        const result = await this.bootLoader.reboot({ mode: 'recovery' });
+        return [result.success ? 'Reiniciado en modo de recuperación' : `Fallo al reiniciar: ${result.error}`];
+    }
+
+    cmdClear() {
+        if (this.output) {
+            this.output.textContent = '';
+        }
+        return [];
+    }
+
+    /**
+     * Mostrar la consola en pantalla completa
+     */
+    show() {
+        if (!this.document || this.container) {
+            return;
+        }
+        
+        const doc = this.document;
+        this.container = doc.createElement('div');
+        this.container.className = 'yos-recovery-console';
+        this.container.style.cssText = [
+            'position: fixed', 'inset: 0', 'z-index: 2147483647',
+            'display: flex', 'flex-direction: column', 'padding: 16px',
+            'background: #000', 'color: #c0c0c0',
+            'font: 14px/1.4 monospace'
+        ].join(';');
+        
+        this.output = doc.createElement('pre');
+        this.output.style.cssText = 'flex: 1; margin: 0; overflow: auto; white-space: pre-wrap;';
+        
+        const prompt = doc.createElement('label');
+        prompt.style.cssText = 'display: flex; gap: 8px;';
+        prompt.textContent = 'recovery#';
+        
+        this.input = doc.createElement('input');
+        this.input.type = 'text';
+        this.input.autocomplete = 'off';
+        this.input.setAttribute('aria-label', 'Comando de recuperación');
+        this.input.style.cssText = 'flex: 1; background: transparent; border: none; outline: none; color: inherit; font: inherit;';
+        this.input.addEventListener('keydown', (event) => this.handleKeydown(event));
+        
+        prompt.appendChild(this.input);
+        this.container.appendChild(this.output);
+        this.container.appendChild(prompt);
+        doc.body.appendChild(this.container);
+        
+        this.print([
+            'yOS WebOS - Modo de recuperación (runlevel 1)',
+            ''
+        ]);
+        this.print(this.cmdReport([]));
+        this.print(['', 'Escribe "help" para ver los comandos disponibles', '']);
+        this.input.focus();
+    }
+
+    /**
+     * Ocultar la consola
+     */
+    hide() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+        this.output = null;
+        this.input = null;
+    }
+
+    async handleKeydown(event) {
+        if (event.key !== 'Enter') {
+            return;
+        }
+        
+        const line = this.input.value;
+        this.input.value = '';
+        this.print([`recovery# ${line}`]);
+        this.print(await this.execute(line));
+    }
+
+    print(lines) {
+        if (!this.output) {
+            return;
+        }
+        this.output.textContent += lines.map(line => `${line}\n`).join('');
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.RecoveryConsole = RecoveryConsole;
+}
+
+export default RecoveryConsole;
@@ -0,0 +1,191 @@
+/**
+ * yOS WebOS - Boot Recovery
+ * Historial de arranques fallidos, configuración de boot y última configuración válida
+ */
+
+const RECOVERY_KEY = 'yOS:boot:recovery';
+const CONFIG_KEY = 'yOS:boot:config';
+const HISTORY_LIMIT = 10;
+
+class BootRecovery {
+    constructor(options = {}) {
+        this.maxFailedBoots = options.maxFailedBoots || 3;
+        this.storage = options.storage || BootRecovery.getDefaultStorage();
+        this.state = this.load();
+    }
+
+    /**
+     * Cargar el estado de recuperación persistido
+     */
+    load() {
+        const defaults = {
+            consecutiveFailures: 0,
+            lastFailure: null,
+            lastSuccess: null,
+            knownGoodConfig: null,
+            history: []
+        };
+        
+        try {
+            const raw = this.storage.getItem(RECOVERY_KEY);
+            return raw ? { ...defaults, ...JSON.parse(raw) } : defaults;
+        } catch (error) {
+            console.warn('⚠️ Estado de recuperación corrupto, se reinicia:', error.message);
+            return defaults;
+        }
+    }
+
+    /**
+     * Persistir el estado de recuperación
+     */
+    save() {
+        try {
+            this.storage.setItem(RECOVERY_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ No se pudo guardar el estado de recuperación:', error.message);
+        }
+    }
+
+    /**
+     * Indica si el próximo arranque debe ser en modo de recuperación
+     */
+    shouldEnterRecovery() {
+        return this.state.consecutiveFailures >= this.maxFailedBoots;
+    }
+
+    /**
+     * Registrar un arranque fallido con el reporte de la etapa que falló
+     */
+    recordFailure(failure) {
+        this.state.consecutiveFailures++;
+        this.state.lastFailure = {
+            ...failure,
+            attempt: this.state.consecutiveFailures,
+            timestamp: Date.now()
+        };
+        
+        this.pushHistory({
+            success: false,
+            mode: failure.mode,
+            stageName: failure.stageName,
+            error: failure.error
+        });
+        this.save();
+        
+        return this.state.lastFailure;
+    }
+
+    /**
+     * Registrar un arranque exitoso
+     * Solo un arranque normal reinicia el contador y actualiza la configuración válida
+     */
+    recordSuccess(config, mode = 'normal') {
+        if (mode === 'normal') {
+            this.state.consecutiveFailures = 0;
+            this.state.knownGoodConfig = this.clone(config);
+        }
+        
+        this.state.lastSuccess = { mode: mode, timestamp: Date.now() };
+        this.pushHistory({ success: true, mode: mode });
+        this.save();
+    }
+
+    /**
+     * Reporte del último arranque fallido
+     */
+    getFailedReport() {
+        return this.state.lastFailure;
+    }
+
+    /**
+     * Reiniciar el contador de fallos (p. ej. al reintentar desde la consola)
+     */
+    reset() {
+        this.state.consecutiveFailures = 0;
+        this.save();
+    }
+
+    /**
+     * Cargar la configuración de boot actual
+     */
+    loadConfig() {
+        try {
+            const raw = this.storage.getItem(CONFIG_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.warn('⚠️ Configuración de boot corrupta, se usan valores por defecto:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Guardar la configuración de boot
+     */
+    saveConfig(config) {
+        this.storage.setItem(CONFIG_KEY, JSON.stringify(config || {}));
+        return config;
+    }
+
+    /**
+     * Restaurar la última configuración con la que el sistema arrancó correctamente
+     */
+    rollbackConfig() {
+        const config = this.clone(this.state.knownGoodConfig || {});
+        this.saveConfig(config);
+        return config;
+    }
+
+    /**
+     * Estado de recuperación para la consola y los reportes
+     */
+    getStatus() {
+        return {
+            consecutiveFailures: this.state.consecutiveFailures,
+            maxFailedBoots: this.maxFailedBoots,
+            recoveryRequired: this.shouldEnterRecovery(),
+            lastFailure: this.state.lastFailure,
+            lastSuccess: this.state.lastSuccess,
+            hasKnownGoodConfig: this.state.knownGoodConfig !== null,
+            history: [...this.state.history]
+        };
+    }
+
+    pushHistory(entry) {
+        this.state.history.push({ ...entry, timestamp: Date.now() });
+        if (this.state.history.length > HISTORY_LIMIT) {
+            this.state.history.splice(0, this.state.history.length - HISTORY_LIMIT);
+        }
+    }
+
+    clone(value) {
+        return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * localStorage si existe; si no, almacenamiento en memoria
+     */
+    static getDefaultStorage() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                return localStorage;
+            }
+        } catch (error) {
+            // Acceso a localStorage bloqueado (modo privado, iframes sandbox)
+        }
+        
+        const items = new Map();
+        return {
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key)
+        };
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.BootRecovery = BootRecovery;
+}
+
+export default BootRecovery;
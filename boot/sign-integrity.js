@@ -0,0 +1,112 @@
+/**
+ * yOS WebOS - Firma del manifiesto de integridad
+ * Calcula el SHA-256 de las etapas de boot, los módulos del kernel y las unit files
+ * y escribe boot/integrity.json firmado (ver verified-boot.js)
+ *
+ * De cada etapa, módulo y servicio se sigue el grafo de imports estáticos relativos
+ * (import/export ... from './x.js'): esos ficheros se ejecutan con el import() de su
+ * raíz y también tienen que estar en el manifiesto.
+ *
+ * Línea de comandos (Node):
+ *   node boot/sign-integrity.js --key <clave-privada.jwk> [--key-id yos-release-1]
+ *   node boot/sign-integrity.js --generate-key <clave-privada.jwk>
+ * --generate-key crea un par de claves nuevo e imprime la JWK pública para TRUSTED_KEYS.
+ * La clave privada la custodian los mantenedores: nunca se añade al repositorio.
+ * Flujo completo (desarrollo, publicación, rotación): docs/development/verified-boot.md
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import VerifiedBoot from './verified-boot.js';
+
+const ROOT_URL = new URL('../', import.meta.url);
+const STAGES = ['stage1-bios', 'stage2-kernel-loader', 'stage3-init'];
+
+// import x from './a.js', export { y } from '../b.js', import './c.js'
+const STATIC_IMPORT = /^\s*(?:import|export)\s+(?:[^'";]*?\sfrom\s*)?['"](\.{1,2}\/[^'"]+)['"]/gm;
+
+/**
+ * Añadir a files el fichero y, recursivamente, todo lo que importa estáticamente
+ */
+async function collectImports(path, files) {
+    if (files.has(path)) {
+        return;
+    }
+    files.add(path);
+    const url = new URL(path, ROOT_URL);
+    const source = await readFile(url, 'utf8');
+    for (const match of source.matchAll(STATIC_IMPORT)) {
+        await collectImports(VerifiedBoot.relativePath(new URL(match[1], url)), files);
+    }
+}
+
+/**
+ * Ficheros cubiertos por el arranque verificado (rutas relativas a la raíz)
+ */
+async function collectFiles() {
+    const readJSON = async (path) => JSON.parse(await readFile(new URL(path, ROOT_URL), 'utf8'));
+    const files = new Set();
+    for (const stage of STAGES) {
+        await collectImports(`boot/${stage}.js`, files);
+    }
+
+    const { modules } = await readJSON('kernel/modules.json');
+    files.add('kernel/modules.json');
+    for (const entry of Object.values(modules)) {
+        await collectImports(`kernel/${entry.path}`, files);
+    }
+
+    const index = await readJSON('boot/init.d/index.json');
+    files.add('boot/init.d/index.json');
+    for (const file of index.units) {
+        const unit = await readJSON(`boot/init.d/${file}`);
+        files.add(`boot/init.d/${file}`);
+        if (unit.exec && unit.exec.module) {
+            await collectImports(VerifiedBoot.relativePath(new URL(unit.exec.module, new URL('boot/', ROOT_URL))), files);
+        }
+    }
+
+    return [...files];
+}
+
+async function signManifest(keyPath, keyId) {
+    const { subtle } = globalThis.crypto;
+    const jwk = JSON.parse(await readFile(keyPath, 'utf8'));
+    const privateKey = await subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+
+    const manifest = { version: 1, algorithm: 'SHA-256', files: {} };
+    for (const path of (await collectFiles()).sort()) {
+        manifest.files[path] = await VerifiedBoot.digest(subtle, await readFile(new URL(path, ROOT_URL)));
+    }
+    manifest.signature = {
+        keyId: keyId,
+        algorithm: 'ECDSA-P256-SHA256',
+        value: await VerifiedBoot.sign(subtle, manifest, privateKey)
+    };
+
+    await writeFile(new URL('boot/integrity.json', ROOT_URL), `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifest;
+}
+
+async function generateKey(keyPath) {
+    const { subtle } = globalThis.crypto;
+    const pair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    await writeFile(keyPath, JSON.stringify(await subtle.exportKey('jwk', pair.privateKey)), { mode: 0o600 });
+
+    const { kty, crv, x, y } = await subtle.exportKey('jwk', pair.publicKey);
+    return { kty, crv, x, y };
+}
+
+const args = process.argv.slice(2);
+const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+if (option('--generate-key')) {
+    const publicKey = await generateKey(option('--generate-key'));
+    console.log('🔑 Clave pública para TRUSTED_KEYS (boot/verified-boot.js):');
+    console.log(JSON.stringify(publicKey, null, 4));
+} else if (option('--key')) {
+    const manifest = await signManifest(option('--key'), option('--key-id') || 'yos-release-1');
+    console.log(`🔏 boot/integrity.json firmado por ${manifest.signature.keyId} (${Object.keys(manifest.files).length} ficheros)`);
+} else {
+    console.log('Uso: node boot/sign-integrity.js --key <clave-privada.jwk> [--key-id id] | --generate-key <clave-privada.jwk>');
+    process.exitCode = 1;
+}
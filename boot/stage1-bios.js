@@ -1,89 +1,171 @@
 /**
  * yOS WebOS - Stage 1 BIOS
- * Simulación del BIOS del sistema
+ * BIOS del sistema: detecta el hardware real a partir de las capacidades del host
  */
 
+import BootTracer, { trace } from './boot-tracer.js';
+import KernelLog from '../kernel/core/klog.js';
+import CapabilityProbe from './capability-probe.js';
+import BootHost from './host.js';
+import Hibernation from './hibernation.js';
+
 class Stage1BIOS {
-    constructor() {
+    constructor(options = {}) {
         this.name = 'stage1-bios';
+        this.tracer = options.tracer || new BootTracer();
+        this.klog = options.klog || new KernelLog();
+        this.console = this.klog.logger('bios');
+        this.host = options.host || BootHost.detect();
+        // Sondas inyectables (navigator falso en Node)
+        this.probe = options.capabilityProbe || new CapabilityProbe({ env: this.host.getProbeEnvironment() });
+        this.verifiedBoot = options.verifiedBoot || null;
+        this.resuming = false;
         this.version = '1.0.0';
+        this.capabilities = null;
         this.hardware = {};
         this.memory = {};
         this.cpuInfo = {};
         this.devices = [];
     }
 
-    async execute() {
-        console.log('🔧 Ejecutando Stage 1 - BIOS Emulado');
+    /**
+     * @param {Object} bootInfo - Entrada del bootloader (Stage 1 es la primera etapa)
+     * @param {Object} [span] - Span de la etapa, padre de sus pasos
+     */
+    async execute(bootInfo = {}, span = null) {
+        this.console.log('🔧 Ejecutando Stage 1 - BIOS Emulado');
         
         try {
             // 1. Detectar hardware virtual
-            await this.detectHardware();
+            await trace(this, span, 'detectHardware', () => this.detectHardware());
             
             // 2. Inicializar memoria
-            await this.initializeMemory();
+            await trace(this, span, 'initializeMemory', () => this.initializeMemory());
             
             // 3. Configurar CPU virtual
-            await this.configureCPU();
+            await trace(this, span, 'configureCPU', () => this.configureCPU());
             
             // 4. Escanear dispositivos
-            await this.scanDevices();
+            await trace(this, span, 'scanDevices', () => this.scanDevices());
             
             // 5. Preparar entorno de ejecución
-            await this.prepareEnvironment();
+            await trace(this, span, 'prepareEnvironment', () => this.prepareEnvironment());
             
             // 6. Verificar integridad del sistema
-            const integrityCheck = await this.checkSystemIntegrity();
+            const integrityCheck = await trace(this, span, 'checkSystemIntegrity', () => this.checkSystemIntegrity());
             
             if (!integrityCheck.passed) {
                 throw new Error(`Fallo en verificación de integridad: ${integrityCheck.errors.join(', ')}`);
             }
             
-            console.log('✅ Stage 1 - BIOS completado exitosamente');
+            this.console.log('✅ Stage 1 - BIOS completado exitosamente');
             
+            return this.getResult(integrityCheck);
+            
+        } catch (error) {
+            this.console.error('❌ Error en Stage 1 BIOS:', error);
             return {
-                success: true,
-                hardware: this.hardware,
-                memory: this.memory,
-                cpu: this.cpuInfo,
-                devices: this.devices,
-                integrity: integrityCheck
+                success: false,
+                error: error.message,
+                stage: this.name
             };
+        }
+    }
+
+    /**
+     * Reanudar desde la imagen de hibernación: hardware de la imagen, sin sondas ni retardos
+     * @param {Object} state - Estado guardado por snapshot()
+     * @param {Object} bootInfo - Entrada del bootloader
+     * @param {Object} [span] - Span de la etapa
+     */
+    async restore(state, bootInfo = {}, span = null) {
+        this.console.log('⚡ Reanudando Stage 1 - BIOS desde la imagen de hibernación');
+        this.resuming = true;
+        
+        try {
+            this.hardware = state.hardware;
+            this.memory = state.memory;
+            this.cpuInfo = state.cpuInfo;
+            this.devices = state.devices;
+            this.capabilities = state.capabilities;
+            this.publishCapabilities();
+            this.setupEventHandlers();
+            
+            // La integridad se comprueba siempre con el arranque verificado actual
+            const integrityCheck = await trace(this, span, 'checkSystemIntegrity', () => this.checkSystemIntegrity());
+            if (!integrityCheck.passed) {
+                throw new Error(`Fallo en verificación de integridad: ${integrityCheck.errors.join(', ')}`);
+            }
             
+            this.console.log('✅ Stage 1 - BIOS reanudado');
+            return this.getResult(integrityCheck);
+        
         } catch (error) {
-            console.error('❌ Error en Stage 1 BIOS:', error);
+            this.console.error('❌ Error reanudando Stage 1 BIOS:', error);
             return {
                 success: false,
                 error: error.message,
                 stage: this.name
             };
+        } finally {
+            this.resuming = false;
         }
     }
 
     /**
-     * Detección de hardware virtual
+     * Estado del BIOS para la imagen de hibernación
+     */
+    snapshot() {
+        return Hibernation.serialize({
+            hardware: this.hardware,
+            memory: this.memory,
+            cpuInfo: this.cpuInfo,
+            devices: this.devices,
+            capabilities: this.capabilities
+        });
+    }
+
+    getResult(integrityCheck) {
+        return {
+            success: true,
+            hardware: this.hardware,
+            memory: this.memory,
+            cpu: this.cpuInfo,
+            devices: this.devices,
+            capabilities: this.capabilities,
+            integrity: integrityCheck
+        };
+    }
+
+    /**
+     * Detección del hardware a partir de las capacidades del host
      */
     async detectHardware() {
-        console.log('  🔍 Detectando hardware...');
+        this.console.log('  🔍 Detectando hardware...');
         
-        // Simular detección de hardware
-        await this.delay(50);
+        this.capabilities = await this.probe.run();
+        this.publishCapabilities();
+        
+        const navigator = this.probe.env.navigator;
+        const capabilities = this.capabilities.capabilities;
         
         this.hardware = {
-            platform: 'Web Browser',
+            platform: this.host.name === 'browser' ? 'Web Browser' : 'Headless',
             vendor: navigator.vendor || 'Unknown',
-            userAgent: navigator.userAgent,
-            cores: navigator.hardwareConcurrency || 4,
+            userAgent: navigator.userAgent || '',
+            cores: capabilities.cpu.cores,
             maxTouchPoints: navigator.maxTouchPoints || 0,
-            deviceMemory: navigator.deviceMemory || 4, // GB
+            deviceMemory: navigator.deviceMemory || null, // GB (null si el navegador no lo expone)
             connection: navigator.connection ? {
                 effectiveType: navigator.connection.effectiveType,
                 downlink: navigator.connection.downlink,
                 rtt: navigator.connection.rtt
-            } : null
+            } : null,
+            renderer: this.capabilities.policy.renderer
         };
         
-        console.log(`  ✅ Hardware detectado: ${this.hardware.platform}`);
+        const available = Object.keys(capabilities).filter(name => capabilities[name].available);
+        this.console.log(`  ✅ Hardware detectado: ${this.hardware.platform} (${available.length}/${Object.keys(capabilities).length} capacidades: ${available.join(', ')})`);
         return this.hardware;
     }
 
@@ -91,17 +173,17 @@ class Stage1BIOS {
      * Inicialización de memoria
      */
     async initializeMemory() {
-        console.log('  💾 Inicializando memoria...');
-        
-        await this.delay(30);
+        this.console.log('  💾 Inicializando memoria...');
         
-        // Simular configuración de memoria
-        const totalMemory = 4 * 1024 * 1024 * 1024; // 4GB en bytes
-        const availableMemory = Math.floor(totalMemory * 0.8); // 80% disponible
+        // navigator.deviceMemory / performance.memory (valor conservador si no hay datos)
+        const detected = this.capabilities.memory;
+        const totalMemory = detected.total;
+        const availableMemory = detected.available;
         
         this.memory = {
             total: totalMemory,
             available: availableMemory,
+            source: detected.source,
             used: 0,
             pages: {
                 size: 4096, // 4KB por página
@@ -140,7 +222,7 @@ class Stage1BIOS {
             ]
         };
         
-        console.log(`  ✅ Memoria inicializada: ${this.formatBytes(this.memory.total)} total`);
+        this.console.log(`  ✅ Memoria inicializada: ${this.formatBytes(this.memory.total)} total (${detected.source})`);
         return this.memory;
     }
 
@@ -148,19 +230,25 @@ class Stage1BIOS {
      * Configuración de CPU virtual
      */
     async configureCPU() {
-        console.log('  ⚙️ Configurando CPU...');
-        
-        await this.delay(25);
+        this.console.log('  ⚙️ Configurando CPU...');
+        
+        // Las "extensiones" de la CPU virtual son las capacidades de ejecución del host
+        const cpuFeatures = {
+            webAssembly: 'WASM',
+            sharedArrayBuffer: 'SAB',
+            workers: 'SMP',
+            offscreenCanvas: 'OFFSCREEN',
+            webCrypto: 'CRYPTO'
+        };
         
         this.cpuInfo = {
-            architecture: 'x86_64',
+            architecture: 'web',
             vendor: 'yOS Virtual CPU',
             model: 'vCPU-1.0',
-            frequency: '2.4 GHz',
-            features: [
-                'MMU', 'FPU', 'SSE', 'SSE2', 'SSE3',
-                'Virtualization', 'HyperThreading'
-            ],
+            cores: this.capabilities.capabilities.cpu.cores,
+            features: Object.entries(cpuFeatures)
+                .filter(([capability]) => this.probe.has(capability))
+                .map(([, feature]) => feature),
             registers: {
                 general: 16,
                 floating: 8,
@@ -175,26 +263,28 @@ class Stage1BIOS {
             }
         };
         
-        console.log(`  ✅ CPU configurada: ${this.cpuInfo.model}`);
+        this.console.log(`  ✅ CPU configurada: ${this.cpuInfo.model} (${this.cpuInfo.cores} núcleos, ${this.cpuInfo.features.join(' ') || 'sin extensiones'})`);
         return this.cpuInfo;
     }
 
     /**
-     * Escaneo de dispositivos virtuales
+     * Escaneo de dispositivos a partir de las capacidades detectadas
      */
     async scanDevices() {
-        console.log('  🔌 Escaneando dispositivos...');
+        this.console.log('  🔌 Escaneando dispositivos...');
         
-        await this.delay(40);
+        const { capabilities, policy } = this.capabilities;
+        const screen = this.host.display;
         
-        // Dispositivos virtuales predefinidos
+        // Entrada y pantalla siempre presentes (dispositivos virtuales del escritorio)
         this.devices = [
             {
                 id: 'dev-001',
                 type: 'display',
                 name: 'Virtual Display',
                 manufacturer: 'yOS Graphics',
-                resolution: '1920x1080',
+                resolution: `${screen.width}x${screen.height}`,
+                renderer: policy.renderer,
                 status: 'connected'
             },
             {
@@ -218,25 +308,37 @@ class Stage1BIOS {
                 type: 'storage',
                 name: 'Virtual Storage',
                 manufacturer: 'yOS Storage',
-                capacity: '10GB',
-                interface: 'SATA',
+                capacity: capabilities.storage.available ? this.formatBytes(capabilities.storage.quota) : 'volátil',
+                interface: policy.vfsDriver === 'indexeddb' ? 'IndexedDB' : 'RAM',
                 status: 'connected'
-            },
-            {
+            }
+        ];
+        
+        if (capabilities.webAudio.available) {
+            this.devices.push({
                 id: 'dev-005',
                 type: 'audio',
-                name: 'Virtual Audio',
-                manufacturer: 'yOS Multimedia',
+                name: 'Web Audio',
+                manufacturer: 'Browser',
                 channels: 2,
-                sampleRate: '44100Hz',
                 status: 'connected'
-            }
-        ];
+            });
+        }
         
-        // Añadir dispositivos reales detectados
-        if (navigator.mediaDevices) {
+        if (policy.renderer !== 'canvas2d') {
             this.devices.push({
                 id: 'dev-006',
+                type: 'gpu',
+                name: policy.renderer === 'webgpu' ? 'WebGPU Adapter' : 'WebGL Context',
+                manufacturer: 'Browser',
+                status: 'connected'
+            });
+        }
+        
+        // Añadir dispositivos reales detectados
+        if (capabilities.mediaDevices.available) {
+            this.devices.push({
+                id: 'dev-007',
                 type: 'camera',
                 name: 'Web Camera',
                 manufacturer: 'Browser',
@@ -244,7 +346,7 @@ class Stage1BIOS {
             });
             
             this.devices.push({
-                id: 'dev-007',
+                id: 'dev-008',
                 type: 'microphone',
                 name: 'Web Microphone',
                 manufacturer: 'Browser',
@@ -252,7 +354,7 @@ class Stage1BIOS {
             });
         }
         
-        console.log(`  ✅ ${this.devices.length} dispositivos detectados`);
+        this.console.log(`  ✅ ${this.devices.length} dispositivos detectados`);
         return this.devices;
     }
 
@@ -260,10 +362,13 @@ class Stage1BIOS {
      * Preparar entorno de ejecución
      */
     async prepareEnvironment() {
-        console.log('  🛠️ Preparando entorno de ejecución...');
+        this.console.log('  🛠️ Preparando entorno de ejecución...');
         
         await this.delay(20);
         
+        const navigator = this.host.navigator;
+        const screen = this.host.display;
+        
         // Configurar variables de entorno
         const env = {
             OS_NAME: 'yOS WebOS',
@@ -271,9 +376,9 @@ class Stage1BIOS {
             ARCHITECTURE: 'web',
             LANG: navigator.language || 'en-US',
             TIMEZONE: Intl.DateTimeFormat().resolvedOptions().timeZone,
-            SCREEN_RESOLUTION: `${window.screen.width}x${window.screen.height}`,
-            COLOR_DEPTH: window.screen.colorDepth,
-            PIXEL_RATIO: window.devicePixelRatio || 1
+            SCREEN_RESOLUTION: `${screen.width}x${screen.height}`,
+            COLOR_DEPTH: screen.colorDepth,
+            PIXEL_RATIO: screen.pixelRatio
         };
         
         // Configurar tabla de vectores de interrupción
@@ -282,7 +387,7 @@ class Stage1BIOS {
         // Configurar manejadores de eventos del sistema
         this.setupEventHandlers();
         
-        console.log('  ✅ Entorno de ejecución preparado');
+        this.console.log('  ✅ Entorno de ejecución preparado');
         
         return {
             environment: env,
@@ -294,7 +399,7 @@ class Stage1BIOS {
      * Verificar integridad del sistema
      */
     async checkSystemIntegrity() {
-        console.log('  🔐 Verificando integridad del sistema...');
+        this.console.log('  🔐 Verificando integridad del sistema...');
         
         await this.delay(35);
         
@@ -309,11 +414,18 @@ class Stage1BIOS {
             checks.push('Memoria: OK');
         }
         
-        // Verificación 2: CPU compatible
-        if (!this.cpuInfo.features.includes('MMU')) {
-            errors.push('CPU no compatible (MMU requerido)');
+        // Verificación 2: capacidades del host
+        const { missingRequired, policy } = this.capabilities;
+        if (missingRequired.length > 0) {
+            errors.push(`Capacidades requeridas no disponibles: ${missingRequired.join(', ')}`);
         } else {
-            checks.push('CPU: OK');
+            checks.push('Capacidades: OK');
+        }
+        if (!policy.compositorEffects) {
+            warnings.push(`Efectos del compositor desactivados (renderizador ${policy.renderer})`);
+        }
+        if (policy.vfsDriver === 'memory') {
+            warnings.push('IndexedDB no disponible: el VFS no persistirá los datos');
         }
         
         // Verificación 3: Display disponible
@@ -334,8 +446,9 @@ class Stage1BIOS {
         
         // Verificación 5: Navegador compatible
         const compatibleBrowsers = ['Chrome', 'Firefox', 'Safari', 'Edge'];
+        const userAgent = this.probe.env.navigator.userAgent || '';
         const isCompatible = compatibleBrowsers.some(browser => 
-            navigator.userAgent.includes(browser)
+            userAgent.includes(browser)
         );
         
         if (!isCompatible) {
@@ -344,6 +457,21 @@ class Stage1BIOS {
             checks.push('Navegador: OK');
         }
         
+        // Verificación 6: arranque verificado (con integrity=enforce los fallos ya abortaron el arranque)
+        if (this.verifiedBoot && this.verifiedBoot.enabled) {
+            const integrity = this.verifiedBoot.getReport();
+            if (integrity.manifest.signatureValid) {
+                checks.push(`Arranque verificado: OK (${integrity.manifest.keyId})`);
+            } else {
+                warnings.push(`Arranque verificado: manifiesto no válido (${this.verifiedBoot.signature.error})`);
+            }
+            for (const failure of integrity.failures) {
+                warnings.push(`Arranque verificado: ${failure.path} ${failure.error}`);
+            }
+        } else {
+            warnings.push('Arranque verificado desactivado');
+        }
+        
         return {
             passed: errors.length === 0,
             checks: checks,
@@ -387,19 +515,29 @@ class Stage1BIOS {
         };
     }
 
+    /**
+     * Perfil de capacidades consultado por el resto del sistema
+     */
+    publishCapabilities() {
+        if (typeof window !== 'undefined') {
+            window.yOS = window.yOS || {};
+            window.yOS.capabilities = this.capabilities;
+        }
+    }
+
     /**
      * Configurar manejadores de eventos del sistema
      */
     setupEventHandlers() {
         // Manejador de errores global
-        window.addEventListener('error', (event) => {
-            console.error('Error del sistema:', event.error);
+        this.host.addEventListener('error', (event) => {
+            this.console.error('Error del sistema:', event.error);
             // Aquí se manejarían errores críticos
         });
         
         // Manejador de rechazo de promesas
-        window.addEventListener('unhandledrejection', (event) => {
-            console.error('Promesa rechazada no manejada:', event.reason);
+        this.host.addEventListener('unhandledrejection', (event) => {
+            this.console.error('Promesa rechazada no manejada:', event.reason);
         });
     }
 
@@ -420,9 +558,12 @@ class Stage1BIOS {
     }
 
     /**
-     * Utilidad: Retardo simulado
+     * Utilidad: Retardo simulado (se omite al reanudar desde hibernación)
      */
     delay(ms) {
+        if (this.resuming) {
+            return Promise.resolve();
+        }
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
@@ -437,6 +578,7 @@ class Stage1BIOS {
             memory: this.memory,
             cpu: this.cpuInfo,
             devices: this.devices,
+            capabilities: this.capabilities,
             timestamp: Date.now()
         };
     }
@@ -3,67 +3,168 @@
  * Carga e inicializa los módulos del kernel
  */
 
+import BootTracer, { trace } from './boot-tracer.js';
+import KernelInitializer from './kernel-init.js';
+import KernelModuleLoader from '../kernel/core/module-loader.js';
+import KernelLog from '../kernel/core/klog.js';
+import BootHost from './host.js';
+import Hibernation from './hibernation.js';
+
 class Stage2KernelLoader {
-    constructor() {
+    constructor(options = {}) {
         this.name = 'stage2-kernel-loader';
+        this.tracer = options.tracer || new BootTracer();
+        this.klog = options.klog || new KernelLog();
+        this.console = this.klog.logger('kernel');
+        this.recovery = options.recovery || false;
+        this.cmdlineOverrides = options.cmdlineOverrides || [];
+        this.host = options.host || BootHost.detect();
+        this.verifiedBoot = options.verifiedBoot || null;
+        this.resuming = false;
+        this.kernel = null;
+        this.bootParams = {};
         this.version = '1.0.0';
         this.kernelBase = 0x100000; // Dirección base del kernel en memoria
         this.modules = {};
+        this.moduleLoader = null;
         this.symbols = {};
         this.memoryMap = {};
+        this.physicalMemory = null;
+        this.devices = [];
+        this.capabilities = null;
     }
 
-    async execute() {
-        console.log('⚙️ Ejecutando Stage 2 - Kernel Loader');
+    /**
+     * @param {Object} biosInfo - Resultado de Stage 1 (memoria, CPU, dispositivos)
+     * @param {Object} [span] - Span de la etapa, padre de sus pasos
+     */
+    async execute(biosInfo = {}, span = null) {
+        this.console.log('⚙️ Ejecutando Stage 2 - Kernel Loader');
+        
+        this.physicalMemory = biosInfo.memory || null;
+        this.devices = biosInfo.devices || [];
+        this.capabilities = biosInfo.capabilities || null;
         
         try {
             // 1. Configurar espacio de direcciones del kernel
-            await this.setupKernelAddressSpace();
-            
-            // 2. Cargar módulos esenciales del kernel
-            await this.loadEssentialModules();
-            
-            // 3. Resolver símbolos y dependencias
-            await this.resolveSymbols();
-            
-            // 4. Inicializar subsistemas del kernel
-            await this.initializeKernelSubsystems();
+            await trace(this, span, 'setupKernelAddressSpace', () => this.setupKernelAddressSpace());
             
-            // 5. Configurar tabla de llamadas al sistema
-            await this.setupSystemCallTable();
+            // 2. Inicializar el kernel (línea de comandos, tablas, interrupciones...)
+            await trace(this, span, 'initializeKernel', (step) => this.initializeKernel(step));
             
-            // 6. Verificar estado del kernel
-            const kernelStatus = await this.verifyKernelStatus();
+            // 3-7. Módulos, símbolos, subsistemas, syscalls y estado del kernel
+            const kernelStatus = await this.startKernel(span);
             
-            if (!kernelStatus.healthy) {
-                throw new Error(`Kernel no saludable: ${kernelStatus.issues.join(', ')}`);
-            }
+            this.console.log('✅ Stage 2 - Kernel Loader completado exitosamente');
             
-            console.log('✅ Stage 2 - Kernel Loader completado exitosamente');
+            return this.getResult(kernelStatus);
             
+        } catch (error) {
+            this.console.error('❌ Error en Stage 2 Kernel Loader:', error);
             return {
-                success: true,
-                modules: this.modules,
-                symbols: Object.keys(this.symbols).length,
-                memoryMap: this.memoryMap,
-                kernelStatus: kernelStatus
+                success: false,
+                error: error.message,
+                stage: this.name
             };
+        }
+    }
+
+    /**
+     * Reanudar desde la imagen de hibernación
+     * Las tablas del kernel se restauran de la imagen; los módulos se vuelven a cargar
+     * porque su código no forma parte de la imagen
+     * @param {Object} state - Estado guardado por snapshot()
+     * @param {Object} biosInfo - Resultado de Stage 1
+     * @param {Object} [span] - Span de la etapa
+     */
+    async restore(state, biosInfo = {}, span = null) {
+        this.console.log('⚡ Reanudando Stage 2 - Kernel Loader desde la imagen de hibernación');
+        
+        this.physicalMemory = biosInfo.memory || null;
+        this.devices = biosInfo.devices || [];
+        this.capabilities = biosInfo.capabilities || null;
+        this.resuming = true;
+        
+        try {
+            this.memoryMap = state.memoryMap;
+            
+            await trace(this, span, 'restoreKernel', () => this.restoreKernel(state.kernel));
+            const kernelStatus = await this.startKernel(span);
             
+            this.console.log('✅ Stage 2 - Kernel Loader reanudado');
+            return this.getResult(kernelStatus);
+        
         } catch (error) {
-            console.error('❌ Error en Stage 2 Kernel Loader:', error);
+            this.console.error('❌ Error reanudando Stage 2 Kernel Loader:', error);
             return {
                 success: false,
                 error: error.message,
                 stage: this.name
             };
+        } finally {
+            this.resuming = false;
+        }
+    }
+
+    /**
+     * Estado del kernel para la imagen de hibernación
+     */
+    snapshot() {
+        return {
+            memoryMap: Hibernation.serialize(this.memoryMap),
+            kernel: this.kernel.snapshot()
+        };
+    }
+
+    /**
+     * Pasos 3 a 7: cargar módulos y dejar el kernel listo
+     * @param {Object} [span] - Span de la etapa
+     */
+    async startKernel(span = null) {
+        // 3. Cargar módulos esenciales del kernel
+        await trace(this, span, 'loadEssentialModules', (step) => this.loadEssentialModules(step));
+        
+        // 4. Resolver símbolos y dependencias
+        await trace(this, span, 'resolveSymbols', () => this.resolveSymbols());
+        
+        // 5. Inicializar subsistemas del kernel
+        await trace(this, span, 'initializeKernelSubsystems', (step) => this.initializeKernelSubsystems(step));
+        
+        // 6. Configurar tabla de llamadas al sistema
+        await trace(this, span, 'setupSystemCallTable', () => this.setupSystemCallTable());
+        
+        // 7. Verificar estado del kernel
+        const kernelStatus = await trace(this, span, 'verifyKernelStatus', () => this.verifyKernelStatus());
+        
+        if (!kernelStatus.healthy) {
+            throw new Error(`Kernel no saludable: ${kernelStatus.issues.join(', ')}`);
         }
+        return kernelStatus;
+    }
+
+    getResult(kernelStatus) {
+        return {
+            success: true,
+            modules: this.modules,
+            symbols: Object.keys(this.symbols).length,
+            memoryMap: this.memoryMap,
+            physicalMemory: this.physicalMemory,
+            devices: this.devices,
+            capabilities: this.capabilities,
+            bootParams: this.bootParams,
+            kernel: this.kernel,
+            pidAllocator: this.kernel.pidAllocator,
+            moduleLoader: this.moduleLoader,
+            recovery: this.recovery,
+            kernelStatus: kernelStatus
+        };
     }
 
     /**
      * Configurar espacio de direcciones del kernel
      */
     async setupKernelAddressSpace() {
-        console.log('  🗺️ Configurando espacio de direcciones del kernel...');
+        this.console.log('  🗺️ Configurando espacio de direcciones del kernel...');
         
         await this.delay(60);
         
@@ -104,288 +205,178 @@ class Stage2KernelLoader {
         // Configurar protección de memoria
         await this.setupMemoryProtection();
         
-        console.log('  ✅ Espacio de direcciones configurado');
+        this.console.log('  ✅ Espacio de direcciones configurado');
         return this.memoryMap;
     }
 
     /**
-     * Cargar módulos esenciales del kernel
+     * Inicializar el kernel con la línea de comandos y sus sobrescrituras
+     * @param {Object} [span] - Span padre de los pasos del kernel
      */
-    async loadEssentialModules() {
-        console.log('  📦 Cargando módulos del kernel...');
-        
-        // Módulos esenciales del kernel
-        const essentialModules = [
-            {
-                name: 'scheduler',
-                path: 'kernel/core/scheduler.js',
-                priority: 1,
-                dependencies: [],
-                exports: [
-                    'schedule',
-                    'createProcess',
-                    'terminateProcess',
-                    'yield',
-                    'sleep'
-                ]
-            },
-            {
-                name: 'memory-manager',
-                path: 'kernel/core/memory-manager.js',
-                priority: 1,
-                dependencies: [],
-                exports: [
-                    'kmalloc',
-                    'kfree',
-                    'mapMemory',
-                    'unmapMemory',
-                    'getPhysicalAddress'
-                ]
-            },
-            {
-                name: 'process-manager',
-                path: 'kernel/core/process-manager.js',
-                priority: 1,
-                dependencies: ['scheduler', 'memory-manager'],
-                exports: [
-                    'createProcess',
-                    'terminateProcess',
-                    'getProcessById',
-                    'getAllProcesses',
-                    'sendSignal'
-                ]
-            },
-            {
-                name: 'ipc-system',
-                path: 'kernel/core/ipc-system.js',
-                priority: 2,
-                dependencies: ['process-manager'],
-                exports: [
-                    'createMessageQueue',
-                    'sendMessage',
-                    'receiveMessage',
-                    'createSharedMemory',
-                    'destroySharedMemory'
-                ]
-            },
-            {
-                name: 'syscalls',
-                path: 'kernel/core/syscalls.js',
-                priority: 0, // Muy alta prioridad
-                dependencies: ['process-manager', 'memory-manager'],
-                exports: []
-            }
-        ];
+    async initializeKernel(span = null) {
+        this.console.log('  🎛️ Inicializando kernel...');
+        
+        this.kernel = new KernelInitializer({
+            tracer: this.tracer,
+            cmdlineOverrides: this.cmdlineOverrides,
+            verifiedBoot: this.verifiedBoot,
+            klog: this.klog,
+            host: this.host
+        });
+        
+        const result = await this.kernel.initialize(span);
+        if (!result.success) {
+            throw new Error(`Fallo inicializando el kernel: ${result.error}`);
+        }
+        
+        this.bootParams = this.kernel.bootParams;
+        this.console.log(`  ✅ Kernel inicializado (runlevel=${this.bootParams.runlevel}, loglevel=${this.bootParams.loglevel})`);
+        
+        this.emitCommandLine();
+        return result;
+    }
+
+    /**
+     * Restaurar el kernel de la imagen de hibernación en lugar de initialize()
+     */
+    async restoreKernel(state) {
+        this.kernel = new KernelInitializer({
+            tracer: this.tracer,
+            cmdlineOverrides: this.cmdlineOverrides,
+            verifiedBoot: this.verifiedBoot,
+            klog: this.klog,
+            host: this.host
+        });
+        
+        const result = this.kernel.restore(state);
+        this.bootParams = this.kernel.bootParams;
+        
+        this.emitCommandLine();
+        return result;
+    }
+
+    /**
+     * La pantalla de arranque ajusta su modo a quiet/splash
+     */
+    emitCommandLine() {
+        this.host.dispatch('yOS:boot:cmdline', {
+            cmdline: this.bootParams.cmdline,
+            quiet: Boolean(this.bootParams.quiet),
+            splash: Boolean(this.bootParams.splash),
+            loglevel: this.bootParams.loglevel
+        });
+    }
+
+    /**
+     * Cargar los módulos de arranque del kernel desde kernel/modules.json
+     * @param {Object} [span] - Span padre de la carga de cada módulo
+     */
+    async loadEssentialModules(span = null) {
+        this.console.log('  📦 Cargando módulos del kernel...');
+        
+        this.moduleLoader = new KernelModuleLoader({
+            fetch: (url) => this.host.fetch(url),
+            verify: this.verifiedBoot ? (url, options) => this.verifiedBoot.verify(url, options) : null,
+            kernel: this.kernel,
+            moduleParams: this.bootParams.moduleParams || {},
+            physicalMemory: this.physicalMemory,
+            klog: this.klog
+        });
+        this.kernel.attachModuleLoader(this.moduleLoader);
+        await this.moduleLoader.loadManifest();
+        
+        // En modo de recuperación solo se cargan los módulos imprescindibles
+        const bootModules = this.moduleLoader.select({ boot: true });
+        const selectedModules = this.recovery
+            ? this.moduleLoader.select({ boot: true, essential: true })
+            : bootModules;
+        
+        if (this.recovery) {
+            this.console.log(`    🛟 Modo de recuperación: ${selectedModules.length}/${bootModules.length} módulos esenciales`);
+        }
         
-        // Ordenar por prioridad (menor número = mayor prioridad)
-        essentialModules.sort((a, b) => a.priority - b.priority);
+        // Dependencias primero; un ciclo o un rango semver no satisfecho aborta el arranque
+        const total = this.moduleLoader.resolveLoadOrder(selectedModules).length;
+        let current = 0;
         
-        // Cargar cada módulo
-        for (const moduleDef of essentialModules) {
-            console.log(`    🔄 Cargando ${moduleDef.name}...`);
-            await this.delay(30);
+        await this.moduleLoader.loadModules(selectedModules, async (name, load) => {
+            this.console.log(`    🔄 Cargando ${name}...`);
+            this.emitProgress({ step: name, current: current, total: total, status: 'start', message: `Cargando módulo ${name}` });
             
             try {
-                const module = await this.loadModule(moduleDef);
-                this.modules[moduleDef.name] = module;
-                
-                // Registrar símbolos exportados
-                for (const exportName of moduleDef.exports) {
-                    this.symbols[exportName] = {
-                        module: moduleDef.name,
-                        address: `kernel+0x${(this.kernelBase + Object.keys(this.symbols).length * 8).toString(16)}`
-                    };
-                }
-                
-                console.log(`    ✅ ${moduleDef.name} cargado`);
+                const record = await trace(this, span, `loadModule ${name}`, load);
+                this.modules[name] = this.describeModule(record);
+                current++;
+                this.console.log(`    ✅ ${name} ${record.version} cargado`);
+                this.emitProgress({ step: name, current: current, total: total, status: 'done', message: `Módulo ${name} ${record.version} cargado` });
+                return record;
             } catch (error) {
-                console.error(`    ❌ Error cargando ${moduleDef.name}:`, error);
-                throw new Error(`No se pudo cargar módulo esencial: ${moduleDef.name}`);
+                this.console.error(`    ❌ Error cargando ${name}:`, error);
+                this.emitProgress({ step: name, current: current, total: total, status: 'failed', message: `Error cargando ${name}: ${error.message}` });
+                throw new Error(`No se pudo cargar módulo esencial: ${name} (${error.message})`);
             }
-        }
+        });
         
-        console.log(`  ✅ ${Object.keys(this.modules).length} módulos cargados`);
+        this.console.log(`  ✅ ${Object.keys(this.modules).length} módulos cargados`);
         return this.modules;
     }
 
     /**
-     * Cargar un módulo individual
+     * Vista de un módulo cargado para el resto de etapas
      */
-    async loadModule(moduleDef) {
-        // En un sistema real, esto cargaría el archivo JS
-        // Por ahora simulamos la carga
-        
-        const moduleTemplates = {
-            'scheduler': {
-                name: 'scheduler',
-                version: '1.0.0',
-                type: 'kernel',
-                initialize: () => ({ 
-                    status: 'initialized',
-                    queue: [],
-                    currentProcess: null
-                }),
-                api: {
-                    schedule: () => console.log('Scheduler: schedule()'),
-                    createProcess: (name) => ({ pid: Date.now(), name, status: 'ready' }),
-                    terminateProcess: (pid) => ({ success: true, pid }),
-                    yield: () => console.log('Scheduler: yield()'),
-                    sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
-                }
-            },
-            'memory-manager': {
-                name: 'memory-manager',
-                version: '1.0.0',
-                type: 'kernel',
-                initialize: () => ({
-                    status: 'initialized',
-                    allocated: 0,
-                    free: 1024 * 1024 * 1024, // 1GB
-                    regions: []
-                }),
-                api: {
-                    kmalloc: (size) => ({ 
-                        address: `0x${(Math.random() * 0xFFFFFFFF).toString(16).padStart(8, '0')}`,
-                        size 
-                    }),
-                    kfree: (address) => ({ success: true, address }),
-                    mapMemory: (virtualAddr, physicalAddr, size) => ({ success: true }),
-                    unmapMemory: (virtualAddr) => ({ success: true }),
-                    getPhysicalAddress: (virtualAddr) => ({ 
-                        physical: `0x${(parseInt(virtualAddr, 16) + 0x1000).toString(16)}` 
-                    })
-                }
-            },
-            'process-manager': {
-                name: 'process-manager',
-                version: '1.0.0',
-                type: 'kernel',
-                initialize: () => ({
-                    status: 'initialized',
-                    processes: {},
-                    nextPid: 1
-                }),
-                api: {
-                    createProcess: (name, entryPoint) => ({ 
-                        pid: this.getNextPid(),
-                        name, 
-                        entryPoint,
-                        status: 'created'
-                    }),
-                    terminateProcess: (pid) => ({ success: true, pid }),
-                    getProcessById: (pid) => ({ pid, name: 'test', status: 'running' }),
-                    getAllProcesses: () => [],
-                    sendSignal: (pid, signal) => ({ success: true, pid, signal })
-                }
-            },
-            'ipc-system': {
-                name: 'ipc-system',
-                version: '1.0.0',
-                type: 'kernel',
-                initialize: () => ({
-                    status: 'initialized',
-                    queues: {},
-                    sharedMemories: {}
-                }),
-                api: {
-                    createMessageQueue: (name) => ({ queueId: Date.now(), name }),
-                    sendMessage: (queueId, message) => ({ success: true, queueId }),
-                    receiveMessage: (queueId) => ({ message: 'test', sender: 'kernel' }),
-                    createSharedMemory: (name, size) => ({ shmId: Date.now(), name, size }),
-                    destroySharedMemory: (shmId) => ({ success: true, shmId })
-                }
-            },
-            'syscalls': {
-                name: 'syscalls',
-                version: '1.0.0',
-                type: 'kernel',
-                initialize: () => ({
-                    status: 'initialized',
-                    table: {},
-                    count: 0
-                }),
-                api: {}
-            }
-        };
-        
-        const template = moduleTemplates[moduleDef.name];
-        if (!template) {
-            throw new Error(`Template no encontrado para módulo: ${moduleDef.name}`);
-        }
-        
-        // Verificar dependencias
-        for (const dep of moduleDef.dependencies) {
-            if (!this.modules[dep]) {
-                throw new Error(`Dependencia no satisfecha: ${dep} para ${moduleDef.name}`);
-            }
-        }
-        
-        // Inicializar módulo
-        const moduleInstance = {
-            ...template,
-            dependencies: moduleDef.dependencies,
-            initialized: false
+    describeModule(record) {
+        return {
+            name: record.name,
+            version: record.version,
+            type: 'kernel',
+            path: record.path,
+            dependencies: record.dependencies,
+            params: record.params,
+            api: record.api,
+            state: record.instance,
+            initialized: record.state === 'live'
         };
-        
-        // Llamar a initialize si existe
-        if (moduleInstance.initialize) {
-            const initResult = moduleInstance.initialize();
-            moduleInstance.state = initResult;
-            moduleInstance.initialized = true;
-        }
-        
-        return moduleInstance;
     }
 
     /**
      * Resolver símbolos y dependencias
      */
     async resolveSymbols() {
-        console.log('  🔗 Resolviendo símbolos y dependencias...');
+        this.console.log('  🔗 Resolviendo símbolos y dependencias...');
         
-        await this.delay(40);
-        
-        // Resolver símbolos entre módulos
+        // Comprobar que cada dependencia está cargada y en una versión compatible
         for (const [moduleName, module] of Object.entries(this.modules)) {
-            if (module.dependencies && module.dependencies.length > 0) {
-                console.log(`    🔄 Resolviendo dependencias para ${moduleName}...`);
+            const ranges = this.moduleLoader.getEntry(moduleName).dependencies;
+            if (module.dependencies.length > 0) {
+                this.console.log(`    🔄 Resolviendo dependencias para ${moduleName}...`);
                 
                 for (const depName of module.dependencies) {
-                    if (!this.modules[depName]) {
+                    const dependency = this.moduleLoader.getModule(depName);
+                    if (!dependency) {
                         throw new Error(`Dependencia no encontrada: ${depName} para ${moduleName}`);
                     }
+                    if (!KernelModuleLoader.satisfies(dependency.version, ranges[depName])) {
+                        throw new Error(`${moduleName} requiere ${depName}@${ranges[depName]}, cargado ${dependency.version}`);
+                    }
                     
-                    // Marcar dependencia como resuelta
-                    console.log(`      ✅ ${depName} → ${moduleName}`);
+                    this.console.log(`      ✅ ${depName}@${dependency.version} → ${moduleName}`);
                 }
             }
         }
         
-        // Crear tabla de símbolos global
-        const globalSymbols = {};
-        for (const [moduleName, module] of Object.entries(this.modules)) {
-            if (module.api) {
-                for (const [funcName, func] of Object.entries(module.api)) {
-                    globalSymbols[funcName] = {
-                        module: moduleName,
-                        address: `0x${(Math.random() * 0xFFFFFFFF).toString(16).padStart(8, '0')}`,
-                        type: 'function'
-                    };
-                }
-            }
-        }
-        
-        this.symbols = { ...this.symbols, ...globalSymbols };
+        // Tabla de símbolos global: nombre → función exportada por el módulo
+        this.symbols = this.moduleLoader.getSymbolTable();
         
-        console.log(`  ✅ ${Object.keys(this.symbols).length} símbolos resueltos`);
+        this.console.log(`  ✅ ${Object.keys(this.symbols).length} símbolos resueltos`);
         return this.symbols;
     }
 
     /**
      * Inicializar subsistemas del kernel
+     * @param {Object} [span] - Span padre de cada subsistema
      */
-    async initializeKernelSubsystems() {
-        console.log('  🚀 Inicializando subsistemas del kernel...');
+    async initializeKernelSubsystems(span = null) {
+        this.console.log('  🚀 Inicializando subsistemas del kernel...');
         
         const subsystems = [
             { name: 'Gestión de Procesos', init: this.initProcessManagement.bind(this) },
@@ -397,61 +388,39 @@ class Stage2KernelLoader {
         ];
         
         for (const subsystem of subsystems) {
-            console.log(`    🔄 Inicializando ${subsystem.name}...`);
+            this.console.log(`    🔄 Inicializando ${subsystem.name}...`);
             await this.delay(25);
             
             try {
-                await subsystem.init();
-                console.log(`    ✅ ${subsystem.name} inicializado`);
+                await trace(this, span, subsystem.name, () => subsystem.init());
+                this.console.log(`    ✅ ${subsystem.name} inicializado`);
             } catch (error) {
-                console.error(`    ❌ Error inicializando ${subsystem.name}:`, error);
+                this.console.error(`    ❌ Error inicializando ${subsystem.name}:`, error);
                 throw error;
             }
         }
         
-        console.log('  ✅ Todos los subsistemas inicializados');
+        this.console.log('  ✅ Todos los subsistemas inicializados');
     }
 
     /**
      * Configurar tabla de llamadas al sistema
      */
     async setupSystemCallTable() {
-        console.log('  📋 Configurando tabla de llamadas al sistema...');
+        this.console.log('  📋 Configurando tabla de llamadas al sistema...');
         
         await this.delay(35);
         
-        // Tabla de syscalls básicas
-        const syscallTable = [
-            { number: 0, name: 'sys_exit', handler: 'exit_handler' },
-            { number: 1, name: 'sys_fork', handler: 'fork_handler' },
-            { number: 2, name: 'sys_read', handler: 'read_handler' },
-            { number: 3, name: 'sys_write', handler: 'write_handler' },
-            { number: 4, name: 'sys_open', handler: 'open_handler' },
-            { number: 5, name: 'sys_close', handler: 'close_handler' },
-            { number: 6, name: 'sys_waitpid', handler: 'waitpid_handler' },
-            { number: 7, name: 'sys_creat', handler: 'creat_handler' },
-            { number: 8, name: 'sys_link', handler: 'link_handler' },
-            { number: 9, name: 'sys_unlink', handler: 'unlink_handler' },
-            { number: 10, name: 'sys_execve', handler: 'execve_handler' },
-            { number: 11, name: 'sys_chdir', handler: 'chdir_handler' },
-            { number: 12, name: 'sys_time', handler: 'time_handler' },
-            { number: 13, name: 'sys_mknod', handler: 'mknod_handler' },
-            { number: 14, name: 'sys_chmod', handler: 'chmod_handler' },
-            { number: 15, name: 'sys_lchown', handler: 'lchown_handler' },
-            { number: 16, name: 'sys_break', handler: 'break_handler' },
-            { number: 17, name: 'sys_stat', handler: 'stat_handler' },
-            { number: 18, name: 'sys_lseek', handler: 'lseek_handler' },
-            { number: 19, name: 'sys_getpid', handler: 'getpid_handler' },
-            { number: 20, name: 'sys_mount', handler: 'mount_handler' }
-        ];
-        
-        // Registrar en el módulo de syscalls
-        if (this.modules.syscalls && this.modules.syscalls.state) {
-            this.modules.syscalls.state.table = syscallTable;
-            this.modules.syscalls.state.count = syscallTable.length;
+        // El kernel ya construyó la tabla a partir del ABI: se registran sus manejadores
+        const syscallTable = this.kernel.systemTables.syscall.entries;
+        const register = this.resolveSymbol('syscall_register');
+        if (register) {
+            for (const syscall of syscallTable) {
+                register(syscall.number, syscall.name, syscall.handler);
+            }
         }
         
-        console.log(`  ✅ ${syscallTable.length} syscalls configuradas`);
+        this.console.log(`  ✅ ${syscallTable.length} syscalls configuradas`);
         return syscallTable;
     }
 
@@ -459,7 +428,7 @@ class Stage2KernelLoader {
      * Verificar estado del kernel
      */
     async verifyKernelStatus() {
-        console.log('  🔍 Verificando estado del kernel...');
+        this.console.log('  🔍 Verificando estado del kernel...');
         
         await this.delay(30);
         
@@ -494,8 +463,17 @@ class Stage2KernelLoader {
             issues.push('Memoria del kernel no configurada');
         }
         
+        // Verificar que el espacio del kernel cabe en la memoria detectada por el BIOS
+        if (!this.physicalMemory) {
+            warnings.push('Mapa de memoria del BIOS no disponible');
+        } else if (this.memoryMap.stack && this.memoryMap.stack.end > this.physicalMemory.total) {
+            issues.push('Espacio de direcciones del kernel excede la memoria física');
+        } else {
+            checks.push('Memoria física: OK');
+        }
+        
         // Verificar syscalls
-        if (this.modules.syscalls && this.modules.syscalls.state.table) {
+        if (this.modules.syscalls && this.modules.syscalls.state.count > 0) {
             checks.push(`Syscalls: ${this.modules.syscalls.state.count} configuradas`);
         } else {
             issues.push('Tabla de syscalls no configurada');
@@ -516,44 +494,46 @@ class Stage2KernelLoader {
      * Subsistemas de inicialización
      */
     async initProcessManagement() {
-        if (this.modules.process_manager && this.modules.process_manager.api) {
+        const createProcess = this.resolveSymbol('createProcess');
+        if (createProcess) {
             // Crear proceso kernel inicial
-            const initProcess = this.modules.process_manager.api.createProcess('kernel_init', '0x100000');
-            console.log(`      Proceso kernel creado: PID ${initProcess.pid}`);
+            const initProcess = createProcess('kernel_init', '0x100000');
+            this.console.log(`      Proceso kernel creado: PID ${initProcess.pid}`);
             return initProcess;
         }
     }
     
     async initMemoryManagement() {
-        if (this.modules.memory_manager && this.modules.memory_manager.api) {
+        const kmalloc = this.resolveSymbol('kmalloc');
+        if (kmalloc) {
             // Asignar memoria inicial para estructuras del kernel
-            const kernelStructs = this.modules.memory_manager.api.kmalloc(4096);
-            console.log(`      Memoria del kernel asignada: ${kernelStructs.address}`);
+            const kernelStructs = kmalloc(4096);
+            this.console.log(`      Memoria del kernel asignada: ${kernelStructs.address}`);
             return kernelStructs;
         }
     }
     
     async initFilesystem() {
         // Inicialización simulada del filesystem
-        console.log('      Filesystem virtual preparado');
+        this.console.log('      Filesystem virtual preparado');
         return { status: 'ready', type: 'virtual' };
     }
     
     async initNetwork() {
         // Inicialización simulada de red
-        console.log('      Stack de red inicializado');
+        this.console.log('      Stack de red inicializado');
         return { status: 'ready', protocols: ['tcp', 'udp', 'http'] };
     }
     
     async initInterrupts() {
         // Inicialización simulada de interrupciones
-        console.log('      Controlador de interrupciones activado');
+        this.console.log('      Controlador de interrupciones activado');
         return { status: 'enabled', vectors: 256 };
     }
     
     async initSystemClock() {
         // Inicialización simulada del reloj
-        console.log('      Reloj del sistema sincronizado');
+        this.console.log('      Reloj del sistema sincronizado');
         return { 
             status: 'running', 
             resolution: '1ms',
@@ -566,22 +546,32 @@ class Stage2KernelLoader {
      */
     async setupMemoryProtection() {
         // Simular configuración de protección de memoria
-        console.log('    🔒 Configurando protección de memoria...');
+        this.console.log('    🔒 Configurando protección de memoria...');
         await this.delay(20);
-        console.log('      Protección de memoria activada');
+        this.console.log('      Protección de memoria activada');
+    }
+
+    /**
+     * Función real exportada por un módulo del kernel (null si no está cargado)
+     */
+    resolveSymbol(name) {
+        return this.moduleLoader ? this.moduleLoader.resolveSymbol(name) : null;
     }
 
     /**
-     * Obtener siguiente PID
+     * Progreso dentro de la etapa para la pantalla de arranque (yOS:boot:progress)
      */
-    getNextPid() {
-        return Math.floor(Math.random() * 10000) + 1000;
+    emitProgress(detail) {
+        this.host.dispatch('yOS:boot:progress', { stage: this.name, ...detail });
     }
 
     /**
-     * Utilidad: Retardo simulado
+     * Utilidad: Retardo simulado (se omite al reanudar desde hibernación)
      */
     delay(ms) {
+        if (this.resuming) {
+            return Promise.resolve();
+        }
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
@@ -595,6 +585,7 @@ class Stage2KernelLoader {
             modules: Object.keys(this.modules),
             symbols: Object.keys(this.symbols).length,
             memoryMap: this.memoryMap,
+            cmdline: this.bootParams.cmdline,
             kernelBase: `0x${this.kernelBase.toString(16)}`,
             timestamp: Date.now()
         };
@@ -3,9 +3,24 @@
  * Inicialización final del sistema y lanzamiento de servicios
  */
 
+import BootTracer, { trace } from './boot-tracer.js';
+import KernelLog from '../kernel/core/klog.js';
+import InitSystem from './init-system.js';
+import DaemonSupervisor from './daemon-supervisor.js';
+import PidAllocator from '../kernel/core/pid-allocator.js';
+import BootHost from './host.js';
+import Hibernation from './hibernation.js';
+
 class Stage3Init {
-    constructor() {
+    constructor(options = {}) {
         this.name = 'stage3-init';
+        this.tracer = options.tracer || new BootTracer();
+        this.klog = options.klog || new KernelLog();
+        this.console = this.klog.logger('init');
+        this.recovery = options.recovery || false;
+        this.host = options.host || BootHost.detect();
+        this.verifiedBoot = options.verifiedBoot || null;
+        this.hibernation = options.hibernation || null;
         this.version = '1.0.0';
         this.runlevel = 0;
         this.services = {};
@@ -13,73 +28,188 @@ class Stage3Init {
         this.userSessions = [];
         this.systemReady = false;
         this.startupScripts = [];
+        this.kernelModules = {};
+        this.physicalMemory = null;
+        this.capabilities = null;
+        this.startTime = null;
+        // Modo de recuperación: solo runlevel 1 (Single User Mode)
+        this.targetRunlevel = this.recovery ? 1 : 5;
+        this.bootParams = {};
+        this.degradedComponents = [];
+        this.initSystem = null;
+        this.supervisor = null;
+        this.pidAllocator = null;
+        this.moduleLoader = null;
+        this.graphicalProcesses = [];
+        this.compositor = null;
+        this.previousRunlevel = null;
+        this.switchingTo = null;
+        this.mounts = [];
+        this.network = null;
+        this.resuming = false;
     }
 
-    async execute() {
-        console.log('🎯 Ejecutando Stage 3 - Init System');
+    /**
+     * @param {Object} kernelInfo - Resultado de Stage 2 (módulos del kernel, memoria)
+     * @param {Object} [span] - Span de la etapa, padre de sus pasos
+     */
+    async execute(kernelInfo = {}, span = null) {
+        this.console.log('🎯 Ejecutando Stage 3 - Init System');
+        
+        this.applyKernelInfo(kernelInfo);
+        
+        // runlevel=/single de la línea de comandos (el modo de recuperación siempre usa 1)
+        if (!this.recovery && Number.isInteger(this.bootParams.runlevel)) {
+            this.targetRunlevel = this.bootParams.runlevel;
+        }
         
         try {
             // 1. Inicializar sistema de init
-            await this.initInitSystem();
+            await trace(this, span, 'initInitSystem', () => this.initInitSystem());
             
             // 2. Ejecutar runlevels en orden
-            await this.executeRunlevels();
+            await trace(this, span, 'executeRunlevels', (step) => this.executeRunlevels(step));
             
             // 3. Iniciar servicios del sistema
-            await this.startSystemServices();
+            await trace(this, span, 'startSystemServices', () => this.startSystemServices());
             
             // 4. Cargar drivers y módulos
-            await this.loadDriversAndModules();
+            await trace(this, span, 'loadDriversAndModules', () => this.loadDriversAndModules());
             
             // 5. Configurar red y conectividad
-            await this.configureNetwork();
+            await trace(this, span, 'configureNetwork', () => this.configureNetwork());
             
             // 6. Montar filesystems
-            await this.mountFilesystems();
+            await trace(this, span, 'mountFilesystems', () => this.mountFilesystems());
             
             // 7. Ejecutar scripts de inicio
-            await this.runStartupScripts();
+            await trace(this, span, 'runStartupScripts', () => this.runStartupScripts());
             
             // 8. Iniciar sesiones de usuario
-            await this.startUserSessions();
+            await trace(this, span, 'startUserSessions', () => this.startUserSessions());
             
             // 9. Lanzar entorno gráfico
-            await this.launchGraphicalEnvironment();
+            await trace(this, span, 'launchGraphicalEnvironment', () => this.launchGraphicalEnvironment());
             
             // 10. Verificar estado final del sistema
-            const systemStatus = await this.checkSystemStatus();
+            const systemStatus = await trace(this, span, 'checkSystemStatus', () => this.checkSystemStatus());
             
             if (!systemStatus.ready) {
                 throw new Error(`Sistema no listo: ${systemStatus.issues.join(', ')}`);
             }
             
             this.systemReady = true;
-            console.log('✅ Stage 3 - Init System completado exitosamente');
+            this.console.log('✅ Stage 3 - Init System completado exitosamente');
             
+            return this.getResult(systemStatus);
+            
+        } catch (error) {
+            this.console.error('❌ Error en Stage 3 Init System:', error);
             return {
-                success: true,
-                runlevel: this.runlevel,
-                services: Object.keys(this.services).length,
-                daemons: this.daemons.length,
-                userSessions: this.userSessions.length,
-                systemStatus: systemStatus
+                success: false,
+                error: error.message,
+                stage: this.name
             };
+        }
+    }
+
+    /**
+     * Reanudar desde la imagen de hibernación
+     * Se vuelven a arrancar las units que estaban en ejecución (no los runlevels completos)
+     * y se recuperan la tabla de montaje, la red y las sesiones de usuario sin repetir su arranque
+     * @param {Object} state - Estado guardado por snapshot()
+     * @param {Object} kernelInfo - Resultado de Stage 2
+     * @param {Object} [span] - Span de la etapa
+     */
+    async restore(state, kernelInfo = {}, span = null) {
+        this.console.log('⚡ Reanudando Stage 3 - Init System desde la imagen de hibernación');
+        
+        this.applyKernelInfo(kernelInfo);
+        this.targetRunlevel = state.runlevel;
+        this.resuming = true;
+        
+        try {
+            await trace(this, span, 'initInitSystem', () => this.initInitSystem());
+            await trace(this, span, 'restoreServices', (step) => this.restoreServices(state, step));
+            await trace(this, span, 'startSystemServices', () => this.startSystemServices());
+            await trace(this, span, 'loadDriversAndModules', () => this.loadDriversAndModules());
+            
+            this.mounts = state.mounts;
+            this.registerMounts();
+            this.network = state.network;
+            this.userSessions = state.userSessions;
+            this.startupScripts = state.startupScripts;
+            this.console.log(`  📂 ${this.mounts.length} filesystems y ${this.userSessions.length} sesiones de usuario restaurados`);
             
+            await trace(this, span, 'launchGraphicalEnvironment', () => this.launchGraphicalEnvironment());
+            
+            const systemStatus = await trace(this, span, 'checkSystemStatus', () => this.checkSystemStatus());
+            if (!systemStatus.ready) {
+                throw new Error(`Sistema no listo: ${systemStatus.issues.join(', ')}`);
+            }
+            
+            this.systemReady = true;
+            this.console.log('✅ Stage 3 - Init System reanudado');
+            return this.getResult(systemStatus);
+        
         } catch (error) {
-            console.error('❌ Error en Stage 3 Init System:', error);
+            this.console.error('❌ Error reanudando Stage 3 Init System:', error);
             return {
                 success: false,
                 error: error.message,
                 stage: this.name
             };
+        } finally {
+            this.resuming = false;
         }
     }
 
+    /**
+     * Estado del init para la imagen de hibernación
+     */
+    snapshot() {
+        return Hibernation.serialize({
+            runlevel: this.runlevel,
+            units: this.initSystem.list()
+                .filter(unit => unit.status === 'running' || unit.status === 'exited')
+                .map(unit => unit.name),
+            mounts: this.mounts,
+            network: this.network,
+            userSessions: this.userSessions,
+            startupScripts: this.startupScripts
+        });
+    }
+
+    applyKernelInfo(kernelInfo) {
+        this.startTime = Date.now();
+        this.kernelModules = kernelInfo.modules || {};
+        this.physicalMemory = kernelInfo.physicalMemory || null;
+        this.capabilities = kernelInfo.capabilities || null;
+        this.bootParams = kernelInfo.bootParams || {};
+        // Asignador de PIDs del kernel (con init como PID 1)
+        this.pidAllocator = kernelInfo.pidAllocator || PidAllocator.withInit();
+        this.moduleLoader = kernelInfo.moduleLoader || null;
+    }
+
+    getResult(systemStatus) {
+        return {
+            success: true,
+            runlevel: this.runlevel,
+            recovery: this.recovery,
+            services: this.services,
+            initSystem: this.initSystem,
+            supervisor: this.supervisor,
+            daemons: this.daemons.length,
+            userSessions: this.userSessions.length,
+            systemStatus: systemStatus
+        };
+    }
+
     /**
      * Inicializar sistema de init
      */
     async initInitSystem() {
-        console.log('  🏗️ Inicializando sistema de init...');
+        this.console.log('  🏗️ Inicializando sistema de init...');
         
         await this.delay(50);
         
@@ -94,14 +224,6 @@ class Stage3Init {
             6: 'Reboot'
         };
         
-        // Configurar tabla de servicios por runlevel
-        this.serviceTable = {
-            1: ['emergency-shell', 'basic-network', 'minimal-fs'],
-            2: ['cron', 'syslog', 'dbus', 'network-manager'],
-            3: ['ssh', 'web-server', 'database', 'print-spooler'],
-            5: ['display-manager', 'desktop-environment', 'window-manager']
-        };
-        
         // Directorios de init
         this.initDirs = {
             scripts: '/etc/init.d',
@@ -110,221 +232,231 @@ class Stage3Init {
             logs: '/var/log/init'
         };
         
+        // Cargar unit files y derivar la tabla de servicios por runlevel
+        this.initSystem = new InitSystem({
+            unitDir: this.initDirs.scripts,
+            fetch: (url) => this.host.fetch(url),
+            verify: this.verifiedBoot ? (url, options) => this.verifiedBoot.verify(url, options) : null,
+            tracer: this.tracer,
+            klog: this.klog,
+            pidAllocator: this.pidAllocator,
+            resolveSymbol: (symbol) => this.moduleLoader ? this.moduleLoader.resolveSymbol(symbol) : null,
+            hibernation: this.hibernation
+        });
+        this.initSystem.on('unit:started', ({ name, pid }) => this.trackService(name, pid));
+        this.initSystem.on('unit:stopped', ({ name }) => this.untrackService(name));
+        this.initSystem.on('unit:failed', ({ name }) => this.untrackService(name));
+        
+        // Supervisor de daemons: health checks y reinicio automático
+        this.supervisor = new DaemonSupervisor(this.initSystem, { host: this.host, klog: this.klog });
+        this.supervisor.start();
+        
+        const units = await this.initSystem.loadUnits();
+        this.serviceTable = this.initSystem.getRunlevelTable();
+        this.console.log(`    📄 ${units.length} unit files cargadas de ${this.initDirs.scripts}`);
+        
         // Inicializar sistema de logging
         await this.initLoggingSystem();
         
-        console.log(`  ✅ Sistema de init inicializado (runlevel: ${this.runlevel})`);
+        this.console.log(`    Programa init: ${this.bootParams.init || '/sbin/init'}, runlevel objetivo: ${this.targetRunlevel}`);
+        this.console.log(`  ✅ Sistema de init inicializado (runlevel: ${this.runlevel})`);
     }
 
     /**
      * Ejecutar runlevels en orden
+     * @param {Object} [span] - Span padre de cada runlevel
      */
-    async executeRunlevels() {
-        console.log('  📈 Ejecutando runlevels...');
+    async executeRunlevels(span = null) {
+        this.console.log('  📈 Ejecutando runlevels...');
         
-        // Ejecutar runlevels del 1 al 5
-        for (let rl = 1; rl <= 5; rl++) {
+        // Ejecutar runlevels del 1 al runlevel objetivo
+        for (let rl = 1; rl <= this.targetRunlevel; rl++) {
             this.runlevel = rl;
-            console.log(`  🚀 Entrando en runlevel ${rl}: ${this.runlevels[rl]}`);
+            this.console.log(`  🚀 Entrando en runlevel ${rl}: ${this.runlevels[rl]}`);
             
             // Ejecutar servicios de este runlevel
-            await this.enterRunlevel(rl);
+            await trace(this, span, `enterRunlevel ${rl}`, (step) => this.enterRunlevel(rl, step), { runlevel: rl });
             
             // Pequeña pausa entre runlevels
-            if (rl < 5) {
+            if (rl < this.targetRunlevel) {
                 await this.delay(100);
             }
         }
         
-        console.log('  ✅ Todos los runlevels ejecutados');
+        this.console.log('  ✅ Todos los runlevels ejecutados');
+    }
+
+    /**
+     * Arrancar directamente las units guardadas en la imagen de hibernación
+     * @param {Object} [span] - Span padre de las units
+     */
+    async restoreServices(state, span = null) {
+        const units = state.units.filter(name => this.initSystem.units.has(name));
+        this.runlevel = state.runlevel;
+        
+        this.console.log(`  🔄 Restaurando ${units.length} servicios del runlevel ${state.runlevel}`);
+        const results = await this.initSystem.startUnits(units, { runlevel: state.runlevel, parentSpan: span });
+        this.logUnitResults(results);
+        return results;
     }
 
     /**
      * Entrar en un runlevel específico
+     * Las units del runlevel (y sus dependencias) arrancan en orden topológico
+     * @param {Object} [span] - Span padre de las units
      */
-    async enterRunlevel(runlevel) {
-        const services = this.serviceTable[runlevel] || [];
+    async enterRunlevel(runlevel, span = null) {
+        const units = this.initSystem.getUnitsForRunlevel(runlevel)
+            .filter(name => !['running', 'exited'].includes(this.initSystem.getRecord(name).status));
         
-        if (services.length === 0) {
-            console.log(`    ⏭️ Runlevel ${runlevel} sin servicios específicos`);
+        if (units.length === 0) {
+            this.console.log(`    ⏭️ Runlevel ${runlevel} sin servicios específicos`);
             return;
         }
         
-        console.log(`    🔄 Iniciando ${services.length} servicios para runlevel ${runlevel}`);
+        this.console.log(`    🔄 Iniciando ${units.length} servicios para runlevel ${runlevel}`);
         
-        for (const serviceName of services) {
-            console.log(`      🚦 Iniciando ${serviceName}...`);
-            await this.delay(20);
-            
-            try {
-                const service = await this.startService(serviceName, runlevel);
-                this.services[serviceName] = service;
-                console.log(`      ✅ ${serviceName} iniciado`);
-            } catch (error) {
-                console.error(`      ❌ Error iniciando ${serviceName}:`, error.message);
-                // En un sistema real, aquí se manejaría el error apropiadamente
+        // Progreso por servicio para la pantalla de arranque
+        const pending = new Set(units);
+        let current = 0;
+        const progress = (status, message) => ({ name, error }) => {
+            if (!pending.has(name)) {
+                return;
             }
+            if (status !== 'start') {
+                pending.delete(name);
+                current++;
+            }
+            this.emitProgress({
+                step: name,
+                runlevel: runlevel,
+                current: current,
+                total: units.length,
+                status: status,
+                message: error ? `${message} ${name}: ${error}` : `${message} ${name}`
+            });
+        };
+        const unsubscribe = [
+            this.initSystem.on('unit:starting', progress('start', 'Iniciando')),
+            this.initSystem.on('unit:started', progress('done', 'Iniciado')),
+            this.initSystem.on('unit:failed', progress('failed', 'Falló'))
+        ];
+        
+        try {
+            const results = await this.initSystem.startUnits(units, { runlevel: runlevel, parentSpan: span });
+            this.logUnitResults(results);
+        } finally {
+            unsubscribe.forEach(off => off());
         }
     }
 
     /**
-     * Iniciar un servicio específico
+     * Cambiar de runlevel en tiempo de ejecución (telinit)
+     * Para en orden inverso de dependencias los servicios que sobran y arranca los que faltan;
+     * 0 (Halt) y 6 (Reboot) paran todos los servicios y el BootLoader completa el apagado o reinicio
      */
-    async startService(serviceName, runlevel) {
-        // Plantillas de servicios
-        const serviceTemplates = {
-            'emergency-shell': {
-                name: 'emergency-shell',
-                description: 'Shell de emergencia',
-                type: 'daemon',
-                runlevels: [1],
-                start: async () => {
-                    await this.delay(30);
-                    return { pid: 1001, status: 'running', port: null };
-                },
-                stop: async () => ({ success: true })
-            },
-            'basic-network': {
-                name: 'basic-network',
-                description: 'Configuración básica de red',
-                type: 'service',
-                runlevels: [1, 2, 3, 5],
-                start: async () => {
-                    await this.delay(40);
-                    return { 
-                        pid: 1002, 
-                        status: 'running', 
-                        interfaces: ['lo', 'eth0'],
-                        addresses: ['127.0.0.1']
-                    };
-                }
-            },
-            'minimal-fs': {
-                name: 'minimal-fs',
-                description: 'Filesystem mínimo',
-                type: 'service',
-                runlevels: [1, 2, 3, 5],
-                start: async () => {
-                    await this.delay(35);
-                    return { 
-                        pid: 1003, 
-                        status: 'running', 
-                        mounts: ['/', '/proc', '/sys']
-                    };
-                }
-            },
-            'cron': {
-                name: 'cron',
-                description: 'Programador de tareas',
-                type: 'daemon',
-                runlevels: [2, 3, 5],
-                start: async () => {
-                    await this.delay(25);
-                    return { pid: 1004, status: 'running', jobs: 0 };
-                }
-            },
-            'syslog': {
-                name: 'syslog',
-                description: 'Sistema de logging',
-                type: 'daemon',
-                runlevels: [2, 3, 5],
-                start: async () => {
-                    await this.delay(30);
-                    return { pid: 1005, status: 'running', facility: 'local0' };
-                }
-            },
-            'dbus': {
-                name: 'dbus',
-                description: 'Bus de mensajes del sistema',
-                type: 'daemon',
-                runlevels: [2, 3, 5],
-                start: async () => {
-                    await this.delay(35);
-                    return { pid: 1006, status: 'running', sockets: 2 };
-                }
-            },
-            'network-manager': {
-                name: 'network-manager',
-                description: 'Gestor de red',
-                type: 'daemon',
-                runlevels: [2, 3, 5],
-                start: async () => {
-                    await this.delay(50);
-                    return { pid: 1007, status: 'running', connections: 1 };
+    async switchRunlevel(target) {
+        if (!this.initSystem) {
+            throw new Error('El sistema de init no está inicializado');
+        }
+        if (!Number.isInteger(target) || !(target in this.runlevels)) {
+            throw new Error(`Runlevel inválido: ${target}`);
+        }
+        if (this.switchingTo !== null) {
+            throw new Error(`Cambio a runlevel ${this.switchingTo} en curso`);
+        }
+        
+        const previous = this.runlevel;
+        const shutdown = target === 0 || target === 6;
+        this.switchingTo = target;
+        
+        try {
+            // En tiempo de ejecución el cambio de runlevel es un span raíz
+            return await trace(this, null, `switchRunlevel ${target}`, async (span) => {
+                this.console.log(`  🔀 Cambiando de runlevel ${previous} a ${target}: ${this.runlevels[target]}`);
+                
+                // Diferencia entre los servicios en ejecución y los del runlevel destino
+                const wanted = shutdown ? [] : this.initSystem.getUnitsForRunlevel(target);
+                const keep = new Set(shutdown ? [] : this.initSystem.getUnitsForTarget(target));
+                const active = this.initSystem.list()
+                    .filter(unit => unit.status === 'running' || unit.status === 'exited')
+                    .map(unit => unit.name);
+                const toStop = active.filter(name => !keep.has(name));
+                const toStart = wanted.filter(name => !active.includes(name));
+                
+                if (previous === 5 && target !== 5) {
+                    this.stopGraphicalEnvironment();
                 }
-            },
-            'display-manager': {
-                name: 'display-manager',
-                description: 'Gestor de display gráfico',
-                type: 'daemon',
-                runlevels: [5],
-                start: async () => {
-                    await this.delay(60);
-                    return { pid: 1008, status: 'running', display: ':0' };
+                
+                if (toStop.length > 0) {
+                    this.console.log(`    🛑 Parando ${toStop.length} servicios: ${toStop.join(', ')}`);
+                    await this.initSystem.stopUnits(toStop);
                 }
-            },
-            'desktop-environment': {
-                name: 'desktop-environment',
-                description: 'Entorno de escritorio',
-                type: 'service',
-                runlevels: [5],
-                start: async () => {
-                    await this.delay(70);
-                    return { pid: 1009, status: 'running', session: 'yOS-gnome' };
+                
+                this.previousRunlevel = previous;
+                this.runlevel = target;
+                
+                let results = {};
+                if (shutdown) {
+                    await this.shutdown();
+                } else if (toStart.length > 0) {
+                    this.console.log(`    🔄 Iniciando ${toStart.length} servicios para runlevel ${target}`);
+                    results = await this.initSystem.startUnits(toStart, { runlevel: target, parentSpan: span });
+                    this.logUnitResults(results);
                 }
-            },
-            'window-manager': {
-                name: 'window-manager',
-                description: 'Gestor de ventanas',
-                type: 'daemon',
-                runlevels: [5],
-                start: async () => {
-                    await this.delay(65);
-                    return { pid: 1010, status: 'running', windows: 0 };
+                
+                if (target === 5 && previous !== 5) {
+                    await this.launchGraphicalEnvironment();
                 }
-            }
-        };
-        
-        const template = serviceTemplates[serviceName];
-        if (!template) {
-            throw new Error(`Servicio no encontrado: ${serviceName}`);
+                
+                const result = {
+                    previous: previous,
+                    runlevel: target,
+                    stopped: toStop,
+                    started: Object.values(results).filter(unit => unit.status === 'running' || unit.status === 'exited').map(unit => unit.name),
+                    failed: Object.values(results).filter(unit => unit.status === 'failed').map(unit => unit.name)
+                };
+                
+                this.emitRunlevelChangedEvent(result);
+                this.console.log(`  ✅ Runlevel ${target} alcanzado`);
+                return result;
+            }, { from: previous, to: target });
+        } finally {
+            this.switchingTo = null;
         }
+    }
+
+    /**
+     * Apagado ordenado: servicios del sistema y sesiones de usuario
+     * (las units ya se han parado en switchRunlevel)
+     */
+    async shutdown() {
+        this.console.log('  ⏻ Apagado ordenado del sistema...');
         
-        // Verificar que el servicio esté definido para este runlevel
-        if (!template.runlevels.includes(runlevel)) {
-            throw new Error(`Servicio ${serviceName} no disponible en runlevel ${runlevel}`);
+        for (const userSession of this.userSessions) {
+            this.console.log(`    👤 Cerrando sesión de ${userSession.user} en ${userSession.tty}`);
         }
+        this.userSessions = [];
         
-        // Iniciar servicio
-        const serviceInfo = {
-            ...template,
-            startedAt: Date.now(),
-            runlevel: runlevel
-        };
-        
-        if (template.start) {
-            const startResult = await template.start();
-            serviceInfo.process = startResult;
-            serviceInfo.status = 'running';
-            
-            // Si es un daemon, agregar a la lista
-            if (template.type === 'daemon') {
-                this.daemons.push({
-                    name: serviceName,
-                    pid: startResult.pid,
-                    since: serviceInfo.startedAt
-                });
+        for (const [name, service] of Object.entries(this.services).reverse()) {
+            if (service.type === 'system') {
+                this.console.log(`    🛑 Parando ${name}...`);
+                await this.delay(10);
+                this.pidAllocator.release(service.pid);
+                delete this.services[name];
             }
         }
         
-        return serviceInfo;
+        this.supervisor.stop();
+        this.systemReady = false;
+        this.console.log('  ✅ Servicios detenidos');
     }
 
     /**
      * Iniciar servicios del sistema
      */
     async startSystemServices() {
-        console.log('  🚀 Iniciando servicios del sistema...');
+        this.console.log('  🚀 Iniciando servicios del sistema...');
         
         // Servicios del sistema que no dependen de runlevel
         const systemServices = [
@@ -336,7 +468,7 @@ class Stage3Init {
         ];
         
         for (const serviceName of systemServices) {
-            console.log(`    🔄 Iniciando ${serviceName}...`);
+            this.console.log(`    🔄 Iniciando ${serviceName}...`);
             await this.delay(25);
             
             try {
@@ -346,64 +478,53 @@ class Stage3Init {
                     type: 'system',
                     status: 'running',
                     startedAt: Date.now(),
-                    pid: Math.floor(Math.random() * 9000) + 2000
+                    pid: this.pidAllocator.allocate({ name: serviceName, type: 'service' }).pid
                 };
                 
                 this.services[serviceName] = service;
-                console.log(`    ✅ ${serviceName} iniciado (PID: ${service.pid})`);
+                this.console.log(`    ✅ ${serviceName} iniciado (PID: ${service.pid})`);
             } catch (error) {
-                console.error(`    ❌ Error iniciando ${serviceName}:`, error.message);
+                this.console.error(`    ❌ Error iniciando ${serviceName}:`, error.message);
             }
         }
         
-        console.log(`  ✅ ${systemServices.length} servicios del sistema iniciados`);
+        this.console.log(`  ✅ ${systemServices.length} servicios del sistema iniciados`);
     }
 
     /**
-     * Cargar drivers y módulos
+     * Cargar drivers y módulos del kernel marcados como autoload en kernel/modules.json
      */
     async loadDriversAndModules() {
-        console.log('  🧩 Cargando drivers y módulos...');
-        
-        const drivers = [
-            { name: 'keyboard', type: 'input', status: 'loaded' },
-            { name: 'mouse', type: 'input', status: 'loaded' },
-            { name: 'framebuffer', type: 'video', status: 'loaded' },
-            { name: 'audio', type: 'sound', status: 'loaded' },
-            { name: 'network', type: 'net', status: 'loaded' },
-            { name: 'filesystem', type: 'fs', status: 'loaded' }
-        ];
+        this.console.log('  🧩 Cargando drivers y módulos...');
         
-        const modules = [
-            'ext4', 'fat32', 'ntfs',          // Filesystems
-            'tcp_ip', 'udp', 'http',          // Red
-            'usb_core', 'usb_storage',        // USB
-            'acpi', 'thermal',                // Power management
-            'crypto', 'encryption'            // Seguridad
-        ];
-        
-        // Cargar drivers
-        for (const driver of drivers) {
-            console.log(`    🔌 Cargando driver ${driver.name}...`);
-            await this.delay(15);
-            console.log(`    ✅ Driver ${driver.name} cargado`);
+        if (!this.moduleLoader) {
+            this.console.warn('  ⚠️ Cargador de módulos del kernel no disponible');
+            return [];
         }
         
-        // Cargar módulos
-        for (const module of modules) {
-            console.log(`    📦 Cargando módulo ${module}...`);
-            await this.delay(10);
-            console.log(`    ✅ Módulo ${module} cargado`);
+        const loaded = [];
+        const failed = [];
+        for (const name of this.moduleLoader.select({ autoload: true })) {
+            try {
+                await this.moduleLoader.modprobe(name);
+                loaded.push(name);
+                this.console.log(`    ✅ ${name.startsWith('drivers/') ? 'Driver' : 'Módulo'} ${name} cargado`);
+            } catch (error) {
+                // Un driver que falla no impide el arranque
+                failed.push(name);
+                this.console.error(`    ❌ Error cargando ${name}:`, error.message);
+            }
         }
         
-        console.log(`  ✅ ${drivers.length} drivers y ${modules.length} módulos cargados`);
+        this.console.log(`  ✅ ${loaded.length} drivers y módulos cargados${failed.length > 0 ? `, ${failed.length} fallidos` : ''}`);
+        return loaded;
     }
 
     /**
      * Configurar red y conectividad
      */
     async configureNetwork() {
-        console.log('  🌐 Configurando red...');
+        this.console.log('  🌐 Configurando red...');
         
         await this.delay(80);
         
@@ -438,7 +559,8 @@ class Stage3Init {
         const connectivity = await this.testConnectivity();
         networkConfig.connectivity = connectivity;
         
-        console.log('  ✅ Red configurada');
+        this.network = networkConfig;
+        this.console.log('  ✅ Red configurada');
         return networkConfig;
     }
 
@@ -446,7 +568,7 @@ class Stage3Init {
      * Montar filesystems
      */
     async mountFilesystems() {
-        console.log('  💿 Montando filesystems...');
+        this.console.log('  💿 Montando filesystems...');
         
         const filesystems = [
             { device: 'rootfs', mountpoint: '/', type: 'yfs', options: 'rw,noatime' },
@@ -457,25 +579,41 @@ class Stage3Init {
             { device: 'tmpfs', mountpoint: '/run', type: 'tmpfs', options: 'rw,nosuid,nodev,mode=755' }
         ];
         
+        // El contenido de /proc y /sys lo genera el módulo procfs
         for (const fs of filesystems) {
-            console.log(`    📂 Montando ${fs.device} en ${fs.mountpoint}...`);
+            this.console.log(`    📂 Montando ${fs.device} en ${fs.mountpoint}...`);
             await this.delay(20);
-            console.log(`    ✅ ${fs.mountpoint} montado`);
+            this.console.log(`    ✅ ${fs.mountpoint} montado`);
         }
         
         // Verificar espacio en disco
         const diskUsage = await this.checkDiskUsage();
-        console.log(`    💾 Uso de disco: ${diskUsage.free} libre de ${diskUsage.total}`);
+        this.console.log(`    💾 Uso de disco: ${diskUsage.free} libre de ${diskUsage.total}`);
         
-        console.log('  ✅ Filesystems montados');
+        this.mounts = filesystems;
+        this.registerMounts();
+        this.console.log('  ✅ Filesystems montados');
         return filesystems;
     }
 
+    /**
+     * Los montajes del sistema son los del namespace de montaje inicial (los copia unshare)
+     */
+    registerMounts() {
+        const mount = this.moduleLoader ? this.moduleLoader.resolveSymbol('ns_mount') : null;
+        if (!mount) {
+            return;
+        }
+        for (const fs of this.mounts) {
+            mount(PidAllocator.INIT_PID, fs.mountpoint, fs.mountpoint, { type: fs.type, device: fs.device, options: fs.options });
+        }
+    }
+
     /**
      * Ejecutar scripts de inicio
      */
     async runStartupScripts() {
-        console.log('  📜 Ejecutando scripts de inicio...');
+        this.console.log('  📜 Ejecutando scripts de inicio...');
         
         // Scripts de inicio comunes
         this.startupScripts = [
@@ -486,36 +624,52 @@ class Stage3Init {
         ];
         
         for (const script of this.startupScripts) {
-            console.log(`    🔧 Ejecutando ${script}...`);
+            this.console.log(`    🔧 Ejecutando ${script}...`);
             await this.delay(15);
             
             try {
                 // Simular ejecución de script
                 const result = await this.executeStartupScript(script);
-                console.log(`    ✅ ${script} ejecutado`);
+                this.console.log(`    ✅ ${script} ejecutado`);
             } catch (error) {
-                console.error(`    ⚠️ Error en ${script}: ${error.message}`);
+                this.console.error(`    ⚠️ Error en ${script}: ${error.message}`);
             }
         }
         
         // Scripts de usuario (si existen)
         const userScripts = await this.findUserStartupScripts();
         if (userScripts.length > 0) {
-            console.log(`    👤 Ejecutando ${userScripts.length} scripts de usuario`);
+            this.console.log(`    👤 Ejecutando ${userScripts.length} scripts de usuario`);
             for (const script of userScripts) {
                 await this.delay(10);
-                console.log(`      ✅ ${script}`);
+                this.console.log(`      ✅ ${script}`);
             }
         }
         
-        console.log(`  ✅ ${this.startupScripts.length} scripts de inicio ejecutados`);
+        this.console.log(`  ✅ ${this.startupScripts.length} scripts de inicio ejecutados`);
     }
 
     /**
      * Iniciar sesiones de usuario
      */
     async startUserSessions() {
-        console.log('  👤 Iniciando sesiones de usuario...');
+        this.console.log('  👤 Iniciando sesiones de usuario...');
+        
+        // Single User Mode: sesión de root en consola, sin entorno gráfico
+        if (this.runlevel === 1) {
+            const session = {
+                user: 'root',
+                loginTime: Date.now(),
+                tty: 'tty1',
+                display: null,
+                environment: { HOME: '/root', USER: 'root', SHELL: '/bin/sh', PATH: '/usr/bin:/bin' },
+                processes: []
+            };
+            
+            this.userSessions.push(session);
+            this.console.log('    🛟 Sesión de root iniciada en tty1 (modo de recuperación)');
+            return session;
+        }
         
         // Por defecto, iniciar sesión automática
         const defaultUser = {
@@ -527,7 +681,7 @@ class Stage3Init {
             session: 'graphical'
         };
         
-        console.log(`    🔐 Iniciando sesión para ${defaultUser.username}...`);
+        this.console.log(`    🔐 Iniciando sesión para ${defaultUser.username}...`);
         await this.delay(40);
         
         // Crear directorio home si no existe
@@ -548,10 +702,10 @@ class Stage3Init {
         
         this.userSessions.push(session);
         
-        console.log(`    ✅ Sesión iniciada para ${defaultUser.username} en ${session.display}`);
+        this.console.log(`    ✅ Sesión iniciada para ${defaultUser.username} en ${session.display}`);
         
         // En sistemas multi-usuario, aquí se iniciaría el servicio de login
-        console.log('    🚦 Servicio de login listo para más usuarios');
+        this.console.log('    🚦 Servicio de login listo para más usuarios');
         
         return session;
     }
@@ -560,11 +714,11 @@ class Stage3Init {
      * Lanzar entorno gráfico
      */
     async launchGraphicalEnvironment() {
-        console.log('  🖥️ Lanzando entorno gráfico...');
+        this.console.log('  🖥️ Lanzando entorno gráfico...');
         
         // Verificar que estamos en runlevel 5 (gráfico)
         if (this.runlevel !== 5) {
-            console.log('    ⏭️ Saltando entorno gráfico (runlevel no gráfico)');
+            this.console.log('    ⏭️ Saltando entorno gráfico (runlevel no gráfico)');
             return;
         }
         
@@ -579,22 +733,26 @@ class Stage3Init {
             'Terminal'
         ];
         
-        console.log('    🎨 Iniciando componentes gráficos:');
+        this.console.log('    🎨 Iniciando componentes gráficos:');
         
         for (const component of components) {
-            console.log(`      🚀 Iniciando ${component}...`);
+            this.console.log(`      🚀 Iniciando ${component}...`);
             await this.delay(30);
             
             try {
                 // Simular inicio de componente
                 const result = await this.startGraphicalComponent(component);
-                console.log(`      ✅ ${component} iniciado`);
+                this.graphicalProcesses.push(result);
+                this.console.log(`      ✅ ${component} iniciado (PID: ${result.pid})`);
             } catch (error) {
-                console.error(`      ❌ Error iniciando ${component}: ${error.message}`);
+                this.console.error(`      ❌ Error iniciando ${component}: ${error.message}`);
                 // Intentar modo fallback si es crítico
                 if (component === 'X Server') {
-                    console.log('      🔄 Intentando modo de fallback...');
-                    await this.startFallbackGraphics();
+                    this.console.log('      🔄 Intentando modo de fallback...');
+                    const fallback = await this.startFallbackGraphics();
+                    this.degradedComponents.push({ component, error: error.message, fallback });
+                } else {
+                    this.degradedComponents.push({ component, error: error.message, fallback: null });
                 }
             }
         }
@@ -602,8 +760,9 @@ class Stage3Init {
         // Establecer resolución y tema por defecto
         await this.setDisplayResolution(1920, 1080);
         await this.setTheme('yOS-dark');
+        await this.configureCompositor();
         
-        console.log('  ✅ Entorno gráfico listo');
+        this.console.log('  ✅ Entorno gráfico listo');
         
         // Notificar que el sistema está listo para uso
         this.systemReady = true;
@@ -614,7 +773,7 @@ class Stage3Init {
      * Verificar estado final del sistema
      */
     async checkSystemStatus() {
-        console.log('  🔍 Verificando estado final del sistema...');
+        this.console.log('  🔍 Verificando estado final del sistema...');
         
         await this.delay(50);
         
@@ -622,8 +781,18 @@ class Stage3Init {
         const issues = [];
         const warnings = [];
         
-        // Verificar servicios críticos
-        const criticalServices = ['basic-network', 'syslog', 'display-manager'];
+        // Verificar módulos del kernel recibidos de Stage 2
+        const requiredModules = ['scheduler', 'memory-manager', 'process-manager'];
+        for (const moduleName of requiredModules) {
+            if (this.kernelModules[moduleName] && this.kernelModules[moduleName].initialized) {
+                checks.push(`Módulo ${moduleName}: OK`);
+            } else {
+                issues.push(`Módulo del kernel ${moduleName} no disponible`);
+            }
+        }
+        
+        // Verificar servicios críticos del runlevel alcanzado
+        const criticalServices = this.getCriticalServices(this.runlevel);
         for (const serviceName of criticalServices) {
             const service = this.services[serviceName];
             if (service && service.status === 'running') {
@@ -664,6 +833,11 @@ class Stage3Init {
             warnings.push('Memoria baja');
         }
         
+        // Componentes gráficos que arrancaron en modo degradado
+        for (const degraded of this.degradedComponents) {
+            warnings.push(`${degraded.component} en modo degradado: ${degraded.error}`);
+        }
+        
         return {
             ready: issues.length === 0,
             checks: checks,
@@ -680,10 +854,50 @@ class Stage3Init {
      * Métodos auxiliares
      */
     
+    trackService(name, pid) {
+        const record = this.initSystem.getRecord(name);
+        this.services[name] = record;
+        
+        if (record.type === 'daemon') {
+            this.daemons = this.daemons.filter(daemon => daemon.name !== name);
+            this.daemons.push({ name: name, pid: pid, since: record.startedAt });
+        }
+    }
+        
+    untrackService(name) {
+        delete this.services[name];
+        this.daemons = this.daemons.filter(daemon => daemon.name !== name);
+    }
+
+    logUnitResults(results) {
+        for (const [name, result] of Object.entries(results)) {
+            if (result.status === 'running' || result.status === 'exited') {
+                this.console.log(`      ✅ ${name} iniciado (PID: ${result.pid})`);
+            } else {
+                this.console.error(`      ❌ Error iniciando ${name}:`, result.error);
+            }
+        }
+    }
+    
+    getCriticalServices(runlevel) {
+        if (runlevel <= 1) {
+            return ['emergency-shell', 'basic-network', 'minimal-fs'];
+        }
+        
+        const services = ['basic-network', 'syslog'];
+        if (runlevel === 5) {
+            services.push('display-manager');
+        }
+        return services;
+    }
+    
     async initLoggingSystem() {
-        console.log('    📝 Inicializando sistema de logging...');
+        this.console.log('    📝 Inicializando sistema de logging...');
         await this.delay(20);
-        console.log('      Logging configurado en /var/log/init.log');
+        
+        // El daemon syslog vuelca el log del kernel en /var/log al arrancar su unit
+        const stats = this.klog.getStats();
+        this.console.log(`      Log del kernel: ${stats.used}/${stats.size} entradas, loglevel de consola ${stats.consoleLevel}`);
     }
     
     async testConnectivity() {
@@ -692,7 +906,7 @@ class Stage3Init {
             localhost: true,
             gateway: true,
             dns: true,
-            internet: navigator.onLine
+            internet: Boolean(this.host.navigator.onLine)
         };
     }
     
@@ -718,7 +932,7 @@ class Stage3Init {
     
     async createUserHome(user) {
         await this.delay(25);
-        console.log(`      Directorio ${user.home} creado/configurado`);
+        this.console.log(`      Directorio ${user.home} creado/configurado`);
     }
     
     async setupUserEnvironment(user) {
@@ -735,54 +949,98 @@ class Stage3Init {
     
     async startGraphicalComponent(component) {
         await this.delay(25);
-        return { name: component, status: 'running', pid: Math.floor(Math.random() * 1000) + 3000 };
+        
+        // Los componentes gráficos cuelgan del display manager si está en ejecución
+        const displayManager = this.initSystem.getRecord('display-manager');
+        const parentPid = displayManager && displayManager.pid !== null ? displayManager.pid : PidAllocator.INIT_PID;
+        const process = this.pidAllocator.allocate({ name: component, parentPid: parentPid, type: 'user' });
+        
+        return { name: component, status: 'running', pid: process.pid };
+    }
+
+    stopGraphicalEnvironment() {
+        for (const component of this.graphicalProcesses.reverse()) {
+            this.pidAllocator.release(component.pid);
+        }
+        this.graphicalProcesses = [];
     }
     
     async startFallbackGraphics() {
-        console.log('      🖌️ Iniciando modo gráfico de fallback (framebuffer)');
+        this.console.log('      🖌️ Iniciando modo gráfico de fallback (framebuffer)');
         await this.delay(40);
         return { mode: 'framebuffer', resolution: '1024x768' };
     }
     
     async setDisplayResolution(width, height) {
         await this.delay(15);
-        console.log(`      Resolución establecida: ${width}x${height}`);
+        this.console.log(`      Resolución establecida: ${width}x${height}`);
     }
     
     async setTheme(themeName) {
         await this.delay(10);
-        console.log(`      Tema establecido: ${themeName}`);
+        this.console.log(`      Tema establecido: ${themeName}`);
     }
     
+    /**
+     * Efectos del compositor según el perfil de capacidades del BIOS
+     */
+    async configureCompositor() {
+        const policy = this.capabilities ? this.capabilities.policy : null;
+        this.compositor = {
+            renderer: policy ? policy.renderer : 'canvas2d',
+            effects: policy ? policy.compositorEffects : false
+        };
+        this.console.log(`      Compositor: ${this.compositor.renderer}, efectos ${this.compositor.effects ? 'activados' : 'desactivados'}`);
+        return this.compositor;
+    }
+
     async checkSystemResources() {
         await this.delay(25);
+        
+        // Usar la memoria detectada por el BIOS si Stage 2 la entregó
+        const total = this.physicalMemory ? this.physicalMemory.total : 4 * 1024 * 1024 * 1024;
+        const free = this.physicalMemory ? this.physicalMemory.available : 3 * 1024 * 1024 * 1024;
+        
         return {
             memory: {
-                total: 4 * 1024 * 1024 * 1024,
-                free: 3 * 1024 * 1024 * 1024,
-                used: 1 * 1024 * 1024 * 1024
+                total: total,
+                free: free,
+                used: total - free
             },
             cpu: {
                 load: 15,
-                cores: navigator.hardwareConcurrency || 4
+                cores: this.host.navigator.hardwareConcurrency || 4
             }
         };
     }
     
+    emitRunlevelChangedEvent(change) {
+        this.host.dispatch('yOS:runlevel:changed', { ...change, timestamp: Date.now() });
+    }
+
     emitSystemReadyEvent() {
-        if (typeof window !== 'undefined') {
-            window.dispatchEvent(new CustomEvent('yOS:system:ready', {
-                detail: {
-                    runlevel: this.runlevel,
-                    services: Object.keys(this.services),
-                    userSessions: this.userSessions,
-                    timestamp: Date.now()
-                }
-            }));
-        }
+        this.host.dispatch('yOS:system:ready', {
+            runlevel: this.runlevel,
+            services: Object.keys(this.services),
+            userSessions: this.userSessions,
+            timestamp: Date.now()
+        });
     }
     
+    /**
+     * Progreso dentro de la etapa para la pantalla de arranque (yOS:boot:progress)
+     */
+    emitProgress(detail) {
+        this.host.dispatch('yOS:boot:progress', { stage: this.name, ...detail });
+    }
+
+    /**
+     * Utilidad: retardo simulado (se omite al reanudar desde hibernación)
+     */
     delay(ms) {
+        if (this.resuming) {
+            return Promise.resolve();
+        }
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
@@ -794,9 +1052,19 @@ class Stage3Init {
             stage: this.name,
             version: this.version,
             runlevel: this.runlevel,
+            previousRunlevel: this.previousRunlevel,
+            targetRunlevel: this.targetRunlevel,
+            init: this.bootParams.init || '/sbin/init',
             services: Object.keys(this.services),
+            kernelModules: Object.keys(this.kernelModules),
             daemons: this.daemons.map(d => d.name),
+            units: this.initSystem ? this.initSystem.list() : [],
+            supervisedDaemons: this.supervisor ? this.supervisor.getStatus() : [],
+            processTree: this.pidAllocator ? this.pidAllocator.getTree() : null,
+            recovery: this.recovery,
+            degradedComponents: this.degradedComponents,
             userSessions: this.userSessions.map(s => s.user),
+            mounts: this.mounts.map(fs => fs.mountpoint),
             systemReady: this.systemReady,
             startupScripts: this.startupScripts,
             timestamp: Date.now()
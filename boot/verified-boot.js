@@ -0,0 +1,293 @@
+/**
+ * yOS WebOS - Verified Boot
+ * Comprobación de integridad de los ficheros del arranque con Web Crypto
+ *
+ * boot/integrity.json lista el SHA-256 de cada etapa de boot, módulo del kernel y
+ * unit file de servicio, firmado con ECDSA P-256 por una clave de TRUSTED_KEYS:
+ *
+ *   {
+ *     "version": 1,
+ *     "algorithm": "SHA-256",
+ *     "files": { "boot/stage1-bios.js": "<hex>", "kernel/core/scheduler.js": "<hex>", ... },
+ *     "signature": { "keyId": "yos-release-1", "algorithm": "ECDSA-P256-SHA256", "value": "<base64>" }
+ *   }
+ *
+ * Las etapas, módulos y servicios arrastran con sus imports estáticos otros ficheros que
+ * no pasan por ningún punto de verificación, así que el manifiesto incluye el grafo de
+ * imports completo y verifyManifest comprueba todos los ficheros antes de importar la
+ * primera etapa. Un import nuevo cambia el fichero que lo hace y su digest deja de coincidir.
+ * verify() vuelve a comprobar justo antes de importar o interpretar (módulos cargados
+ * después del arranque, modules.json ya leído). Política (integrity=):
+ *   enforce: una firma inválida o un digest distinto o ausente aborta el arranque
+ *   warn:    se arranca igualmente y el fallo queda marcado en el reporte de arranque
+ *   off:     sin verificación
+ * Por defecto warn: quien toca una etapa o un módulo sin la clave de firma sigue pudiendo
+ * arrancar. Los despliegues publicados activan enforce en la línea de comandos
+ * (?cmdline=integrity=enforce o setCommandLineOverride).
+ *
+ * El manifiesto se regenera y firma con boot/sign-integrity.js; el flujo de firma y la
+ * custodia de la clave están en docs/development/verified-boot.md.
+ */
+
+import BootHost from './host.js';
+import KernelLog from '../kernel/core/klog.js';
+
+const ROOT_URL = new URL('../', import.meta.url);
+
+// Claves públicas de firma de las versiones de yOS (la privada no está en el repositorio)
+const TRUSTED_KEYS = {
+    'yos-release-1': {
+        kty: 'EC',
+        crv: 'P-256',
+        x: 'KAC2Q-lsucyBj5dYrBackglUMNWBZ6xVt_0UKKmhzwk',
+        y: 'y8UbI0BDWhLEl_pLgCxCaZyc_Ul8pE4X3PydOYqjkb0'
+    }
+};
+
+const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+const KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+
+class VerifiedBoot {
+    /**
+     * @param {Object} options
+     * @param {BootHost} [options.host] - Host del que se leen los ficheros
+     * @param {string} [options.policy='warn'] - 'enforce', 'warn' u 'off'
+     * @param {string} [options.manifestUrl] - Manifiesto (por defecto boot/integrity.json)
+     * @param {Object} [options.trustedKeys] - keyId → JWK pública
+     * @param {SubtleCrypto} [options.subtle] - Web Crypto (por defecto crypto.subtle)
+     * @param {KernelLog} [options.klog]
+     */
+    constructor(options = {}) {
+        this.host = options.host || BootHost.detect();
+        this.console = (options.klog || new KernelLog()).logger('integrity');
+        this.policy = options.policy || 'warn';
+        this.manifestUrl = new URL(options.manifestUrl || 'boot/integrity.json', ROOT_URL);
+        this.trustedKeys = options.trustedKeys || TRUSTED_KEYS;
+        this.subtle = options.subtle || (globalThis.crypto && globalThis.crypto.subtle) || null;
+        this.manifest = null;
+        this.signature = { keyId: null, valid: false, error: null };
+        this.results = new Map();
+    }
+
+    /**
+     * Ruta de un fichero relativa a la raíz del sistema (clave del manifiesto)
+     */
+    static relativePath(url) {
+        const target = new URL(url, ROOT_URL);
+        target.search = '';
+        target.hash = '';
+        return target.href.startsWith(ROOT_URL.href) ? target.href.slice(ROOT_URL.href.length) : target.href;
+    }
+
+    /**
+     * Contenido firmado: versión, algoritmo y digests con las rutas ordenadas
+     */
+    static canonicalize(manifest) {
+        const files = {};
+        for (const path of Object.keys(manifest.files).sort()) {
+            files[path] = manifest.files[path];
+        }
+        return JSON.stringify({ version: manifest.version, algorithm: manifest.algorithm, files: files });
+    }
+
+    /**
+     * SHA-256 en hexadecimal de un texto o ArrayBuffer
+     */
+    static async digest(subtle, data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const hash = await subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(hash)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static async sign(subtle, manifest, privateKey) {
+        const data = new TextEncoder().encode(VerifiedBoot.canonicalize(manifest));
+        const signature = await subtle.sign(SIGNATURE_PARAMS, privateKey, data);
+        return btoa(String.fromCharCode(...new Uint8Array(signature)));
+    }
+
+    get enabled() {
+        return this.policy !== 'off';
+    }
+
+    /**
+     * Leer el manifiesto y comprobar su firma
+     */
+    async loadManifest() {
+        if (!this.enabled) {
+            this.console.log('  🔓 Arranque verificado desactivado (integrity=off)');
+            return null;
+        }
+        
+        try {
+            if (!this.subtle) {
+                throw new Error('Web Crypto no disponible (se requiere un contexto seguro)');
+            }
+            
+            const response = await this.host.fetch(this.manifestUrl.href);
+            if (!response.ok) {
+                throw new Error(`No se pudo leer el manifiesto de integridad: HTTP ${response.status}`);
+            }
+            
+            const manifest = await response.json();
+            if (manifest.algorithm !== 'SHA-256' || !manifest.files || typeof manifest.files !== 'object') {
+                throw new Error('Manifiesto de integridad mal formado');
+            }
+            this.manifest = manifest;
+            
+            await this.verifySignature(manifest);
+            this.console.log(`  🔏 Manifiesto de integridad firmado por ${this.signature.keyId} (${Object.keys(manifest.files).length} ficheros)`);
+        } catch (error) {
+            this.signature.error = error.message;
+            this.reject(VerifiedBoot.relativePath(this.manifestUrl), 'manifest', error.message);
+        }
+        
+        return this.manifest;
+    }
+
+    async verifySignature(manifest) {
+        const { keyId, value } = manifest.signature || {};
+        this.signature.keyId = keyId || null;
+        
+        const jwk = keyId && this.trustedKeys[keyId];
+        if (!jwk) {
+            throw new Error(keyId ? `Clave de firma no confiable: ${keyId}` : 'Manifiesto de integridad sin firmar');
+        }
+        
+        const key = await this.subtle.importKey('jwk', jwk, KEY_PARAMS, false, ['verify']);
+        const signature = Uint8Array.from(atob(value || ''), char => char.charCodeAt(0));
+        const data = new TextEncoder().encode(VerifiedBoot.canonicalize(manifest));
+        
+        this.signature.valid = await this.subtle.verify(SIGNATURE_PARAMS, key, signature, data);
+        if (!this.signature.valid) {
+            throw new Error('Firma del manifiesto de integridad inválida');
+        }
+    }
+
+    /**
+     * Verificar todos los ficheros del manifiesto (antes de importar la primera etapa)
+     * @returns {Array<Object>} Resultados de verify
+     */
+    async verifyManifest() {
+        if (!this.enabled || !this.manifest) {
+            return [];
+        }
+        
+        const results = [];
+        for (const path of Object.keys(this.manifest.files).sort()) {
+            results.push(await this.verify(new URL(path, ROOT_URL), { kind: VerifiedBoot.kindOf(path) }));
+        }
+        const failures = results.filter(result => result.status !== 'ok').length;
+        this.console.log(`  🔏 ${results.length - failures}/${results.length} ficheros del manifiesto verificados`);
+        return results;
+    }
+
+    /**
+     * Tipo de fichero para el reporte según su ruta
+     */
+    static kindOf(path) {
+        if (/^boot\/stage\d/.test(path)) {
+            return 'stage';
+        }
+        if (path.startsWith('boot/init.d/')) {
+            return 'unit';
+        }
+        if (path.startsWith('kernel/')) {
+            return path.endsWith('.json') ? 'manifest' : 'module';
+        }
+        return path.startsWith('services/') ? 'service' : 'import';
+    }
+
+    /**
+     * Verificar un fichero antes de ejecutarlo
+     * @param {URL|string} url
+     * @param {Object} [options]
+     * @param {string} [options.kind] - 'stage', 'module', 'unit'...
+     * @param {string|ArrayBuffer} [options.data] - Contenido ya leído (si no, se lee del host)
+     * @returns {Object|null} { path, kind, status: ok|mismatch|unlisted|error, expected, actual }
+     */
+    async verify(url, options = {}) {
+        if (!this.enabled) {
+            return null;
+        }
+        
+        const path = VerifiedBoot.relativePath(url);
+        const expected = this.manifest ? this.manifest.files[path] || null : null;
+        const result = { path: path, kind: options.kind || 'file', status: 'ok', expected: expected, actual: null, error: null };
+        
+        try {
+            if (!this.subtle) {
+                throw new Error('Web Crypto no disponible');
+            }
+            const data = options.data !== undefined ? options.data : await this.read(url);
+            result.actual = await VerifiedBoot.digest(this.subtle, data);
+            
+            if (!expected) {
+                result.status = 'unlisted';
+                result.error = 'no figura en el manifiesto de integridad';
+            } else if (result.actual !== expected) {
+                result.status = 'mismatch';
+                result.error = 'el SHA-256 no coincide con el manifiesto';
+            }
+        } catch (error) {
+            result.status = 'error';
+            result.error = error.message;
+        }
+        
+        this.results.set(path, result);
+        if (result.status !== 'ok') {
+            this.reject(path, result.kind, result.error);
+        }
+        return result;
+    }
+
+    async read(url) {
+        const response = await this.host.fetch(new URL(url, ROOT_URL).href);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
+    }
+
+    /**
+     * enforce: rechazar el fichero; warn: marcarlo y continuar
+     */
+    reject(path, kind, message) {
+        if (!this.results.has(path)) {
+            this.results.set(path, { path: path, kind: kind, status: 'error', expected: null, actual: null, error: message });
+        }
+        
+        if (this.policy === 'enforce') {
+            throw new Error(`Arranque verificado: ${path} rechazado (${message})`);
+        }
+        this.console.warn(`⚠️ Arranque verificado: ${path} (${message})`);
+    }
+
+    /**
+     * Resumen para el reporte de arranque
+     */
+    getReport() {
+        const files = [...this.results.values()];
+        return {
+            policy: this.policy,
+            manifest: {
+                loaded: Boolean(this.manifest),
+                keyId: this.signature.keyId,
+                signatureValid: this.signature.valid,
+                files: this.manifest ? Object.keys(this.manifest.files).length : 0
+            },
+            verified: files.filter(file => file.status === 'ok').length,
+            failures: files.filter(file => file.status !== 'ok'),
+            files: files
+        };
+    }
+}
+
+VerifiedBoot.TRUSTED_KEYS = TRUSTED_KEYS;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.VerifiedBoot = VerifiedBoot;
+}
+
+export default VerifiedBoot;
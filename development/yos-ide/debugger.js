@@ -1,10 +1,181 @@
-// debugger.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - IDE: depurador
+ * Se engancha al proceso de la app en depuración con el trazado de syscalls del kernel
+ *
+ * Guarda la traza de llamadas (las últimas maxEvents) y admite puntos de parada en
+ * llamadas al sistema: al entrar en una de ellas la llamada queda en espera hasta
+ * continue() o step() (que vuelve a parar en la siguiente llamada).
+ */
 
-console.log('debugger.js cargado');
+import SyscallABI from '../../kernel/core/syscall-abi.js';
 
-function init() {
-    console.log('Aplicación inicializada');
+class Debugger {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {number} [options.maxEvents=1000]
+     * @param {Function} [options.onBreak] - (event) => void al parar en una llamada
+     * @param {Function} [options.onEvent] - (event) => void por cada llamada terminada
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.maxEvents = options.maxEvents || 1000;
+        this.onBreak = options.onBreak || null;
+        this.onEvent = options.onEvent || null;
+        this.pid = null;
+        this.tracerId = null;
+        this.breakpoints = new Set();
+        this.events = [];
+        // Llamadas paradas, en orden (con -f puede haber varias a la vez)
+        this.paused = [];
+        this.stepping = false;
+    }
+
+    /**
+     * Engancharse a un proceso
+     * @param {Object} [options] - { follow }: seguir también a sus hijos
+     */
+    attach(pid, options = {}) {
+        if (this.tracerId !== null) {
+            this.detach();
+        }
+        if (!this.getSymbol('getProcessById')(pid)) {
+            throw new Error(`ESRCH: no existe el proceso ${pid}`);
+        }
+        this.pid = pid;
+        this.events = [];
+        this.tracerId = this.getSymbol('syscall_trace')(pid, (event) => this.handleEvent(event), {
+            follow: Boolean(options.follow)
+        });
+        return this.tracerId;
+    }
+
+    /**
+     * Desengancharse; las llamadas paradas continúan
+     */
+    detach() {
+        if (this.tracerId === null) {
+            return false;
+        }
+        this.getSymbol('syscall_untrace')(this.tracerId);
+        this.tracerId = null;
+        this.pid = null;
+        this.stepping = false;
+        this.paused.splice(0).forEach(paused => paused.resolve());
+        return true;
+    }
+
+    /**
+     * Parar al entrar en estas llamadas (nombres o números del ABI)
+     */
+    setSyscallBreakpoints(calls) {
+        this.breakpoints = new Set(calls.map(call => SyscallABI.lookup(call).name));
+        return [...this.breakpoints];
+    }
+
+    clearBreakpoints() {
+        this.breakpoints.clear();
+    }
+
+    /**
+     * Dejar seguir la llamada parada
+     */
+    continue() {
+        this.stepping = false;
+        return this.resume();
+    }
+
+    /**
+     * Dejar seguir la llamada parada y parar en la siguiente
+     */
+    step() {
+        this.stepping = true;
+        return this.resume();
+    }
+
+    isPaused() {
+        return this.paused.length > 0;
+    }
+
+    /**
+     * Llamada parada que continuará con continue()/step()
+     */
+    getPausedEvent() {
+        return this.paused.length > 0 ? this.paused[0].event : null;
+    }
+
+    /**
+     * Traza de llamadas terminadas
+     * @param {Object} [filter] - { name, pid, errors }: solo las que fallaron con errors
+     */
+    getTrace(filter = {}) {
+        return this.events.filter(event =>
+            (!filter.name || event.name === filter.name)
+            && (!filter.pid || event.pid === filter.pid)
+            && (!filter.errors || event.errno));
+    }
+
+    /**
+     * Traza en formato strace
+     */
+    formatTrace(filter = {}) {
+        return this.getTrace(filter).map(event => {
+            const prefix = event.pid !== this.pid ? `[pid ${event.pid}] ` : '';
+            return `${prefix}${SyscallABI.format(event)}`;
+        });
+    }
+
+    handleEvent(event) {
+        if (event.phase === 'exit') {
+            this.events.push(event);
+            if (this.events.length > this.maxEvents) {
+                this.events.shift();
+            }
+            if (this.onEvent) {
+                this.onEvent(event);
+            }
+            return null;
+        }
+        if (!this.stepping && !this.breakpoints.has(event.name)) {
+            return null;
+        }
+        // Parada en la llamada: el dispatcher espera a esta promesa
+        return new Promise(resolve => {
+            this.paused.push({ event, resolve });
+            if (this.onBreak) {
+                this.onBreak(event);
+            }
+        });
+    }
+
+    resume() {
+        const paused = this.paused.shift();
+        if (!paused) {
+            return false;
+        }
+        paused.resolve();
+        return true;
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.Debugger = Debugger;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default Debugger;
@@ -0,0 +1,218 @@
+/**
+ * yOS WebOS - Kernel: etcfs
+ * Ficheros de configuración de /etc que sobreviven a los reinicios
+ *
+ * Ficheros de texto guardados en el almacenamiento del host (localStorage en el navegador);
+ * cada escritura guarda el árbol completo. Los directorios no se crean: existen mientras
+ * contengan algún fichero. Sin almacenamiento del host los ficheros viven solo en memoria.
+ *
+ * Se registra en el gestor de procesos (registerPseudoFs) para que open/read/write de
+ * rutas de /etc funcionen con descriptores: 'w' trunca, 'rw' conserva el contenido y en
+ * los dos casos write añade al final. Leer un directorio da EISDIR (sus entradas, con etc_readdir).
+ */
+
+export const moduleInfo = {
+    name: 'etcfs',
+    version: '1.0.0',
+    description: 'Sistema de ficheros persistente /etc'
+};
+
+const MOUNTPOINT = '/etc';
+const STORAGE_KEY = 'yOS:etcfs';
+
+let state = null;
+let pm = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (kernel.host.storage guarda los ficheros)
+ */
+export function init(context) {
+    pm = {
+        register: context.symbol('registerPseudoFs'),
+        unregister: context.symbol('unregisterPseudoFs')
+    };
+    const host = context.kernel ? context.kernel.host : null;
+    state = {
+        status: 'initialized',
+        storage: host && host.storage ? host.storage : null,
+        files: new Map(),
+        encoder: new TextEncoder(),
+        decoder: new TextDecoder()
+    };
+    load();
+    pm.register(MOUNTPOINT, openNode);
+    return { status: state.status, mountpoint: MOUNTPOINT, files: state.files.size };
+}
+
+export function exit() {
+    pm.unregister(MOUNTPOINT);
+    state = null;
+    pm = null;
+}
+
+/**
+ * Contenido de un fichero de /etc
+ * @param {string} path - Ruta absoluta global
+ * @returns {string}
+ */
+export function etc_read(path) {
+    const key = normalize(path);
+    if (!state.files.has(key)) {
+        throw new Error(isDirectory(key) ? `EISDIR: ${key} es un directorio` : `ENOENT: ${key} no existe`);
+    }
+    return state.files.get(key);
+}
+
+/**
+ * Crear o reemplazar un fichero (options.append añade al final)
+ * @returns {number} Caracteres escritos
+ */
+export function etc_write(path, content, options = {}) {
+    const key = normalize(path);
+    if (key === MOUNTPOINT || isDirectory(key)) {
+        throw new Error(`EISDIR: ${key} es un directorio`);
+    }
+    const text = String(content);
+    const previous = options.append && state.files.has(key) ? state.files.get(key) : '';
+    state.files.set(key, previous + text);
+    save();
+    return text.length;
+}
+
+export function etc_unlink(path) {
+    const key = normalize(path);
+    if (!state.files.has(key)) {
+        throw new Error(isDirectory(key) ? `EISDIR: ${key} es un directorio` : `ENOENT: ${key} no existe`);
+    }
+    state.files.delete(key);
+    save();
+    return 0;
+}
+
+/**
+ * Entradas (ficheros y subdirectorios) de un directorio de /etc
+ * @returns {Array<string>}
+ */
+export function etc_readdir(path) {
+    const key = normalize(path);
+    if (state.files.has(key)) {
+        throw new Error(`ENOTDIR: ${key} no es un directorio`);
+    }
+    const entries = children(key);
+    if (entries.length === 0 && key !== MOUNTPOINT) {
+        throw new Error(`ENOENT: ${key} no existe`);
+    }
+    return entries;
+}
+
+export function etc_exists(path) {
+    const key = normalize(path);
+    return key === MOUNTPOINT || state.files.has(key) || isDirectory(key);
+}
+
+/**
+ * Descripción de fichero para open (ver registerPseudoFs del gestor de procesos)
+ */
+function openNode(path, pid, mode) {
+    const key = normalize(path);
+    if (key === MOUNTPOINT || isDirectory(key)) {
+        if (mode !== 'r') {
+            throw new Error(`EISDIR: ${key} es un directorio`);
+        }
+        return {
+            type: 'directory',
+            ops: {
+                read: () => Promise.reject(new Error(`EISDIR: ${key} es un directorio`)),
+                stat: () => ({ size: 0 })
+            }
+        };
+    }
+    if (mode === 'w' || (mode === 'rw' && !state.files.has(key))) {
+        etc_write(key, '');
+    }
+    // El contenido se toma al abrir; las escrituras posteriores no cambian lo que se lee
+    const content = state.encoder.encode(etc_read(key));
+    let offset = 0;
+    return {
+        type: 'file',
+        ops: {
+            read: (count) => {
+                const end = count === undefined ? content.length : Math.min(content.length, offset + count);
+                const chunk = content.slice(offset, end);
+                offset = end;
+                return chunk;
+            },
+            write: (data) => {
+                const text = typeof data === 'string' ? data : state.decoder.decode(data);
+                etc_write(key, text, { append: true });
+                return state.encoder.encode(text).length;
+            },
+            // Posición de lectura; las escrituras siempre añaden al final
+            seek: (position, whence) => {
+                const base = whence === 'SEEK_CUR' ? offset : (whence === 'SEEK_END' ? content.length : 0);
+                if (base + position < 0) {
+                    throw new Error(`EINVAL: posición negativa en ${key}`);
+                }
+                offset = base + position;
+                return offset;
+            },
+            stat: () => ({ size: state.encoder.encode(state.files.has(key) ? state.files.get(key) : '').length })
+        }
+    };
+}
+
+function normalize(path) {
+    const parts = [];
+    for (const part of String(path).split('/')) {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    }
+    const key = `/${parts.join('/')}`;
+    if (key !== MOUNTPOINT && !key.startsWith(`${MOUNTPOINT}/`)) {
+        throw new Error(`ENOENT: ${path} no está en ${MOUNTPOINT}`);
+    }
+    return key;
+}
+
+function isDirectory(key) {
+    return children(key).length > 0;
+}
+
+function children(key) {
+    const prefix = `${key}/`;
+    const entries = new Set();
+    for (const path of state.files.keys()) {
+        if (path.startsWith(prefix)) {
+            entries.add(path.slice(prefix.length).split('/')[0]);
+        }
+    }
+    return [...entries].sort();
+}
+
+function load() {
+    if (!state.storage) {
+        return;
+    }
+    const raw = state.storage.getItem(STORAGE_KEY);
+    if (!raw) {
+        return;
+    }
+    try {
+        const files = JSON.parse(raw);
+        for (const path of Object.keys(files)) {
+            state.files.set(path, String(files[path]));
+        }
+    } catch (error) {
+        // Un árbol ilegible no impide arrancar: /etc empieza vacío
+        state.status = 'corrupted';
+    }
+}
+
+function save() {
+    if (state.storage) {
+        state.storage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(state.files)));
+    }
+}
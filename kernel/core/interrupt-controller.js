@@ -0,0 +1,333 @@
+/**
+ * yOS WebOS - Interrupt Controller
+ * Controlador de interrupciones: convierte eventos del navegador en IRQs y las despacha
+ * a través de la IDT del kernel (KernelInitializer.interruptHandlers) y de los drivers
+ *
+ * Líneas IRQ (vector = 32 + irq, como en el PIC remapeado):
+ *   0  timer     tick periódico a HZ
+ *   1  keyboard  keydown, keyup
+ *   8  rtc       tick de 1 s del reloj de tiempo real
+ *   9  display   resize, visibilitychange
+ *   10 network   online, offline
+ *   11 pointer   pointerdown, pointerup, pointermove, wheel
+ *
+ * Cada IRQ tiene prioridad (por defecto su número: 0 es la más urgente), máscara y
+ * contadores. Las IRQs elevadas en el mismo turno se despachan en orden de prioridad.
+ * Una IRQ enmascarada (o con las interrupciones deshabilitadas) queda pendiente como
+ * en el IRR del PIC: solo se conserva la última y se entrega al desenmascararla.
+ * Los drivers se registran con requestIrq(irq, handler, nombre); una línea puede ser compartida.
+ */
+
+import KernelLog from './klog.js';
+
+const IRQ_BASE = 32;
+const DEFAULT_HZ = 100;
+const RTC_INTERVAL = 1000;
+
+// Decodificación de los eventos del navegador a datos de la IRQ
+const IRQ_LINES = [
+    { irq: 0, name: 'timer', timer: 'pit' },
+    {
+        irq: 1,
+        name: 'keyboard',
+        events: ['keydown', 'keyup'],
+        decode: (event) => ({ type: event.type, key: event.key, code: event.code })
+    },
+    { irq: 8, name: 'rtc', timer: 'rtc' },
+    {
+        irq: 9,
+        name: 'display',
+        events: ['resize', 'visibilitychange'],
+        decode: (event) => {
+            const target = event.target || {};
+            return event.type === 'resize'
+                ? { type: event.type, width: target.innerWidth, height: target.innerHeight }
+                : { type: event.type, visible: target.visibilityState !== 'hidden' };
+        }
+    },
+    {
+        irq: 10,
+        name: 'network',
+        events: ['online', 'offline'],
+        decode: (event) => ({ type: event.type, online: event.type === 'online' })
+    },
+    {
+        irq: 11,
+        name: 'pointer',
+        events: ['pointerdown', 'pointerup', 'pointermove', 'wheel'],
+        decode: (event) => ({
+            type: event.type,
+            x: event.clientX,
+            y: event.clientY,
+            button: event.button,
+            deltaY: event.deltaY
+        })
+    }
+];
+
+class InterruptController {
+    /**
+     * @param {Object} options
+     * @param {BootHost} options.host - Origen de los eventos (addDeviceListener)
+     * @param {Object} [options.idt] - Tabla vector → { name, handler } del kernel
+     * @param {number} [options.hz=100] - Frecuencia del tick del timer (IRQ 0)
+     * @param {KernelLog} [options.klog]
+     */
+    constructor(options = {}) {
+        this.host = options.host;
+        this.idt = options.idt || {};
+        this.hz = options.hz || DEFAULT_HZ;
+        this.klog = options.klog || new KernelLog();
+        this.console = this.klog.logger('irq');
+        this.enabled = false;
+        this.queue = [];
+        this.flushScheduled = false;
+        this.removers = [];
+        this.timers = [];
+        this.jiffies = 0;
+        
+        this.lines = new Map(IRQ_LINES.map(line => [line.irq, {
+            ...line,
+            vector: IRQ_BASE + line.irq,
+            priority: line.irq,
+            masked: false,
+            pending: null,
+            count: 0,
+            spurious: 0,
+            actions: []
+        }]));
+    }
+
+    static vector(irq) {
+        return IRQ_BASE + irq;
+    }
+
+    /**
+     * Conectar las fuentes del navegador a sus líneas IRQ
+     */
+    attach() {
+        if (this.removers.length > 0) {
+            return this;
+        }
+        for (const line of this.lines.values()) {
+            for (const type of line.events || []) {
+                this.removers.push(this.host.addDeviceListener(type, (event) => this.raise(line.irq, line.decode(event))));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Habilitar interrupciones (sti): arrancan los timers y se entregan las IRQs pendientes
+     */
+    enable() {
+        this.enabled = true;
+        if (this.timers.length === 0) {
+            this.timers.push(setInterval(() => this.raise(0, { jiffies: ++this.jiffies }), 1000 / this.hz));
+            this.timers.push(setInterval(() => this.raise(8, { time: Date.now() }), RTC_INTERVAL));
+        }
+        for (const line of this.lines.values()) {
+            this.deliverPending(line);
+        }
+    }
+
+    /**
+     * Deshabilitar interrupciones (cli): las IRQs quedan pendientes
+     */
+    disable() {
+        this.enabled = false;
+    }
+
+    /**
+     * Detener los timers y desconectar las fuentes (apagado del sistema)
+     */
+    shutdown() {
+        this.disable();
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.removers.forEach(remove => remove());
+        this.removers = [];
+        this.queue = [];
+    }
+
+    /**
+     * Registrar el manejador de un driver en una IRQ (las líneas se pueden compartir)
+     * @param {number} irq
+     * @param {Function} handler - (data, irq) => void
+     * @param {string} name - Dispositivo o driver (columna de /proc/interrupts)
+     */
+    requestIrq(irq, handler, name) {
+        const line = this.getLine(irq);
+        if (typeof handler !== 'function') {
+            throw new Error(`IRQ ${irq}: el manejador de ${name} no es una función`);
+        }
+        if (line.actions.some(action => action.name === name)) {
+            throw new Error(`IRQ ${irq}: ${name} ya está registrado`);
+        }
+        line.actions.push({ name: name, handler: handler, count: 0, errors: 0 });
+        this.console.debug(`IRQ ${irq} (${line.name}): ${name} registrado`);
+    }
+
+    freeIrq(irq, name) {
+        const line = this.getLine(irq);
+        const before = line.actions.length;
+        line.actions = line.actions.filter(action => action.name !== name);
+        return line.actions.length < before;
+    }
+
+    mask(irq) {
+        this.getLine(irq).masked = true;
+    }
+
+    unmask(irq) {
+        const line = this.getLine(irq);
+        line.masked = false;
+        this.deliverPending(line);
+    }
+
+    setPriority(irq, priority) {
+        if (!Number.isInteger(priority) || priority < 0) {
+            throw new Error(`Prioridad inválida para IRQ ${irq}: ${priority}`);
+        }
+        this.getLine(irq).priority = priority;
+    }
+
+    /**
+     * Elevar una IRQ; se despacha al final del turno actual junto con las demás
+     * @returns {boolean} false si queda pendiente (enmascarada o interrupciones deshabilitadas)
+     */
+    raise(irq, data = {}) {
+        const line = this.getLine(irq);
+        if (line.masked || !this.enabled) {
+            line.pending = data;
+            return false;
+        }
+        
+        this.queue.push({ irq, data });
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            queueMicrotask(() => this.flush());
+        }
+        return true;
+    }
+
+    /**
+     * Despachar las IRQs en cola por orden de prioridad
+     */
+    flush() {
+        this.flushScheduled = false;
+        const queue = this.queue;
+        this.queue = [];
+        
+        queue
+            .map((request, order) => ({ ...request, order }))
+            .sort((a, b) => this.lines.get(a.irq).priority - this.lines.get(b.irq).priority || a.order - b.order)
+            .forEach(({ irq, data }) => this.handle(irq, data));
+    }
+
+    /**
+     * Manejador de la IDT para el vector y, después, los drivers registrados en la línea
+     */
+    handle(irq, data) {
+        const line = this.lines.get(irq);
+        const entry = this.idt[line.vector];
+        line.count++;
+        
+        if (!entry && line.actions.length === 0) {
+            line.spurious++;
+            return;
+        }
+        
+        if (entry && typeof entry.handler === 'function') {
+            this.invoke(`IDT ${line.vector}`, () => entry.handler(data));
+        }
+        for (const action of line.actions) {
+            action.count++;
+            if (!this.invoke(action.name, () => action.handler(data, irq))) {
+                action.errors++;
+            }
+        }
+    }
+
+    /**
+     * Excepción de CPU o IPI: se entrega directamente a la IDT (no enmascarable)
+     */
+    trap(vector, ...args) {
+        const entry = this.idt[vector];
+        if (!entry) {
+            this.klog.printk(KernelLog.KERN_CRIT, 'irq', `Vector ${vector} sin manejador`);
+            return false;
+        }
+        entry.count = (entry.count || 0) + 1;
+        return this.invoke(`IDT ${vector}`, () => entry.handler(...args));
+    }
+
+    invoke(name, fn) {
+        try {
+            fn();
+            return true;
+        } catch (error) {
+            this.console.error(`❌ Manejador de interrupción ${name}: ${error.message}`);
+            return false;
+        }
+    }
+
+    deliverPending(line) {
+        if (line.pending !== null && !line.masked && this.enabled) {
+            const data = line.pending;
+            line.pending = null;
+            this.raise(line.irq, data);
+        }
+    }
+
+    getLine(irq) {
+        const line = this.lines.get(irq);
+        if (!line) {
+            throw new Error(`IRQ inexistente: ${irq}`);
+        }
+        return line;
+    }
+
+    /**
+     * Estado de cada línea IRQ
+     */
+    getStats() {
+        return [...this.lines.values()].map(line => ({
+            irq: line.irq,
+            vector: line.vector,
+            name: line.name,
+            priority: line.priority,
+            masked: line.masked,
+            pending: line.pending !== null,
+            count: line.count,
+            spurious: line.spurious,
+            actions: line.actions.map(({ name, count, errors }) => ({ name, count, errors }))
+        }));
+    }
+
+    /**
+     * Vista al estilo /proc/interrupts
+     */
+    getProcInterrupts() {
+        const lines = ['            CPU0'];
+        for (const stats of this.getStats()) {
+            const devices = stats.actions.map(action => action.name).join(', ') || '-';
+            const flags = stats.masked ? ' (enmascarada)' : '';
+            lines.push(`${String(stats.irq).padStart(3)}: ${String(stats.count).padStart(10)}  yOS-PIC  ${String(stats.vector).padStart(3)}-edge  ${stats.name.padEnd(9)} ${devices}${flags}`);
+        }
+        const spurious = this.getStats().reduce((sum, stats) => sum + stats.spurious, 0);
+        lines.push(`SPU: ${String(spurious).padStart(10)}  Interrupciones espurias`);
+        return lines;
+    }
+}
+
+InterruptController.IRQ_BASE = IRQ_BASE;
+InterruptController.LINES = IRQ_LINES.map(({ irq, name, events }) => ({ irq, name, events: events || [] }));
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.InterruptController = InterruptController;
+}
+
+export default InterruptController;
@@ -1,10 +1,806 @@
-// ipc-system.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Kernel: IPC
+ * Pipes, colas de mensajes System V, memoria compartida y futex entre procesos
+ *
+ * Pipes: flujo de bytes con buffer limitado (ipc.pipes.buffer_size del kernel). write espera
+ * mientras el buffer está lleno (contrapresión) y read mientras está vacío; sin escritores
+ * read devuelve fin de fichero y sin lectores write falla con EPIPE y el escritor recibe SIGPIPE.
+ * Colas de mensajes: cada mensaje tiene un tipo entero > 0 y msgrcv elige por tipo como en
+ * System V (0 el primero, n el primero de tipo n, -n el de menor tipo <= n); msgsnd espera
+ * si la cola está llena salvo con nowait.
+ * Memoria compartida: segmentos SharedArrayBuffer (ArrayBuffer si el navegador no tiene
+ * aislamiento de origen cruzado) que se cargan a la memoria de cada proceso que los adjunta.
+ * Futex: FUTEX_WAIT/FUTEX_WAKE sobre un entero de 32 bits de un segmento, con
+ * Atomics.waitAsync/Atomics.notify para que también esperen los workers de las apps.
+ *
+ * Claves: IPC_PRIVATE (0) crea siempre un objeto nuevo; con otra clave los procesos lo
+ * comparten. Los permisos (modo rw de propietario, grupo y otros) se comprueban con el
+ * uid/gid del proceso; uid 0 los salta.
+ * Claves, colas y segmentos son del namespace ipc del proceso que los crea: desde otro
+ * namespace la clave no existe y el identificador es EINVAL.
+ */
 
-console.log('ipc-system.js cargado');
+export const moduleInfo = {
+    name: 'ipc-system',
+    version: '1.2.0',
+    description: 'Comunicación entre procesos'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const IPC_PRIVATE = 0;
+const KERNEL_PID = 1;
+
+// MSGMNB de Linux: bytes máximos en una cola
+const MSG_QUEUE_BYTES = 16384;
+
+const DEFAULT_LIMITS = {
+    pipeBuffer: 65536,
+    maxQueues: 1024,
+    maxMessages: 8192,
+    maxMessageSize: 8192,
+    maxSegments: 4096,
+    maxSegmentSize: 4294967296
+};
+
+let state = null;
+let pm = null;
+let mm = null;
+let nsId = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (límites en kernel.kernelModules.ipc)
+ */
+export function init(context) {
+    pm = {
+        installFile: context.symbol('installFile'),
+        sendSignal: context.symbol('sendSignal'),
+        getProcess: context.symbol('getProcessById')
+    };
+    mm = {
+        track: context.symbol('mm_track_buffer'),
+        untrack: context.symbol('mm_untrack_buffer')
+    };
+    nsId = context.symbol('ns_id');
+    state = {
+        status: 'initialized',
+        limits: readLimits(context.kernel),
+        pipes: new Map(),
+        queues: new Map(),
+        segments: new Map(),
+        keys: { msg: new Map(), shm: new Map() },
+        futexWaiters: new Map(),
+        nextId: 1
+    };
+    return { status: state.status, limits: { ...state.limits } };
+}
+
+export function exit() {
+    for (const queue of state.queues.values()) {
+        removeQueue(queue);
+    }
+    for (const word of state.futexWaiters.values()) {
+        wakeAll(word);
+    }
+    state = null;
+    pm = null;
+    mm = null;
+    nsId = null;
+}
+
+/**
+ * pipe: crear un pipe e instalar sus dos extremos en la tabla de descriptores del proceso
+ * @param {number} pid
+ * @param {Object} [options] - { cloexec }
+ * @returns {Object} { pipeId, readFd, writeFd }
+ */
+export function pipe_create(pid, options = {}) {
+    const pipe = {
+        id: state.nextId++,
+        chunks: [],
+        size: 0,
+        capacity: state.limits.pipeBuffer,
+        readOpen: true,
+        writeOpen: true,
+        readers: [],
+        writers: []
+    };
+    const path = `pipe:[${pipe.id}]`;
+    const readFd = pm.installFile(pid, {
+        path: path,
+        type: 'pipe',
+        mode: 'r',
+        ops: {
+            read: (count) => pipeRead(pipe, count),
+            release: () => closePipeEnd(pipe, 'read')
+        }
+    }, options);
+    const writeFd = pm.installFile(pid, {
+        path: path,
+        type: 'pipe',
+        mode: 'w',
+        ops: {
+            write: (data, writerPid) => pipeWrite(pipe, data, writerPid),
+            release: () => closePipeEnd(pipe, 'write')
+        }
+    }, options);
+
+    state.pipes.set(pipe.id, pipe);
+    return { pipeId: pipe.id, readFd, writeFd };
+}
+
+/**
+ * msgget: obtener (o crear) una cola de mensajes
+ * @param {number} pid
+ * @param {number} key - IPC_PRIVATE (0) o clave compartida
+ * @param {Object} [options] - { create, exclusive, mode = 0o600 }
+ * @returns {number} Identificador de la cola
+ */
+export function msgget(pid, key, options = {}) {
+    const existing = lookupKey(pid, 'msg', key, options);
+    if (existing !== null) {
+        checkAccess(pid, state.queues.get(existing), 'r');
+        return existing;
+    }
+    if (state.queues.size >= state.limits.maxQueues) {
+        throw new Error('ENOSPC: límite de colas de mensajes alcanzado');
+    }
+
+    const queue = {
+        id: state.nextId++,
+        key: key,
+        ns: nsId(pid, 'ipc'),
+        ...ownership(pid, options.mode),
+        messages: [],
+        bytes: 0,
+        maxBytes: MSG_QUEUE_BYTES,
+        senders: [],
+        receivers: [],
+        stats: { sent: 0, received: 0, lastSendPid: null, lastReceivePid: null }
+    };
+    state.queues.set(queue.id, queue);
+    if (key !== IPC_PRIVATE) {
+        state.keys.msg.set(scopedKey(queue.ns, key), queue.id);
+    }
+    return queue.id;
+}
+
+/**
+ * msgsnd: encolar un mensaje; espera si la cola está llena
+ * @param {*} data - Uint8Array, texto u objeto clonable (se copia)
+ * @param {Object} [options] - { nowait }: EAGAIN en vez de esperar
+ * @returns {Promise<number>} 0
+ */
+export function msgsnd(pid, msqid, type, data, options = {}) {
+    const queue = getQueue(pid, msqid);
+    checkAccess(pid, queue, 'w');
+    if (!Number.isInteger(type) || type <= 0) {
+        return Promise.reject(new Error(`EINVAL: tipo de mensaje inválido: ${type}`));
+    }
+    const message = { type: type, data: copyMessage(data), size: messageSize(data), senderPid: pid };
+    if (message.size > state.limits.maxMessageSize) {
+        return Promise.reject(new Error(`EINVAL: mensaje de ${message.size} bytes (máximo ${state.limits.maxMessageSize})`));
+    }
+
+    if (queue.senders.length === 0 && fits(queue, message)) {
+        enqueueMessage(queue, message);
+        return Promise.resolve(0);
+    }
+    if (options.nowait) {
+        return Promise.reject(new Error(`EAGAIN: la cola ${msqid} está llena`));
+    }
+    return new Promise((resolve, reject) => {
+        queue.senders.push({ message, resolve, reject });
+    });
+}
+
+/**
+ * msgrcv: sacar un mensaje por tipo; espera si no hay ninguno que encaje
+ * @param {number} [type=0] - 0 el primero, n > 0 el primero de tipo n, n < 0 el de menor tipo <= |n|
+ * @param {Object} [options] - { nowait }: ENOMSG en vez de esperar
+ * @returns {Promise<Object>} { type, data, senderPid }
+ */
+export function msgrcv(pid, msqid, type = 0, options = {}) {
+    const queue = getQueue(pid, msqid);
+    checkAccess(pid, queue, 'r');
+    const index = findMessage(queue, type);
+    if (index !== -1) {
+        return Promise.resolve(dequeueMessage(queue, index, pid));
+    }
+    if (options.nowait) {
+        return Promise.reject(new Error(`ENOMSG: no hay mensajes de tipo ${type} en la cola ${msqid}`));
+    }
+    return new Promise((resolve, reject) => {
+        queue.receivers.push({ pid, type, resolve, reject });
+    });
+}
+
+/**
+ * msgctl: IPC_STAT o IPC_RMID (despierta a los que esperan con EIDRM)
+ */
+export function msgctl(pid, msqid, command) {
+    const queue = getQueue(pid, msqid);
+    if (command === 'IPC_STAT') {
+        checkAccess(pid, queue, 'r');
+        return describeQueue(queue);
+    }
+    if (command === 'IPC_RMID') {
+        checkOwner(pid, queue);
+        removeQueue(queue);
+        return 0;
+    }
+    throw new Error(`EINVAL: operación desconocida: ${command}`);
+}
+
+/**
+ * shmget: obtener (o crear) un segmento de memoria compartida
+ * @param {Object} [options] - { create, exclusive, mode = 0o600 }
+ * @returns {number} Identificador del segmento
+ */
+export function shmget(pid, key, size, options = {}) {
+    const existing = lookupKey(pid, 'shm', key, options);
+    if (existing !== null) {
+        const segment = state.segments.get(existing);
+        checkAccess(pid, segment, 'r');
+        if (size > segment.size) {
+            throw new Error(`EINVAL: el segmento ${existing} tiene ${segment.size} bytes`);
+        }
+        return existing;
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > state.limits.maxSegmentSize) {
+        throw new Error(`EINVAL: tamaño de segmento inválido: ${size}`);
+    }
+    if (state.segments.size >= state.limits.maxSegments) {
+        throw new Error('ENOSPC: límite de segmentos de memoria compartida alcanzado');
+    }
+
+    const shared = typeof SharedArrayBuffer !== 'undefined';
+    const segment = {
+        id: state.nextId++,
+        key: key,
+        ns: nsId(pid, 'ipc'),
+        ...ownership(pid, options.mode),
+        size: size,
+        shared: shared,
+        buffer: shared ? new SharedArrayBuffer(size) : new ArrayBuffer(size),
+        attachments: new Map(),
+        removed: false
+    };
+    state.segments.set(segment.id, segment);
+    if (key !== IPC_PRIVATE) {
+        state.keys.shm.set(scopedKey(segment.ns, key), segment.id);
+    }
+    return segment.id;
+}
+
+/**
+ * shmat: adjuntar el segmento al proceso (se carga a su cuota de memoria)
+ * @param {Object} [options] - { readonly }: solo exige permiso de lectura
+ * @returns {Object} { shmid, buffer, shared, readonly }
+ */
+export function shmat(pid, shmid, options = {}) {
+    const segment = getSegment(pid, shmid);
+    if (segment.removed) {
+        throw new Error(`EIDRM: el segmento ${shmid} está marcado para borrarse`);
+    }
+    checkAccess(pid, segment, options.readonly ? 'r' : 'rw');
+
+    if (!segment.attachments.has(pid)) {
+        const trackId = mm.track(pid, segment.buffer, `shm:${segment.id}`);
+        segment.attachments.set(pid, { trackId, readonly: Boolean(options.readonly) });
+    }
+    const attachment = segment.attachments.get(pid);
+    return { shmid: segment.id, buffer: segment.buffer, shared: segment.shared, readonly: attachment.readonly };
+}
+
+export function shmdt(pid, shmid) {
+    const segment = getSegment(pid, shmid);
+    const attachment = segment.attachments.get(pid);
+    if (!attachment) {
+        throw new Error(`EINVAL: el segmento ${shmid} no está adjunto al proceso ${pid}`);
+    }
+    detach(segment, pid, attachment);
+    destroyIfUnused(segment);
+    return 0;
+}
+
+/**
+ * shmctl: IPC_STAT o IPC_RMID (el segmento se borra al soltarlo el último proceso)
+ */
+export function shmctl(pid, shmid, command) {
+    const segment = getSegment(pid, shmid);
+    if (command === 'IPC_STAT') {
+        checkAccess(pid, segment, 'r');
+        return describeSegment(segment);
+    }
+    if (command === 'IPC_RMID') {
+        checkOwner(pid, segment);
+        segment.removed = true;
+        if (segment.key !== IPC_PRIVATE) {
+            state.keys.shm.delete(scopedKey(segment.ns, segment.key));
+        }
+        destroyIfUnused(segment);
+        return 0;
+    }
+    throw new Error(`EINVAL: operación desconocida: ${command}`);
+}
+
+/**
+ * FUTEX_WAIT: dormir mientras el entero en offset valga expected
+ * @param {number} [timeout] - Milisegundos (sin él, hasta FUTEX_WAKE)
+ * @returns {Promise<string>} 'ok', 'timed-out' o 'not-equal' (EAGAIN de Linux)
+ */
+export function futex_wait(pid, shmid, offset, expected, timeout) {
+    const { segment, view, index } = futexWord(pid, shmid, offset);
+    if (Atomics.load(view, index) !== expected) {
+        return Promise.resolve('not-equal');
+    }
+
+    const word = getFutexWord(segment, index);
+    word.waiting++;
+    const done = (outcome) => {
+        word.waiting--;
+        if (word.waiting === 0 && state && state.futexWaiters.get(word.key) === word) {
+            state.futexWaiters.delete(word.key);
+        }
+        return outcome;
+    };
+
+    // Con SharedArrayBuffer se espera en la misma cola que los workers (Atomics.wait)
+    if (segment.shared && typeof Atomics.waitAsync === 'function') {
+        const result = Atomics.waitAsync(view, index, expected, Number.isFinite(timeout) ? timeout : Infinity);
+        return (result.async ? result.value : Promise.resolve(result.value)).then(done);
+    }
+    return new Promise(resolve => {
+        const waiter = { timer: null, wake: null };
+        waiter.wake = (outcome) => {
+            clearTimeout(waiter.timer);
+            word.queue.splice(word.queue.indexOf(waiter), 1);
+            resolve(outcome);
+        };
+        if (Number.isFinite(timeout)) {
+            waiter.timer = setTimeout(() => waiter.wake('timed-out'), timeout);
+        }
+        word.queue.push(waiter);
+    }).then(done);
+}
+
+/**
+ * FUTEX_WAKE: despertar hasta count esperas sobre el entero
+ * @returns {number} Esperas despertadas (incluidos los workers)
+ */
+export function futex_wake(pid, shmid, offset, count = 1) {
+    const { segment, view, index } = futexWord(pid, shmid, offset);
+    let woken = segment.shared ? Atomics.notify(view, index, count) : 0;
+    const word = state.futexWaiters.get(`${segment.id}:${index}`);
+    if (word) {
+        const waiters = word.queue.slice(0, count - woken);
+        waiters.forEach(waiter => waiter.wake('ok'));
+        woken += waiters.length;
+    }
+    return woken;
+}
+
+/**
+ * Estado de los objetos IPC (ipcs)
+ */
+export function ipc_stats() {
+    [...state.segments.values()].forEach(pruneAttachments);
+    return {
+        pipes: [...state.pipes.values()].map(pipe => ({
+            id: pipe.id,
+            size: pipe.size,
+            capacity: pipe.capacity,
+            readOpen: pipe.readOpen,
+            writeOpen: pipe.writeOpen,
+            blockedReaders: pipe.readers.length,
+            blockedWriters: pipe.writers.length
+        })),
+        queues: [...state.queues.values()].map(describeQueue),
+        segments: [...state.segments.values()].map(describeSegment),
+        futexWaiters: [...state.futexWaiters.values()].reduce((sum, word) => sum + word.waiting, 0)
+    };
+}
+
+/**
+ * API del kernel anterior a msgget/shmget: cola y segmento privados del kernel
+ */
+export function createMessageQueue(name) {
+    const queueId = msgget(KERNEL_PID, IPC_PRIVATE, { create: true });
+    state.queues.get(queueId).name = name;
+    return { queueId, name };
+}
+
+export function sendMessage(queueId, message, sender = 'kernel') {
+    const queue = state.queues.get(queueId);
+    if (!queue) {
+        return { success: false, queueId };
+    }
+
+    enqueueMessage(queue, { type: 1, data: { message, sender }, size: messageSize(message), senderPid: KERNEL_PID });
+    return { success: true, queueId };
+}
+
+/**
+ * Siguiente mensaje de la cola (null si está vacía)
+ */
+export function receiveMessage(queueId) {
+    const queue = state.queues.get(queueId);
+    if (!queue || queue.messages.length === 0) {
+        return null;
+    }
+    return dequeueMessage(queue, 0, KERNEL_PID).data;
+}
+
+export function createSharedMemory(name, size) {
+    const shmId = shmget(KERNEL_PID, IPC_PRIVATE, size, { create: true });
+    state.segments.get(shmId).name = name;
+    return { shmId, name, size };
+}
+
+export function destroySharedMemory(shmId) {
+    const success = state.segments.has(shmId);
+    if (success) {
+        shmctl(KERNEL_PID, shmId, 'IPC_RMID');
+    }
+    return { success, shmId };
+}
+
+function readLimits(kernel) {
+    const ipc = kernel && kernel.kernelModules ? kernel.kernelModules.ipc : null;
+    if (!ipc) {
+        return { ...DEFAULT_LIMITS };
+    }
+    return {
+        pipeBuffer: ipc.pipes.buffer_size,
+        maxQueues: ipc.messageQueues.max_queues,
+        maxMessages: ipc.messageQueues.max_messages,
+        maxMessageSize: ipc.messageQueues.max_msg_size,
+        maxSegments: ipc.sharedMemory.max_segments,
+        maxSegmentSize: ipc.sharedMemory.max_size
+    };
+}
+
+/**
+ * Pipes
+ */
+function pipeRead(pipe, count) {
+    if (!Number.isInteger(count) || count <= 0) {
+        return Promise.reject(new Error(`EINVAL: tamaño de lectura inválido: ${count}`));
+    }
+    return new Promise(resolve => {
+        pipe.readers.push({ count, resolve });
+        pumpPipe(pipe);
+    });
+}
+
+function pipeWrite(pipe, data, writerPid) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    if (!pipe.readOpen) {
+        pm.sendSignal(writerPid, 'SIGPIPE');
+        return Promise.reject(new Error(`EPIPE: pipe ${pipe.id} sin lectores`));
+    }
+    return new Promise((resolve, reject) => {
+        pipe.writers.push({ bytes, offset: 0, writerPid, resolve, reject });
+        pumpPipe(pipe);
+    });
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Pasar bytes de los escritores al buffer mientras quepan y del buffer a los lectores
+ */
+function pumpPipe(pipe) {
+    let progress = true;
+    while (progress) {
+        progress = false;
+        while (pipe.writers.length > 0 && pipe.size < pipe.capacity) {
+            const writer = pipe.writers[0];
+            const take = Math.min(writer.bytes.length - writer.offset, pipe.capacity - pipe.size);
+            if (take > 0) {
+                pipe.chunks.push(writer.bytes.slice(writer.offset, writer.offset + take));
+                pipe.size += take;
+                writer.offset += take;
+            }
+            if (writer.offset === writer.bytes.length) {
+                pipe.writers.shift();
+                writer.resolve(writer.bytes.length);
+            }
+            progress = true;
+        }
+        while (pipe.readers.length > 0 && (pipe.size > 0 || !pipe.writeOpen)) {
+            const reader = pipe.readers.shift();
+            reader.resolve(takeBytes(pipe, reader.count));
+            progress = true;
+        }
+    }
+}
+
+function takeBytes(pipe, count) {
+    const result = new Uint8Array(Math.min(count, pipe.size));
+    let filled = 0;
+    while (filled < result.length) {
+        const chunk = pipe.chunks[0];
+        const take = Math.min(chunk.length, result.length - filled);
+        result.set(chunk.subarray(0, take), filled);
+        filled += take;
+        if (take === chunk.length) {
+            pipe.chunks.shift();
+        } else {
+            pipe.chunks[0] = chunk.subarray(take);
+        }
+    }
+    pipe.size -= result.length;
+    return result;
+}
+
+function closePipeEnd(pipe, end) {
+    if (end === 'read') {
+        pipe.readOpen = false;
+        // Los escritores bloqueados ya no tienen a quién entregar: EPIPE y SIGPIPE
+        for (const writer of pipe.writers.splice(0)) {
+            pm.sendSignal(writer.writerPid, 'SIGPIPE');
+            writer.reject(new Error(`EPIPE: pipe ${pipe.id} sin lectores`));
+        }
+    } else {
+        pipe.writeOpen = false;
+        pumpPipe(pipe);
+    }
+    if (!pipe.readOpen && !pipe.writeOpen) {
+        state.pipes.delete(pipe.id);
+    }
+}
+
+/**
+ * Colas de mensajes
+ */
+function getQueue(pid, msqid) {
+    const queue = state.queues.get(msqid);
+    if (!queue || queue.ns !== nsId(pid, 'ipc')) {
+        throw new Error(`EINVAL: no existe la cola de mensajes ${msqid}`);
+    }
+    return queue;
+}
+
+function fits(queue, message) {
+    return queue.bytes + message.size <= queue.maxBytes && queue.messages.length < state.limits.maxMessages;
+}
+
+function enqueueMessage(queue, message) {
+    queue.messages.push(message);
+    queue.bytes += message.size;
+    queue.stats.sent++;
+    queue.stats.lastSendPid = message.senderPid;
+    serveQueue(queue);
+}
+
+function dequeueMessage(queue, index, pid) {
+    const [message] = queue.messages.splice(index, 1);
+    queue.bytes -= message.size;
+    queue.stats.received++;
+    queue.stats.lastReceivePid = pid;
+    serveQueue(queue);
+    return { type: message.type, data: message.data, senderPid: message.senderPid };
+}
+
+/**
+ * Entregar a los receptores que esperan y admitir a los emisores que ya caben
+ */
+function serveQueue(queue) {
+    for (const receiver of [...queue.receivers]) {
+        const index = findMessage(queue, receiver.type);
+        if (index !== -1) {
+            queue.receivers.splice(queue.receivers.indexOf(receiver), 1);
+            receiver.resolve(dequeueMessage(queue, index, receiver.pid));
+            return;
+        }
+    }
+    if (queue.senders.length > 0 && fits(queue, queue.senders[0].message)) {
+        const sender = queue.senders.shift();
+        sender.resolve(0);
+        enqueueMessage(queue, sender.message);
+    }
+}
+
+function findMessage(queue, type) {
+    if (type === 0) {
+        return queue.messages.length > 0 ? 0 : -1;
+    }
+    if (type > 0) {
+        return queue.messages.findIndex(message => message.type === type);
+    }
+    let best = -1;
+    queue.messages.forEach((message, index) => {
+        if (message.type <= -type && (best === -1 || message.type < queue.messages[best].type)) {
+            best = index;
+        }
+    });
+    return best;
+}
+
+function removeQueue(queue) {
+    const error = () => new Error(`EIDRM: la cola ${queue.id} se ha borrado`);
+    queue.senders.splice(0).forEach(sender => sender.reject(error()));
+    queue.receivers.splice(0).forEach(receiver => receiver.reject(error()));
+    state.queues.delete(queue.id);
+    if (queue.key !== IPC_PRIVATE) {
+        state.keys.msg.delete(scopedKey(queue.ns, queue.key));
+    }
+}
+
+function copyMessage(data) {
+    if (data instanceof Uint8Array || typeof data === 'string') {
+        return typeof data === 'string' ? data : data.slice();
+    }
+    return typeof structuredClone === 'function' ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+}
+
+function messageSize(data) {
+    if (data instanceof Uint8Array) {
+        return data.byteLength;
+    }
+    return new TextEncoder().encode(typeof data === 'string' ? data : JSON.stringify(data) || '').length;
+}
+
+function describeQueue(queue) {
+    return {
+        id: queue.id,
+        key: queue.key,
+        ns: queue.ns,
+        name: queue.name || null,
+        uid: queue.uid,
+        gid: queue.gid,
+        mode: queue.mode.toString(8).padStart(4, '0'),
+        messages: queue.messages.length,
+        bytes: queue.bytes,
+        maxBytes: queue.maxBytes,
+        blockedSenders: queue.senders.length,
+        blockedReceivers: queue.receivers.length,
+        ...queue.stats
+    };
+}
+
+/**
+ * Memoria compartida y futex
+ */
+function getSegment(pid, shmid) {
+    const segment = state.segments.get(shmid);
+    if (segment && segment.ns === nsId(pid, 'ipc')) {
+        pruneAttachments(segment);
+    }
+    if (!state.segments.has(shmid) || segment.ns !== nsId(pid, 'ipc')) {
+        throw new Error(`EINVAL: no existe el segmento de memoria compartida ${shmid}`);
+    }
+    return segment;
+}
+
+function detach(segment, pid, attachment) {
+    segment.attachments.delete(pid);
+    try {
+        mm.untrack(pid, attachment.trackId);
+    } catch (error) {
+        // El proceso ya no existe: su memoria se liberó al terminar
+    }
+}
+
+/**
+ * Soltar los adjuntos de procesos que han terminado (puede borrar un segmento con IPC_RMID)
+ */
+function pruneAttachments(segment) {
+    for (const [pid, attachment] of [...segment.attachments]) {
+        const process = pm.getProcess(pid);
+        if (!process || process.state === 'zombie') {
+            detach(segment, pid, attachment);
+        }
+    }
+    destroyIfUnused(segment);
+}
+
+function destroyIfUnused(segment) {
+    if (segment.removed && segment.attachments.size === 0) {
+        state.segments.delete(segment.id);
+        [...state.futexWaiters.values()].filter(word => word.segment === segment).forEach(wakeAll);
+    }
+}
+
+function futexWord(pid, shmid, offset) {
+    const segment = getSegment(pid, shmid);
+    if (!segment.attachments.has(pid)) {
+        throw new Error(`EFAULT: el segmento ${shmid} no está adjunto al proceso ${pid}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0 || offset % 4 !== 0 || offset + 4 > segment.size) {
+        throw new Error(`EINVAL: desplazamiento de futex inválido: ${offset}`);
+    }
+    return { segment, view: new Int32Array(segment.buffer), index: offset / 4 };
+}
+
+function getFutexWord(segment, index) {
+    const key = `${segment.id}:${index}`;
+    if (!state.futexWaiters.has(key)) {
+        state.futexWaiters.set(key, { key, segment, index, waiting: 0, queue: [] });
+    }
+    return state.futexWaiters.get(key);
+}
+
+function wakeAll(word) {
+    if (word.segment.shared) {
+        Atomics.notify(new Int32Array(word.segment.buffer), word.index);
+    }
+    word.queue.slice().forEach(waiter => waiter.wake('ok'));
+}
+
+function describeSegment(segment) {
+    return {
+        id: segment.id,
+        key: segment.key,
+        ns: segment.ns,
+        name: segment.name || null,
+        uid: segment.uid,
+        gid: segment.gid,
+        mode: segment.mode.toString(8).padStart(4, '0'),
+        size: segment.size,
+        shared: segment.shared,
+        attached: segment.attachments.size,
+        removed: segment.removed
+    };
+}
+
+/**
+ * Claves y permisos
+ */
+function lookupKey(pid, kind, key, options) {
+    if (!Number.isInteger(key) || key < 0) {
+        throw new Error(`EINVAL: clave IPC inválida: ${key}`);
+    }
+    const id = key === IPC_PRIVATE ? undefined : state.keys[kind].get(scopedKey(nsId(pid, 'ipc'), key));
+    if (id !== undefined) {
+        if (options.create && options.exclusive) {
+            throw new Error(`EEXIST: ya existe un objeto IPC con la clave ${key}`);
+        }
+        return id;
+    }
+    if (key !== IPC_PRIVATE && !options.create) {
+        throw new Error(`ENOENT: no existe un objeto IPC con la clave ${key}`);
+    }
+    return null;
+}
+
+function scopedKey(ns, key) {
+    return `${ns}:${key}`;
+}
+
+function ownership(pid, mode = 0o600) {
+    if (!Number.isInteger(mode) || mode < 0 || mode > 0o777) {
+        throw new Error(`EINVAL: modo inválido: ${mode}`);
+    }
+    const { uid, gid } = credentials(pid);
+    return { uid, gid, creatorPid: pid, mode };
+}
+
+function credentials(pid) {
+    const process = pm.getProcess(pid);
+    if (!process) {
+        throw new Error(`ESRCH: no existe el proceso ${pid}`);
+    }
+    return { uid: process.uid, gid: process.gid };
+}
+
+/**
+ * Bits rw del propietario, del grupo o de otros según las credenciales del proceso
+ */
+function checkAccess(pid, object, access) {
+    const { uid, gid } = credentials(pid);
+    if (uid === 0) {
+        return;
+    }
+    const shift = uid === object.uid ? 6 : (gid === object.gid ? 3 : 0);
+    const bits = (object.mode >> shift) & 0o7;
+    const needed = (access.includes('r') ? 0o4 : 0) | (access.includes('w') ? 0o2 : 0);
+    if ((bits & needed) !== needed) {
+        throw new Error(`EACCES: el proceso ${pid} no tiene permiso ${access} sobre el objeto IPC ${object.id}`);
+    }
+}
+
+function checkOwner(pid, object) {
+    const { uid } = credentials(pid);
+    if (uid !== 0 && uid !== object.uid) {
+        throw new Error(`EPERM: solo el propietario puede borrar el objeto IPC ${object.id}`);
+    }
+}
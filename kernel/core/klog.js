@@ -0,0 +1,254 @@
+/**
+ * yOS WebOS - Kernel Log (printk/dmesg)
+ * Registro del kernel con niveles, facilidades y un buffer circular de tamaño fijo
+ *
+ *   klog.printk(KernelLog.KERN_WARNING, 'mm', 'Memoria baja');
+ *   const log = klog.logger('init');   // fachada compatible con console
+ *   log.log('Servicio iniciado');      // KERN_INFO
+ *
+ * Cada entrada lleva su marca de tiempo en segundos desde el arranque (como dmesg).
+ * Solo se escriben en la consola las entradas con nivel <= consoleLevel (loglevel= / quiet
+ * de la línea de comandos); el buffer las guarda todas hasta que se llena y las más
+ * antiguas se sobrescriben. Los suscriptores (syslog, dmesg, administrador de tareas)
+ * reciben cada entrada nueva y pueden pedir también las ya almacenadas.
+ */
+
+const LEVEL_NAMES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const DEFAULT_BUFFER_SIZE = 1024;
+const DEFAULT_CONSOLE_LEVEL = 6;
+
+// Método de console de cada método de la fachada y su nivel
+const LOGGER_LEVELS = { error: 3, warn: 4, info: 6, log: 6, debug: 7 };
+
+class KernelLog {
+    /**
+     * @param {Object} options
+     * @param {number} [options.size=1024] - Entradas del buffer circular
+     * @param {number} [options.consoleLevel=6] - Nivel máximo que se escribe en la consola
+     * @param {Object} [options.console] - Consola de salida (por defecto console)
+     */
+    constructor(options = {}) {
+        this.size = options.size || DEFAULT_BUFFER_SIZE;
+        this.consoleLevel = options.consoleLevel !== undefined ? options.consoleLevel : DEFAULT_CONSOLE_LEVEL;
+        this.output = options.console || console;
+        this.subscribers = new Set();
+        this.reset();
+    }
+
+    /**
+     * Vaciar el buffer y reiniciar el reloj (nuevo arranque)
+     */
+    reset() {
+        this.origin = this.now();
+        this.buffer = new Array(this.size);
+        this.head = 0;
+        this.count = 0;
+        this.seq = 0;
+        this.dropped = 0;
+    }
+
+    /**
+     * Nivel a partir de un número (0-7) o un nombre ('err', 'warn', 'info'...)
+     */
+    static parseLevel(value) {
+        const name = String(value).toLowerCase();
+        if (/^[0-7]$/.test(name)) {
+            return Number(name);
+        }
+        const aliases = { error: 'err', warn: 'warning', panic: 'emerg' };
+        const level = LEVEL_NAMES.indexOf(aliases[name] || name);
+        if (level === -1) {
+            throw new Error(`Nivel de log desconocido: ${value}`);
+        }
+        return level;
+    }
+
+    /**
+     * Línea al estilo dmesg: [    1.234567] facilidad: mensaje
+     */
+    static format(entry) {
+        const timestamp = entry.timestamp.toFixed(6).padStart(12);
+        return `[${timestamp}] ${entry.facility}: ${entry.message}`;
+    }
+
+    /**
+     * Registrar un mensaje del kernel
+     * @param {number|string} level - 0 (emerg) ... 7 (debug)
+     * @param {string} facility - Subsistema que lo emite ('kernel', 'init', 'mm'...)
+     * @param {string} message
+     * @param {Array} [consoleArgs] - Argumentos originales para la consola (conservan trazas de error)
+     */
+    printk(level, facility, message, consoleArgs = null) {
+        const numeric = KernelLog.parseLevel(level);
+        const entry = {
+            seq: this.seq++,
+            level: numeric,
+            levelName: LEVEL_NAMES[numeric],
+            facility: facility || 'kernel',
+            message: String(message),
+            timestamp: (this.now() - this.origin) / 1000
+        };
+        
+        if (this.count === this.size) {
+            this.dropped++;
+        } else {
+            this.count++;
+        }
+        this.buffer[this.head] = entry;
+        this.head = (this.head + 1) % this.size;
+        
+        if (numeric <= this.consoleLevel) {
+            this.writeConsole(entry, consoleArgs || [entry.message]);
+        }
+        
+        for (const subscriber of this.subscribers) {
+            this.deliver(subscriber, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Fachada compatible con console para un subsistema (log, info, warn, error, debug)
+     */
+    logger(facility) {
+        const logger = {};
+        for (const [method, level] of Object.entries(LOGGER_LEVELS)) {
+            // La sangría de la consola no se guarda en el buffer
+            logger[method] = (...args) => this.printk(level, facility, KernelLog.formatArgs(args).trim(), args);
+        }
+        return logger;
+    }
+
+    static formatArgs(args) {
+        return args.map(arg => {
+            if (arg instanceof Error) {
+                return arg.message;
+            }
+            return typeof arg === 'object' && arg !== null ? JSON.stringify(arg) : String(arg);
+        }).join(' ');
+    }
+
+    writeConsole(entry, args) {
+        if (entry.level <= 3) {
+            this.output.error(...args);
+        } else if (entry.level === 4) {
+            this.output.warn(...args);
+        } else {
+            this.output.log(...args);
+        }
+    }
+
+    /**
+     * Nivel de consola (loglevel=): se escriben las entradas con nivel <= level
+     */
+    setConsoleLevel(level) {
+        this.consoleLevel = KernelLog.parseLevel(level);
+        return this.consoleLevel;
+    }
+
+    /**
+     * Suscribirse a las entradas nuevas
+     * @param {Function} listener - (entry) => void
+     * @param {Object} [options]
+     * @param {number} [options.level=7] - Nivel máximo que se entrega
+     * @param {string} [options.facility] - Solo las entradas de esta facilidad
+     * @param {boolean} [options.replay=false] - Entregar antes las entradas ya almacenadas
+     * @returns {Function} Cancela la suscripción
+     */
+    subscribe(listener, options = {}) {
+        const subscriber = {
+            listener: listener,
+            level: options.level !== undefined ? KernelLog.parseLevel(options.level) : 7,
+            facility: options.facility || null
+        };
+        
+        if (options.replay) {
+            for (const entry of this.entries()) {
+                this.deliver(subscriber, entry);
+            }
+        }
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    deliver(subscriber, entry) {
+        if (entry.level > subscriber.level || (subscriber.facility && entry.facility !== subscriber.facility)) {
+            return;
+        }
+        try {
+            subscriber.listener(entry);
+        } catch (error) {
+            this.output.error('Error en suscriptor del log del kernel:', error);
+        }
+    }
+
+    /**
+     * Entradas del buffer de la más antigua a la más reciente
+     */
+    entries() {
+        const start = (this.head - this.count + this.size) % this.size;
+        const entries = [];
+        for (let i = 0; i < this.count; i++) {
+            entries.push(this.buffer[(start + i) % this.size]);
+        }
+        return entries;
+    }
+
+    /**
+     * Leer el buffer (dmesg)
+     * @param {Object} [options]
+     * @param {Array<number|string>} [options.levels] - Solo estos niveles (dmesg -l)
+     * @param {string} [options.facility] - Solo esta facilidad (dmesg -f)
+     * @param {boolean} [options.clear=false] - Vaciar el buffer después de leerlo (dmesg -c)
+     */
+    dmesg(options = {}) {
+        const levels = options.levels ? options.levels.map(level => KernelLog.parseLevel(level)) : null;
+        const entries = this.entries().filter(entry =>
+            (!levels || levels.includes(entry.level)) &&
+            (!options.facility || entry.facility === options.facility));
+        
+        if (options.clear) {
+            this.clear();
+        }
+        return entries;
+    }
+
+    clear() {
+        this.count = 0;
+    }
+
+    getStats() {
+        const levels = Object.fromEntries(LEVEL_NAMES.map(name => [name, 0]));
+        for (const entry of this.entries()) {
+            levels[entry.levelName]++;
+        }
+        return {
+            size: this.size,
+            used: this.count,
+            dropped: this.dropped,
+            consoleLevel: this.consoleLevel,
+            subscribers: this.subscribers.size,
+            levels: levels
+        };
+    }
+
+    now() {
+        if (typeof performance !== 'undefined' && performance.now) {
+            return performance.now();
+        }
+        return Date.now();
+    }
+}
+
+LEVEL_NAMES.forEach((name, level) => {
+    KernelLog[`KERN_${name.toUpperCase()}`] = level;
+});
+KernelLog.LEVELS = LEVEL_NAMES;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.KernelLog = KernelLog;
+}
+
+export default KernelLog;
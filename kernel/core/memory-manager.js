@@ -1,10 +1,596 @@
-// memory-manager.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Kernel: Memory Manager
+ * Reservas del kernel (kmalloc/kfree), tabla de páginas virtual → física y memoria
+ * de los procesos: brk, regiones mmap con protección, ArrayBuffers y estimación de heap
+ *
+ * Cada proceso tiene su espacio (mm) con la pila de regiones y lo que consume se cuenta
+ * contra su cuota (la fija runtime/sandbox/resource-limiter) y contra el presupuesto
+ * global (parámetro budget o la memoria física del BIOS). Si una reserva no cabe en el
+ * presupuesto, el OOM killer elige el proceso con mayor oom_score (uso en milésimas del
+ * presupuesto + oom_score_adj) y lo mata con el manejador que registra el gestor de procesos.
+ * Superar la cuota propia no mata a nadie: la reserva falla con ENOMEM.
+ *
+ * El espacio se crea con el proceso (mm_create o mm_fork) y se libera en exit; las
+ * llamadas sobre un PID sin espacio fallan con ESRCH.
+ */
 
-console.log('memory-manager.js cargado');
+export const moduleInfo = {
+    name: 'memory-manager',
+    version: '1.2.0',
+    description: 'Gestor de memoria del kernel'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const PAGE_SIZE = 4096;
+const HEAP_BASE = 0x1000000;
+
+// Espacio de direcciones de usuario: heap (brk) hacia arriba, mmap hacia abajo
+const USER_BRK_BASE = 0x600000;
+const USER_MMAP_TOP = 0x7f0000000000;
+
+const PROT_READ = 1;
+const PROT_WRITE = 2;
+const PROT_EXEC = 4;
+
+const OOM_SCORE_ADJ_MIN = -1000;
+const OOM_SCORE_ADJ_MAX = 1000;
+const INIT_PID = 1;
+
+let state = null;
+let pidAllocator = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (physicalMemory del BIOS, params.budget, kernel.pidAllocator)
+ */
+export function init(context) {
+    pidAllocator = context.kernel ? context.kernel.pidAllocator : null;
+    const physicalMemory = context.physicalMemory;
+    const available = physicalMemory ? physicalMemory.available : 1024 * 1024 * 1024;
+    state = {
+        status: 'initialized',
+        allocated: 0,
+        // Memoria física detectada por el BIOS (1GB si no hay datos)
+        free: available,
+        regions: physicalMemory ? physicalMemory.regions : [],
+        allocations: new Map(),
+        pageTable: new Map(),
+        nextAddress: HEAP_BASE,
+        budget: Number(context.params.budget) || available,
+        spaces: new Map(),
+        nextBufferId: 1,
+        oomKiller: null,
+        oomKills: [],
+        log: context.log
+    };
+    return { status: state.status, budget: state.budget };
+}
+
+export function exit() {
+    state = null;
+    pidAllocator = null;
+}
+
+function formatAddress(address) {
+    return `0x${address.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Reservar memoria del kernel (alineada a 16 bytes)
+ */
+export function kmalloc(size) {
+    if (!Number.isInteger(size) || size <= 0) {
+        throw new Error(`kmalloc: tamaño inválido ${size}`);
+    }
+
+    const aligned = Math.ceil(size / 16) * 16;
+    if (aligned > state.free) {
+        throw new Error(`kmalloc: sin memoria para ${size} bytes`);
+    }
+
+    const address = formatAddress(state.nextAddress);
+    state.nextAddress += aligned;
+    state.allocated += aligned;
+    state.free -= aligned;
+    state.allocations.set(address, aligned);
+
+    return { address, size };
+}
+
+export function kfree(address) {
+    const size = state.allocations.get(address);
+    if (size === undefined) {
+        return { success: false, address };
+    }
+
+    state.allocations.delete(address);
+    state.allocated -= size;
+    state.free += size;
+    return { success: true, address };
+}
+
+/**
+ * Mapear un rango virtual a memoria física (por páginas)
+ */
+export function mapMemory(virtualAddr, physicalAddr, size) {
+    const virtualBase = parseInt(virtualAddr, 16);
+    const physicalBase = parseInt(physicalAddr, 16);
+    const pages = Math.ceil(size / PAGE_SIZE);
+
+    for (let i = 0; i < pages; i++) {
+        state.pageTable.set(virtualBase + i * PAGE_SIZE, physicalBase + i * PAGE_SIZE);
+    }
+    return { success: true, pages };
+}
+
+export function unmapMemory(virtualAddr) {
+    const page = Math.floor(parseInt(virtualAddr, 16) / PAGE_SIZE) * PAGE_SIZE;
+    return { success: state.pageTable.delete(page) };
+}
+
+/**
+ * Traducir una dirección virtual usando la tabla de páginas
+ */
+export function getPhysicalAddress(virtualAddr) {
+    const address = parseInt(virtualAddr, 16);
+    const page = Math.floor(address / PAGE_SIZE) * PAGE_SIZE;
+    const frame = state.pageTable.get(page);
+
+    return { physical: frame === undefined ? null : formatAddress(frame + (address - page)) };
+}
+
+/**
+ * brk: mover el final del heap del proceso; 0 (o nada) consulta el actual
+ * Como en Linux, si no hay memoria devuelve el break sin cambiar
+ * @returns {number} Break actual
+ */
+export function mm_brk(pid, end = 0) {
+    const mm = getSpace(pid);
+    if (!end || end === mm.brk.end) {
+        return mm.brk.end;
+    }
+    if (end < mm.brk.start || end > mm.mmapBase) {
+        return mm.brk.end;
+    }
+
+    const grow = pageAlign(end - mm.brk.start) - pageAlign(mm.brk.end - mm.brk.start);
+    try {
+        if (grow > 0) {
+            charge(mm, grow);
+        }
+    } catch (error) {
+        state.log(`brk del proceso ${pid}: ${error.message}`);
+        return mm.brk.end;
+    }
+    mm.heap += grow;
+    mm.brk.end = end;
+    return mm.brk.end;
+}
+
+/**
+ * mmap anónimo: región nueva respaldada por un ArrayBuffer
+ * @param {number} pid
+ * @param {number} length - Bytes (se redondea a páginas)
+ * @param {number} [prot=PROT_READ|PROT_WRITE]
+ * @param {Object} [options] - { name } para /proc/<pid>/maps
+ * @returns {Object} { address, length, buffer }
+ */
+export function mm_mmap(pid, length, prot = PROT_READ | PROT_WRITE, options = {}) {
+    if (!Number.isInteger(length) || length <= 0) {
+        throw new Error(`EINVAL: longitud de mmap inválida: ${length}`);
+    }
+    validateProt(prot);
+    const mm = getSpace(pid);
+    const size = pageAlign(length);
+    const start = findFreeRange(mm, size);
+    if (start === null) {
+        throw new Error(`ENOMEM: sin espacio de direcciones en el proceso ${pid}`);
+    }
+
+    charge(mm, size);
+    mm.mapped += size;
+    mm.mmapBase = Math.min(mm.mmapBase, start);
+    const region = {
+        start: start,
+        length: size,
+        prot: prot,
+        name: options.name || '[anon]',
+        buffer: new ArrayBuffer(size)
+    };
+    mm.regions.set(region.start, region);
+    return { address: region.start, length: size, buffer: region.buffer };
+}
+
+/**
+ * munmap: liberar las regiones contenidas en [address, address + length)
+ * El hueco queda libre para otro mmap y la base de mmap sube hasta la región más baja
+ */
+export function mm_munmap(pid, address, length) {
+    const mm = getSpace(pid);
+    const regions = regionsInRange(mm, address, length);
+    for (const region of regions) {
+        mm.regions.delete(region.start);
+        mm.mapped -= region.length;
+    }
+    mm.mmapBase = Math.min(USER_MMAP_TOP, ...mm.regions.keys());
+    return { success: true, unmapped: regions.length };
+}
+
+/**
+ * mprotect: cambiar la protección de las regiones contenidas en el rango
+ */
+export function mm_mprotect(pid, address, length, prot) {
+    validateProt(prot);
+    const regions = regionsInRange(getSpace(pid), address, length);
+    regions.forEach(region => {
+        region.prot = prot;
+    });
+    return { success: true, regions: regions.length };
+}
+
+/**
+ * Leer de la memoria del proceso (copia); sin PROT_READ es una violación de segmento
+ */
+export function mm_read(pid, address, length) {
+    const { region, offset } = access(pid, address, length, PROT_READ);
+    return new Uint8Array(region.buffer.slice(offset, offset + length));
+}
+
+export function mm_write(pid, address, bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const { region, offset } = access(pid, address, data.length, PROT_WRITE);
+    new Uint8Array(region.buffer, offset, data.length).set(data);
+    return data.length;
+}
+
+/**
+ * Contabilizar un ArrayBuffer creado por el proceso (canvas, audio, ficheros...)
+ * @returns {number} Identificador para mm_untrack_buffer
+ */
+export function mm_track_buffer(pid, buffer, label = 'buffer') {
+    if (!(buffer instanceof ArrayBuffer) && !(typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer)) {
+        throw new Error('EINVAL: solo se contabilizan ArrayBuffer y SharedArrayBuffer');
+    }
+    const mm = getSpace(pid);
+    charge(mm, buffer.byteLength);
+    const id = state.nextBufferId++;
+    mm.buffers.set(id, { label: label, size: buffer.byteLength });
+    return id;
+}
+
+export function mm_untrack_buffer(pid, id) {
+    const mm = getSpace(pid);
+    const entry = mm.buffers.get(id);
+    if (!entry) {
+        return { success: false, id };
+    }
+    mm.buffers.delete(id);
+    return { success: true, id };
+}
+
+/**
+ * Estimación del heap JS del proceso (la mide el runtime de la app)
+ */
+export function mm_set_heap_estimate(pid, bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) {
+        throw new Error(`EINVAL: estimación de heap inválida: ${bytes}`);
+    }
+    const mm = getSpace(pid);
+    const grow = bytes - mm.heapEstimate;
+    if (grow > 0) {
+        charge(mm, grow);
+    }
+    mm.heapEstimate = bytes;
+    return usage(mm);
+}
+
+/**
+ * Cuota de memoria del proceso en bytes (null: sin cuota)
+ */
+export function mm_set_quota(pid, bytes) {
+    if (bytes !== null && (!Number.isFinite(bytes) || bytes <= 0)) {
+        throw new Error(`EINVAL: cuota de memoria inválida: ${bytes}`);
+    }
+    getSpace(pid).quota = bytes;
+    return { pid, quota: bytes };
+}
+
+export function mm_set_oom_score_adj(pid, adj) {
+    if (!Number.isInteger(adj) || adj < OOM_SCORE_ADJ_MIN || adj > OOM_SCORE_ADJ_MAX) {
+        throw new Error(`EINVAL: oom_score_adj fuera de rango: ${adj}`);
+    }
+    getSpace(pid).oomScoreAdj = adj;
+    return { pid, oomScoreAdj: adj };
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Espacio vacío para un proceso nuevo (createProcess o un proceso creado fuera del gestor)
+ * Si el proceso ya tiene espacio se devuelve el existente
+ */
+export function mm_create(pid) {
+    return describeSpace(state.spaces.get(pid) || createSpace(pid));
+}
+
+/**
+ * fork: el hijo recibe una copia de las regiones y del heap del padre
+ */
+export function mm_fork(parentPid, childPid) {
+    const parent = getSpace(parentPid);
+    const child = createSpace(childPid);
+    charge(child, usage(parent));
+
+    child.brk = { ...parent.brk };
+    child.mmapBase = parent.mmapBase;
+    child.heap = parent.heap;
+    child.heapEstimate = parent.heapEstimate;
+    child.quota = parent.quota;
+    child.oomScoreAdj = parent.oomScoreAdj;
+    for (const region of parent.regions.values()) {
+        child.regions.set(region.start, { ...region, buffer: region.buffer.slice(0) });
+        child.mapped += region.length;
+    }
+    for (const [id, entry] of parent.buffers) {
+        child.buffers.set(id, { ...entry });
+    }
+    return describeSpace(child);
+}
+
+/**
+ * Liberar el espacio del proceso (exit, o exec antes del programa nuevo)
+ * @param {boolean} [keepLimits=false] - exec conserva cuota y oom_score_adj
+ */
+export function mm_release(pid, keepLimits = false) {
+    const mm = state.spaces.get(pid);
+    if (!mm) {
+        return { success: false, pid };
+    }
+    state.spaces.delete(pid);
+    if (keepLimits) {
+        const fresh = createSpace(pid);
+        fresh.quota = mm.quota;
+        fresh.oomScoreAdj = mm.oomScoreAdj;
+    }
+    return { success: true, pid, freed: usage(mm) };
+}
+
+/**
+ * Manejador del OOM killer: (pid, score) => void debe terminar el proceso y liberar su mm
+ */
+export function mm_set_oom_killer(killer) {
+    state.oomKiller = typeof killer === 'function' ? killer : null;
+}
+
+/**
+ * Uso global y por proceso
+ */
+export function mm_stats() {
+    const processes = [...state.spaces.values()]
+        .map(describeSpace)
+        .sort((a, b) => a.pid - b.pid);
+    return {
+        budget: state.budget,
+        used: totalUsage(),
+        kernel: state.allocated,
+        processes: processes,
+        oomKills: state.oomKills.map(kill => ({ ...kill }))
+    };
+}
+
+/**
+ * Regiones del proceso al estilo /proc/<pid>/maps
+ */
+export function mm_get_maps(pid) {
+    const mm = getSpace(pid);
+    const lines = [];
+    if (mm.brk.end > mm.brk.start) {
+        lines.push(formatMap(mm.brk.start, mm.brk.end, PROT_READ | PROT_WRITE, '[heap]'));
+    }
+    [...mm.regions.values()]
+        .sort((a, b) => a.start - b.start)
+        .forEach(region => lines.push(formatMap(region.start, region.start + region.length, region.prot, region.name)));
+    return lines;
+}
+
+function getSpace(pid) {
+    const mm = state.spaces.get(pid);
+    if (!mm) {
+        throw new Error(`ESRCH: el proceso ${pid} no tiene espacio de memoria`);
+    }
+    return mm;
+}
+
+function hasProcess(pid) {
+    return !pidAllocator || pidAllocator.has(pid);
+}
+
+function createSpace(pid) {
+    if (!Number.isInteger(pid) || pid <= 0 || !hasProcess(pid)) {
+        throw new Error(`ESRCH: no existe el proceso ${pid}`);
+    }
+    if (state.spaces.has(pid)) {
+        throw new Error(`EEXIST: el proceso ${pid} ya tiene espacio de memoria`);
+    }
+    const mm = {
+        pid: pid,
+        brk: { start: USER_BRK_BASE, end: USER_BRK_BASE },
+        mmapBase: USER_MMAP_TOP,
+        regions: new Map(),
+        buffers: new Map(),
+        heap: 0,
+        mapped: 0,
+        heapEstimate: 0,
+        quota: null,
+        oomScoreAdj: 0,
+        peak: 0
+    };
+    state.spaces.set(pid, mm);
+    return mm;
+}
+
+/**
+ * Primer hueco de size bytes bajando desde la cima de mmap sin invadir el heap
+ * @returns {number|null} Dirección de inicio
+ */
+function findFreeRange(mm, size) {
+    let end = USER_MMAP_TOP;
+    const regions = [...mm.regions.values()].sort((a, b) => b.start - a.start);
+    for (const region of regions) {
+        if (end - (region.start + region.length) >= size) {
+            break;
+        }
+        end = region.start;
+    }
+    return end - size >= mm.brk.end ? end - size : null;
+}
+
+function usage(mm) {
+    let buffers = 0;
+    for (const entry of mm.buffers.values()) {
+        buffers += entry.size;
+    }
+    return mm.heap + mm.mapped + buffers + mm.heapEstimate;
+}
+
+function totalUsage() {
+    let total = state.allocated;
+    for (const mm of state.spaces.values()) {
+        total += usage(mm);
+    }
+    return total;
+}
+
+/**
+ * Cargar bytes al proceso: primero su cuota, después el presupuesto global (OOM killer)
+ */
+function charge(mm, bytes) {
+    const current = usage(mm);
+    if (mm.quota !== null && current + bytes > mm.quota) {
+        throw new Error(`ENOMEM: el proceso ${mm.pid} supera su cuota de memoria (${current + bytes} > ${mm.quota} bytes)`);
+    }
+
+    // Si no cabe ni matando a todos los demás, no se elige víctima
+    if (state.allocated + current + bytes > state.budget) {
+        throw new Error(`ENOMEM: sin memoria para ${bytes} bytes (presupuesto ${state.budget} bytes)`);
+    }
+    while (totalUsage() + bytes > state.budget) {
+        const victim = selectVictim();
+        if (!victim || !state.oomKiller) {
+            throw new Error(`ENOMEM: sin memoria para ${bytes} bytes (presupuesto ${state.budget} bytes)`);
+        }
+        killVictim(victim);
+        if (!state.spaces.has(mm.pid)) {
+            throw new Error(`ENOMEM: el proceso ${mm.pid} ha sido elegido por el OOM killer`);
+        }
+    }
+
+    mm.peak = Math.max(mm.peak, current + bytes);
+}
+
+/**
+ * oom_score: uso en milésimas del presupuesto más oom_score_adj (como en Linux)
+ */
+function oomScore(mm) {
+    if (mm.oomScoreAdj === OOM_SCORE_ADJ_MIN) {
+        return 0;
+    }
+    const points = Math.round(usage(mm) * 1000 / state.budget) + mm.oomScoreAdj;
+    return Math.max(points, 1);
+}
+
+function selectVictim() {
+    let victim = null;
+    for (const mm of state.spaces.values()) {
+        // Sin proceso el manejador no tiene a quién matar (sendSignal fallaría con ESRCH)
+        if (mm.pid === INIT_PID || !hasProcess(mm.pid) || mm.oomScoreAdj === OOM_SCORE_ADJ_MIN || usage(mm) === 0) {
+            continue;
+        }
+        if (!victim || oomScore(mm) > oomScore(victim)) {
+            victim = mm;
+        }
+    }
+    return victim;
+}
+
+function killVictim(victim) {
+    const score = oomScore(victim);
+    const freed = usage(victim);
+    state.log(`Sin memoria: matando al proceso ${victim.pid} (oom_score ${score}, ${freed} bytes)`);
+    state.oomKills.push({ pid: victim.pid, score: score, freed: freed, time: Date.now() });
+    try {
+        state.oomKiller(victim.pid, score);
+    } finally {
+        // Si el manejador no ha liberado el mm, se libera aquí para no volver a elegirlo
+        state.spaces.delete(victim.pid);
+    }
+}
+
+function access(pid, address, length, prot) {
+    const mm = getSpace(pid);
+    const region = [...mm.regions.values()].find(item => address >= item.start && address + length <= item.start + item.length);
+    if (!region) {
+        throw segfault(pid, address, 'dirección no mapeada');
+    }
+    if ((region.prot & prot) === 0) {
+        throw segfault(pid, address, prot === PROT_WRITE ? 'región sin escritura' : 'región sin lectura');
+    }
+    return { region, offset: address - region.start };
+}
+
+function segfault(pid, address, reason) {
+    const error = new Error(`SIGSEGV: proceso ${pid} en 0x${address.toString(16)}: ${reason}`);
+    error.signal = 'SIGSEGV';
+    return error;
+}
+
+function regionsInRange(mm, address, length) {
+    if (!Number.isInteger(address) || address % PAGE_SIZE !== 0 || !Number.isInteger(length) || length <= 0) {
+        throw new Error(`EINVAL: rango inválido 0x${Number(address).toString(16)}+${length}`);
+    }
+    const end = address + pageAlign(length);
+    const regions = [];
+    for (const region of mm.regions.values()) {
+        const regionEnd = region.start + region.length;
+        if (regionEnd <= address || region.start >= end) {
+            continue;
+        }
+        if (region.start < address || regionEnd > end) {
+            throw new Error(`EINVAL: el rango corta la región 0x${region.start.toString(16)} (no se dividen regiones)`);
+        }
+        regions.push(region);
+    }
+    return regions;
+}
+
+function validateProt(prot) {
+    if (!Number.isInteger(prot) || prot < 0 || prot > (PROT_READ | PROT_WRITE | PROT_EXEC)) {
+        throw new Error(`EINVAL: protección inválida: ${prot}`);
+    }
+}
+
+function pageAlign(bytes) {
+    return Math.ceil(bytes / PAGE_SIZE) * PAGE_SIZE;
+}
+
+function formatMap(start, end, prot, name) {
+    const flags = `${prot & PROT_READ ? 'r' : '-'}${prot & PROT_WRITE ? 'w' : '-'}${prot & PROT_EXEC ? 'x' : '-'}p`;
+    return `${start.toString(16).padStart(12, '0')}-${end.toString(16).padStart(12, '0')} ${flags} ${name}`;
+}
+
+function describeSpace(mm) {
+    let buffers = 0;
+    for (const entry of mm.buffers.values()) {
+        buffers += entry.size;
+    }
+    return {
+        pid: mm.pid,
+        usage: usage(mm),
+        peak: mm.peak,
+        heap: mm.heap,
+        mapped: mm.mapped,
+        buffers: buffers,
+        heapEstimate: mm.heapEstimate,
+        regions: mm.regions.size,
+        brk: mm.brk.end,
+        quota: mm.quota,
+        oomScore: oomScore(mm),
+        oomScoreAdj: mm.oomScoreAdj
+    };
+}
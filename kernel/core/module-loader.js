@@ -0,0 +1,535 @@
+/**
+ * yOS WebOS - Kernel Module Loader
+ * Carga módulos reales del kernel (kernel/core, kernel/modules) descritos en kernel/modules.json
+ *
+ * Entrada del manifiesto:
+ *   "process-manager": {
+ *     "path": "core/process-manager.js",       // relativo a kernel/
+ *     "version": "1.0.0",
+ *     "dependencies": { "scheduler": "^1.0.0" }, // rangos semver
+ *     "exports": ["createProcess", ...],         // símbolos exportados al kernel
+ *     "boot": true, "essential": true, "autoload": false, "priority": 1
+ *   }
+ *
+ * Cada módulo es un módulo ES que exporta moduleInfo { name, version }, init(context),
+ * exit() opcional y las funciones listadas en exports. context.symbol(nombre) resuelve
+ * símbolos de sus dependencias declaradas; context.hold()/release() toman referencias
+ * sobre el propio módulo. rmmod rechaza descargar un módulo con referencias.
+ */
+
+import KernelLog from './klog.js';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9/_-]*$/;
+
+/**
+ * Semver mínimo: versiones x.y.z y rangos con ^, ~, comparadores, x/* y ||
+ */
+function parseVersion(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version).trim());
+    if (!match) {
+        return null;
+    }
+    return [Number(match[1]), Number(match[2]), Number(match[3])];
+}
+
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return 0;
+}
+
+/**
+ * Las primeras count partes de las dos versiones coinciden
+ */
+function sameUpTo(a, b, count) {
+    return a.slice(0, count).every((part, i) => part === b[i]);
+}
+
+function satisfiesComparator(version, comparator) {
+    if (comparator === '*' || comparator === 'x' || comparator === '') {
+        return true;
+    }
+
+    const match = /^(\^|~|>=|<=|>|<|=)?\s*(\d+|x|\*)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?$/.exec(comparator);
+    if (!match) {
+        throw new Error(`Rango semver inválido: ${comparator}`);
+    }
+
+    const operator = match[1] || '=';
+    const parts = [match[2], match[3], match[4]];
+    const wildcard = parts.findIndex(part => part === undefined || part === 'x' || part === '*');
+    const base = parts.map(part => (part === undefined || part === 'x' || part === '*') ? 0 : Number(part));
+    // Partes fijadas por el rango: 1 en ~1, 2 en ^0.2, 3 en ^1.2.3
+    const fixed = wildcard === -1 ? 3 : wildcard;
+
+    // 1.x o 1.2 equivalen a un rango de la parte fijada
+    if (wildcard !== -1 && operator === '=') {
+        return parts.slice(0, wildcard).every((part, i) => Number(part) === version[i]);
+    }
+
+    const cmp = compareVersions(version, base);
+    switch (operator) {
+        case '>': return cmp > 0;
+        case '>=': return cmp >= 0;
+        case '<': return cmp < 0;
+        case '<=': return cmp <= 0;
+        case '~':
+            // ~1 admite cualquier 1.x.x; ~1.2 y ~1.2.3 solo 1.2.x
+            return cmp >= 0 && sameUpTo(version, base, Math.min(fixed, 2));
+        case '^': {
+            // Sin cambiar la primera parte distinta de cero (la última fijada si todas son 0)
+            const nonZero = base.slice(0, fixed).findIndex(part => part > 0);
+            return cmp >= 0 && sameUpTo(version, base, nonZero !== -1 ? nonZero + 1 : fixed);
+        }
+        default:
+            return cmp === 0;
+    }
+}
+
+function satisfies(version, range) {
+    const parsed = parseVersion(version);
+    if (!parsed) {
+        return false;
+    }
+
+    return String(range).split('||').some(alternative => alternative.trim()
+        .split(/\s+/)
+        .every(comparator => satisfiesComparator(parsed, comparator.trim())));
+}
+
+class KernelModuleLoader {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.manifest] - Manifiesto ya cargado (si no, se lee kernel/modules.json)
+     * @param {URL|string} [options.baseUrl] - Directorio kernel/ contra el que se resuelven las rutas
+     * @param {Function} [options.fetch] - fetch del host (por defecto el global)
+     * @param {Function} [options.verify] - async (url, { kind, data }) comprobación de integridad antes de usar un fichero
+     * @param {Object} [options.kernel] - KernelInitializer (pidAllocator, bootParams...)
+     * @param {Object} [options.moduleParams] - Parámetros de la línea de comandos (modulo.param=valor)
+     * @param {Object} [options.physicalMemory] - Memoria detectada por el BIOS
+     * @param {KernelLog} [options.klog] - Log del kernel (context.log de los módulos)
+     */
+    constructor(options = {}) {
+        this.baseUrl = new URL(options.baseUrl || '../', import.meta.url);
+        this.manifest = options.manifest ? this.validateManifest(options.manifest) : null;
+        this.fetch = options.fetch || ((url) => fetch(url));
+        this.verify = options.verify || null;
+        this.klog = options.klog || new KernelLog();
+        this.kernel = options.kernel || null;
+        this.moduleParams = options.moduleParams || {};
+        this.physicalMemory = options.physicalMemory || null;
+        this.loaded = new Map();
+        this.symbols = new Map();
+        this.generations = new Map();
+    }
+
+    /**
+     * Leer y validar el manifiesto de módulos
+     */
+    async loadManifest() {
+        if (this.manifest) {
+            return this.manifest;
+        }
+        
+        const url = new URL('modules.json', this.baseUrl);
+        const response = await this.fetch(url);
+        if (!response.ok) {
+            throw new Error(`No se pudo leer el manifiesto de módulos (${url}): HTTP ${response.status}`);
+        }
+        
+        const text = await response.text();
+        if (this.verify) {
+            await this.verify(url, { kind: 'manifest', data: text });
+        }
+        
+        this.manifest = this.validateManifest(JSON.parse(text));
+        return this.manifest;
+    }
+
+    validateManifest(raw) {
+        const modules = raw && raw.modules;
+        if (!modules || typeof modules !== 'object') {
+            throw new Error('Manifiesto de módulos sin sección "modules"');
+        }
+        
+        const manifest = {};
+        for (const [name, entry] of Object.entries(modules)) {
+            if (!NAME_PATTERN.test(name)) {
+                throw new Error(`Nombre de módulo inválido: ${name}`);
+            }
+            if (!entry.path || !parseVersion(entry.version)) {
+                throw new Error(`${name}: "path" y "version" (x.y.z) son obligatorios`);
+            }
+            
+            const dependencies = entry.dependencies || {};
+            for (const [dep, range] of Object.entries(dependencies)) {
+                // Valida la sintaxis del rango
+                satisfies('0.0.0', range);
+                if (!modules[dep]) {
+                    throw new Error(`${name}: dependencia desconocida ${dep}`);
+                }
+            }
+            
+            manifest[name] = {
+                name: name,
+                path: entry.path,
+                version: entry.version,
+                description: entry.description || '',
+                dependencies: { ...dependencies },
+                exports: [...(entry.exports || [])],
+                boot: Boolean(entry.boot),
+                essential: Boolean(entry.essential),
+                autoload: Boolean(entry.autoload),
+                priority: entry.priority === undefined ? 10 : entry.priority
+            };
+        }
+        
+        return manifest;
+    }
+
+    getEntry(name) {
+        const entry = this.manifest && this.manifest[name];
+        if (!entry) {
+            throw new Error(`Módulo no encontrado en el manifiesto: ${name}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Módulos del manifiesto que cumplen un filtro (boot, essential, autoload)
+     */
+    select(filter) {
+        return Object.values(this.manifest)
+            .filter(entry => Object.entries(filter).every(([key, value]) => entry[key] === value))
+            .map(entry => entry.name);
+    }
+
+    /**
+     * Orden de carga: dependencias primero (y por prioridad cuando no hay relación)
+     * Comprueba los rangos semver y lanza un error si hay ciclos
+     */
+    resolveLoadOrder(names) {
+        const ordered = [];
+        const state = new Map();
+        
+        const visit = (name, path) => {
+            if (state.get(name) === 'done') {
+                return;
+            }
+            if (state.get(name) === 'visiting') {
+                const cycle = [...path.slice(path.indexOf(name)), name].join(' → ');
+                throw new Error(`Dependencia cíclica entre módulos: ${cycle}`);
+            }
+            
+            const entry = this.getEntry(name);
+            state.set(name, 'visiting');
+            
+            const dependencies = Object.keys(entry.dependencies)
+                .sort((a, b) => this.getEntry(a).priority - this.getEntry(b).priority);
+            for (const dep of dependencies) {
+                const range = entry.dependencies[dep];
+                const available = this.loaded.has(dep) ? this.loaded.get(dep).version : this.getEntry(dep).version;
+                if (!satisfies(available, range)) {
+                    throw new Error(`${name} requiere ${dep}@${range}, disponible ${available}`);
+                }
+                visit(dep, [...path, name]);
+            }
+            
+            state.set(name, 'done');
+            ordered.push(name);
+        };
+        
+        [...names]
+            .sort((a, b) => this.getEntry(a).priority - this.getEntry(b).priority)
+            .forEach(name => visit(name, []));
+        
+        return ordered;
+    }
+
+    /**
+     * Cargar un conjunto de módulos con sus dependencias (modprobe)
+     */
+    async loadModules(names, onModule = null) {
+        const order = this.resolveLoadOrder(names);
+        const loaded = [];
+        
+        for (const name of order) {
+            if (this.loaded.has(name)) {
+                continue;
+            }
+            const record = onModule ? await onModule(name, () => this.insmod(name)) : await this.insmod(name);
+            loaded.push(record);
+        }
+        
+        return loaded;
+    }
+
+    /**
+     * modprobe: cargar un módulo y las dependencias que falten
+     */
+    async modprobe(name, params = {}) {
+        const order = this.resolveLoadOrder([name]);
+        for (const dep of order.filter(dep => dep !== name && !this.loaded.has(dep))) {
+            await this.insmod(dep);
+        }
+        return this.loaded.has(name) ? this.loaded.get(name) : this.insmod(name, params);
+    }
+
+    /**
+     * insmod: cargar un módulo cuyas dependencias ya están cargadas
+     */
+    async insmod(name, params = {}) {
+        const entry = this.getEntry(name);
+        if (this.loaded.has(name)) {
+            throw new Error(`El módulo ${name} ya está cargado`);
+        }
+        
+        for (const [dep, range] of Object.entries(entry.dependencies)) {
+            const depRecord = this.loaded.get(dep);
+            if (!depRecord || depRecord.state !== 'live') {
+                throw new Error(`${name}: dependencia no cargada ${dep}@${range}`);
+            }
+            if (!satisfies(depRecord.version, range)) {
+                throw new Error(`${name} requiere ${dep}@${range}, cargado ${depRecord.version}`);
+            }
+        }
+        
+        const namespace = await this.importModule(entry);
+        const info = namespace.moduleInfo || {};
+        if (info.name !== name || info.version !== entry.version) {
+            throw new Error(`${entry.path} declara ${info.name}@${info.version}, el manifiesto espera ${name}@${entry.version}`);
+        }
+        
+        // Símbolos exportados: deben ser funciones y no colisionar con otros módulos
+        const exports = {};
+        for (const symbol of entry.exports) {
+            if (typeof namespace[symbol] !== 'function') {
+                throw new Error(`${name}: el símbolo exportado ${symbol} no es una función`);
+            }
+            if (this.symbols.has(symbol)) {
+                throw new Error(`${name}: símbolo ${symbol} ya exportado por ${this.symbols.get(symbol).module}`);
+            }
+            exports[symbol] = namespace[symbol];
+        }
+        
+        const record = {
+            name: name,
+            version: entry.version,
+            path: entry.path,
+            description: info.description || entry.description,
+            dependencies: Object.keys(entry.dependencies),
+            params: { ...(this.moduleParams[name] || {}), ...params },
+            api: exports,
+            namespace: namespace,
+            state: 'loading',
+            instance: null,
+            refcount: 0,
+            holders: new Map(),
+            loadedAt: null
+        };
+        this.loaded.set(name, record);
+        
+        try {
+            if (typeof namespace.init === 'function') {
+                record.instance = await namespace.init(this.createContext(record));
+            }
+        } catch (error) {
+            this.loaded.delete(name);
+            throw new Error(`${name}: init() falló: ${error.message}`);
+        }
+        
+        for (const [symbol, fn] of Object.entries(exports)) {
+            this.symbols.set(symbol, { module: name, fn: fn });
+        }
+        for (const dep of record.dependencies) {
+            this.get(dep, name);
+        }
+        
+        record.state = 'live';
+        record.loadedAt = Date.now();
+        return record;
+    }
+
+    /**
+     * rmmod: descargar un módulo que nadie usa
+     */
+    async rmmod(name) {
+        const record = this.loaded.get(name);
+        if (!record) {
+            throw new Error(`El módulo ${name} no está cargado`);
+        }
+        if (record.refcount > 0) {
+            throw new Error(`El módulo ${name} está en uso por: ${[...record.holders.keys()].join(', ')}`);
+        }
+        
+        record.state = 'unloading';
+        try {
+            if (typeof record.namespace.exit === 'function') {
+                await record.namespace.exit();
+            }
+        } finally {
+            for (const symbol of Object.keys(record.api)) {
+                this.symbols.delete(symbol);
+            }
+            for (const dep of record.dependencies) {
+                this.put(dep, name);
+            }
+            this.loaded.delete(name);
+        }
+        
+        return { name: name, unloaded: true };
+    }
+
+    /**
+     * Tomar una referencia a un módulo (try_module_get)
+     */
+    get(name, holder = 'kernel') {
+        const record = this.loaded.get(name);
+        if (!record || (record.state !== 'live' && record.state !== 'loading')) {
+            throw new Error(`El módulo ${name} no está disponible`);
+        }
+        record.refcount++;
+        record.holders.set(holder, (record.holders.get(holder) || 0) + 1);
+        return record;
+    }
+
+    /**
+     * Soltar una referencia (module_put)
+     */
+    put(name, holder = 'kernel') {
+        const record = this.loaded.get(name);
+        if (!record) {
+            return;
+        }
+        
+        const count = record.holders.get(holder) || 0;
+        if (count === 0) {
+            return;
+        }
+        
+        record.refcount--;
+        if (count === 1) {
+            record.holders.delete(holder);
+        } else {
+            record.holders.set(holder, count - 1);
+        }
+    }
+
+    /**
+     * Importar el fichero del módulo; cada recarga usa una URL nueva para obtener una instancia limpia
+     */
+    async importModule(entry) {
+        const generation = (this.generations.get(entry.name) || 0) + 1;
+        this.generations.set(entry.name, generation);
+        
+        const url = new URL(entry.path, this.baseUrl);
+        if (generation > 1) {
+            url.searchParams.set('gen', String(generation));
+        }
+        
+        // Un módulo alterado se rechaza antes de ejecutar su código
+        if (this.verify) {
+            await this.verify(url, { kind: 'module' });
+        }
+        
+        try {
+            return await import(url.href);
+        } catch (error) {
+            throw new Error(`No se pudo importar ${entry.path}: ${error.message}`);
+        }
+    }
+
+    createContext(record) {
+        return {
+            name: record.name,
+            version: record.version,
+            params: record.params,
+            kernel: this.kernel,
+            // Controlador de interrupciones del kernel (requestIrq/freeIrq), null sin kernel
+            irq: this.kernel && this.kernel.interruptController ? this.kernel.interruptController : null,
+            physicalMemory: this.physicalMemory,
+            // Solo se resuelven símbolos de las dependencias declaradas
+            symbol: (symbol) => {
+                const entry = this.symbols.get(symbol);
+                if (!entry || !record.dependencies.includes(entry.module)) {
+                    throw new Error(`${record.name}: símbolo no resuelto ${symbol}`);
+                }
+                return entry.fn;
+            },
+            // Referencias sobre el propio módulo (p. ej. mientras un sistema de archivos está montado)
+            hold: (holder) => this.get(record.name, holder),
+            release: (holder) => this.put(record.name, holder),
+            log: (message) => this.klog.printk(KernelLog.KERN_INFO, record.name, message, [`      [${record.name}] ${message}`])
+        };
+    }
+
+    /**
+     * Función real asociada a un símbolo del kernel
+     */
+    resolveSymbol(symbol) {
+        const entry = this.symbols.get(symbol);
+        return entry ? entry.fn : null;
+    }
+
+    /**
+     * Tabla global de símbolos: nombre → { module, type, fn }
+     */
+    getSymbolTable() {
+        const table = {};
+        for (const [symbol, entry] of this.symbols) {
+            table[symbol] = { module: entry.module, type: 'function', fn: entry.fn };
+        }
+        return table;
+    }
+
+    isLoaded(name) {
+        return this.loaded.has(name);
+    }
+
+    getModule(name) {
+        return this.loaded.get(name) || null;
+    }
+
+    /**
+     * Listado estilo lsmod
+     */
+    lsmod() {
+        return [...this.loaded.values()].map(record => ({
+            name: record.name,
+            version: record.version,
+            state: record.state,
+            refcount: record.refcount,
+            usedBy: [...record.holders.keys()],
+            symbols: Object.keys(record.api).length
+        }));
+    }
+
+    /**
+     * Información de un módulo estilo modinfo
+     */
+    modinfo(name) {
+        const entry = this.getEntry(name);
+        const record = this.loaded.get(name);
+        return {
+            ...entry,
+            description: entry.description || (record ? record.description : ''),
+            loaded: Boolean(record),
+            state: record ? record.state : 'unloaded',
+            refcount: record ? record.refcount : 0,
+            params: record ? record.params : {}
+        };
+    }
+}
+
+KernelModuleLoader.satisfies = satisfies;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.KernelModuleLoader = KernelModuleLoader;
+}
+
+export default KernelModuleLoader;
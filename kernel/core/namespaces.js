@@ -0,0 +1,410 @@
+/**
+ * yOS WebOS - Kernel: Namespaces
+ * Namespaces de procesos al estilo de Linux: pid, mnt, uts e ipc
+ *
+ * Cada proceso pertenece a un namespace de cada tipo; los que no se han separado están
+ * en los iniciales, que se construyen con los de createIPCNamespaces del kernel. fork
+ * hereda los del padre, unshare crea otros nuevos para el proceso y setns lo une a uno
+ * que ya existe.
+ *
+ * pid: numeración propia. Como en Linux, unshare y setns de pid solo afectan a los hijos
+ * que se creen después: el primero es el PID 1 del namespace y, si termina, el resto de
+ * sus procesos recibe SIGKILL. Desde un namespace se ven sus PIDs y los de los anidados;
+ * los de fuera son 0. Los huérfanos siguen pasando al init global.
+ * mnt: vista de rutas propia. En el inicial cada ruta es ella misma; en uno nuevo solo
+ * existe lo que cuelga de sus puntos de montaje (bind de una ruta global, quizá de solo
+ * lectura) y el resto es ENOENT.
+ * uts: hostname y dominio. ipc: claves y objetos de ipc-system separados.
+ * net y user todavía no se aíslan: unshare los rechaza con EINVAL.
+ */
+
+export const moduleInfo = {
+    name: 'namespaces',
+    version: '1.0.0',
+    description: 'Namespaces de procesos'
+};
+
+const TYPES = ['pid', 'mnt', 'uts', 'ipc'];
+const UNSUPPORTED = ['net', 'user'];
+
+// Como los números de inodo de /proc/<pid>/ns en Linux
+const FIRST_NS_ID = 4026531835;
+
+const HOSTNAME_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9.-]{0,62})$/;
+
+let state = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (kernel.kernelModules.namespaces iniciales)
+ */
+export function init(context) {
+    const initial = context.kernel && context.kernel.kernelModules ? context.kernel.kernelModules.namespaces : null;
+    state = {
+        status: 'initialized',
+        namespaces: new Map(),
+        proxies: new Map(),
+        root: null,
+        nextId: FIRST_NS_ID
+    };
+
+    const uts = initial && initial.uts ? initial.uts : { nodename: 'yos-webos', domainname: 'local' };
+    const mnt = initial && initial.mnt ? initial.mnt : { mounts: [] };
+    const rootPid = createNamespace('pid', null, 0, { level: 0 });
+    state.root = {
+        pid: rootPid.id,
+        pidForChildren: rootPid.id,
+        mnt: createNamespace('mnt', null, 0, { identity: true, mounts: mnt.mounts.map(normalizeMount) }).id,
+        uts: createNamespace('uts', null, 0, { nodename: uts.nodename, domainname: uts.domainname }).id,
+        ipc: createNamespace('ipc', null, 0, {}).id
+    };
+    return { status: state.status, initial: { ...state.root } };
+}
+
+export function exit() {
+    state = null;
+}
+
+/**
+ * Hijo nuevo (fork o createProcess): namespaces del padre y PID de sus namespaces de pid
+ */
+export function ns_fork(parentPid, childPid) {
+    const parent = proxyOf(parentPid);
+    const pidNs = getNamespace(parent.pidForChildren);
+    if (pidNs.dead) {
+        throw new Error(`ENOMEM: el namespace de PIDs ${pidNs.id} ya no tiene init`);
+    }
+    const proxy = { ...parent, pid: parent.pidForChildren };
+    setProxy(childPid, proxy);
+    for (let ns = pidNs; ns.level > 0; ns = getNamespace(ns.parent)) {
+        const local = ns.nextPid++;
+        ns.members.set(childPid, local);
+        ns.locals.set(local, childPid);
+        if (ns.reaper === null) {
+            ns.reaper = childPid;
+        }
+    }
+    return ns_get(childPid);
+}
+
+/**
+ * El proceso termina: si era el init de su namespace de PIDs, el namespace muere
+ * @returns {number[]} Procesos del namespace que deben recibir SIGKILL
+ */
+export function ns_exit(pid) {
+    const ns = getNamespace(proxyOf(pid).pid);
+    if (ns.level === 0 || ns.reaper !== pid) {
+        return [];
+    }
+    ns.dead = true;
+    return [...ns.members.keys()].filter(member => member !== pid);
+}
+
+/**
+ * El proceso se ha recogido: sale de sus namespaces
+ */
+export function ns_release(pid) {
+    const proxy = state.proxies.get(pid);
+    if (!proxy) {
+        return;
+    }
+    for (let ns = getNamespace(proxy.pid); ns.level > 0; ns = getNamespace(ns.parent)) {
+        ns.locals.delete(ns.members.get(pid));
+        ns.members.delete(pid);
+    }
+    state.proxies.delete(pid);
+    proxyIds(proxy).forEach(unref);
+}
+
+/**
+ * unshare: namespaces nuevos para el proceso
+ * @param {string|string[]} types - 'pid', 'mnt', 'uts', 'ipc'
+ * @param {Object} [options] - { mounts: [{ source, target, readonly }], hostname, domainname }
+ *   mounts sustituye a la copia de los montajes actuales en el mnt nuevo
+ * @returns {Object} Namespaces del proceso
+ */
+export function ns_unshare(pid, types, options = {}) {
+    const list = Array.isArray(types) ? types : [types];
+    list.forEach(checkType);
+
+    const proxy = { ...proxyOf(pid) };
+    for (const type of list) {
+        if (type === 'pid') {
+            const parent = getNamespace(proxy.pidForChildren);
+            proxy.pidForChildren = createNamespace('pid', parent.id, pid, { level: parent.level + 1 }).id;
+        } else if (type === 'mnt') {
+            const parent = getNamespace(proxy.mnt);
+            const mounts = options.mounts ? options.mounts.map(normalizeMount) : parent.mounts.map(mount => ({ ...mount }));
+            proxy.mnt = createNamespace('mnt', parent.id, pid, { identity: false, mounts }).id;
+        } else if (type === 'uts') {
+            const parent = getNamespace(proxy.uts);
+            const nodename = options.hostname || parent.nodename;
+            checkHostname(nodename);
+            proxy.uts = createNamespace('uts', parent.id, pid, { nodename, domainname: options.domainname || parent.domainname }).id;
+        } else {
+            proxy.ipc = createNamespace('ipc', proxy.ipc, pid, {}).id;
+        }
+    }
+    setProxy(pid, proxy);
+    return ns_get(pid);
+}
+
+/**
+ * setns: unir el proceso a un namespace existente (el de pid, para sus hijos futuros)
+ */
+export function ns_setns(pid, nsId) {
+    const ns = getNamespace(nsId);
+    const proxy = { ...proxyOf(pid) };
+    if (ns.type === 'pid') {
+        if (ns.dead) {
+            throw new Error(`EINVAL: el namespace de PIDs ${nsId} ya no tiene init`);
+        }
+        // Solo hacia el propio namespace de PIDs o uno anidado: no se puede salir de él
+        if (!isPidAncestor(proxy.pid, ns.id)) {
+            throw new Error(`EPERM: el namespace de PIDs ${nsId} no está dentro del del proceso ${pid}`);
+        }
+        proxy.pidForChildren = ns.id;
+    } else {
+        proxy[ns.type] = ns.id;
+    }
+    setProxy(pid, proxy);
+    return ns_get(pid);
+}
+
+/**
+ * Namespaces del proceso (como /proc/<pid>/ns) y su PID dentro del propio namespace
+ */
+export function ns_get(pid) {
+    const proxy = proxyOf(pid);
+    return {
+        pid: proxy.pid,
+        pid_for_children: proxy.pidForChildren,
+        mnt: proxy.mnt,
+        uts: proxy.uts,
+        ipc: proxy.ipc,
+        nspid: ns_pid_vnr(pid, pid)
+    };
+}
+
+export function ns_id(pid, type) {
+    checkType(type);
+    return proxyOf(pid)[type];
+}
+
+export function ns_list() {
+    return [...state.namespaces.values()].map(ns => ({
+        id: ns.id,
+        type: ns.type,
+        parent: ns.parent,
+        creatorPid: ns.creatorPid,
+        processes: [...state.proxies.values()].filter(proxy => proxy[ns.type] === ns.id).length,
+        level: ns.type === 'pid' ? ns.level : undefined,
+        initial: ns.parent === null
+    }));
+}
+
+/**
+ * PID global visto desde el namespace de PIDs de viewerPid (0 si no lo ve)
+ */
+export function ns_pid_vnr(viewerPid, pid) {
+    const ns = getNamespace(proxyOf(viewerPid).pid);
+    if (ns.level === 0) {
+        return pid;
+    }
+    return ns.members.get(pid) || 0;
+}
+
+/**
+ * PID global de un PID del namespace de viewerPid (null si no existe)
+ */
+export function ns_find_pid(viewerPid, vnr) {
+    const ns = getNamespace(proxyOf(viewerPid).pid);
+    if (ns.level === 0) {
+        return vnr;
+    }
+    return ns.locals.get(vnr) || null;
+}
+
+/**
+ * Montar (bind) una ruta global en la vista del proceso
+ * @param {Object} [options] - { readonly, type = 'bind', device }
+ */
+export function ns_mount(pid, source, target, options = {}) {
+    const ns = getNamespace(proxyOf(pid).mnt);
+    const mount = normalizeMount({ ...options, source: ns.identity ? source : resolvePath(ns, source, false), target });
+    ns.mounts = ns.mounts.filter(item => item.target !== mount.target).concat(mount);
+    return { ...mount };
+}
+
+export function ns_umount(pid, target) {
+    const ns = getNamespace(proxyOf(pid).mnt);
+    const normalized = normalize(target);
+    const before = ns.mounts.length;
+    ns.mounts = ns.mounts.filter(mount => mount.target !== normalized);
+    if (ns.mounts.length === before) {
+        throw new Error(`EINVAL: ${normalized} no es un punto de montaje`);
+    }
+    return 0;
+}
+
+export function ns_mounts(pid) {
+    return getNamespace(proxyOf(pid).mnt).mounts.map(mount => ({ ...mount }));
+}
+
+/**
+ * Ruta global de una ruta absoluta de la vista del proceso
+ * @param {Object} [options] - { write }: EROFS si el montaje es de solo lectura
+ */
+export function ns_resolve_path(pid, path, options = {}) {
+    return resolvePath(getNamespace(proxyOf(pid).mnt), path, Boolean(options.write));
+}
+
+export function ns_gethostname(pid) {
+    const ns = getNamespace(proxyOf(pid).uts);
+    return { nodename: ns.nodename, domainname: ns.domainname };
+}
+
+export function ns_sethostname(pid, nodename) {
+    checkHostname(nodename);
+    getNamespace(proxyOf(pid).uts).nodename = nodename;
+    return 0;
+}
+
+function proxyOf(pid) {
+    return state.proxies.get(pid) || state.root;
+}
+
+function proxyIds(proxy) {
+    return [proxy.pid, proxy.pidForChildren, proxy.mnt, proxy.uts, proxy.ipc];
+}
+
+/**
+ * Cambiar los namespaces del proceso contando referencias; los de root no se guardan
+ */
+function setProxy(pid, proxy) {
+    const previous = state.proxies.get(pid);
+    proxyIds(proxy).forEach(ref);
+    if (previous) {
+        proxyIds(previous).forEach(unref);
+    }
+    if (proxyIds(proxy).every((id, index) => id === proxyIds(state.root)[index])) {
+        state.proxies.delete(pid);
+    } else {
+        state.proxies.set(pid, proxy);
+    }
+}
+
+function createNamespace(type, parentId, creatorPid, fields) {
+    const ns = {
+        id: state.nextId++,
+        type: type,
+        parent: parentId,
+        creatorPid: creatorPid,
+        refs: 0,
+        ...fields
+    };
+    if (type === 'pid') {
+        Object.assign(ns, { members: new Map(), locals: new Map(), nextPid: 1, reaper: null, dead: false });
+    }
+    if (parentId !== null) {
+        ref(parentId);
+    }
+    state.namespaces.set(ns.id, ns);
+    return ns;
+}
+
+function getNamespace(id) {
+    const ns = state.namespaces.get(id);
+    if (!ns) {
+        throw new Error(`EINVAL: no existe el namespace ${id}`);
+    }
+    return ns;
+}
+
+function ref(id) {
+    getNamespace(id).refs++;
+}
+
+/**
+ * Un namespace sin procesos ni namespaces hijos desaparece (los iniciales nunca)
+ */
+function unref(id) {
+    const ns = state.namespaces.get(id);
+    if (!ns || ns.parent === null) {
+        return;
+    }
+    ns.refs--;
+    if (ns.refs <= 0) {
+        state.namespaces.delete(id);
+        unref(ns.parent);
+    }
+}
+
+function isPidAncestor(ancestorId, id) {
+    for (let ns = getNamespace(id); ns; ns = ns.parent === null ? null : getNamespace(ns.parent)) {
+        if (ns.id === ancestorId) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function checkType(type) {
+    if (UNSUPPORTED.includes(type)) {
+        throw new Error(`EINVAL: los namespaces ${type} todavía no están soportados`);
+    }
+    if (!TYPES.includes(type)) {
+        throw new Error(`EINVAL: tipo de namespace desconocido: ${type}`);
+    }
+}
+
+function checkHostname(nodename) {
+    if (typeof nodename !== 'string' || !HOSTNAME_PATTERN.test(nodename)) {
+        throw new Error(`EINVAL: hostname inválido: ${nodename}`);
+    }
+}
+
+/**
+ * Montaje cuyo destino es el prefijo más largo de la ruta
+ */
+function resolvePath(ns, path, write) {
+    const normalized = normalize(path);
+    const mount = ns.mounts
+        .filter(item => item.target === '/' || normalized === item.target || normalized.startsWith(`${item.target}/`))
+        .sort((a, b) => b.target.length - a.target.length)[0];
+    if (!mount) {
+        if (ns.identity) {
+            return normalized;
+        }
+        throw new Error(`ENOENT: ${normalized} no existe en el namespace de montaje ${ns.id}`);
+    }
+    if (write && mount.readonly) {
+        throw new Error(`EROFS: ${mount.target} está montado de solo lectura`);
+    }
+    const rest = mount.target === '/' ? normalized : normalized.slice(mount.target.length);
+    return normalize(`${mount.source}/${rest}`);
+}
+
+function normalizeMount(mount) {
+    return {
+        source: normalize(mount.source || mount.mountpoint),
+        target: normalize(mount.target || mount.mountpoint || mount.source),
+        type: mount.type || 'bind',
+        device: mount.device || null,
+        readonly: Boolean(mount.readonly) || /(^|,)ro(,|$)/.test(mount.options || '')
+    };
+}
+
+function normalize(path) {
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+        throw new Error(`EINVAL: ruta absoluta esperada: ${path}`);
+    }
+    const parts = [];
+    for (const part of path.split('/')) {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    }
+    return `/${parts.join('/')}`;
+}
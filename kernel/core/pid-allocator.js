@@ -0,0 +1,247 @@
+/**
+ * yOS WebOS - PID Allocator
+ * Asignador único de PIDs del kernel y árbol de procesos padre/hijo
+ *
+ * Los PIDs se asignan de forma secuencial hasta maxPid; al llegar al máximo se vuelve
+ * a minReusePid y se reutilizan los PIDs liberados (como pid_max / RESERVED_PIDS en Linux).
+ * El PID 1 es el proceso init: raíz del árbol y padre adoptivo de los huérfanos.
+ */
+
+const INIT_PID = 1;
+
+class PidAllocator {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxPid=32768] - PID máximo (exclusivo)
+     * @param {number} [options.minReusePid=300] - Primer PID al dar la vuelta
+     */
+    constructor(options = {}) {
+        this.maxPid = options.maxPid || 32768;
+        this.minReusePid = options.minReusePid || 300;
+        this.processes = new Map();
+        this.lastPid = INIT_PID;
+        this.stats = { allocated: 0, released: 0, wraps: 0 };
+        
+        if (this.minReusePid <= INIT_PID || this.minReusePid >= this.maxPid) {
+            throw new Error(`minReusePid fuera de rango: ${this.minReusePid}`);
+        }
+    }
+
+    /**
+     * Asignar un PID y registrar el proceso en el árbol
+     * @param {Object} options
+     * @param {string} options.name - Nombre del proceso (comm)
+     * @param {number} [options.parentPid=1] - PID del padre (0 solo para init)
+     * @param {number} [options.pid] - PID fijo (init y procesos del kernel)
+     * @param {string} [options.type='user'] - 'kernel' | 'daemon' | 'service' | 'user'
+     */
+    allocate(options = {}) {
+        const parentPid = options.parentPid === undefined ? INIT_PID : options.parentPid;
+        if (parentPid !== 0 && !this.processes.has(parentPid)) {
+            throw new Error(`Proceso padre inexistente: ${parentPid}`);
+        }
+        
+        let pid;
+        if (options.pid !== undefined) {
+            pid = options.pid;
+            if (!Number.isInteger(pid) || pid < 1 || pid >= this.maxPid) {
+                throw new Error(`PID fuera de rango: ${pid}`);
+            }
+            if (this.processes.has(pid)) {
+                throw new Error(`PID ya en uso: ${pid}`);
+            }
+        } else {
+            pid = this.findFreePid();
+        }
+        
+        const entry = {
+            pid: pid,
+            ppid: parentPid,
+            name: options.name || `pid-${pid}`,
+            type: options.type || 'user',
+            createdAt: Date.now(),
+            children: new Set()
+        };
+        
+        this.processes.set(pid, entry);
+        if (parentPid !== 0) {
+            this.processes.get(parentPid).children.add(pid);
+        }
+        if (options.pid === undefined) {
+            this.lastPid = pid;
+        }
+        this.stats.allocated++;
+        
+        return this.describe(entry);
+    }
+
+    /**
+     * Siguiente PID libre después del último asignado, dando la vuelta si hace falta
+     */
+    findFreePid() {
+        let candidate = this.lastPid + 1;
+        
+        for (let scanned = 0; scanned < this.maxPid; scanned++) {
+            if (candidate >= this.maxPid) {
+                candidate = this.minReusePid;
+                this.stats.wraps++;
+            }
+            if (!this.processes.has(candidate)) {
+                return candidate;
+            }
+            candidate++;
+        }
+        
+        throw new Error(`No quedan PIDs libres (máximo ${this.maxPid})`);
+    }
+
+    /**
+     * Liberar un PID; sus hijos pasan a ser hijos de init
+     */
+    release(pid) {
+        const entry = this.processes.get(pid);
+        if (!entry) {
+            return false;
+        }
+        if (pid === INIT_PID && this.processes.size > 1) {
+            throw new Error('No se puede liberar init mientras quedan procesos');
+        }
+        
+        for (const childPid of entry.children) {
+            this.reparent(childPid, INIT_PID);
+        }
+        if (entry.ppid !== 0 && this.processes.has(entry.ppid)) {
+            this.processes.get(entry.ppid).children.delete(pid);
+        }
+        
+        this.processes.delete(pid);
+        this.stats.released++;
+        return true;
+    }
+
+    /**
+     * Cambiar el padre de un proceso (adopción de huérfanos)
+     */
+    reparent(pid, newParentPid) {
+        const entry = this.processes.get(pid);
+        const parent = this.processes.get(newParentPid);
+        if (!entry || !parent) {
+            throw new Error(`No se puede reasignar ${pid} a ${newParentPid}`);
+        }
+        
+        if (entry.ppid !== 0 && this.processes.has(entry.ppid)) {
+            this.processes.get(entry.ppid).children.delete(pid);
+        }
+        entry.ppid = newParentPid;
+        parent.children.add(pid);
+    }
+
+    /**
+     * Renombrar un proceso (exec)
+     */
+    rename(pid, name) {
+        const entry = this.processes.get(pid);
+        if (entry) {
+            entry.name = name;
+        }
+    }
+
+    has(pid) {
+        return this.processes.has(pid);
+    }
+
+    get(pid) {
+        const entry = this.processes.get(pid);
+        return entry ? this.describe(entry) : null;
+    }
+
+    getChildren(pid) {
+        const entry = this.processes.get(pid);
+        return entry ? [...entry.children].sort((a, b) => a - b) : [];
+    }
+
+    /**
+     * Todos los procesos ordenados por PID
+     */
+    list() {
+        return [...this.processes.values()]
+            .sort((a, b) => a.pid - b.pid)
+            .map(entry => this.describe(entry));
+    }
+
+    /**
+     * Árbol de procesos (por defecto desde init)
+     */
+    getTree(rootPid = INIT_PID) {
+        const entry = this.processes.get(rootPid);
+        if (!entry) {
+            return null;
+        }
+        
+        return {
+            pid: entry.pid,
+            name: entry.name,
+            type: entry.type,
+            children: this.getChildren(rootPid).map(childPid => this.getTree(childPid))
+        };
+    }
+
+    /**
+     * Árbol en formato texto, estilo pstree / ps --forest
+     */
+    formatTree(rootPid = INIT_PID) {
+        const lines = [];
+        const walk = (node, prefix, isLast, isRoot) => {
+            const branch = isRoot ? '' : (isLast ? '└─ ' : '├─ ');
+            lines.push(`${prefix}${branch}${node.name}(${node.pid})`);
+            
+            const childPrefix = isRoot ? '' : prefix + (isLast ? '   ' : '│  ');
+            node.children.forEach((child, index) => walk(child, childPrefix, index === node.children.length - 1, false));
+        };
+        
+        const tree = this.getTree(rootPid);
+        if (tree) {
+            walk(tree, '', true, true);
+        }
+        return lines;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            inUse: this.processes.size,
+            lastPid: this.lastPid,
+            maxPid: this.maxPid
+        };
+    }
+
+    describe(entry) {
+        return {
+            pid: entry.pid,
+            ppid: entry.ppid,
+            name: entry.name,
+            type: entry.type,
+            createdAt: entry.createdAt,
+            children: [...entry.children].sort((a, b) => a - b)
+        };
+    }
+
+    /**
+     * Asignador con init (PID 1) ya registrado, para usar fuera del arranque del kernel
+     */
+    static withInit(options = {}) {
+        const allocator = new PidAllocator(options);
+        allocator.allocate({ pid: INIT_PID, name: 'init', parentPid: 0, type: 'kernel' });
+        return allocator;
+    }
+}
+
+PidAllocator.INIT_PID = INIT_PID;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.PidAllocator = PidAllocator;
+}
+
+export default PidAllocator;
@@ -1,10 +1,999 @@
-// process-manager.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Kernel: Process Manager
+ * Tabla de procesos sobre el asignador de PIDs del kernel: fork/exec/exit/wait
+ *
+ * Cada proceso tiene entorno, directorio de trabajo y tabla de descriptores propios
+ * (fork los hereda; los descriptores comparten la descripción de fichero abierto).
+ * Una descripción puede traer ops { read, write, seek, stat, release } (pipes del ipc-system,
+ * procfs, etcfs): readFile/writeFile/seekFile las usan y release se llama al cerrarse el
+ * último descriptor. Sin ops.seek lseek da ESPIPE en pipes y terminales y EINVAL en el resto.
+ * Las credenciales (uid, gid) se heredan y las usa ipc-system para los permisos.
+ * Estados: running, sleeping y stopped según su tarea en el planificador; zombie desde
+ * que termina hasta que el padre recoge su código de salida con waitProcess (wait4).
+ * Los hijos de un proceso que termina pasan a init, que recoge sus zombies en el siguiente turno.
+ *
+ * Un programa es una función (generador o función por rodaja, ver scheduler) que recibe
+ * { pid, argv, env, cwd }; su valor de retorno entero es el código de salida.
+ * JS no puede duplicar la pila del padre: el hijo de forkProcess ejecuta childMain
+ * (la rama `pid === 0` del fork clásico) o espera, durmiendo, a execProcess.
+ *
+ * Señales: cada proceso tiene disposiciones (sigaction), máscara de bloqueadas y señales
+ * pendientes. Una señal bloqueada, o enviada a un proceso detenido, queda pendiente hasta
+ * que se desbloquea o el proceso continúa. El manejador se ejecuta con su máscara y la
+ * propia señal bloqueadas; si lanza un error el proceso termina como con un error de su
+ * programa. fork hereda disposiciones y máscara; exec vuelve los manejadores a SIG_DFL.
+ * Al terminar, el padre recibe SIGCHLD; si lo ignora con SIG_IGN el hijo no queda zombie.
+ *
+ * La memoria del proceso (memory-manager) se copia en fork, se libera en exec y al
+ * terminar; el OOM killer del gestor de memoria mata con SIGKILL.
+ *
+ * Los namespaces (módulo namespaces) también se heredan en fork y se dejan al recogerlo.
+ * Los PIDs de esta tabla son siempre los globales; open resuelve la ruta en el namespace
+ * de montaje del proceso (description.source es la ruta global).
+ *
+ * Los sistemas de ficheros sintéticos (procfs) se registran con registerPseudoFs: open de
+ * una ruta global bajo su punto de montaje les pide el tipo y las ops de la descripción.
+ */
 
-console.log('process-manager.js cargado');
+import Signals from './signals.js';
 
-function init() {
-    console.log('Aplicación inicializada');
+export const moduleInfo = {
+    name: 'process-manager',
+    version: '1.8.1',
+    description: 'Gestor de procesos'
+};
+
+const INIT_PID = 1;
+const SEEK_WHENCE = ['SEEK_SET', 'SEEK_CUR', 'SEEK_END'];
+const DEFAULT_ENV = {
+    PATH: '/usr/local/bin:/usr/bin:/bin',
+    HOME: '/root',
+    TERM: 'linux',
+    USER: 'root'
+};
+
+let state = null;
+let pidAllocator = null;
+let sched = null;
+let mm = null;
+let ns = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (kernel.pidAllocator, símbolos del scheduler)
+ */
+export function init(context) {
+    if (!context.kernel || !context.kernel.pidAllocator) {
+        throw new Error('Asignador de PIDs del kernel no disponible');
+    }
+
+    pidAllocator = context.kernel.pidAllocator;
+    sched = {
+        enqueue: context.symbol('sched_enqueue'),
+        dequeue: context.symbol('sched_dequeue'),
+        getattr: context.symbol('sched_getattr'),
+        stop: context.symbol('sched_stop'),
+        cont: context.symbol('sched_continue')
+    };
+    mm = {
+        create: context.symbol('mm_create'),
+        fork: context.symbol('mm_fork'),
+        release: context.symbol('mm_release'),
+        setOomKiller: context.symbol('mm_set_oom_killer')
+    };
+    ns = {
+        fork: context.symbol('ns_fork'),
+        exit: context.symbol('ns_exit'),
+        release: context.symbol('ns_release'),
+        resolvePath: context.symbol('ns_resolve_path')
+    };
+    state = {
+        status: 'initialized',
+        processes: {},
+        waiters: new Map(),
+        reaper: null,
+        pseudoFs: new Map(),
+        log: context.log,
+        kernelStats: context.kernel.kernelModules.scheduler ? context.kernel.kernelModules.scheduler.stats : null
+    };
+    mm.setOomKiller((pid) => sendSignal(pid, 'SIGKILL'));
+    return { status: state.status };
+}
+
+export function exit() {
+    clearTimeout(state.reaper);
+    for (const waiters of state.waiters.values()) {
+        waiters.forEach(waiter => waiter.reject(new Error('Gestor de procesos descargado')));
+    }
+    mm.setOomKiller(null);
+    state = null;
+    pidAllocator = null;
+    sched = null;
+    mm = null;
+    ns = null;
+}
+
+/**
+ * Crear un proceso (hijo de init por defecto) y ponerlo en la cola de listos
+ * Si entryPoint es una función el planificador la ejecuta y el proceso termina con ella;
+ * schedAttrs son sus atributos de planificación (policy, nice, rtPriority...)
+ */
+export function createProcess(name, entryPoint, parentPid, schedAttrs = {}) {
+    const parent = getRecord(parentPid === undefined ? INIT_PID : parentPid);
+    const entry = pidAllocator.allocate({ name: name, parentPid: parent.pid, type: 'kernel' });
+    const process = createRecord(entry.pid, parent, { name, argv: [name] });
+
+    try {
+        ns.fork(parent.pid, process.pid);
+        mm.create(process.pid);
+        startProgram(process, typeof entryPoint === 'function' ? entryPoint : null, schedAttrs);
+    } catch (error) {
+        // Namespace de PIDs sin init o atributos de planificación rechazados: el PID no llega a usarse
+        mm.release(process.pid);
+        reap(process.pid);
+        throw error;
+    }
+    process.entryPoint = entryPoint;
+    countCreated();
+    return describeProcess(process);
+}
+
+/**
+ * fork: hijo con copia del entorno, del directorio y de la tabla de descriptores del padre
+ * @param {number} parentPid
+ * @param {Function} [childMain] - Programa del hijo; sin él el hijo duerme hasta execProcess
+ */
+export function forkProcess(parentPid, childMain = null) {
+    const parent = getRecord(parentPid);
+    const entry = pidAllocator.allocate({ name: parent.name, parentPid: parent.pid, type: pidAllocator.get(parent.pid).type });
+    const child = createRecord(entry.pid, parent, { name: parent.name, argv: [...parent.argv] });
+    child.signals.actions = { ...parent.signals.actions };
+    try {
+        ns.fork(parent.pid, child.pid);
+        mm.fork(parent.pid, child.pid);
+    } catch (error) {
+        // Sin memoria para la copia (o namespace de PIDs sin init): el fork falla sin dejar rastro del hijo
+        mm.release(child.pid);
+        reap(child.pid);
+        throw error;
+    }
+
+    // El hijo hereda la política y el nice del padre
+    startProgram(child, childMain, inheritedSchedAttrs(parent.pid));
+    countCreated();
+    return describeProcess(child);
+}
+
+/**
+ * exec: sustituir el programa del proceso; se cierran los descriptores con close-on-exec
+ * @param {number} pid
+ * @param {Function} program
+ * @param {Array<string>} [argv]
+ * @param {Object} [env] - Entorno nuevo (por defecto se conserva)
+ */
+export function execProcess(pid, program, argv = null, env = null) {
+    if (typeof program !== 'function') {
+        throw new Error(`exec ${pid}: el programa no es una función`);
+    }
+    const process = getRecord(pid);
+    if (process.pid === INIT_PID) {
+        throw new Error('No se puede sustituir el programa de init');
+    }
+    if (process.zombie) {
+        throw new Error(`ESRCH: el proceso ${pid} ya ha terminado`);
+    }
+
+    const attrs = inheritedSchedAttrs(pid);
+    sched.dequeue(pid);
+    for (const [fd, slot] of process.fds) {
+        if (slot.cloexec) {
+            closeFile(pid, fd);
+        }
+    }
+
+    process.signals.actions = resetHandlers(process.signals.actions);
+    mm.release(pid, true);
+    process.argv = argv ? [...argv] : [program.name || process.name];
+    process.name = (process.argv[0] || process.name).split('/').pop();
+    if (env) {
+        process.env = { ...env };
+    }
+    pidAllocator.rename(pid, process.name);
+    startProgram(process, program, attrs);
+    return describeProcess(process);
+}
+
+/**
+ * exit: el proceso pasa a zombie hasta que el padre recoja su estado
+ * @param {number} pid
+ * @param {number} [code=0] - Código de salida (0-255)
+ * @param {string} [signal] - Señal que lo terminó (sin código de salida)
+ */
+export function exitProcess(pid, code = 0, signal = null) {
+    const process = getRecord(pid);
+    if (process.pid === INIT_PID) {
+        throw new Error('init no puede terminar');
+    }
+    if (process.zombie) {
+        return describeProcess(process);
+    }
+
+    const task = findTask(pid);
+    process.cpuTime = task ? task.sumExecRuntime : 0;
+    sched.dequeue(pid);
+    for (const fd of [...process.fds.keys()]) {
+        closeFile(pid, fd);
+    }
+    process.zombie = true;
+    process.signals.pending.clear();
+    mm.release(pid);
+    process.exitCode = signal ? null : code & 0xff;
+    process.signal = signal;
+    process.exitedAt = Date.now();
+    if (state.kernelStats) {
+        state.kernelStats.processes_exited++;
+    }
+
+    // Si era el init de un namespace de PIDs, el resto del namespace termina con él
+    for (const victim of ns.exit(pid)) {
+        if (state.processes[victim]) {
+            sendSignal(victim, 'SIGKILL');
+        }
+    }
+
+    // Los hijos huérfanos pasan a init, que recoge a los que ya son zombies
+    for (const childPid of pidAllocator.getChildren(pid)) {
+        pidAllocator.reparent(childPid, INIT_PID);
+        const child = state.processes[childPid];
+        if (child && child.zombie) {
+            scheduleInitReap();
+        }
+    }
+
+    // Descripción tomada antes de que init lo recoja y libere su PID
+    const description = describeProcess(process);
+    const ppid = description.ppid;
+    const parent = state.processes[ppid];
+    sendSignal(ppid, 'SIGCHLD', pid);
+    if (state.processes[pid] !== process || notifyParent(ppid, process)) {
+        // Ya recogido por el manejador de SIGCHLD o por un wait4
+        return description;
+    }
+    if (ppid === INIT_PID) {
+        scheduleInitReap();
+    } else if (parent && getAction(parent, 'SIGCHLD').handler === Signals.SIG_IGN) {
+        reap(pid);
+    }
+    return description;
+}
+
+/**
+ * wait4: esperar a que termine un hijo y recoger su estado
+ * @param {number} parentPid
+ * @param {number} [pid=-1] - Hijo concreto o -1 para cualquiera
+ * @param {Object} [options]
+ * @param {boolean} [options.nohang=false] - WNOHANG: { pid: 0 } si ningún hijo ha terminado
+ * @returns {Promise<Object>} { pid, exitCode, signal, cpuTime }
+ */
+export function waitProcess(parentPid, pid = -1, options = {}) {
+    getRecord(parentPid);
+    const children = pidAllocator.getChildren(parentPid).filter(childPid => pid === -1 || childPid === pid);
+    if (children.length === 0) {
+        return Promise.reject(new Error(`ECHILD: el proceso ${parentPid} no tiene hijos${pid === -1 ? '' : ` con PID ${pid}`}`));
+    }
+
+    const zombie = children.map(childPid => state.processes[childPid]).find(child => child && child.zombie);
+    if (zombie) {
+        return Promise.resolve(collect(zombie));
+    }
+    if (options.nohang) {
+        return Promise.resolve({ pid: 0, exitCode: null, signal: null, cpuTime: 0 });
+    }
+
+    return new Promise((resolve, reject) => {
+        const waiters = state.waiters.get(parentPid) || [];
+        waiters.push({ pid, resolve, reject });
+        state.waiters.set(parentPid, waiters);
+    });
+}
+
+/**
+ * Terminar un proceso de forma inmediata (kill -9)
+ */
+export function terminateProcess(pid) {
+    if (!pidAllocator.has(pid)) {
+        return { success: false, pid };
+    }
+    sendSignal(pid, 'SIGKILL');
+    return { success: true, pid };
+}
+
+export function stopProcess(pid) {
+    const process = getRecord(pid);
+    if (!process.zombie && findTask(pid)) {
+        sched.stop(pid);
+    }
+    return describeProcess(process);
+}
+
+export function continueProcess(pid) {
+    const process = getRecord(pid);
+    if (!process.zombie && findTask(pid)) {
+        sched.cont(pid);
+        deliverPending(process);
+    }
+    return describeProcess(process);
+}
+
+/**
+ * Credenciales del proceso (las heredan sus hijos)
+ */
+export function setCredentials(pid, credentials) {
+    const process = getRecord(pid);
+    for (const key of ['uid', 'gid']) {
+        if (credentials[key] !== undefined) {
+            if (!Number.isInteger(credentials[key]) || credentials[key] < 0) {
+                throw new Error(`EINVAL: ${key} inválido: ${credentials[key]}`);
+            }
+            process[key] = credentials[key];
+        }
+    }
+    return { uid: process.uid, gid: process.gid };
+}
+
+/**
+ * Variable de entorno del proceso (value undefined la elimina)
+ */
+export function setProcessEnv(pid, name, value) {
+    const process = getRecord(pid);
+    if (value === undefined) {
+        delete process.env[name];
+    } else {
+        process.env[name] = String(value);
+    }
+    return { ...process.env };
+}
+
+/**
+ * chdir: rutas relativas al directorio actual, con . y ..
+ */
+export function changeDirectory(pid, path) {
+    const process = getRecord(pid);
+    process.cwd = resolvePath(process.cwd, path);
+    return process.cwd;
+}
+
+/**
+ * open: menor descriptor libre apuntando a una descripción de fichero nueva
+ * @param {Object} [options] - { mode: 'r'|'w'|'rw', type: 'file', cloexec: false }
+ */
+export function openFile(pid, path, options = {}) {
+    const process = getRecord(pid);
+    const resolved = resolvePath(process.cwd, path);
+    const mode = options.mode || 'r';
+    const description = {
+        path: resolved,
+        source: ns.resolvePath(pid, resolved, { write: mode !== 'r' }),
+        type: options.type || 'file',
+        mode: mode,
+        position: 0,
+        refs: 0
+    };
+    const provider = findPseudoFs(description.source);
+    if (provider) {
+        Object.assign(description, provider(description.source, pid, mode));
+    }
+    return installFd(process, lowestFreeFd(process), description, Boolean(options.cloexec));
+}
+
+/**
+ * Registrar un sistema de ficheros sintético en un punto de montaje global
+ * @param {string} mountpoint - '/proc'
+ * @param {Function} provider - (ruta global, pid, mode) => { type, ops }; lanza ENOENT, EACCES...
+ */
+export function registerPseudoFs(mountpoint, provider) {
+    if (state.pseudoFs.has(mountpoint)) {
+        throw new Error(`EBUSY: ${mountpoint} ya tiene un sistema de ficheros sintético`);
+    }
+    state.pseudoFs.set(mountpoint, provider);
+}
+
+export function unregisterPseudoFs(mountpoint) {
+    return state.pseudoFs.delete(mountpoint);
+}
+
+export function closeFile(pid, fd) {
+    const process = getRecord(pid);
+    const slot = process.fds.get(fd);
+    if (!slot) {
+        throw new Error(`EBADF: descriptor ${fd} no abierto en el proceso ${pid}`);
+    }
+    process.fds.delete(fd);
+    dropDescription(slot.description);
+    return 0;
+}
+
+/**
+ * Instalar una descripción creada por otro subsistema (pipe, socket...) en el descriptor libre más bajo
+ * @param {Object} description - { path, type, mode, ops: { read(count), write(data), release() } }
+ */
+export function installFile(pid, description, options = {}) {
+    const process = getRecord(pid);
+    return installFd(process, lowestFreeFd(process), { position: 0, ...description, refs: 0 }, Boolean(options.cloexec));
+}
+
+export function getFileDescription(pid, fd) {
+    const slot = getRecord(pid).fds.get(fd);
+    if (!slot) {
+        throw new Error(`EBADF: descriptor ${fd} no abierto en el proceso ${pid}`);
+    }
+    return slot.description;
+}
+
+/**
+ * read: lo resuelve la descripción (ops.read); puede esperar a que haya datos
+ * @returns {Promise<Uint8Array>} Vacío en fin de fichero
+ */
+export function readFile(pid, fd, count) {
+    const description = getFileDescription(pid, fd);
+    if (!description.mode.includes('r')) {
+        return Promise.reject(new Error(`EBADF: descriptor ${fd} no abierto para lectura`));
+    }
+    if (!description.ops || typeof description.ops.read !== 'function') {
+        return Promise.reject(new Error(`EINVAL: ${description.path} no admite read`));
+    }
+    return Promise.resolve(description.ops.read(count, pid));
+}
+
+/**
+ * write: lo resuelve la descripción (ops.write); puede esperar a que haya espacio
+ * @returns {Promise<number>} Bytes escritos
+ */
+export function writeFile(pid, fd, data) {
+    const description = getFileDescription(pid, fd);
+    if (!description.mode.includes('w')) {
+        return Promise.reject(new Error(`EBADF: descriptor ${fd} no abierto para escritura`));
+    }
+    if (!description.ops || typeof description.ops.write !== 'function') {
+        return Promise.reject(new Error(`EINVAL: ${description.path} no admite write`));
+    }
+    return Promise.resolve(description.ops.write(data, pid));
+}
+
+/**
+ * lseek: la descripción calcula la nueva posición (ops.seek)
+ * @param {string|number} [whence='SEEK_SET'] - SEEK_SET (0), SEEK_CUR (1) o SEEK_END (2)
+ * @returns {number} Posición resultante
+ */
+export function seekFile(pid, fd, offset, whence = 'SEEK_SET') {
+    const description = getFileDescription(pid, fd);
+    const mode = typeof whence === 'number' ? SEEK_WHENCE[whence] : whence;
+    if (!SEEK_WHENCE.includes(mode)) {
+        throw new Error(`EINVAL: whence inválido: ${whence}`);
+    }
+    if (!description.ops || typeof description.ops.seek !== 'function') {
+        const unseekable = description.type === 'pipe' || description.type === 'tty';
+        throw new Error(`${unseekable ? 'ESPIPE' : 'EINVAL'}: ${description.path} no admite lseek`);
+    }
+    description.position = description.ops.seek(offset, mode);
+    return description.position;
+}
+
+/**
+ * stat: tipo y tamaño de una ruta según el sistema de ficheros sintético que la contiene
+ * @returns {Object} { path, type, size }
+ */
+export function statFile(pid, path) {
+    const process = getRecord(pid);
+    const resolved = resolvePath(process.cwd, path);
+    const source = ns.resolvePath(pid, resolved);
+    const provider = findPseudoFs(source);
+    if (!provider) {
+        throw new Error(`ENOENT: ${resolved} no existe`);
+    }
+    const description = provider(source, pid, 'r');
+    const info = description.ops && typeof description.ops.stat === 'function' ? description.ops.stat() : {};
+    return { path: resolved, type: description.type, size: info.size || 0 };
+}
+
+/**
+ * dup/dup2: otro descriptor para la misma descripción (posición compartida)
+ */
+export function dupFile(pid, fd, newFd = null) {
+    const process = getRecord(pid);
+    const slot = process.fds.get(fd);
+    if (!slot) {
+        throw new Error(`EBADF: descriptor ${fd} no abierto en el proceso ${pid}`);
+    }
+    if (newFd === null) {
+        newFd = lowestFreeFd(process);
+    } else if (newFd === fd) {
+        return fd;
+    } else if (process.fds.has(newFd)) {
+        closeFile(pid, newFd);
+    }
+    return installFd(process, newFd, slot.description, false);
+}
+
+export function getProcessById(pid) {
+    if (!pidAllocator.has(pid)) {
+        return null;
+    }
+    return describeProcess(getRecord(pid));
+}
+
+export function getAllProcesses() {
+    return pidAllocator.list().map(entry => describeProcess(getRecord(entry.pid)));
+}
+
+export function getProcessTree() {
+    return pidAllocator.getTree();
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * kill: generar una señal para el proceso
+ * @param {number} pid
+ * @param {string|number} signal - 'SIGTERM', 'TERM' o 15
+ * @param {number} [senderPid=0] - Proceso que la envía (0: el kernel)
+ * @returns {Object} { success, pid, signal, pending }
+ */
+export function sendSignal(pid, signal, senderPid = 0) {
+    const { name, number, action: defaultAction } = Signals.lookup(signal);
+    const process = getRecord(pid);
+    const result = { success: true, pid, signal: name, pending: false };
+    const action = getAction(process, name);
+    if (process.zombie) {
+        return result;
+    }
+    // init solo recibe las señales para las que tiene manejador (ni SIGKILL le afecta)
+    if (process.pid === INIT_PID && typeof action.handler !== 'function') {
+        return result;
+    }
+
+    // SIGKILL, SIGSTOP y SIGCONT actúan al generarse, aunque estén bloqueadas
+    if (name === 'SIGKILL') {
+        exitProcess(pid, 0, name);
+        return result;
+    }
+    if (name === 'SIGSTOP') {
+        stopProcess(pid);
+        return result;
+    }
+    if (name === 'SIGCONT') {
+        continueProcess(pid);
+    }
+
+    if (action.handler === Signals.SIG_IGN || (action.handler === Signals.SIG_DFL && defaultAction === 'ign')) {
+        return result;
+    }
+
+    // Las señales estándar no se encolan: una pendiente absorbe a las repetidas
+    process.signals.pending.set(name, { signal: name, number, senderPid });
+    deliverPending(process);
+    result.pending = process.signals.pending.has(name);
+    return result;
+}
+
+/**
+ * sigaction: consultar o cambiar la disposición de una señal
+ * @param {number} pid
+ * @param {string|number} signal
+ * @param {string|Function|Object} [action] - SIG_DFL, SIG_IGN, manejador (signal, info) => void
+ *        o { handler, mask: [señales], flags: ['SA_RESETHAND', 'SA_NODEFER'] }; sin él solo consulta
+ * @returns {Object} Disposición anterior { handler, mask, flags }
+ */
+export function sigaction(pid, signal, action) {
+    const { name } = Signals.lookup(signal);
+    const process = getRecord(pid);
+    const previous = getAction(process, name);
+    if (action === undefined) {
+        return previous;
+    }
+    if (Signals.isUncatchable(name)) {
+        throw new Error(`EINVAL: ${name} no se puede capturar ni ignorar`);
+    }
+
+    const next = typeof action === 'object' && action !== null ? action : { handler: action };
+    if (next.handler !== Signals.SIG_DFL && next.handler !== Signals.SIG_IGN && typeof next.handler !== 'function') {
+        throw new Error(`EINVAL: manejador inválido para ${name}`);
+    }
+    const disposition = {
+        handler: next.handler,
+        mask: (next.mask || []).map(item => Signals.lookup(item).name),
+        flags: [...(next.flags || [])]
+    };
+
+    if (disposition.handler === Signals.SIG_DFL && disposition.mask.length === 0 && disposition.flags.length === 0) {
+        delete process.signals.actions[name];
+    } else {
+        process.signals.actions[name] = disposition;
+    }
+    // Ignorar una señal descarta la que estuviera pendiente
+    if (disposition.handler === Signals.SIG_IGN) {
+        process.signals.pending.delete(name);
+    }
+    return previous;
+}
+
+/**
+ * sigprocmask: bloquear o desbloquear señales; al desbloquear se entregan las pendientes
+ * @param {number} pid
+ * @param {string} how - SIG_BLOCK, SIG_UNBLOCK o SIG_SETMASK
+ * @param {Array} signals
+ * @returns {Array<string>} Máscara anterior
+ */
+export function sigprocmask(pid, how, signals = []) {
+    const process = getRecord(pid);
+    const previous = [...process.signals.blocked];
+    // SIGKILL y SIGSTOP se descartan de la máscara sin error, como en Linux
+    const names = signals.map(signal => Signals.lookup(signal).name).filter(name => !Signals.isUncatchable(name));
+
+    if (how === 'SIG_BLOCK') {
+        names.forEach(name => process.signals.blocked.add(name));
+    } else if (how === 'SIG_UNBLOCK') {
+        names.forEach(name => process.signals.blocked.delete(name));
+    } else if (how === 'SIG_SETMASK') {
+        process.signals.blocked = new Set(names);
+    } else {
+        throw new Error(`EINVAL: operación de máscara inválida: ${how}`);
+    }
+
+    deliverPending(process);
+    return previous;
+}
+
+export function sigpending(pid) {
+    return [...getRecord(pid).signals.pending.keys()];
+}
+
+/**
+ * Registro de la tabla de procesos; los procesos creados fuera del gestor (init, daemons
+ * del init) se registran la primera vez con los valores heredados de su padre
+ */
+function getRecord(pid) {
+    if (!pidAllocator.has(pid)) {
+        delete state.processes[pid];
+        throw new Error(`ESRCH: no existe el proceso ${pid}`);
+    }
+    if (!state.processes[pid]) {
+        const entry = pidAllocator.get(pid);
+        const parent = entry.ppid !== 0 && pidAllocator.has(entry.ppid) ? getRecord(entry.ppid) : null;
+        createRecord(pid, parent, { name: entry.name, argv: [entry.name] });
+        mm.create(pid);
+    }
+    return state.processes[pid];
+}
+
+function createRecord(pid, parent, { name, argv }) {
+    const process = {
+        pid: pid,
+        name: name,
+        argv: argv,
+        env: parent ? { ...parent.env } : { ...DEFAULT_ENV },
+        cwd: parent ? parent.cwd : '/',
+        uid: parent ? parent.uid : 0,
+        gid: parent ? parent.gid : 0,
+        fds: new Map(),
+        signals: {
+            actions: parent ? resetHandlers(parent.signals.actions) : {},
+            blocked: new Set(parent ? parent.signals.blocked : []),
+            pending: new Map()
+        },
+        entryPoint: null,
+        zombie: false,
+        exitCode: null,
+        signal: null,
+        cpuTime: 0,
+        exitedAt: null
+    };
+
+    if (parent) {
+        for (const [fd, slot] of parent.fds) {
+            installFd(process, fd, slot.description, slot.cloexec);
+        }
+    } else {
+        installFd(process, 0, { path: '/dev/console', type: 'tty', mode: 'r', position: 0, refs: 0 }, false);
+        installFd(process, 1, { path: '/dev/console', type: 'tty', mode: 'w', position: 0, refs: 0 }, false);
+        installFd(process, 2, { path: '/dev/console', type: 'tty', mode: 'w', position: 0, refs: 0 }, false);
+    }
+
+    state.processes[pid] = process;
+    return process;
+}
+
+/**
+ * Entregar el programa al planificador; el valor devuelto es el código de salida
+ */
+function startProgram(process, program, attrs) {
+    const body = program
+        ? () => program({ pid: process.pid, argv: process.argv, env: process.env, cwd: process.cwd })
+        : null;
+
+    sched.enqueue(process.pid, body, {
+        ...attrs,
+        name: process.name,
+        onExit: (error, value) => {
+            if (state && state.processes[process.pid] === process && !process.zombie) {
+                const code = error
+                    ? (Number.isInteger(error.exitCode) ? error.exitCode : 1)
+                    : (Number.isInteger(value) ? value : 0);
+                exitProcess(process.pid, code);
+            }
+        }
+    });
+}
+
+/**
+ * Entregar las pendientes que no estén bloqueadas (ninguna si el proceso está detenido)
+ */
+function deliverPending(process) {
+    for (const [name, info] of [...process.signals.pending]) {
+        if (process.zombie || isStopped(process)) {
+            return;
+        }
+        if (!process.signals.blocked.has(name)) {
+            process.signals.pending.delete(name);
+            deliverSignal(process, info);
+        }
+    }
+}
+
+function deliverSignal(process, info) {
+    const action = getAction(process, info.signal);
+    if (action.handler === Signals.SIG_IGN) {
+        return;
+    }
+    if (typeof action.handler === 'function') {
+        runHandler(process, action, info);
+        return;
+    }
+
+    const defaultAction = Signals.lookup(info.signal).action;
+    if (defaultAction === 'term' || defaultAction === 'core') {
+        exitProcess(process.pid, 0, info.signal);
+    } else if (defaultAction === 'stop') {
+        stopProcess(process.pid);
+    }
+}
+
+/**
+ * Ejecutar el manejador con su máscara; al terminar se restaura la máscara anterior
+ */
+function runHandler(process, action, info) {
+    const previousMask = new Set(process.signals.blocked);
+    action.mask.forEach(name => process.signals.blocked.add(name));
+    if (!action.flags.includes('SA_NODEFER')) {
+        process.signals.blocked.add(info.signal);
+    }
+    if (action.flags.includes('SA_RESETHAND')) {
+        delete process.signals.actions[info.signal];
+    }
+
+    const finish = (error) => {
+        if (state === null || state.processes[process.pid] !== process || process.zombie) {
+            return;
+        }
+        if (error) {
+            state.log(`Manejador de ${info.signal} del proceso ${process.pid}: ${error.message}`);
+            exitProcess(process.pid, Number.isInteger(error.exitCode) ? error.exitCode : 1);
+            return;
+        }
+        process.signals.blocked = previousMask;
+        deliverPending(process);
+    };
+
+    let result;
+    try {
+        result = action.handler(info.signal, { ...info, pid: process.pid });
+    } catch (error) {
+        finish(error);
+        return;
+    }
+    if (result && typeof result.then === 'function') {
+        result.then(() => finish(null), error => finish(error));
+    } else {
+        finish(null);
+    }
+}
+
+function getAction(process, name) {
+    const action = process.signals.actions[name];
+    return action
+        ? { handler: action.handler, mask: [...action.mask], flags: [...action.flags] }
+        : { handler: Signals.SIG_DFL, mask: [], flags: [] };
+}
+
+/**
+ * Disposiciones tras exec: los manejadores vuelven a SIG_DFL y SIG_IGN se conserva
+ */
+function resetHandlers(actions) {
+    const result = {};
+    for (const [name, action] of Object.entries(actions)) {
+        if (action.handler === Signals.SIG_IGN) {
+            result[name] = action;
+        }
+    }
+    return result;
+}
+
+function isStopped(process) {
+    const task = findTask(process.pid);
+    return Boolean(task) && task.state === 'stopped';
+}
+
+function inheritedSchedAttrs(pid) {
+    const task = findTask(pid);
+    if (!task) {
+        return {};
+    }
+    return { policy: task.policy, nice: task.nice, rtPriority: task.rtPriority || undefined };
+}
+
+/**
+ * Tarea del planificador (null para init y los procesos registrados fuera de él)
+ */
+function findTask(pid) {
+    try {
+        return sched.getattr(pid);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Despertar al primer wait4 del padre que acepte este hijo
+ * @returns {boolean} true si algún waiter lo ha recogido
+ */
+function notifyParent(ppid, process) {
+    const waiters = state.waiters.get(ppid) || [];
+    const index = waiters.findIndex(waiter => waiter.pid === -1 || waiter.pid === process.pid);
+    if (index === -1) {
+        return false;
+    }
+
+    const [waiter] = waiters.splice(index, 1);
+    if (waiters.length === 0) {
+        state.waiters.delete(ppid);
+    }
+    waiter.resolve(collect(process));
+    return true;
+}
+
+/**
+ * Recoger el estado de un zombie y liberar su PID
+ */
+function collect(process) {
+    const status = {
+        pid: process.pid,
+        exitCode: process.exitCode,
+        signal: process.signal,
+        cpuTime: process.cpuTime
+    };
+    reap(process.pid);
+    return status;
+}
+
+/**
+ * init recoge a sus hijos zombies en el siguiente turno, después de que
+ * un wait4 del kernel (que también es init) haya podido reclamarlos
+ */
+function scheduleInitReap() {
+    if (state.reaper) {
+        return;
+    }
+    state.reaper = setTimeout(() => {
+        state.reaper = null;
+        for (const childPid of pidAllocator.getChildren(INIT_PID)) {
+            const child = state.processes[childPid];
+            if (child && child.zombie && !notifyParent(INIT_PID, child)) {
+                reap(childPid);
+            }
+        }
+    }, 0);
+}
+
+function reap(pid) {
+    const process = state.processes[pid];
+    if (process) {
+        for (const slot of process.fds.values()) {
+            dropDescription(slot.description);
+        }
+    }
+    sched.dequeue(pid);
+    ns.release(pid);
+    delete state.processes[pid];
+    pidAllocator.release(pid);
+}
+
+function dropDescription(description) {
+    description.refs--;
+    if (description.refs === 0 && description.ops && typeof description.ops.release === 'function') {
+        description.ops.release();
+    }
+}
+
+function installFd(process, fd, description, cloexec) {
+    description.refs++;
+    process.fds.set(fd, { description, cloexec });
+    return fd;
+}
+
+function lowestFreeFd(process) {
+    let fd = 0;
+    while (process.fds.has(fd)) {
+        fd++;
+    }
+    return fd;
+}
+
+function resolvePath(cwd, path) {
+    const parts = (path.startsWith('/') ? path : `${cwd}/${path}`).split('/');
+    const resolved = [];
+    for (const part of parts) {
+        if (part === '..') {
+            resolved.pop();
+        } else if (part && part !== '.') {
+            resolved.push(part);
+        }
+    }
+    return `/${resolved.join('/')}`;
+}
+
+function findPseudoFs(path) {
+    for (const [mountpoint, provider] of state.pseudoFs) {
+        if (path === mountpoint || path.startsWith(`${mountpoint}/`)) {
+            return provider;
+        }
+    }
+    return null;
+}
+
+function countCreated() {
+    if (state.kernelStats) {
+        state.kernelStats.processes_created++;
+    }
+}
+
+function describeProcess(process) {
+    const entry = pidAllocator.get(process.pid);
+    let status = 'zombie';
+    if (!process.zombie) {
+        const task = findTask(process.pid);
+        if (!task) {
+            status = process.pid === INIT_PID ? 'running' : 'sleeping';
+        } else if (task.state === 'stopped') {
+            status = 'stopped';
+        } else {
+            status = task.state === 'runnable' || task.state === 'blocked' ? 'running' : 'sleeping';
+        }
+    }
+
+    return {
+        pid: process.pid,
+        ppid: entry.ppid,
+        name: process.name,
+        type: entry.type,
+        state: status,
+        argv: [...process.argv],
+        env: { ...process.env },
+        cwd: process.cwd,
+        uid: process.uid,
+        gid: process.gid,
+        fds: [...process.fds].map(([fd, slot]) => ({
+            fd: fd,
+            path: slot.description.path,
+            type: slot.description.type,
+            mode: slot.description.mode,
+            cloexec: slot.cloexec
+        })),
+        exitCode: process.exitCode,
+        signal: process.signal,
+        signals: {
+            blocked: [...process.signals.blocked],
+            pending: [...process.signals.pending.keys()],
+            caught: Object.keys(process.signals.actions).filter(name => typeof process.signals.actions[name].handler === 'function'),
+            ignored: Object.keys(process.signals.actions).filter(name => process.signals.actions[name].handler === Signals.SIG_IGN)
+        },
+        children: entry.children,
+        createdAt: entry.createdAt
+    };
+}
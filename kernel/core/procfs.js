@@ -0,0 +1,424 @@
+/**
+ * yOS WebOS - Kernel: procfs y sysfs
+ * Ficheros de solo lectura generados con el estado vivo del kernel en /proc y /sys
+ *
+ * Nada se guarda: open genera el contenido en ese momento (como seq_file) y los read
+ * siguientes lo recorren, así que un fichero abierto no cambia mientras se lee.
+ * Abrir para escritura da EACCES y leer un directorio EISDIR (sus entradas, con proc_readdir).
+ * lseek recorre el contenido generado al abrir y stat da su tamaño.
+ *
+ * /proc: <pid>/{status, cmdline, environ, cwd, maps, fd/<n>, ns/<tipo>}, self, meminfo,
+ * interrupts, mounts, cmdline, modules, uptime y loadavg. Los PIDs son los del namespace
+ * de PIDs de quien lee y solo aparecen los procesos que ve; mounts es su vista de montajes.
+ * /sys/class/<clase>/<dispositivo>/{name, driver, irq, uevent}: dispositivos del árbol
+ * del kernel que declaran clase (input, graphics, block, net, sound, rtc).
+ *
+ * Se registra en el gestor de procesos (registerPseudoFs) para que open/read de rutas
+ * de /proc y /sys funcionen con descriptores normales.
+ */
+
+import Signals from './signals.js';
+
+export const moduleInfo = {
+    name: 'procfs',
+    version: '1.1.0',
+    description: 'Sistemas de ficheros /proc y /sys'
+};
+
+const MOUNTPOINTS = ['/proc', '/sys'];
+
+const STATES = {
+    running: 'R (running)',
+    sleeping: 'S (sleeping)',
+    stopped: 'T (stopped)',
+    zombie: 'Z (zombie)'
+};
+
+const NS_TYPES = ['pid', 'mnt', 'uts', 'ipc'];
+
+let state = null;
+let pm = null;
+let mm = null;
+let ns = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (kernel: árbol de dispositivos, cmdline y módulos; irq; physicalMemory)
+ */
+export function init(context) {
+    pm = {
+        getProcess: context.symbol('getProcessById'),
+        getAll: context.symbol('getAllProcesses'),
+        register: context.symbol('registerPseudoFs'),
+        unregister: context.symbol('unregisterPseudoFs')
+    };
+    mm = {
+        stats: context.symbol('mm_stats'),
+        maps: context.symbol('mm_get_maps')
+    };
+    ns = {
+        get: context.symbol('ns_get'),
+        vnr: context.symbol('ns_pid_vnr'),
+        find: context.symbol('ns_find_pid'),
+        mounts: context.symbol('ns_mounts')
+    };
+    state = {
+        status: 'initialized',
+        kernel: context.kernel || {},
+        irq: context.irq,
+        physicalMemory: context.physicalMemory,
+        schedStats: context.symbol('sched_stats'),
+        clockNow: context.symbol('clock_now'),
+        encoder: new TextEncoder()
+    };
+    for (const mountpoint of MOUNTPOINTS) {
+        pm.register(mountpoint, openNode);
+    }
+    return { status: state.status, mountpoints: MOUNTPOINTS };
+}
+
+export function exit() {
+    for (const mountpoint of MOUNTPOINTS) {
+        pm.unregister(mountpoint);
+    }
+    state = null;
+    pm = null;
+    mm = null;
+    ns = null;
+}
+
+/**
+ * Contenido de un fichero tal como lo ve el proceso pid
+ * @param {number} pid - Proceso que lee (su namespace de PIDs y de montaje)
+ * @param {string} path - Ruta absoluta bajo /proc o /sys
+ * @returns {string}
+ */
+export function proc_read(pid, path) {
+    const node = lookup(pid, path);
+    if (node.type === 'directory') {
+        throw new Error(`EISDIR: ${path} es un directorio`);
+    }
+    return node.generate();
+}
+
+/**
+ * Entradas de un directorio de /proc o /sys
+ * @returns {Array<string>}
+ */
+export function proc_readdir(pid, path) {
+    const node = lookup(pid, path);
+    if (node.type !== 'directory') {
+        throw new Error(`ENOTDIR: ${path} no es un directorio`);
+    }
+    return node.entries();
+}
+
+/**
+ * Descripción de fichero para open (ver registerPseudoFs del gestor de procesos)
+ */
+function openNode(path, pid, mode) {
+    if (mode !== 'r') {
+        throw new Error(`EACCES: ${path} es de solo lectura`);
+    }
+    const node = lookup(pid, path);
+    if (node.type === 'directory') {
+        return {
+            type: 'directory',
+            ops: {
+                read: () => Promise.reject(new Error(`EISDIR: ${path} es un directorio`)),
+                stat: () => ({ size: 0 })
+            }
+        };
+    }
+    const content = state.encoder.encode(node.generate());
+    let offset = 0;
+    return {
+        type: 'file',
+        ops: {
+            read: (count) => {
+                const end = count === undefined ? content.length : Math.min(content.length, offset + count);
+                const chunk = content.slice(offset, end);
+                offset = end;
+                return chunk;
+            },
+            seek: (position, whence) => {
+                const base = whence === 'SEEK_CUR' ? offset : (whence === 'SEEK_END' ? content.length : 0);
+                if (base + position < 0) {
+                    throw new Error(`EINVAL: posición negativa en ${path}`);
+                }
+                offset = base + position;
+                return offset;
+            },
+            // Tamaño del contenido generado al abrir (Linux da 0 en /proc)
+            stat: () => ({ size: content.length })
+        }
+    };
+}
+
+function lookup(pid, path) {
+    const parts = String(path).split('/').filter(part => part && part !== '.');
+    if (!MOUNTPOINTS.includes(`/${parts[0]}`)) {
+        throw new Error(`ENOENT: ${path} no está en /proc ni en /sys`);
+    }
+    let node = parts[0] === 'proc' ? procRoot(pid) : sysRoot();
+    for (const part of parts.slice(1)) {
+        if (node.type !== 'directory') {
+            throw new Error(`ENOTDIR: ${path}`);
+        }
+        node = node.child(part);
+        if (!node) {
+            throw new Error(`ENOENT: ${path} no existe`);
+        }
+    }
+    return node;
+}
+
+function file(generate) {
+    return { type: 'file', generate: generate };
+}
+
+function directory(entries, child) {
+    return { type: 'directory', entries: entries, child: child };
+}
+
+/**
+ * Directorio de entradas fijas: nombre → función que crea el nodo
+ */
+function fixed(children) {
+    return directory(
+        () => Object.keys(children),
+        (name) => Object.prototype.hasOwnProperty.call(children, name) ? children[name]() : null
+    );
+}
+
+function lines(list) {
+    return list.length > 0 ? `${list.join('\n')}\n` : '';
+}
+
+function procRoot(viewer) {
+    const files = {
+        self: () => processDir(viewer, viewer),
+        meminfo: () => file(meminfo),
+        interrupts: () => file(() => lines(state.irq ? state.irq.getProcInterrupts() : [])),
+        mounts: () => file(() => mounts(viewer)),
+        cmdline: () => file(() => `${bootParam('cmdline') || ''}\n`),
+        modules: () => file(modules),
+        uptime: () => file(uptime),
+        loadavg: () => file(() => loadavg(viewer))
+    };
+    return directory(
+        () => visiblePids(viewer).map(String).concat(Object.keys(files)),
+        (name) => {
+            if (/^\d+$/.test(name)) {
+                const pid = ns.find(viewer, Number(name));
+                return pid && pm.getProcess(pid) ? processDir(viewer, pid) : null;
+            }
+            return Object.prototype.hasOwnProperty.call(files, name) ? files[name]() : null;
+        }
+    );
+}
+
+function processDir(viewer, pid) {
+    return fixed({
+        status: () => file(() => status(viewer, pid)),
+        // Argumentos y entorno separados por NUL, como en Linux
+        cmdline: () => file(() => getProcess(pid).argv.map(arg => `${arg}\0`).join('')),
+        environ: () => file(() => Object.entries(getProcess(pid).env).map(([name, value]) => `${name}=${value}\0`).join('')),
+        cwd: () => file(() => `${getProcess(pid).cwd}\n`),
+        maps: () => file(() => lines(hasSpace(pid) ? mm.maps(pid) : [])),
+        // Cada descriptor da la ruta a la que apunta (lo que devolvería readlink)
+        fd: () => {
+            const fds = getProcess(pid).fds;
+            return directory(
+                () => fds.map(slot => String(slot.fd)),
+                (name) => {
+                    const slot = fds.find(item => String(item.fd) === name);
+                    return slot ? file(() => `${slot.path}\n`) : null;
+                }
+            );
+        },
+        ns: () => {
+            const namespaces = ns.get(pid);
+            return directory(
+                () => [...NS_TYPES],
+                (name) => NS_TYPES.includes(name) ? file(() => `${name}:[${namespaces[name]}]\n`) : null
+            );
+        }
+    });
+}
+
+function getProcess(pid) {
+    const process = pm.getProcess(pid);
+    if (!process) {
+        throw new Error(`ESRCH: el proceso ${pid} ya no existe`);
+    }
+    return process;
+}
+
+function visiblePids(viewer) {
+    return pm.getAll()
+        .map(process => ns.vnr(viewer, process.pid))
+        .filter(pid => pid > 0)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * mm_get_maps falla con ESRCH si el proceso ya no tiene espacio (zombie): solo se consulta si existe
+ */
+function hasSpace(pid) {
+    return mm.stats().processes.some(space => space.pid === pid);
+}
+
+function status(viewer, pid) {
+    const process = getProcess(pid);
+    const space = mm.stats().processes.find(item => item.pid === pid) || null;
+    const vnr = ns.vnr(viewer, pid);
+    const own = ns.get(pid).nspid;
+    const fields = [
+        ['Name', process.name],
+        ['State', STATES[process.state] || process.state],
+        ['Tgid', vnr],
+        ['Pid', vnr],
+        ['PPid', process.ppid ? ns.vnr(viewer, process.ppid) : 0],
+        // PID en el namespace de quien lee y, si es otro, en el del propio proceso
+        ['NSpid', own !== vnr ? `${vnr}\t${own}` : vnr],
+        ['Uid', [process.uid, process.uid, process.uid, process.uid].join('\t')],
+        ['Gid', [process.gid, process.gid, process.gid, process.gid].join('\t')],
+        ['FDSize', process.fds.length],
+        ['VmPeak', kB(space ? space.peak : 0)],
+        ['VmRSS', kB(space ? space.usage : 0)],
+        ['VmData', kB(space ? space.heap : 0)],
+        ['Threads', 1],
+        ['SigPnd', signalMask(process.signals.pending)],
+        ['SigBlk', signalMask(process.signals.blocked)],
+        ['SigIgn', signalMask(process.signals.ignored)],
+        ['SigCgt', signalMask(process.signals.caught)]
+    ];
+    return lines(fields.map(([name, value]) => `${name}:\t${value}`));
+}
+
+function kB(bytes) {
+    return `${String(Math.ceil(bytes / 1024)).padStart(8)} kB`;
+}
+
+/**
+ * Máscara hexadecimal de señales (bit n-1 para la señal n)
+ */
+function signalMask(names) {
+    let mask = 0;
+    for (const name of names) {
+        mask |= 1 << (Signals.lookup(name).number - 1);
+    }
+    return (mask >>> 0).toString(16).padStart(16, '0');
+}
+
+function meminfo() {
+    const stats = mm.stats();
+    const total = state.physicalMemory ? state.physicalMemory.total : stats.budget;
+    const anon = stats.processes.reduce((sum, space) => sum + space.usage, 0);
+    const fields = [
+        ['MemTotal', total],
+        ['MemFree', Math.max(0, total - stats.used)],
+        ['MemAvailable', Math.max(0, stats.budget - stats.used)],
+        ['AnonPages', anon],
+        ['Slab', stats.kernel],
+        ['CommitLimit', stats.budget]
+    ];
+    return lines(fields.map(([name, bytes]) => `${`${name}:`.padEnd(16)}${kB(bytes)}`));
+}
+
+function mounts(viewer) {
+    return lines(ns.mounts(viewer).map(mount =>
+        `${mount.device || mount.source} ${mount.target} ${mount.type} ${mount.readonly ? 'ro' : 'rw'} 0 0`));
+}
+
+/**
+ * Formato de Linux: nombre tamaño referencias usuarios, estado dirección (sin tamaño ni dirección reales)
+ */
+function modules() {
+    const loader = state.kernel.moduleLoader;
+    if (!loader) {
+        return '';
+    }
+    return lines(loader.lsmod().map(module => {
+        const usedBy = module.usedBy.length > 0 ? `${module.usedBy.join(',')},` : '-';
+        const status = module.state.charAt(0).toUpperCase() + module.state.slice(1);
+        return `${module.name} 0 ${module.refcount} ${usedBy} ${status} 0x0000000000000000`;
+    }));
+}
+
+/**
+ * Segundos desde el arranque y segundos en reposo (tiempo que ninguna tarea ocupó la CPU)
+ */
+function uptime() {
+    const up = state.clockNow('CLOCK_BOOTTIME');
+    const busy = state.schedStats().tasks.reduce((sum, task) => sum + task.sumExecRuntime, 0);
+    return `${(up / 1000).toFixed(2)} ${(Math.max(0, up - busy) / 1000).toFixed(2)}\n`;
+}
+
+function loadavg(viewer) {
+    const stats = state.schedStats();
+    const pids = visiblePids(viewer);
+    const load = stats.loadAverage.map(value => value.toFixed(2)).join(' ');
+    return `${load} ${stats.nrRunning}/${stats.nrTasks} ${pids.length > 0 ? pids[pids.length - 1] : 0}\n`;
+}
+
+function bootParam(name) {
+    return state.kernel.bootParams ? state.kernel.bootParams[name] : null;
+}
+
+function sysRoot() {
+    return fixed({
+        class: () => {
+            const classes = deviceClasses();
+            return directory(
+                () => [...classes.keys()],
+                (name) => classes.has(name) ? classDir(classes.get(name)) : null
+            );
+        }
+    });
+}
+
+function classDir(devices) {
+    return directory(
+        () => [...devices.keys()],
+        (name) => devices.has(name) ? deviceDir(devices.get(name)) : null
+    );
+}
+
+function deviceDir(device) {
+    const attributes = {
+        name: () => file(() => `${device.name}\n`),
+        driver: () => file(() => `${device.driver || ''}\n`),
+        uevent: () => file(() => lines([
+            `DRIVER=${device.driver || ''}`,
+            `DEVNAME=${device.device}`
+        ].concat(device.irq !== undefined ? [`IRQ=${device.irq}`] : [])))
+    };
+    if (device.irq !== undefined) {
+        attributes.irq = () => file(() => `${device.irq}\n`);
+    }
+    for (const [name, value] of Object.entries(device.attributes || {})) {
+        attributes[name] = () => file(() => `${value}\n`);
+    }
+    return fixed(attributes);
+}
+
+/**
+ * Dispositivos con clase del árbol del kernel (hijos de la raíz y dispositivos de sus buses)
+ * @returns {Map<string, Map<string, Object>>} clase → dispositivo → nodo
+ */
+function deviceClasses() {
+    const classes = new Map();
+    const root = state.kernel.deviceTree ? state.kernel.deviceTree.root : null;
+    const nodes = [];
+    for (const node of Object.values(root && root.children ? root.children : {})) {
+        nodes.push(node, ...(Array.isArray(node.devices) ? node.devices : []));
+    }
+    for (const node of nodes.filter(item => item && item.class && item.device)) {
+        if (!classes.has(node.class)) {
+            classes.set(node.class, new Map());
+        }
+        classes.get(node.class).set(node.device, node);
+    }
+    return classes;
+}
@@ -1,10 +1,769 @@
-// scheduler.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Kernel: Scheduler
+ * Planificador con clases deadline (EDF), tiempo real (FIFO/RR) y CFS (vruntime y nice)
+ *
+ * Una tarea es una función generadora (síncrona o async) o una función que se llama una vez
+ * por rodaja. Cada next() es una rodaja; la tarea conserva la CPU entre rodajas hasta agotar
+ * su timeslice y después el planificador cede el hilo al host y elige la siguiente:
+ *   yield               punto de expulsión (la tarea sigue lista)
+ *   yield promesa       la tarea duerme hasta que la promesa se resuelve (E/S, msleep)
+ *   return              la tarea termina (attrs.onExit(error, valor))
+ * Una función por rodaja termina cuando devuelve false. La parte asíncrona de una rodaja
+ * (await dentro de un generador async) no cuenta como tiempo de CPU.
+ *
+ * Selección: SCHED_DEADLINE (deadline absoluto más cercano) > SCHED_FIFO/SCHED_RR (mayor
+ * rt_priority) > SCHED_NORMAL/SCHED_BATCH/SCHED_IDLE (menor vruntime). El vruntime avanza con
+ * el tiempo de CPU dividido por el peso del nice (sched_prio_to_weight de Linux). El tiempo
+ * real está limitado a rt_runtime por rt_period y cada tarea deadline a su runtime por periodo.
+ *
+ * Una tarea detenida (sched_stop) no se elige hasta sched_continue; si mientras tanto se
+ * resuelve la promesa por la que dormía, queda lista al continuar.
+ *
+ * El tick del timer (IRQ 0) reparte los ticks entre la última tarea ejecutada y el idle y
+ * actualiza la carga media y las estadísticas del kernel (kernelModules.scheduler).
+ */
 
-console.log('scheduler.js cargado');
+export const moduleInfo = {
+    name: 'scheduler',
+    version: '1.2.2',
+    description: 'Planificador de procesos CFS, tiempo real y deadline'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const POLICIES = {
+    SCHED_NORMAL: 0,
+    SCHED_FIFO: 1,
+    SCHED_RR: 2,
+    SCHED_BATCH: 3,
+    SCHED_IDLE: 5,
+    SCHED_DEADLINE: 6
+};
+const POLICY_NAMES = Object.fromEntries(Object.entries(POLICIES).map(([name, value]) => [value, name]));
+
+// Peso de cada nice de -20 a 19 (nice 0 = 1024)
+const SCHED_PRIO_TO_WEIGHT = [
+    88761, 71755, 56483, 46273, 36291, 29154, 23254, 18705, 14949, 11916,
+    9548, 7620, 6100, 4904, 3906, 3121, 2501, 1991, 1586, 1277,
+    1024, 820, 655, 526, 423, 335, 272, 215, 172, 137,
+    110, 87, 70, 56, 45, 36, 29, 23, 18, 15
+];
+const NICE_0_WEIGHT = 1024;
+const WEIGHT_IDLEPRIO = 3;
+const RR_TIMESLICE = 100;
+const NS_PER_MS = 1000000;
+const US_PER_MS = 1000;
+
+// Carga media cada 5 s con los factores de 1, 5 y 15 minutos
+const LOAD_FREQ = 5000;
+const LOAD_EXP = [60, 300, 900].map(seconds => Math.exp(-LOAD_FREQ / 1000 / seconds));
+
+let state = null;
+
+/**
+ * Inicializar el planificador (llamado por el cargador de módulos)
+ * Parámetros de kernel.kernelModules.scheduler (cfs en ns, realtime en µs, deadline en ns)
+ */
+export function init(context) {
+    const kernelScheduler = context.kernel && context.kernel.kernelModules
+        ? context.kernel.kernelModules.scheduler || {}
+        : {};
+    const cfs = kernelScheduler.cfs || {};
+    const realtime = kernelScheduler.realtime || {};
+    const deadline = kernelScheduler.deadline || {};
+
+    state = {
+        status: 'initialized',
+        config: {
+            latency: (cfs.sched_latency_ns || 6000000) / NS_PER_MS,
+            minGranularity: (cfs.sched_min_granularity_ns || 1000000) / NS_PER_MS,
+            wakeupGranularity: (cfs.sched_wakeup_granularity_ns || 2000000) / NS_PER_MS,
+            rtPeriod: (realtime.rt_period || 1000000) / US_PER_MS,
+            rtRuntime: (realtime.rt_runtime || 950000) / US_PER_MS,
+            dlBandwidth: deadline.dl_bandwidth || 0.5,
+            dlDefaults: {
+                runtime: deadline.dl_runtime || 5000000,
+                deadline: deadline.dl_deadline || 10000000,
+                period: deadline.dl_period || 10000000
+            }
+        },
+        tasks: new Map(),
+        currentProcess: null,
+        active: null,
+        lastRan: null,
+        minVruntime: 0,
+        sequence: 0,
+        switches: 0,
+        running: false,
+        wakeupTimer: null,
+        wakeupAt: null,
+        rt: { windowStart: now(), used: 0 },
+        jiffies: 0,
+        ticks: { user: 0, nice: 0, idle: 0 },
+        loadAverage: [0, 0, 0],
+        lastLoadUpdate: now(),
+        kernelStats: kernelScheduler.stats || null,
+        kernelTick: kernelScheduler.tick || null,
+        irq: context.irq,
+        hz: context.irq ? context.irq.hz : 0,
+        log: context.log
+    };
+
+    if (state.irq) {
+        state.irq.requestIrq(0, schedulerTick, moduleInfo.name);
+    }
+    return { status: state.status, hz: state.hz, classes: ['deadline', 'rt', 'fair'] };
+}
+
+export function exit() {
+    if (state.irq) {
+        state.irq.freeIrq(0, moduleInfo.name);
+    }
+    clearTimeout(state.wakeupTimer);
+    state = null;
+}
+
+/**
+ * Cambio de contexto: elegir la siguiente tarea lista según su clase
+ * @returns {number|null} PID de la tarea elegida (null si la CPU queda ociosa)
+ */
+export function schedule() {
+    const previous = state.currentProcess;
+    const next = pickNextTask();
+    state.currentProcess = next ? next.pid : null;
+
+    if (next && next.pid !== previous) {
+        state.switches++;
+        next.nrSwitches++;
+        if (state.kernelStats) {
+            state.kernelStats.context_switches++;
+        }
+    }
+    return state.currentProcess;
+}
+
+/**
+ * Añadir un proceso a la planificación
+ * @param {number} pid
+ * @param {Function} [body] - Generador (síncrono o async) o función por rodaja; sin cuerpo el
+ *                            proceso solo figura en las estadísticas (durmiendo)
+ * @param {Object} [attrs] - { name, policy, nice, rtPriority, runtime, deadline, period, onExit }
+ */
+export function sched_enqueue(pid, body = null, attrs = {}) {
+    const existing = state.tasks.get(pid);
+    if (existing) {
+        wakeUp(existing);
+        return describeTask(existing);
+    }
+
+    const task = {
+        pid: pid,
+        name: attrs.name || `pid-${pid}`,
+        body: typeof body === 'function' ? body : null,
+        iterator: null,
+        started: false,
+        stoppedFrom: null,
+        sent: undefined,
+        failure: null,
+        onExit: attrs.onExit || null,
+        state: typeof body === 'function' ? 'runnable' : 'sleeping',
+        policy: POLICIES.SCHED_NORMAL,
+        nice: 0,
+        rtPriority: 0,
+        weight: NICE_0_WEIGHT,
+        dl: null,
+        vruntime: state.minVruntime,
+        rrLeft: RR_TIMESLICE,
+        sequence: ++state.sequence,
+        needResched: false,
+        sumExecRuntime: 0,
+        slices: 0,
+        ticks: 0,
+        nrSwitches: 0,
+        nrVoluntarySwitches: 0,
+        nrInvoluntarySwitches: 0,
+        createdAt: Date.now()
+    };
+    applyAttributes(task, attrs);
+    state.tasks.set(pid, task);
+
+    kick();
+    return describeTask(task);
+}
+
+/**
+ * Quitar un proceso de la planificación sin avisar a onExit (kill)
+ */
+export function sched_dequeue(pid) {
+    const removed = state.tasks.delete(pid);
+    if (state.currentProcess === pid) {
+        state.currentProcess = null;
+    }
+    return removed;
+}
+
+/**
+ * PID de la tarea cuya rodaja se está ejecutando (null en contexto del kernel)
+ * Solo se conoce durante la parte síncrona de la rodaja
+ */
+export function sched_current() {
+    return state.active;
+}
+
+/**
+ * Detener una tarea (SIGSTOP): no vuelve a elegirse hasta sched_continue
+ */
+export function sched_stop(pid) {
+    const task = getTask(pid);
+    if (task.state !== 'stopped') {
+        task.stoppedFrom = task.state;
+        task.state = 'stopped';
+        task.needResched = true;
+    }
+    return describeTask(task);
+}
+
+export function sched_continue(pid) {
+    const task = getTask(pid);
+    if (task.state === 'stopped') {
+        task.state = task.stoppedFrom;
+        task.stoppedFrom = null;
+        kick();
+    }
+    return describeTask(task);
+}
+
+/**
+ * Ceder la CPU: la tarea actual termina su rodaja y la promesa se resuelve en el siguiente
+ * turno del host (una tarea puede hacer `yield sched_yield()`)
+ */
+export function sched_yield() {
+    const current = state.tasks.get(state.currentProcess);
+    if (current) {
+        current.needResched = true;
+    }
+    return yieldToHost();
+}
+
+/**
+ * Cambiar la política, el nice o los parámetros de tiempo real/deadline de un proceso
+ */
+export function sched_setattr(pid, attrs) {
+    const task = getTask(pid);
+    applyAttributes(task, attrs);
+    return describeTask(task);
+}
+
+export function sched_getattr(pid) {
+    return describeTask(getTask(pid));
+}
+
+/**
+ * Estadísticas de CPU por proceso y globales (administrador de tareas, /proc)
+ */
+export function sched_stats() {
+    return {
+        hz: state.hz,
+        jiffies: state.jiffies,
+        contextSwitches: state.switches,
+        nrTasks: state.tasks.size,
+        nrRunning: countActive(),
+        currentProcess: state.currentProcess,
+        minVruntime: state.minVruntime,
+        rtThrottled: rtThrottled(),
+        ticks: { ...state.ticks },
+        loadAverage: [...state.loadAverage],
+        tasks: [...state.tasks.values()].map(describeTask)
+    };
+}
+
+export function msleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Validar y aplicar los atributos de planificación
+ */
+function applyAttributes(task, attrs) {
+    const policy = attrs.policy === undefined ? task.policy : parsePolicy(attrs.policy);
+    const nice = attrs.nice === undefined ? task.nice : attrs.nice;
+    if (!Number.isInteger(nice) || nice < -20 || nice > 19) {
+        throw new Error(`nice fuera de rango (-20..19): ${nice}`);
+    }
+
+    let rtPriority = 0;
+    if (policy === POLICIES.SCHED_FIFO || policy === POLICIES.SCHED_RR) {
+        rtPriority = attrs.rtPriority === undefined ? task.rtPriority || 1 : attrs.rtPriority;
+        if (!Number.isInteger(rtPriority) || rtPriority < 1 || rtPriority > 99) {
+            throw new Error(`Prioridad de tiempo real fuera de rango (1..99): ${rtPriority}`);
+        }
+    }
+
+    let dl = null;
+    if (policy === POLICIES.SCHED_DEADLINE) {
+        const defaults = task.dl || state.config.dlDefaults;
+        const runtime = attrs.runtime || defaults.runtime;
+        const deadline = attrs.deadline || defaults.deadline;
+        const period = attrs.period || deadline;
+        if (!(runtime > 0 && runtime <= deadline && deadline <= period)) {
+            throw new Error(`Parámetros deadline inválidos: runtime ${runtime} <= deadline ${deadline} <= period ${period}`);
+        }
+        
+        // Control de admisión: la suma de runtime/period no puede superar dl_bandwidth
+        const used = [...state.tasks.values()]
+            .filter(other => other !== task && other.dl)
+            .reduce((sum, other) => sum + other.dl.runtime / other.dl.period, 0);
+        if (used + runtime / period > state.config.dlBandwidth) {
+            throw new Error(`Ancho de banda SCHED_DEADLINE agotado (${used.toFixed(2)} de ${state.config.dlBandwidth})`);
+        }
+        
+        const start = now();
+        dl = {
+            runtime: runtime,
+            deadline: deadline,
+            period: period,
+            runtimeLeft: runtime / NS_PER_MS,
+            absoluteDeadline: start + deadline / NS_PER_MS,
+            periodStart: start,
+            throttled: false
+        };
+    }
+
+    task.policy = policy;
+    task.nice = nice;
+    task.rtPriority = rtPriority;
+    task.dl = dl;
+    task.weight = policy === POLICIES.SCHED_IDLE ? WEIGHT_IDLEPRIO : SCHED_PRIO_TO_WEIGHT[nice + 20];
+}
+
+function parsePolicy(policy) {
+    const value = typeof policy === 'string' ? POLICIES[policy.toUpperCase()] : policy;
+    if (POLICY_NAMES[value] === undefined) {
+        throw new Error(`Política de planificación desconocida: ${policy}`);
+    }
+    return value;
+}
+
+function schedClass(task) {
+    if (task.policy === POLICIES.SCHED_DEADLINE) {
+        return 'deadline';
+    }
+    return task.policy === POLICIES.SCHED_FIFO || task.policy === POLICIES.SCHED_RR ? 'rt' : 'fair';
+}
+
+/**
+ * Siguiente tarea: deadline > tiempo real > CFS
+ */
+function pickNextTask() {
+    const runnable = [...state.tasks.values()].filter(task => task.state === 'runnable');
+    const time = now();
+
+    // Nuevo periodo para las tareas deadline que agotaron su runtime
+    for (const task of runnable) {
+        if (task.dl && task.dl.throttled && time >= task.dl.periodStart + task.dl.period / NS_PER_MS) {
+            replenish(task, time);
+        }
+    }
+    armWakeupTimer();
+
+    const byClass = (name) => runnable.filter(task => schedClass(task) === name);
+    const deadline = byClass('deadline').filter(task => !task.dl.throttled);
+    if (deadline.length > 0) {
+        return deadline.reduce((a, b) => b.dl.absoluteDeadline < a.dl.absoluteDeadline ? b : a);
+    }
+
+    const rt = byClass('rt');
+    if (rt.length > 0 && !rtThrottled()) {
+        return rt.reduce((a, b) =>
+            b.rtPriority > a.rtPriority || (b.rtPriority === a.rtPriority && b.sequence < a.sequence) ? b : a);
+    }
+
+    const fair = byClass('fair');
+    if (fair.length > 0) {
+        return fair.reduce((a, b) => b.vruntime < a.vruntime ? b : a);
+    }
+    return null;
+}
+
+/**
+ * Ejecutar rodajas de la tarea actual hasta agotar su timeslice, dormir o terminar
+ */
+function runTask(task) {
+    const budget = timeslice(task);
+    const start = now();
+    task.needResched = false;
+
+    while (true) {
+        const sliceStart = now();
+        let result;
+        state.active = task.pid;
+        try {
+            result = step(task);
+        } catch (error) {
+            account(task, now() - sliceStart);
+            finish(task, error);
+            return;
+        } finally {
+            state.active = null;
+        }
+        account(task, now() - sliceStart);
+        
+        // La rodaja pudo terminar el proceso (exit, SIGKILL o una señal mortal a sí mismo)
+        if (!isCurrent(task) || task.state === 'exited') {
+            return;
+        }
+        if (isThenable(result)) {
+            // Rodaja asíncrona: la tarea no vuelve a la cola hasta que termine
+            setState(task, 'blocked');
+            result.then(
+                (value) => {
+                    if (isCurrent(task) && settle(task, value)) {
+                        wakeUp(task);
+                    }
+                },
+                (error) => isCurrent(task) && finish(task, error)
+            );
+            return;
+        }
+        if (!settle(task, result) || task.state !== 'runnable') {
+            return;
+        }
+        
+        const throttled = (task.dl && task.dl.throttled) || (schedClass(task) === 'rt' && rtThrottled());
+        if (task.needResched || throttled || now() - start >= budget) {
+            task.nrInvoluntarySwitches++;
+            return;
+        }
+    }
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Una rodaja: next() del generador o una llamada a la función de la tarea
+ */
+function step(task) {
+    if (task.iterator) {
+        const { sent, failure } = task;
+        task.sent = undefined;
+        task.failure = null;
+        return failure ? task.iterator.throw(failure) : task.iterator.next(sent);
+    }
+
+    const first = !task.started;
+    task.started = true;
+    const result = task.body(task.pid);
+    if (first && result && typeof result.next === 'function') {
+        task.iterator = result;
+        return task.iterator.next();
+    }
+    return isThenable(result)
+        ? result.then(value => ({ done: value === false, value: value }))
+        : { done: result === false, value: result };
+}
+
+/**
+ * Resultado de una rodaja: true si la tarea sigue lista
+ */
+function settle(task, result) {
+    if (result.done) {
+        finish(task, null, result.value);
+        return false;
+    }
+    if (isThenable(result.value)) {
+        // La tarea duerme hasta que se resuelva la promesa; el valor vuelve como resultado del yield
+        setState(task, 'sleeping');
+        task.nrVoluntarySwitches++;
+        result.value.then(
+            (value) => {
+                task.sent = value;
+                wakeUp(task);
+            },
+            (error) => {
+                if (!task.iterator) {
+                    return isCurrent(task) && finish(task, error);
+                }
+                task.failure = error;
+                wakeUp(task);
+            }
+        );
+        return false;
+    }
+    return true;
+}
+
+function wakeUp(task) {
+    if (!isCurrent(task) || task.state === 'runnable' || !task.body) {
+        return;
+    }
+    if (task.state === 'stopped') {
+        task.stoppedFrom = 'runnable';
+        return;
+    }
+
+    // Al despertar no puede acumular ventaja de más de media latencia sobre el resto
+    task.vruntime = Math.max(task.vruntime, state.minVruntime - state.config.latency / 2);
+    task.sequence = ++state.sequence;
+    task.state = 'runnable';
+    kick();
+}
+
+/**
+ * Cambiar el estado respetando una parada pendiente (se aplica al continuar)
+ */
+function setState(task, value) {
+    if (task.state === 'stopped') {
+        task.stoppedFrom = value;
+    } else {
+        task.state = value;
+    }
+}
+
+function finish(task, error, value) {
+    task.state = 'exited';
+    sched_dequeue(task.pid);
+    if (error) {
+        state.log(`Tarea ${task.pid} (${task.name}) terminada por error: ${error.message}`);
+    }
+    if (task.onExit) {
+        try {
+            task.onExit(error, value);
+        } catch (exitError) {
+            state.log(`onExit de la tarea ${task.pid}: ${exitError.message}`);
+        }
+    }
+}
+
+function isCurrent(task) {
+    return state !== null && state.tasks.get(task.pid) === task;
+}
+
+/**
+ * Tiempo de CPU disponible en ms para esta vez
+ */
+function timeslice(task) {
+    switch (schedClass(task)) {
+        case 'deadline':
+            return task.dl.runtimeLeft;
+        case 'rt':
+            return task.policy === POLICIES.SCHED_RR ? task.rrLeft : Infinity;
+        default: {
+            const fair = [...state.tasks.values()].filter(other => other.state === 'runnable' && schedClass(other) === 'fair');
+            const totalWeight = fair.reduce((sum, other) => sum + other.weight, 0) || task.weight;
+            const period = Math.max(state.config.latency, fair.length * state.config.minGranularity);
+            return Math.max(period * task.weight / totalWeight, state.config.minGranularity);
+        }
+    }
+}
+
+/**
+ * Contabilizar el tiempo de CPU de una rodaja según la clase de la tarea
+ */
+function account(task, delta) {
+    task.sumExecRuntime += delta;
+    task.slices++;
+    state.lastRan = task;
+
+    switch (schedClass(task)) {
+        case 'deadline':
+            task.dl.runtimeLeft -= delta;
+            if (task.dl.runtimeLeft <= 0) {
+                task.dl.throttled = true;
+                armWakeupTimer();
+            }
+            break;
+        case 'rt':
+            rtThrottled();
+            state.rt.used += delta;
+            if (task.policy === POLICIES.SCHED_RR) {
+                task.rrLeft -= delta;
+                if (task.rrLeft <= 0) {
+                    // Fin del quantum: al final de la cola de su prioridad
+                    task.rrLeft = RR_TIMESLICE;
+                    task.sequence = ++state.sequence;
+                    task.needResched = true;
+                }
+            }
+            if (rtThrottled()) {
+                armWakeupTimer();
+            }
+            break;
+        default:
+            task.vruntime += delta * NICE_0_WEIGHT / task.weight;
+            updateMinVruntime();
+    }
+}
+
+function replenish(task, time) {
+    const periods = Math.max(1, Math.floor((time - task.dl.periodStart) / (task.dl.period / NS_PER_MS)));
+    task.dl.periodStart += periods * task.dl.period / NS_PER_MS;
+    task.dl.absoluteDeadline = task.dl.periodStart + task.dl.deadline / NS_PER_MS;
+    task.dl.runtimeLeft = task.dl.runtime / NS_PER_MS;
+    task.dl.throttled = false;
+}
+
+/**
+ * Limitación del tiempo real: rt_runtime por cada rt_period
+ */
+function rtThrottled() {
+    const time = now();
+    if (time - state.rt.windowStart >= state.config.rtPeriod) {
+        state.rt.windowStart = time;
+        state.rt.used = 0;
+    }
+    return state.rt.used >= state.config.rtRuntime;
+}
+
+function updateMinVruntime() {
+    const fair = [...state.tasks.values()].filter(task => task.state === 'runnable' && schedClass(task) === 'fair');
+    if (fair.length > 0) {
+        state.minVruntime = Math.max(state.minVruntime, Math.min(...fair.map(task => task.vruntime)));
+    }
+}
+
+/**
+ * Bucle del planificador: una tarea por turno y el hilo vuelve al host entre cambios de contexto
+ */
+async function run() {
+    const runqueue = state;
+    if (!runqueue || runqueue.running) {
+        return;
+    }
+
+    runqueue.running = true;
+    try {
+        while (state === runqueue && schedule() !== null) {
+            runTask(runqueue.tasks.get(runqueue.currentProcess));
+            await yieldToHost();
+        }
+    } finally {
+        runqueue.running = false;
+    }
+}
+
+function kick() {
+    if (state && !state.running) {
+        queueMicrotask(run);
+    }
+}
+
+/**
+ * Despertar el planificador cuando termine la limitación más próxima (deadline o tiempo real)
+ * Se rearma en cada elección: una limitación nueva más lejana no retrasa la pendiente
+ */
+function armWakeupTimer() {
+    const at = nextWakeup();
+    if (at === state.wakeupAt) {
+        return;
+    }
+
+    clearTimeout(state.wakeupTimer);
+    state.wakeupTimer = null;
+    state.wakeupAt = at;
+    if (at === null) {
+        return;
+    }
+    state.wakeupTimer = setTimeout(() => {
+        if (state) {
+            state.wakeupTimer = null;
+            state.wakeupAt = null;
+            kick();
+        }
+    }, Math.max(0, at - now()));
+}
+
+/**
+ * Instante (ms) en que se levanta la primera limitación de una tarea lista, o null
+ */
+function nextWakeup() {
+    const runnable = [...state.tasks.values()].filter(task => task.state === 'runnable');
+    const wakeups = runnable
+        .filter(task => task.dl && task.dl.throttled)
+        .map(task => task.dl.periodStart + task.dl.period / NS_PER_MS);
+
+    if (runnable.some(task => schedClass(task) === 'rt') && rtThrottled()) {
+        wakeups.push(state.rt.windowStart + state.config.rtPeriod);
+    }
+    return wakeups.length > 0 ? Math.min(...wakeups) : null;
+}
+
+/**
+ * IRQ 0: contabilidad de ticks y carga media
+ */
+function schedulerTick() {
+    state.jiffies++;
+    const task = state.lastRan;
+    state.lastRan = null;
+
+    let bucket = 'idle';
+    if (task && isCurrent(task)) {
+        task.ticks++;
+        bucket = task.nice > 0 ? 'nice' : 'user';
+    }
+    state.ticks[bucket]++;
+    if (state.kernelTick) {
+        state.kernelTick.tick++;
+        state.kernelTick[bucket]++;
+        state.kernelTick.last_tick = Date.now();
+    }
+
+    const time = now();
+    if (time - state.lastLoadUpdate >= LOAD_FREQ) {
+        state.lastLoadUpdate = time;
+        const active = countActive();
+        state.loadAverage = state.loadAverage.map((load, i) => load * LOAD_EXP[i] + active * (1 - LOAD_EXP[i]));
+        if (state.kernelStats) {
+            state.kernelStats.load_average = state.loadAverage.map(load => Number(load.toFixed(2)));
+        }
+    }
+}
+
+function countActive() {
+    return [...state.tasks.values()].filter(task => task.state === 'runnable' || task.state === 'blocked').length;
+}
+
+function describeTask(task) {
+    return {
+        pid: task.pid,
+        name: task.name,
+        state: task.state,
+        policy: POLICY_NAMES[task.policy],
+        nice: task.nice,
+        rtPriority: task.rtPriority,
+        weight: task.weight,
+        vruntime: task.vruntime,
+        sumExecRuntime: task.sumExecRuntime,
+        slices: task.slices,
+        ticks: task.ticks,
+        nrSwitches: task.nrSwitches,
+        nrVoluntarySwitches: task.nrVoluntarySwitches,
+        nrInvoluntarySwitches: task.nrInvoluntarySwitches,
+        deadline: task.dl ? { runtime: task.dl.runtime, deadline: task.dl.deadline, period: task.dl.period, throttled: task.dl.throttled } : null,
+        createdAt: task.createdAt
+    };
+}
+
+function getTask(pid) {
+    const task = state.tasks.get(pid);
+    if (!task) {
+        throw new Error(`Proceso no planificado: ${pid}`);
+    }
+    return task;
+}
+
+function isThenable(value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+function yieldToHost() {
+    return new Promise(resolve => {
+        if (typeof setImmediate === 'function') {
+            setImmediate(resolve);
+        } else {
+            setTimeout(resolve, 0);
+        }
+    });
+}
+
+function now() {
+    if (typeof performance !== 'undefined' && performance.now) {
+        return performance.now();
+    }
+    return Date.now();
+}
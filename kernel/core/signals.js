@@ -0,0 +1,74 @@
+/**
+ * yOS WebOS - Signals
+ * Tabla de señales POSIX (números de Linux x86) y su acción por defecto
+ *
+ * Acciones por defecto: term (termina), core (termina con volcado), ign (se descarta),
+ * stop (detiene) y cont (reanuda). SIGKILL y SIGSTOP no se pueden capturar, ignorar
+ * ni bloquear.
+ */
+
+const SIG_DFL = 'SIG_DFL';
+const SIG_IGN = 'SIG_IGN';
+
+const SIGNALS = [
+    { number: 1, name: 'SIGHUP', action: 'term', description: 'Terminal colgado' },
+    { number: 2, name: 'SIGINT', action: 'term', description: 'Interrupción desde el teclado (Ctrl+C)' },
+    { number: 3, name: 'SIGQUIT', action: 'core', description: 'Salida desde el teclado' },
+    { number: 6, name: 'SIGABRT', action: 'core', description: 'Abortado' },
+    { number: 9, name: 'SIGKILL', action: 'term', description: 'Terminado (no capturable)' },
+    { number: 10, name: 'SIGUSR1', action: 'term', description: 'Señal de usuario 1' },
+    { number: 12, name: 'SIGUSR2', action: 'term', description: 'Señal de usuario 2' },
+    { number: 13, name: 'SIGPIPE', action: 'term', description: 'Tubería rota' },
+    { number: 14, name: 'SIGALRM', action: 'term', description: 'Alarma del temporizador' },
+    { number: 15, name: 'SIGTERM', action: 'term', description: 'Petición de terminación' },
+    { number: 17, name: 'SIGCHLD', action: 'ign', description: 'Un hijo ha terminado' },
+    { number: 18, name: 'SIGCONT', action: 'cont', description: 'Continuar si está detenido' },
+    { number: 19, name: 'SIGSTOP', action: 'stop', description: 'Detenido (no capturable)' },
+    { number: 20, name: 'SIGTSTP', action: 'stop', description: 'Detenido desde el teclado (Ctrl+Z)' },
+    { number: 28, name: 'SIGWINCH', action: 'ign', description: 'Cambio de tamaño de la ventana' }
+];
+
+const BY_NAME = new Map(SIGNALS.map(signal => [signal.name, signal]));
+const BY_NUMBER = new Map(SIGNALS.map(signal => [signal.number, signal]));
+
+class Signals {
+    /**
+     * Señal por nombre ('SIGTERM', 'TERM') o número (15)
+     * @throws {Error} EINVAL si la señal no existe
+     */
+    static lookup(signal) {
+        let entry = null;
+        if (typeof signal === 'number' || /^\d+$/.test(String(signal))) {
+            entry = BY_NUMBER.get(Number(signal));
+        } else if (typeof signal === 'string') {
+            const name = signal.toUpperCase();
+            entry = BY_NAME.get(name.startsWith('SIG') ? name : `SIG${name}`);
+        }
+        if (!entry) {
+            throw new Error(`EINVAL: señal inválida: ${signal}`);
+        }
+        return entry;
+    }
+
+    /**
+     * SIGKILL y SIGSTOP: ni manejador, ni SIG_IGN, ni máscara
+     */
+    static isUncatchable(name) {
+        return name === 'SIGKILL' || name === 'SIGSTOP';
+    }
+
+    static list() {
+        return SIGNALS.map(signal => ({ ...signal }));
+    }
+}
+
+Signals.SIG_DFL = SIG_DFL;
+Signals.SIG_IGN = SIG_IGN;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.Signals = Signals;
+}
+
+export default Signals;
@@ -0,0 +1,235 @@
+/**
+ * yOS WebOS - Syscall ABI
+ * Tabla única de llamadas al sistema: número, argumentos, capacidad y versión del ABI
+ *
+ * El kernel (KernelInitializer.sys_<nombre>) implementa cada llamada y el módulo syscalls
+ * la despacha validando los argumentos con esta tabla. Una app declara la versión del ABI
+ * con la que se construyó: las llamadas añadidas en versiones posteriores no existen para
+ * ella (ENOSYS) y un ABI de otra versión mayor se rechaza.
+ *
+ * Tipos de argumento: int, uint, fd, signal, string, data (texto o bytes), object,
+ * function y any. Los opcionales pueden faltar (undefined).
+ */
+
+import Signals from './signals.js';
+
+const VERSION = '1.3';
+
+const arg = (name, type, optional = false) => ({ name, type, optional });
+
+const SYSCALLS = [
+    // Control de procesos
+    { number: 1, name: 'fork', since: '1.0', capability: 'process', args: [arg('childMain', 'function', true)] },
+    { number: 2, name: 'execve', since: '1.0', capability: 'process', args: [arg('program', 'function'), arg('argv', 'any', true), arg('env', 'object', true)] },
+    { number: 3, name: 'exit', since: '1.0', capability: null, args: [arg('code', 'int', true)] },
+    { number: 4, name: 'wait4', since: '1.0', capability: 'process', args: [arg('pid', 'int', true), arg('options', 'object', true)] },
+    { number: 5, name: 'getpid', since: '1.0', capability: null, args: [] },
+    { number: 6, name: 'getppid', since: '1.0', capability: null, args: [] },
+
+    // Gestión de archivos (open y stat abren el acceso; el resto trabaja sobre descriptores ya abiertos)
+    { number: 10, name: 'open', since: '1.0', capability: 'fs', args: [arg('path', 'string'), arg('mode', 'string', true)] },
+    { number: 11, name: 'close', since: '1.0', capability: null, args: [arg('fd', 'fd')] },
+    { number: 12, name: 'read', since: '1.0', capability: null, args: [arg('fd', 'fd'), arg('count', 'uint')] },
+    { number: 13, name: 'write', since: '1.0', capability: null, args: [arg('fd', 'fd'), arg('data', 'data')] },
+    { number: 14, name: 'lseek', since: '1.0', capability: null, args: [arg('fd', 'fd'), arg('offset', 'int'), arg('whence', 'any', true)] },
+    { number: 15, name: 'stat', since: '1.0', capability: 'fs', args: [arg('path', 'string')] },
+
+    // Memoria (la limita la cuota del proceso, no una capacidad)
+    { number: 20, name: 'brk', since: '1.0', capability: null, args: [arg('address', 'uint', true)] },
+    { number: 21, name: 'mmap', since: '1.0', capability: null, args: [arg('address', 'uint'), arg('length', 'uint'), arg('prot', 'uint', true)] },
+    { number: 22, name: 'munmap', since: '1.0', capability: null, args: [arg('address', 'uint'), arg('length', 'uint')] },
+    { number: 23, name: 'mprotect', since: '1.0', capability: null, args: [arg('address', 'uint'), arg('length', 'uint'), arg('prot', 'uint')] },
+
+    // IPC
+    { number: 30, name: 'pipe', since: '1.0', capability: 'ipc', args: [arg('options', 'object', true)] },
+    { number: 31, name: 'shmget', since: '1.0', capability: 'ipc', args: [arg('key', 'uint'), arg('size', 'uint'), arg('options', 'object', true)] },
+    { number: 32, name: 'shmat', since: '1.0', capability: 'ipc', args: [arg('shmid', 'uint'), arg('options', 'object', true)] },
+    { number: 33, name: 'msgget', since: '1.0', capability: 'ipc', args: [arg('key', 'uint'), arg('options', 'object', true)] },
+    { number: 34, name: 'shmdt', since: '1.1', capability: 'ipc', args: [arg('shmid', 'uint')] },
+    { number: 35, name: 'shmctl', since: '1.1', capability: 'ipc', args: [arg('shmid', 'uint'), arg('command', 'string')] },
+    { number: 36, name: 'msgsnd', since: '1.1', capability: 'ipc', args: [arg('msqid', 'uint'), arg('type', 'int'), arg('data', 'any'), arg('options', 'object', true)] },
+    { number: 37, name: 'msgrcv', since: '1.1', capability: 'ipc', args: [arg('msqid', 'uint'), arg('type', 'int', true), arg('options', 'object', true)] },
+    { number: 38, name: 'msgctl', since: '1.1', capability: 'ipc', args: [arg('msqid', 'uint'), arg('command', 'string')] },
+    { number: 39, name: 'futex', since: '1.1', capability: 'ipc', args: [arg('op', 'string'), arg('shmid', 'uint'), arg('offset', 'uint'), arg('value', 'int'), arg('timeout', 'uint', true)] },
+
+    // Señales (kill llega a otros procesos; el resto solo cambia las del propio proceso)
+    { number: 40, name: 'kill', since: '1.0', capability: 'signal', args: [arg('pid', 'int'), arg('signal', 'signal', true)] },
+    { number: 41, name: 'signal', since: '1.0', capability: null, args: [arg('signal', 'signal'), arg('handler', 'any')] },
+    { number: 42, name: 'sigaction', since: '1.0', capability: null, args: [arg('signal', 'signal'), arg('action', 'any')] },
+    { number: 43, name: 'sigprocmask', since: '1.1', capability: null, args: [arg('how', 'string'), arg('signals', 'any', true)] },
+    { number: 44, name: 'sigpending', since: '1.1', capability: null, args: [] },
+
+    // Tiempo
+    { number: 50, name: 'time', since: '1.0', capability: null, args: [] },
+    { number: 51, name: 'gettimeofday', since: '1.0', capability: null, args: [] },
+    { number: 52, name: 'nanosleep', since: '1.0', capability: null, args: [arg('duration', 'any', true)] },
+    { number: 53, name: 'clock_gettime', since: '1.3', capability: null, args: [arg('clock', 'any', true)] },
+    { number: 54, name: 'clock_getres', since: '1.3', capability: null, args: [arg('clock', 'any', true)] },
+    { number: 55, name: 'alarm', since: '1.3', capability: null, args: [arg('seconds', 'uint')] },
+
+    // Namespaces (sethostname cambia solo el del namespace uts del proceso)
+    { number: 60, name: 'unshare', since: '1.2', capability: 'namespace', args: [arg('types', 'any'), arg('options', 'object', true)] },
+    { number: 61, name: 'setns', since: '1.2', capability: 'namespace', args: [arg('nsId', 'uint')] },
+    { number: 62, name: 'sethostname', since: '1.2', capability: null, args: [arg('name', 'string')] },
+    { number: 63, name: 'gethostname', since: '1.2', capability: null, args: [] }
+];
+
+// Números de errno de Linux
+const ERRNO = {
+    EPERM: 1, ENOENT: 2, ESRCH: 3, EINTR: 4, EIO: 5, EBADF: 9, ECHILD: 10, EAGAIN: 11,
+    ENOMEM: 12, EACCES: 13, EFAULT: 14, EEXIST: 17, ENOTDIR: 20, EISDIR: 21, EINVAL: 22, ENOSPC: 28, ESPIPE: 29, EROFS: 30, EPIPE: 32,
+    ENOSYS: 38, ENOMSG: 42, EIDRM: 43, ETIMEDOUT: 110
+};
+
+const BY_NAME = new Map(SYSCALLS.map(syscall => [syscall.name, syscall]));
+const BY_NUMBER = new Map(SYSCALLS.map(syscall => [syscall.number, syscall]));
+
+class SyscallABI {
+    /**
+     * Llamada por número (13) o nombre ('write', 'sys_write')
+     * @param {string} [abi=VERSION] - Versión del ABI del llamante
+     * @throws {Error} ENOSYS si no existe en esa versión
+     */
+    static lookup(call, abi = VERSION) {
+        const entry = typeof call === 'number'
+            ? BY_NUMBER.get(call)
+            : BY_NAME.get(String(call).replace(/^sys_/, ''));
+        if (!entry || SyscallABI.compare(entry.since, abi) > 0) {
+            throw new Error(`ENOSYS: llamada al sistema no implementada: ${call}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Comprobar los argumentos contra el esquema de la llamada
+     * @throws {Error} EINVAL, EBADF (descriptor) o EFAULT (buffer)
+     */
+    static validate(entry, args) {
+        if (args.length > entry.args.length) {
+            throw new Error(`EINVAL: ${entry.name} admite ${entry.args.length} argumentos (recibidos ${args.length})`);
+        }
+        entry.args.forEach((spec, index) => {
+            const value = args[index];
+            if (value === undefined) {
+                if (!spec.optional) {
+                    throw new Error(`EINVAL: ${entry.name}: falta el argumento ${spec.name}`);
+                }
+                return;
+            }
+            const error = checkType(spec.type, value);
+            if (error) {
+                throw new Error(`${error}: ${entry.name}: argumento ${spec.name} inválido (${describe(value)})`);
+            }
+        });
+    }
+
+    /**
+     * Código errno de un error del kernel ('ENOENT: ...'); EIO si no lleva ninguno
+     */
+    static errnoOf(error) {
+        const match = /^([A-Z][A-Z0-9]+):/.exec(error && error.message ? error.message : '');
+        if (match && ERRNO[match[1]]) {
+            return match[1];
+        }
+        return error && error.signal === 'SIGSEGV' ? 'EFAULT' : 'EIO';
+    }
+
+    /**
+     * Línea al estilo de strace: write(4, "hola") = 4
+     */
+    static format(event) {
+        const args = event.args.map(describe).join(', ');
+        const call = `${event.name}(${args})`;
+        if (event.phase === 'enter') {
+            return `${call} ...`;
+        }
+        if (event.errno) {
+            return `${call} = -1 ${event.errno} (${event.error.replace(/^[A-Z][A-Z0-9]+: /, '')})`;
+        }
+        return `${call} = ${describe(event.ret)}`;
+    }
+
+    /**
+     * Comparar versiones 'mayor.menor'
+     */
+    static compare(a, b) {
+        const [majorA, minorA] = String(a).split('.').map(Number);
+        const [majorB, minorB] = String(b).split('.').map(Number);
+        return majorA !== majorB ? majorA - majorB : (minorA || 0) - (minorB || 0);
+    }
+
+    /**
+     * Misma versión mayor y una menor que el kernel conoce
+     */
+    static isCompatible(abi) {
+        return String(abi).split('.')[0] === VERSION.split('.')[0] && SyscallABI.compare(abi, VERSION) <= 0;
+    }
+
+    static list(abi = VERSION) {
+        return SYSCALLS
+            .filter(entry => SyscallABI.compare(entry.since, abi) <= 0)
+            .map(entry => ({ ...entry, args: entry.args.map(spec => ({ ...spec })) }));
+    }
+}
+
+function checkType(type, value) {
+    switch (type) {
+        case 'int':
+            return Number.isInteger(value) ? null : 'EINVAL';
+        case 'uint':
+            return Number.isInteger(value) && value >= 0 ? null : 'EINVAL';
+        case 'fd':
+            return Number.isInteger(value) && value >= 0 ? null : 'EBADF';
+        case 'signal':
+            try {
+                Signals.lookup(value);
+                return null;
+            } catch (error) {
+                return 'EINVAL';
+            }
+        case 'string':
+            return typeof value === 'string' ? null : 'EINVAL';
+        case 'data':
+            return typeof value === 'string' || value instanceof Uint8Array || value instanceof ArrayBuffer || Array.isArray(value) ? null : 'EFAULT';
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'EINVAL';
+        case 'function':
+            return typeof value === 'function' ? null : 'EINVAL';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Argumento o resultado abreviado para trazas y mensajes
+ */
+function describe(value) {
+    if (typeof value === 'string') {
+        return JSON.stringify(value.length > 32 ? `${value.slice(0, 32)}...` : value);
+    }
+    if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+        return `<${value.byteLength} bytes>`;
+    }
+    if (typeof value === 'function') {
+        return `<function ${value.name || 'anónima'}>`;
+    }
+    if (value === undefined) {
+        return 'undefined';
+    }
+    if (typeof value === 'object' && value !== null && (value.buffer instanceof ArrayBuffer || (typeof SharedArrayBuffer !== 'undefined' && value.buffer instanceof SharedArrayBuffer))) {
+        return `{${Object.keys(value).join(', ')}}`;
+    }
+    const text = JSON.stringify(value);
+    return text === undefined ? String(value) : (text.length > 48 ? `${text.slice(0, 48)}...` : text);
+}
+
+SyscallABI.VERSION = VERSION;
+SyscallABI.ERRNO = ERRNO;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.SyscallABI = SyscallABI;
+}
+
+export default SyscallABI;
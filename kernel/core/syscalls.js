@@ -1,10 +1,249 @@
-// syscalls.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Kernel: System Calls
+ * Tabla de llamadas al sistema (número → nombre y manejador) y dispatcher
+ *
+ * El ABI (números, argumentos, capacidades) está en syscall-abi.js; el kernel registra
+ * aquí sus manejadores sys_<nombre>. syscall_dispatch es la única entrada para los procesos:
+ * valida los argumentos, comprueba la capacidad de la llamada con el comprobador que
+ * registra el sistema de permisos, ejecuta el manejador como el proceso llamante y
+ * devuelve { ret, errno } como el kernel de Linux (ret = -errno si falla).
+ *
+ * Trazado (strace): un trazador recibe un evento 'enter' y otro 'exit' por cada llamada
+ * de los procesos que sigue. Si el listener devuelve una promesa en 'enter', la llamada
+ * espera a que se resuelva (parada en la llamada para el depurador).
+ */
 
-console.log('syscalls.js cargado');
+import SyscallABI from './syscall-abi.js';
 
-function init() {
-    console.log('Aplicación inicializada');
+export const moduleInfo = {
+    name: 'syscalls',
+    version: '1.1.1',
+    description: 'Tabla de llamadas al sistema'
+};
+
+let state = null;
+let ns = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (símbolos de namespaces)
+ */
+export function init(context) {
+    ns = {
+        findPid: context.symbol('ns_find_pid')
+    };
+    state = {
+        status: 'initialized',
+        abi: SyscallABI.VERSION,
+        table: {},
+        count: 0,
+        caller: null,
+        capabilityChecker: null,
+        tracers: new Map(),
+        nextTracerId: 1,
+        nextEventId: 1,
+        stats: { calls: 0, errors: 0, denied: 0 }
+    };
+    return state;
+}
+
+export function exit() {
+    state = null;
+    ns = null;
+}
+
+/**
+ * Registrar una llamada al sistema (debe existir en el ABI con ese número y nombre)
+ */
+export function syscall_register(number, name, handler) {
+    if (state.table[number]) {
+        throw new Error(`Syscall ${number} ya registrada (${state.table[number].name})`);
+    }
+    const entry = SyscallABI.lookup(number);
+    if (entry.name !== name) {
+        throw new Error(`EINVAL: la syscall ${number} es ${entry.name} en el ABI ${SyscallABI.VERSION}, no ${name}`);
+    }
+    if (typeof handler !== 'function') {
+        throw new Error(`EINVAL: la syscall ${name} necesita un manejador`);
+    }
+
+    state.table[number] = { number, name, handler };
+    state.count = Object.keys(state.table).length;
+    return state.table[number];
+}
+
+export function syscall_lookup(number) {
+    return state.table[number] || null;
+}
+
+/**
+ * Ejecutar una llamada al sistema en nombre de un proceso
+ * @param {number} pid - Proceso llamante
+ * @param {number|string} call - Número o nombre de la llamada
+ * @param {Array} [args]
+ * @param {Object} [options] - { abi }: versión del ABI del llamante
+ * @returns {Promise<Object>} { ret, errno, error }
+ */
+export async function syscall_dispatch(pid, call, args = [], options = {}) {
+    const abi = options.abi || SyscallABI.VERSION;
+    const started = Date.now();
+    const event = { pid: pid, number: typeof call === 'number' ? call : null, name: String(call), args: args };
+    let result;
+
+    state.stats.calls++;
+    try {
+        if (!SyscallABI.isCompatible(abi)) {
+            throw new Error(`ENOSYS: ABI ${abi} no soportado (el kernel implementa ${SyscallABI.VERSION})`);
+        }
+        const entry = SyscallABI.lookup(call, abi);
+        const syscall = state.table[entry.number];
+        if (!syscall) {
+            throw new Error(`ENOSYS: ${entry.name} no está registrada en el kernel`);
+        }
+        event.number = entry.number;
+        event.name = entry.name;
+        
+        await emit('enter', event, started);
+        SyscallABI.validate(entry, args);
+        checkCapability(pid, entry);
+        const ret = await invoke(syscall, pid, args);
+        result = { ret: ret, errno: null, error: null };
+        if (entry.name === 'fork') {
+            followFork(pid, ret.pid);
+        }
+    } catch (error) {
+        const errno = SyscallABI.errnoOf(error);
+        state.stats.errors++;
+        result = { ret: -SyscallABI.ERRNO[errno], errno: errno, error: error.message };
+    }
+
+    emit('exit', { ...event, ...result, duration: Date.now() - started }, started);
+    return result;
+}
+
+/**
+ * Proceso en cuyo nombre se ejecuta la llamada en curso (lo usa currentPid() del kernel)
+ */
+export function syscall_caller() {
+    return state.caller;
+}
+
+/**
+ * ABI del kernel y llamadas disponibles para una versión
+ */
+export function syscall_abi(abi = SyscallABI.VERSION) {
+    return {
+        version: SyscallABI.VERSION,
+        compatible: SyscallABI.isCompatible(abi),
+        syscalls: SyscallABI.list(abi).map(entry => ({
+            number: entry.number,
+            name: entry.name,
+            since: entry.since,
+            capability: entry.capability,
+            args: entry.args,
+            registered: Boolean(state.table[entry.number])
+        }))
+    };
+}
+
+/**
+ * Comprobador de capacidades: (pid, capability, entry) => boolean
+ * Sin comprobador todas las llamadas están permitidas
+ */
+export function syscall_set_capability_checker(checker) {
+    state.capabilityChecker = typeof checker === 'function' ? checker : null;
+}
+
+/**
+ * Seguir las llamadas de un proceso
+ * @param {number} pid - PID global
+ * @param {Function} listener - (event) => void | Promise; event.phase es 'enter' o 'exit'
+ * @param {Object} [options] - { follow }: seguir también a los hijos que cree con fork
+ * @returns {number} Identificador del trazador
+ */
+export function syscall_trace(pid, listener, options = {}) {
+    if (typeof listener !== 'function') {
+        throw new Error('EINVAL: el trazador necesita un listener');
+    }
+    const tracer = {
+        id: state.nextTracerId++,
+        pids: new Set([pid]),
+        follow: Boolean(options.follow),
+        listener: listener
+    };
+    state.tracers.set(tracer.id, tracer);
+    return tracer.id;
+}
+
+export function syscall_untrace(tracerId) {
+    return { success: state.tracers.delete(tracerId), tracerId };
+}
+
+export function syscall_stats() {
+    return {
+        abi: SyscallABI.VERSION,
+        registered: state.count,
+        ...state.stats,
+        tracers: [...state.tracers.values()].map(tracer => ({ id: tracer.id, pids: [...tracer.pids], follow: tracer.follow }))
+    };
+}
+
+/**
+ * El manejador lee el llamante con currentPid() antes de su primer await
+ */
+function invoke(syscall, pid, args) {
+    const previous = state.caller;
+    state.caller = pid;
+    try {
+        return syscall.handler(...args);
+    } finally {
+        state.caller = previous;
+    }
+}
+
+function checkCapability(pid, entry) {
+    if (!entry.capability || !state.capabilityChecker) {
+        return;
+    }
+    if (!state.capabilityChecker(pid, entry.capability, entry)) {
+        state.stats.denied++;
+        throw new Error(`EPERM: el proceso ${pid} no tiene la capacidad ${entry.capability} (${entry.name})`);
+    }
+}
+
+/**
+ * Avisar a los trazadores del proceso; en 'enter' se esperan las promesas que devuelvan
+ */
+function emit(phase, event, timestamp) {
+    const tracers = [...state.tracers.values()].filter(tracer => tracer.pids.has(event.pid));
+    if (tracers.length === 0) {
+        return null;
+    }
+    const traced = { id: state.nextEventId++, phase: phase, timestamp: timestamp, ...event };
+    const pending = [];
+    for (const tracer of tracers) {
+        try {
+            const result = tracer.listener(traced);
+            if (phase === 'enter' && result && typeof result.then === 'function') {
+                pending.push(result);
+            }
+        } catch (error) {
+            // Un trazador roto no debe romper la llamada del proceso
+        }
+    }
+    return pending.length > 0 ? Promise.all(pending) : null;
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * fork devuelve el PID del hijo en el namespace del llamante; los trazadores siguen PIDs globales
+ */
+function followFork(pid, childVnr) {
+    const childPid = ns.findPid(pid, childVnr);
+    if (childPid === null) {
+        return;
+    }
+    for (const tracer of state.tracers.values()) {
+        if (tracer.follow && tracer.pids.has(pid)) {
+            tracer.pids.add(childPid);
+        }
+    }
+}
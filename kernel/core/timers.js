@@ -0,0 +1,699 @@
+/**
+ * yOS WebOS - Kernel: Timers
+ * Rueda de temporizadores, relojes del sistema, zona horaria y alarmas persistentes
+ *
+ * Rueda jerárquica de 4 niveles de 64 ranuras (1 ms, 64 ms, ~4 s y ~4,4 min por ranura):
+ * insertar y cancelar es O(1) y los temporizadores de los niveles altos bajan de nivel
+ * (cascada) al acercarse su vencimiento. Los que vencen más allá del alcance (~4,6 h)
+ * esperan en el último nivel y se recolocan al llegar. No hay tick periódico: un único
+ * setTimeout del host se programa para el siguiente evento de la rueda (como NOHZ).
+ * Un temporizador periódico que se retrasa (pestaña en segundo plano) no acumula
+ * disparos: se llama una vez con overrun = periodos perdidos.
+ *
+ * Relojes: CLOCK_MONOTONIC y CLOCK_BOOTTIME salen de performance.now() y no retroceden;
+ * CLOCK_REALTIME de performance.timeOrigin, ajustable con clock_settime.
+ * Zona horaria IANA del sistema (Intl): localtime da la hora local, su desfase y si es
+ * horario de verano.
+ * Alarmas: vencen a una hora del reloj de pared y se guardan en el almacenamiento del
+ * host, así que sobreviven a una recarga. Se entregan a los suscriptores de su prefijo
+ * ('notification:', 'cron:'...); las que vencen sin suscriptor (por ejemplo, con el
+ * sistema apagado) esperan y se entregan con missed al suscribirse.
+ */
+
+export const moduleInfo = {
+    name: 'timers',
+    version: '1.0.0',
+    description: 'Temporizadores y relojes del sistema'
+};
+
+const LEVELS = 4;
+const LEVEL_BITS = 6;
+const SLOTS = 1 << LEVEL_BITS;
+const WHEEL_RANGE = 2 ** (LEVELS * LEVEL_BITS);
+const MAX_HOST_DELAY = 2147483647;
+
+// Identificadores de reloj de Linux
+const CLOCKS = { CLOCK_REALTIME: 0, CLOCK_MONOTONIC: 1, CLOCK_BOOTTIME: 7 };
+
+const ALARMS_KEY = 'yOS:time:alarms';
+const TIMEZONE_KEY = 'yOS:time:timezone';
+
+let state = null;
+
+/**
+ * @param {Object} context - Contexto del cargador (zona horaria del kernel y almacenamiento del host)
+ */
+export function init(context) {
+    const kernel = context.kernel || {};
+    const time = kernel.kernelModules && kernel.kernelModules.time ? kernel.kernelModules.time.software : null;
+    state = {
+        status: 'initialized',
+        log: context.log,
+        storage: kernel.host && kernel.host.storage ? kernel.host.storage : null,
+        clk: Math.floor(monotonic()),
+        wheel: Array.from({ length: LEVELS }, () => Array.from({ length: SLOTS }, () => new Set())),
+        timers: new Map(),
+        nextId: 1,
+        armed: null,
+        suspended: false,
+        realtimeOffset: 0,
+        timezone: 'UTC',
+        alarms: new Map(),
+        subscribers: new Set(),
+        stats: { fired: 0, cascades: 0, overruns: 0, errors: 0 }
+    };
+
+    state.timezone = loadTimezone(time && time.timezones ? time.timezones.local : null);
+    loadAlarms();
+    return { status: state.status, timezone: state.timezone, alarms: state.alarms.size };
+}
+
+export function exit() {
+    disarm();
+    state = null;
+}
+
+/**
+ * Crear un temporizador
+ * @param {Function} callback - ({ id, name, overrun, expires }) => void
+ * @param {Object} [options]
+ * @param {number} [options.delay=0] - ms hasta el primer disparo
+ * @param {number} [options.interval] - Periodo en ms (temporizador periódico)
+ * @param {number} [options.owner] - PID dueño (timer_cancel_owner)
+ * @param {string} [options.name]
+ * @returns {number} Identificador
+ */
+export function timer_create(callback, options = {}) {
+    if (typeof callback !== 'function') {
+        throw new Error('EINVAL: el temporizador necesita una función');
+    }
+    const delay = options.delay === undefined ? 0 : options.delay;
+    checkDuration(delay, 'retardo');
+    if (options.interval !== undefined && options.interval !== null) {
+        checkDuration(options.interval, 'periodo');
+        if (options.interval < 1) {
+            throw new Error('EINVAL: el periodo mínimo es 1 ms');
+        }
+    }
+
+    const timer = {
+        id: state.nextId++,
+        name: options.name || null,
+        owner: options.owner === undefined ? null : options.owner,
+        callback: callback,
+        interval: options.interval || null,
+        expires: Math.ceil(monotonic() + delay),
+        slot: null,
+        fired: 0
+    };
+    state.timers.set(timer.id, timer);
+    enqueue(timer);
+    arm();
+    return timer.id;
+}
+
+export function timer_cancel(id) {
+    const timer = state.timers.get(id);
+    if (!timer) {
+        return false;
+    }
+    dequeue(timer);
+    state.timers.delete(id);
+    arm();
+    return true;
+}
+
+/**
+ * Volver a programar un temporizador pendiente (mod_timer)
+ */
+export function timer_modify(id, delay) {
+    const timer = state.timers.get(id);
+    if (!timer) {
+        return false;
+    }
+    checkDuration(delay, 'retardo');
+    dequeue(timer);
+    timer.expires = Math.ceil(monotonic() + delay);
+    enqueue(timer);
+    arm();
+    return true;
+}
+
+/**
+ * ms que faltan para el disparo (null si no existe)
+ */
+export function timer_remaining(id) {
+    const timer = state.timers.get(id);
+    return timer ? Math.max(0, timer.expires - monotonic()) : null;
+}
+
+export function timer_find(owner, name) {
+    for (const timer of state.timers.values()) {
+        if (timer.owner === owner && timer.name === name) {
+            return timer.id;
+        }
+    }
+    return null;
+}
+
+/**
+ * Cancelar los temporizadores de un proceso que termina
+ */
+export function timer_cancel_owner(owner) {
+    const ids = [...state.timers.values()].filter(timer => timer.owner === owner).map(timer => timer.id);
+    ids.forEach(timer_cancel);
+    return ids.length;
+}
+
+export function timer_list() {
+    const now = monotonic();
+    return [...state.timers.values()].map(timer => ({
+        id: timer.id,
+        name: timer.name,
+        owner: timer.owner,
+        interval: timer.interval,
+        remaining: Math.max(0, Number((timer.expires - now).toFixed(3))),
+        level: timer.slot ? timer.slot.level : null,
+        fired: timer.fired
+    }));
+}
+
+export function timer_stats() {
+    return {
+        pending: state.timers.size,
+        levels: state.wheel.map(level => level.reduce((count, slot) => count + slot.size, 0)),
+        nextEvent: state.armed ? Math.max(0, Number((state.armed.at - monotonic()).toFixed(3))) : null,
+        suspended: state.suspended,
+        alarms: state.alarms.size,
+        ...state.stats
+    };
+}
+
+/**
+ * Parar la rueda (el kernel se detiene); los temporizadores pendientes se conservan
+ */
+export function timer_suspend() {
+    state.suspended = true;
+    disarm();
+}
+
+export function timer_resume() {
+    state.suspended = false;
+    run();
+}
+
+/**
+ * Lectura de un reloj
+ * @param {string|number} [clock='CLOCK_MONOTONIC']
+ * @returns {Object} { sec, nsec }
+ */
+export function clock_gettime(clock = 'CLOCK_MONOTONIC') {
+    return toTimespec(clock_now(clock));
+}
+
+/**
+ * Lectura de un reloj en ms con fracción
+ */
+export function clock_now(clock = 'CLOCK_MONOTONIC') {
+    return clockId(clock) === CLOCKS.CLOCK_REALTIME ? realtime() : monotonic();
+}
+
+export function clock_getres(clock = 'CLOCK_MONOTONIC') {
+    clockId(clock);
+    // performance.now() da como mucho microsegundos (los navegadores la redondean más)
+    return { sec: 0, nsec: 1000 };
+}
+
+/**
+ * Ajustar CLOCK_REALTIME; las alarmas se reprograman con la hora nueva
+ * @param {number} ms - Milisegundos desde la época
+ */
+export function clock_settime(clock, ms) {
+    if (clockId(clock) !== CLOCKS.CLOCK_REALTIME) {
+        throw new Error(`EINVAL: el reloj ${clock} no se puede ajustar`);
+    }
+    checkDuration(ms, 'hora');
+    state.realtimeOffset = ms - hostRealtime();
+    for (const alarm of state.alarms.values()) {
+        scheduleAlarm(alarm);
+    }
+    return 0;
+}
+
+/**
+ * Dormir en la rueda de temporizadores
+ * @param {number|Object} duration - ms o { sec, nsec }
+ * @param {Object} [options] - { clock, absolute }: con absolute, duration es la hora del reloj
+ * @returns {Promise<number>} 0
+ */
+export function clock_nanosleep(duration, options = {}) {
+    const ms = typeof duration === 'object' && duration !== null ? fromTimespec(duration) : duration;
+    checkDuration(ms, 'duración');
+    const delay = options.absolute ? ms - clock_now(options.clock || 'CLOCK_MONOTONIC') : ms;
+    return new Promise(resolve => {
+        timer_create(() => resolve(0), { delay: Math.max(0, delay), owner: options.owner, name: 'nanosleep' });
+    });
+}
+
+/**
+ * Zona horaria del sistema: { zone, offset (minutos al este de UTC), dst, abbreviation }
+ */
+export function tz_get(at = realtime()) {
+    const local = localtime(at);
+    return { zone: state.timezone, offset: local.offset, dst: local.dst, abbreviation: local.abbreviation };
+}
+
+/**
+ * Cambiar la zona horaria del sistema (se guarda para los siguientes arranques)
+ */
+export function tz_set(zone) {
+    state.timezone = checkTimezone(zone);
+    persist(TIMEZONE_KEY, zone);
+    return tz_get();
+}
+
+export function tz_list() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [state.timezone];
+}
+
+/**
+ * Hora local desglosada
+ * @param {number} [at] - ms desde la época (por defecto ahora)
+ * @param {string} [zone] - Zona IANA (por defecto la del sistema)
+ */
+export function localtime(at = realtime(), zone = state.timezone) {
+    const parts = dateParts(at, checkTimezone(zone));
+    const offset = offsetOf(at, zone, parts);
+    const year = parts.year;
+    // Horario de verano: desfase mayor que el estándar (el menor entre enero y julio)
+    const standard = Math.min(offsetOf(Date.UTC(year, 0, 1), zone), offsetOf(Date.UTC(year, 6, 1), zone));
+    return {
+        year: year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(year, parts.month - 1, parts.day)).getUTCDay(),
+        offset: offset,
+        dst: offset > standard,
+        zone: zone,
+        abbreviation: parts.timeZoneName
+    };
+}
+
+/**
+ * Programar una alarma persistente
+ * @param {string} name - Con el prefijo del suscriptor ('notification:42')
+ * @param {number} at - ms desde la época (CLOCK_REALTIME)
+ * @param {Object} [options] - { interval (ms, repetir), payload (JSON) }
+ */
+export function alarm_set(name, at, options = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('EINVAL: la alarma necesita un nombre');
+    }
+    checkDuration(at, 'hora');
+    alarm_cancel(name);
+    const alarm = {
+        name: name,
+        at: at,
+        interval: options.interval || null,
+        payload: options.payload === undefined ? null : options.payload,
+        timer: null,
+        due: false
+    };
+    state.alarms.set(name, alarm);
+    scheduleAlarm(alarm);
+    saveAlarms();
+    return describeAlarm(alarm);
+}
+
+export function alarm_cancel(name) {
+    const alarm = state.alarms.get(name);
+    if (!alarm) {
+        return false;
+    }
+    if (alarm.timer !== null) {
+        timer_cancel(alarm.timer);
+    }
+    state.alarms.delete(name);
+    saveAlarms();
+    return true;
+}
+
+export function alarm_list(prefix = '') {
+    return [...state.alarms.values()].filter(alarm => alarm.name.startsWith(prefix)).map(describeAlarm);
+}
+
+/**
+ * Recibir las alarmas de un prefijo; las que ya vencieron se entregan ahora
+ * @param {Function} listener - ({ name, at, payload, missed }) => void
+ * @returns {Function} Cancelar la suscripción
+ */
+export function alarm_subscribe(prefix, listener) {
+    const subscriber = { prefix: prefix, listener: listener };
+    state.subscribers.add(subscriber);
+    for (const alarm of [...state.alarms.values()]) {
+        if (alarm.due && alarm.name.startsWith(prefix)) {
+            deliverAlarm(alarm, true);
+        }
+    }
+    return () => {
+        if (state) {
+            state.subscribers.delete(subscriber);
+        }
+    };
+}
+
+/**
+ * Rueda: nivel y ranura según lo que falta para el vencimiento
+ */
+function enqueue(timer) {
+    const delta = Math.max(0, timer.expires - state.clk);
+    // Vencido (o a punto): ranura del instante actual del nivel 0
+    const expires = delta === 0 ? state.clk : state.clk + Math.min(delta, WHEEL_RANGE - 1);
+    let level = 0;
+    while (level < LEVELS - 1 && expires - state.clk >= SLOTS ** (level + 1)) {
+        level++;
+    }
+    const index = Math.floor(expires / SLOTS ** level) % SLOTS;
+    state.wheel[level][index].add(timer);
+    timer.slot = { level, index };
+}
+
+function dequeue(timer) {
+    if (timer.slot) {
+        state.wheel[timer.slot.level][timer.slot.index].delete(timer);
+        timer.slot = null;
+    }
+}
+
+/**
+ * Siguiente instante en que la rueda tiene trabajo: un vencimiento del nivel 0 o la
+ * cascada de una ranura ocupada de un nivel superior
+ */
+function nextEvent() {
+    let next = null;
+    for (let offset = 0; offset < SLOTS; offset++) {
+        if (state.wheel[0][(state.clk + offset) % SLOTS].size > 0) {
+            next = state.clk + offset;
+            break;
+        }
+    }
+    for (let level = 1; level < LEVELS; level++) {
+        const granularity = SLOTS ** level;
+        // Primera frontera de ranura desde clk (incluida, si clk cae justo en una)
+        const first = Math.ceil(state.clk / granularity);
+        for (let offset = 0; offset < SLOTS; offset++) {
+            const at = (first + offset) * granularity;
+            if (next !== null && at >= next) {
+                break;
+            }
+            if (state.wheel[level][(first + offset) % SLOTS].size > 0) {
+                next = at;
+                break;
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * Avanzar el reloj de la rueda hasta ahora saltando los tramos sin trabajo
+ */
+function run() {
+    if (!state || state.suspended) {
+        return;
+    }
+    state.armed = null;
+    const now = Math.floor(monotonic());
+    let next = nextEvent();
+    while (next !== null && next <= now) {
+        state.clk = next;
+        cascade();
+        expire(now);
+        state.clk++;
+        next = nextEvent();
+    }
+    state.clk = Math.max(state.clk, now + 1);
+    arm();
+}
+
+function cascade() {
+    for (let level = LEVELS - 1; level > 0; level--) {
+        const granularity = SLOTS ** level;
+        if (state.clk % granularity !== 0) {
+            continue;
+        }
+        const slot = state.wheel[level][Math.floor(state.clk / granularity) % SLOTS];
+        const timers = [...slot];
+        slot.clear();
+        if (timers.length > 0) {
+            state.stats.cascades++;
+        }
+        timers.forEach(enqueue);
+    }
+}
+
+function expire(now) {
+    const slot = state.wheel[0][state.clk % SLOTS];
+    const due = [...slot];
+    slot.clear();
+    for (const timer of due) {
+        timer.slot = null;
+        if (timer.expires > state.clk) {
+            // Más allá del alcance de la rueda: sigue esperando
+            enqueue(timer);
+            continue;
+        }
+        let overrun = 0;
+        if (timer.interval) {
+            overrun = Math.max(0, Math.floor((now - timer.expires) / timer.interval));
+            timer.expires += (overrun + 1) * timer.interval;
+            state.stats.overruns += overrun;
+            enqueue(timer);
+        } else {
+            state.timers.delete(timer.id);
+        }
+        timer.fired++;
+        state.stats.fired++;
+        try {
+            timer.callback({ id: timer.id, name: timer.name, overrun: overrun, expires: timer.expires });
+        } catch (error) {
+            state.stats.errors++;
+            state.log(`Temporizador ${timer.id}${timer.name ? ` (${timer.name})` : ''}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Programar el setTimeout del host para el siguiente evento
+ */
+function arm() {
+    if (state.suspended) {
+        return;
+    }
+    const next = nextEvent();
+    if (next === null) {
+        disarm();
+        return;
+    }
+    if (state.armed && state.armed.at === next) {
+        return;
+    }
+    disarm();
+    const delay = Math.min(MAX_HOST_DELAY, Math.max(0, next - monotonic()));
+    state.armed = { at: next, handle: setTimeout(run, delay) };
+}
+
+function disarm() {
+    if (state && state.armed) {
+        clearTimeout(state.armed.handle);
+        state.armed = null;
+    }
+}
+
+/**
+ * Relojes
+ */
+function monotonic() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function realtime() {
+    return hostRealtime() + (state ? state.realtimeOffset : 0);
+}
+
+function hostRealtime() {
+    return typeof performance !== 'undefined' && performance.timeOrigin ? performance.timeOrigin + performance.now() : Date.now();
+}
+
+function clockId(clock) {
+    const id = typeof clock === 'number' ? clock : CLOCKS[clock];
+    if (!Object.values(CLOCKS).includes(id)) {
+        throw new Error(`EINVAL: reloj desconocido: ${clock}`);
+    }
+    return id;
+}
+
+function toTimespec(ms) {
+    const sec = Math.floor(ms / 1000);
+    return { sec: sec, nsec: Math.floor((ms - sec * 1000) * 1e6) };
+}
+
+function fromTimespec(timespec) {
+    return (timespec.sec || 0) * 1000 + (timespec.nsec || 0) / 1e6;
+}
+
+function checkDuration(value, what) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`EINVAL: ${what} inválido: ${value}`);
+    }
+}
+
+/**
+ * Zona horaria
+ */
+function checkTimezone(zone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return zone;
+    } catch (error) {
+        throw new Error(`EINVAL: zona horaria desconocida: ${zone}`);
+    }
+}
+
+function loadTimezone(fallback) {
+    const saved = read(TIMEZONE_KEY);
+    for (const zone of [saved, fallback]) {
+        if (zone) {
+            try {
+                return checkTimezone(zone);
+            } catch (error) {
+                // Zona guardada que el navegador ya no conoce: la siguiente
+            }
+        }
+    }
+    return 'UTC';
+}
+
+function dateParts(at, zone) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        timeZoneName: 'short'
+    });
+    const parts = {};
+    for (const part of format.formatToParts(new Date(at))) {
+        parts[part.type] = part.type === 'timeZoneName' ? part.value : Number(part.value);
+    }
+    return parts;
+}
+
+/**
+ * Minutos al este de UTC de la zona en ese instante
+ */
+function offsetOf(at, zone, parts = dateParts(at, zone)) {
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((local - Math.floor(at / 1000) * 1000) / 60000);
+}
+
+/**
+ * Alarmas
+ */
+function scheduleAlarm(alarm) {
+    if (alarm.timer !== null) {
+        timer_cancel(alarm.timer);
+        alarm.timer = null;
+    }
+    if (alarm.due) {
+        return;
+    }
+    alarm.timer = timer_create(() => {
+        alarm.timer = null;
+        alarm.due = true;
+        deliverAlarm(alarm, false);
+    }, { delay: Math.max(0, alarm.at - realtime()), name: `alarm:${alarm.name}` });
+}
+
+function deliverAlarm(alarm, missed) {
+    const subscribers = [...state.subscribers].filter(subscriber => alarm.name.startsWith(subscriber.prefix));
+    if (subscribers.length === 0) {
+        // Sin suscriptor: espera vencida hasta que alguien se suscriba
+        saveAlarms();
+        return;
+    }
+    const event = { name: alarm.name, at: alarm.at, payload: alarm.payload, missed: missed };
+    for (const subscriber of subscribers) {
+        try {
+            subscriber.listener(event);
+        } catch (error) {
+            state.stats.errors++;
+            state.log(`Alarma ${alarm.name}: ${error.message}`);
+        }
+    }
+    if (alarm.interval) {
+        // Las repeticiones perdidas no se acumulan
+        const now = realtime();
+        alarm.at += Math.max(1, Math.ceil((now - alarm.at) / alarm.interval)) * alarm.interval;
+        alarm.due = false;
+        scheduleAlarm(alarm);
+    } else {
+        state.alarms.delete(alarm.name);
+    }
+    saveAlarms();
+}
+
+function describeAlarm(alarm) {
+    return { name: alarm.name, at: alarm.at, interval: alarm.interval, payload: alarm.payload, due: alarm.due };
+}
+
+function loadAlarms() {
+    const saved = read(ALARMS_KEY);
+    let alarms = [];
+    try {
+        alarms = saved ? JSON.parse(saved) : [];
+    } catch (error) {
+        state.log(`Alarmas guardadas corruptas: ${error.message}`);
+    }
+    const now = realtime();
+    for (const saved of alarms) {
+        const alarm = { name: saved.name, at: saved.at, interval: saved.interval || null, payload: saved.payload, timer: null, due: saved.at <= now };
+        state.alarms.set(alarm.name, alarm);
+        scheduleAlarm(alarm);
+    }
+}
+
+function saveAlarms() {
+    persist(ALARMS_KEY, JSON.stringify([...state.alarms.values()].map(alarm => ({
+        name: alarm.name,
+        at: alarm.at,
+        interval: alarm.interval,
+        payload: alarm.payload
+    }))));
+}
+
+function read(key) {
+    try {
+        return state.storage ? state.storage.getItem(key) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function persist(key, value) {
+    if (!state.storage) {
+        return;
+    }
+    try {
+        state.storage.setItem(key, value);
+    } catch (error) {
+        state.log(`No se pudo guardar ${key}: ${error.message}`);
+    }
+}
@@ -1,10 +1,51 @@
-// audio.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Driver: Audio
+ * Dispositivo de audio sobre Web Audio (AudioContext)
+ */
 
-console.log('audio.js cargado');
+export const moduleInfo = {
+    name: 'drivers/audio',
+    version: '1.0.0',
+    description: 'Controlador de audio'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let device = null;
+
+export function init() {
+    const AudioContextClass = typeof window !== 'undefined'
+        ? (window.AudioContext || window.webkitAudioContext)
+        : null;
+    device = {
+        available: Boolean(AudioContextClass),
+        AudioContextClass: AudioContextClass,
+        context: null
+    };
+    return { available: device.available };
+}
+
+export async function exit() {
+    if (device && device.context) {
+        await device.context.close();
+    }
+    device = null;
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Abrir el dispositivo (el navegador solo permite crearlo tras un gesto del usuario)
+ */
+export function audio_open() {
+    if (!device.available) {
+        throw new Error('Web Audio no disponible');
+    }
+    if (!device.context) {
+        device.context = new device.AudioContextClass();
+    }
+    return device.context;
+}
+
+export function audio_get_state() {
+    return {
+        available: device.available,
+        state: device.context ? device.context.state : 'closed'
+    };
+}
@@ -1,10 +1,58 @@
-// display.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Driver: Display
+ * Modo de vídeo de la pantalla virtual; sigue el tamaño de la ventana por IRQ 9 (resize)
+ */
 
-console.log('display.js cargado');
+export const moduleInfo = {
+    name: 'drivers/display',
+    version: '1.1.0',
+    description: 'Controlador de pantalla'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const DISPLAY_IRQ = 9;
+
+let mode = null;
+let irq = null;
+
+export function init(context) {
+    const screen = typeof window !== 'undefined' && window.screen ? window.screen : null;
+    mode = {
+        width: Number(context.params.width) || (screen ? screen.width : 1024),
+        height: Number(context.params.height) || (screen ? screen.height : 768),
+        depth: screen ? screen.colorDepth : 24,
+        visible: true
+    };
+    context.log(`Modo ${mode.width}x${mode.height}x${mode.depth}`);
+
+    irq = context.irq;
+    if (irq) {
+        irq.requestIrq(DISPLAY_IRQ, (event) => {
+            if (event.type === 'resize' && event.width > 0 && event.height > 0) {
+                mode = { ...mode, width: event.width, height: event.height };
+            } else if (event.type === 'visibilitychange') {
+                mode = { ...mode, visible: event.visible };
+            }
+        }, moduleInfo.name);
+    }
+    return { mode };
+}
+
+export function exit() {
+    if (irq) {
+        irq.freeIrq(DISPLAY_IRQ, moduleInfo.name);
+        irq = null;
+    }
+    mode = null;
+}
+
+export function display_get_mode() {
+    return { ...mode };
 }
 
-module.exports = { init };
\ No newline at end of file
+export function display_set_mode(width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error(`Modo de vídeo inválido: ${width}x${height}`);
+    }
+    mode = { ...mode, width, height };
+    return { ...mode };
+}
@@ -1,10 +1,43 @@
-// storage.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Driver: Storage
+ * Dispositivo de bloques en memoria
+ */
 
-console.log('storage.js cargado');
+export const moduleInfo = {
+    name: 'drivers/storage',
+    version: '1.0.0',
+    description: 'Dispositivo de bloques'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let device = null;
+
+export function init(context) {
+    device = {
+        blockSize: Number(context.params.blockSize) || 4096,
+        blocks: new Map()
+    };
+    return { blockSize: device.blockSize };
+}
+
+export function exit() {
+    device = null;
+}
+
+export function storage_read(block) {
+    return device.blocks.get(block) || new Uint8Array(device.blockSize);
 }
 
-module.exports = { init };
\ No newline at end of file
+export function storage_write(block, data) {
+    if (data.length > device.blockSize) {
+        throw new Error(`Bloque ${block}: ${data.length} bytes excede ${device.blockSize}`);
+    }
+
+    const buffer = new Uint8Array(device.blockSize);
+    buffer.set(data);
+    device.blocks.set(block, buffer);
+    return data.length;
+}
+
+export function storage_info() {
+    return { blockSize: device.blockSize, blocksUsed: device.blocks.size };
+}
@@ -1,10 +1,48 @@
-// virtual-keyboard.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Driver: Teclado virtual
+ * Cola de eventos de entrada (keydown, keyup) recibidos por IRQ 1
+ */
 
-console.log('virtual-keyboard.js cargado');
+export const moduleInfo = {
+    name: 'drivers/virtual-keyboard',
+    version: '1.1.0',
+    description: 'Teclado virtual'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const KBD_IRQ = 1;
+
+let device = null;
+
+export function init(context) {
+    device = {
+        buffer: [],
+        size: Number(context.params.buffer) || 64,
+        irq: context.irq
+    };
+
+    if (device.irq) {
+        device.irq.requestIrq(KBD_IRQ, (event) => kbd_push(event), moduleInfo.name);
+    }
+    return { buffer: device.size, irq: device.irq ? KBD_IRQ : null };
+}
+
+export function exit() {
+    if (device.irq) {
+        device.irq.freeIrq(KBD_IRQ, moduleInfo.name);
+    }
+    device = null;
+}
+
+/**
+ * Encolar un evento (se descarta el más antiguo si el buffer está lleno)
+ */
+export function kbd_push(event) {
+    device.buffer.push({ ...event, timestamp: Date.now() });
+    if (device.buffer.length > device.size) {
+        device.buffer.shift();
+    }
 }
 
-module.exports = { init };
\ No newline at end of file
+export function kbd_read() {
+    return device.buffer.length > 0 ? device.buffer.shift() : null;
+}
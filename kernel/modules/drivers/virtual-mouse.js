@@ -1,10 +1,48 @@
-// virtual-mouse.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Driver: Ratón virtual
+ * Cola de eventos de puntero (pointermove, pointerdown, pointerup, wheel) recibidos por IRQ 11
+ */
 
-console.log('virtual-mouse.js cargado');
+export const moduleInfo = {
+    name: 'drivers/virtual-mouse',
+    version: '1.1.0',
+    description: 'Ratón virtual'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const MOUSE_IRQ = 11;
+
+let device = null;
+
+export function init(context) {
+    device = {
+        buffer: [],
+        size: Number(context.params.buffer) || 64,
+        irq: context.irq
+    };
+
+    if (device.irq) {
+        device.irq.requestIrq(MOUSE_IRQ, (event) => mouse_push(event), moduleInfo.name);
+    }
+    return { buffer: device.size, irq: device.irq ? MOUSE_IRQ : null };
+}
+
+export function exit() {
+    if (device.irq) {
+        device.irq.freeIrq(MOUSE_IRQ, moduleInfo.name);
+    }
+    device = null;
+}
+
+/**
+ * Encolar un evento (se descarta el más antiguo si el buffer está lleno)
+ */
+export function mouse_push(event) {
+    device.buffer.push({ ...event, timestamp: Date.now() });
+    if (device.buffer.length > device.size) {
+        device.buffer.shift();
+    }
 }
 
-module.exports = { init };
\ No newline at end of file
+export function mouse_read() {
+    return device.buffer.length > 0 ? device.buffer.shift() : null;
+}
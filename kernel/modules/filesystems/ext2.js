@@ -1,10 +1,47 @@
-// ext2.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Filesystem: ext2
+ * Sistema de archivos ext2 sobre el dispositivo de bloques
+ */
 
-console.log('ext2.js cargado');
+export const moduleInfo = {
+    name: 'filesystems/ext2',
+    version: '1.0.0',
+    description: 'Sistema de archivos ext2'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let state = null;
+
+export function init(context) {
+    state = {
+        context: context,
+        storageInfo: context.symbol('storage_info'),
+        mounts: new Map(),
+        nextId: 1
+    };
+    return { type: 'ext2' };
+}
+
+export function exit() {
+    state = null;
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Montar un dispositivo; el módulo no puede descargarse mientras esté montado
+ */
+export function ext2_mount(device, target, options = {}) {
+    const id = state.nextId++;
+    state.context.hold(`mount:${target}`);
+    state.mounts.set(id, { id, type: 'ext2', device, target, options, blockSize: state.storageInfo().blockSize });
+    return state.mounts.get(id);
+}
+
+export function ext2_unmount(id) {
+    const mount = state.mounts.get(id);
+    if (!mount) {
+        return false;
+    }
+
+    state.mounts.delete(id);
+    state.context.release(`mount:${mount.target}`);
+    return true;
+}
@@ -1,10 +1,47 @@
-// fat32.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Filesystem: fat32
+ * Sistema de archivos FAT32 sobre el dispositivo de bloques
+ */
 
-console.log('fat32.js cargado');
+export const moduleInfo = {
+    name: 'filesystems/fat32',
+    version: '1.0.0',
+    description: 'Sistema de archivos FAT32'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let state = null;
+
+export function init(context) {
+    state = {
+        context: context,
+        storageInfo: context.symbol('storage_info'),
+        mounts: new Map(),
+        nextId: 1
+    };
+    return { type: 'fat32' };
+}
+
+export function exit() {
+    state = null;
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Montar un dispositivo; el módulo no puede descargarse mientras esté montado
+ */
+export function fat32_mount(device, target, options = {}) {
+    const id = state.nextId++;
+    state.context.hold(`mount:${target}`);
+    state.mounts.set(id, { id, type: 'fat32', device, target, options, blockSize: state.storageInfo().blockSize });
+    return state.mounts.get(id);
+}
+
+export function fat32_unmount(id) {
+    const mount = state.mounts.get(id);
+    if (!mount) {
+        return false;
+    }
+
+    state.mounts.delete(id);
+    state.context.release(`mount:${mount.target}`);
+    return true;
+}
@@ -1,10 +1,60 @@
-// network-fs.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Filesystem: network-fs
+ * Sistema de archivos remoto sobre HTTP
+ */
 
-console.log('network-fs.js cargado');
+export const moduleInfo = {
+    name: 'filesystems/network-fs',
+    version: '1.0.0',
+    description: 'Sistema de archivos de red'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let state = null;
+
+export function init(context) {
+    state = {
+        context: context,
+        request: context.symbol('http_request'),
+        mounts: new Map(),
+        nextId: 1
+    };
+    return { type: 'network-fs' };
+}
+
+export function exit() {
+    state = null;
+}
+
+/**
+ * Montar una URL remota; el módulo no puede descargarse mientras esté montada
+ */
+export function nfs_mount(url, target) {
+    const id = state.nextId++;
+    state.context.hold(`mount:${target}`);
+    state.mounts.set(id, { id, type: 'network-fs', url: new URL(url).href, target });
+    return state.mounts.get(id);
 }
 
-module.exports = { init };
\ No newline at end of file
+export function nfs_unmount(id) {
+    const mount = state.mounts.get(id);
+    if (!mount) {
+        return false;
+    }
+
+    state.mounts.delete(id);
+    state.context.release(`mount:${mount.target}`);
+    return true;
+}
+
+/**
+ * Leer un fichero relativo a la raíz remota del montaje
+ */
+export async function nfs_read(id, path) {
+    const mount = state.mounts.get(id);
+    if (!mount) {
+        throw new Error(`Montaje inexistente: ${id}`);
+    }
+
+    const response = await state.request(new URL(path.replace(/^\/+/, ''), mount.url.endsWith('/') ? mount.url : `${mount.url}/`).href);
+    return response.text();
+}
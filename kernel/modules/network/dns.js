@@ -1,10 +1,45 @@
-// dns.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Network: DNS
+ * Resolución de nombres con tabla de hosts y caché
+ */
 
-console.log('dns.js cargado');
+export const moduleInfo = {
+    name: 'network/dns',
+    version: '1.0.0',
+    description: 'Resolutor DNS'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let state = null;
+
+export function init(context) {
+    state = {
+        hosts: new Map([['localhost', '127.0.0.1']]),
+        cache: new Map(),
+        ttl: Number(context.params.ttl) || 60000
+    };
+    return { hosts: state.hosts.size };
+}
+
+export function exit() {
+    state = null;
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Resolver un nombre; en el navegador la resolución real la hace fetch,
+ * aquí se devuelve la entrada de hosts o el propio nombre
+ */
+export function dns_resolve(hostname) {
+    const cached = state.cache.get(hostname);
+    if (cached && Date.now() - cached.at < state.ttl) {
+        return cached.address;
+    }
+
+    const address = state.hosts.get(hostname) || hostname;
+    state.cache.set(hostname, { address, at: Date.now() });
+    return address;
+}
+
+export function dns_add_host(hostname, address) {
+    state.hosts.set(hostname, address);
+    state.cache.delete(hostname);
+}
@@ -1,10 +1,39 @@
-// http.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Network: HTTP
+ * Cliente HTTP del kernel sobre fetch
+ */
 
-console.log('http.js cargado');
+export const moduleInfo = {
+    name: 'network/http',
+    version: '1.0.0',
+    description: 'Cliente HTTP'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let state = null;
+
+export function init(context) {
+    state = {
+        socket: context.symbol('tcp_socket'),
+        close: context.symbol('tcp_close'),
+        resolve: context.symbol('dns_resolve'),
+        requests: 0
+    };
+    return { available: typeof fetch === 'function' };
+}
+
+export function exit() {
+    state = null;
 }
 
-module.exports = { init };
\ No newline at end of file
+export async function http_request(url, options = {}) {
+    const target = new URL(url);
+    state.resolve(target.hostname);
+
+    const fd = state.socket('tcp', 'http');
+    state.requests++;
+    try {
+        return await fetch(target.href, options);
+    } finally {
+        state.close(fd);
+    }
+}
@@ -1,10 +1,70 @@
-// tcpip.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Network: TCP/IP
+ * Tabla de sockets del stack de red y estado del enlace (IRQ 10: online/offline)
+ */
 
-console.log('tcpip.js cargado');
+export const moduleInfo = {
+    name: 'network/tcpip',
+    version: '1.1.0',
+    description: 'Stack TCP/IP'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const NET_IRQ = 10;
+
+let state = null;
+
+export function init(context) {
+    const navigator = context.kernel && context.kernel.host ? context.kernel.host.navigator : {};
+    state = {
+        sockets: new Map(),
+        nextFd: 3,
+        link: { up: navigator.onLine !== false, changedAt: Date.now() },
+        irq: context.irq
+    };
+
+    if (state.irq) {
+        state.irq.requestIrq(NET_IRQ, (event) => {
+            state.link = { up: event.online, changedAt: Date.now() };
+        }, moduleInfo.name);
+    }
+    return { protocols: ['tcp', 'udp'], link: state.link.up ? 'up' : 'down' };
+}
+
+export function exit() {
+    if (state.irq) {
+        state.irq.freeIrq(NET_IRQ, moduleInfo.name);
+    }
+    state = null;
+}
+
+export function tcp_socket(protocol = 'tcp', transport = null) {
+    if (protocol !== 'tcp' && protocol !== 'udp') {
+        throw new Error(`Protocolo no soportado: ${protocol}`);
+    }
+
+    const fd = state.nextFd++;
+    state.sockets.set(fd, { fd, protocol, transport, state: 'open', openedAt: Date.now() });
+    return fd;
+}
+
+export function tcp_close(fd) {
+    const socket = state.sockets.get(fd);
+    if (!socket) {
+        return false;
+    }
+
+    socket.state = 'closed';
+    state.sockets.delete(fd);
+    return true;
 }
 
-module.exports = { init };
\ No newline at end of file
+/**
+ * Estado del enlace de red: { up, changedAt }
+ */
+export function tcp_link_status() {
+    return { ...state.link };
+}
+
+export function tcp_sockets() {
+    return [...state.sockets.values()].map(socket => ({ ...socket }));
+}
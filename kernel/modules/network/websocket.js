@@ -1,10 +1,56 @@
-// websocket.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Network: WebSocket
+ * Conexiones WebSocket registradas como sockets del stack
+ */
 
-console.log('websocket.js cargado');
+export const moduleInfo = {
+    name: 'network/websocket',
+    version: '1.0.0',
+    description: 'Conexiones WebSocket'
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+let state = null;
+
+export function init(context) {
+    state = {
+        socket: context.symbol('tcp_socket'),
+        close: context.symbol('tcp_close'),
+        connections: new Map()
+    };
+    return { available: typeof WebSocket === 'function' };
+}
+
+export function exit() {
+    for (const fd of [...state.connections.keys()]) {
+        ws_close(fd);
+    }
+    state = null;
+}
+
+export function ws_open(url) {
+    if (typeof WebSocket !== 'function') {
+        throw new Error('WebSocket no disponible');
+    }
+
+    const connection = new WebSocket(url);
+    const fd = state.socket('tcp', 'websocket');
+    state.connections.set(fd, connection);
+    connection.addEventListener('close', () => {
+        if (state && state.connections.delete(fd)) {
+            state.close(fd);
+        }
+    });
+    return fd;
 }
 
-module.exports = { init };
\ No newline at end of file
+export function ws_close(fd) {
+    const connection = state.connections.get(fd);
+    if (!connection) {
+        return false;
+    }
+
+    state.connections.delete(fd);
+    connection.close();
+    state.close(fd);
+    return true;
+}
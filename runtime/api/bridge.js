@@ -1,10 +1,114 @@
-// bridge.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Runtime: puente con el kernel
+ * Llamadas de proceso y de señales para una app que se ejecuta como proceso de yOS
+ *
+ * Los manejadores se registran con sigaction en el gestor de procesos: reciben
+ * (signal, info) y pueden ser async; mientras se ejecutan la señal queda bloqueada.
+ * Lo que sale del propio proceso (kill, syscall) pasa por el dispatcher de syscalls,
+ * que comprueba las capacidades de la app.
+ */
 
-console.log('bridge.js cargado');
+import Signals from '../../kernel/core/signals.js';
+import SyscallABI from '../../kernel/core/syscall-abi.js';
 
-function init() {
-    console.log('Aplicación inicializada');
+class RuntimeBridge {
+    /**
+     * @param {Object} options
+     * @param {number} options.pid - Proceso de la app
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     */
+    constructor(options = {}) {
+        if (!Number.isInteger(options.pid)) {
+            throw new Error('RuntimeBridge necesita el PID del proceso de la app');
+        }
+        this.pid = options.pid;
+        this.bootLoader = options.bootLoader || null;
+    }
+
+    getpid() {
+        return this.pid;
+    }
+
+    /**
+     * Enviar una señal a otro proceso (o a sí mismo); necesita la capacidad signal
+     */
+    kill(pid, signal = 'SIGTERM') {
+        return this.syscall('kill', pid, signal);
+    }
+
+    /**
+     * Llamada al sistema con el ABI con el que se construyó el runtime
+     * @param {string|number} call - Nombre o número (ver kernel/core/syscall-abi.js)
+     * @returns {Promise<*>} Valor de la llamada
+     * @throws {Error} Con error.errno ('ENOENT', 'EPERM'...) si el kernel devuelve error
+     */
+    async syscall(call, ...args) {
+        const result = await this.getSymbol('syscall_dispatch')(this.pid, call, args, { abi: RuntimeBridge.ABI });
+        if (result.errno) {
+            const error = new Error(result.error);
+            error.errno = result.errno;
+            throw error;
+        }
+        return result.ret;
+    }
+
+    /**
+     * Registrar un manejador de señal
+     * @param {string|number} signal
+     * @param {Function} handler - (signal, info) => void | Promise
+     * @param {Object} [options] - { mask: [señales], flags: ['SA_RESETHAND', 'SA_NODEFER'] }
+     * @returns {Function} Restaura la disposición anterior
+     */
+    onSignal(signal, handler, options = {}) {
+        const previous = this.getSymbol('sigaction')(this.pid, signal, {
+            handler: handler,
+            mask: options.mask || [],
+            flags: options.flags || []
+        });
+        return () => this.getSymbol('sigaction')(this.pid, signal, previous);
+    }
+
+    ignoreSignal(signal) {
+        return this.getSymbol('sigaction')(this.pid, signal, Signals.SIG_IGN);
+    }
+
+    resetSignal(signal) {
+        return this.getSymbol('sigaction')(this.pid, signal, Signals.SIG_DFL);
+    }
+
+    blockSignals(signals) {
+        return this.getSymbol('sigprocmask')(this.pid, 'SIG_BLOCK', signals);
+    }
+
+    unblockSignals(signals) {
+        return this.getSymbol('sigprocmask')(this.pid, 'SIG_UNBLOCK', signals);
+    }
+
+    pendingSignals() {
+        return this.getSymbol('sigpending')(this.pid);
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+RuntimeBridge.ABI = SyscallABI.VERSION;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.RuntimeBridge = RuntimeBridge;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default RuntimeBridge;
@@ -1,10 +1,148 @@
-// capability-system.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Permisos: sistema de capacidades
+ * Qué grupos de llamadas al sistema puede usar el proceso de cada app
+ *
+ * Capacidades: process (fork, execve, wait4), signal (kill a otros procesos), fs (open,
+ * stat), ipc (pipes, colas, memoria compartida, futex) y namespace (unshare, setns: solo
+ * las apps del sistema, para que una app no salga de su sandbox). El dispatcher de syscalls las
+ * consulta en cada llamada. Un proceso sin capacidades propias hereda las del ancestro
+ * más cercano que las tenga, así que los hijos de una app no salen de su sandbox; los
+ * procesos del kernel y los servicios no están confinados.
+ */
 
-console.log('capability-system.js cargado');
+const CAPABILITIES = ['process', 'signal', 'fs', 'ipc', 'namespace'];
 
-function init() {
-    console.log('Aplicación inicializada');
+const PROFILES = {
+    // kill a otros procesos y los namespaces quedan para las apps del sistema (terminal, administrador de tareas)
+    system: CAPABILITIES,
+    default: ['process', 'fs', 'ipc'],
+    // Apps de terceros sin firma: sin procesos hijos ni señales a otros procesos
+    untrusted: ['fs', 'ipc']
+};
+
+class CapabilitySystem {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {Object} [options.profiles] - Perfiles adicionales o que sustituyen a los de serie
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.profiles = { ...PROFILES, ...(options.profiles || {}) };
+        this.grants = new Map();
+        this.installed = false;
+    }
+
+    /**
+     * Registrar el comprobador en el dispatcher de syscalls del kernel
+     */
+    install() {
+        this.getSymbol('syscall_set_capability_checker')((pid, capability) => this.has(pid, capability));
+        this.installed = true;
+    }
+
+    uninstall() {
+        if (this.installed) {
+            this.getSymbol('syscall_set_capability_checker')(null);
+            this.installed = false;
+        }
+    }
+
+    /**
+     * Confinar el proceso de una app a un perfil
+     * @param {number} pid
+     * @param {string} [profile='default']
+     * @param {Object} [overrides] - { add: [capacidades], remove: [capacidades] } del manifiesto
+     * @returns {string[]} Capacidades concedidas
+     */
+    apply(pid, profile = 'default', overrides = {}) {
+        const base = this.profiles[profile];
+        if (!base) {
+            throw new Error(`Perfil de capacidades desconocido: ${profile}`);
+        }
+        const granted = new Set(base);
+        (overrides.add || []).forEach(capability => granted.add(CapabilitySystem.check(capability)));
+        (overrides.remove || []).forEach(capability => granted.delete(capability));
+        this.grants.set(pid, granted);
+        return [...granted];
+    }
+
+    grant(pid, capability) {
+        const granted = new Set(this.list(pid) || []);
+        granted.add(CapabilitySystem.check(capability));
+        this.grants.set(pid, granted);
+        return [...granted];
+    }
+
+    revoke(pid, capability) {
+        const granted = new Set(this.list(pid) || CAPABILITIES);
+        granted.delete(capability);
+        this.grants.set(pid, granted);
+        return [...granted];
+    }
+
+    /**
+     * ¿Puede el proceso usar la capacidad? Sin confinar (ni él ni sus ancestros): sí
+     */
+    has(pid, capability) {
+        const granted = this.list(pid);
+        return granted === null || granted.includes(capability);
+    }
+
+    /**
+     * Capacidades efectivas (propias o heredadas); null si el proceso no está confinado
+     */
+    list(pid) {
+        const getProcess = this.getSymbol('getProcessById');
+        let current = pid;
+        const visited = new Set();
+        while (current > 0 && !visited.has(current)) {
+            if (this.grants.has(current)) {
+                return [...this.grants.get(current)];
+            }
+            visited.add(current);
+            const process = getProcess(current);
+            current = process ? process.ppid : 0;
+        }
+        return null;
+    }
+
+    /**
+     * Olvidar las capacidades de un proceso que ha terminado
+     */
+    release(pid) {
+        return this.grants.delete(pid);
+    }
+
+    static check(capability) {
+        if (!CAPABILITIES.includes(capability)) {
+            throw new Error(`Capacidad desconocida: ${capability}`);
+        }
+        return capability;
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+CapabilitySystem.CAPABILITIES = CAPABILITIES;
+CapabilitySystem.PROFILES = PROFILES;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.CapabilitySystem = CapabilitySystem;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default CapabilitySystem;
@@ -1,10 +1,119 @@
-// resource-limiter.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Sandbox: limitador de recursos
+ * Cuotas de memoria y prioridad frente al OOM killer de los procesos de las apps
+ *
+ * Cada app se ejecuta con un perfil (system, default o untrusted) que el manifiesto
+ * puede ajustar con "limits": { "memory": "32M", "oomScoreAdj": 200 }. Los límites se
+ * aplican en el gestor de memoria del kernel, que es quien los hace cumplir.
+ */
 
-console.log('resource-limiter.js cargado');
+const PROFILES = {
+    // Apps del sistema: sin cuota y protegidas del OOM killer
+    system: { memory: null, oomScoreAdj: -500 },
+    default: { memory: 64 * 1024 * 1024, oomScoreAdj: 0 },
+    // Apps de terceros sin firma: primeras candidatas del OOM killer
+    untrusted: { memory: 16 * 1024 * 1024, oomScoreAdj: 500 }
+};
 
-function init() {
-    console.log('Aplicación inicializada');
+const SIZE_UNITS = { K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+
+class ResourceLimiter {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {Object} [options.profiles] - Perfiles adicionales o que sustituyen a los de serie
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.profiles = { ...PROFILES, ...(options.profiles || {}) };
+        this.limits = new Map();
+    }
+
+    /**
+     * Aplicar el perfil (y los ajustes del manifiesto) al proceso de una app
+     * @param {number} pid
+     * @param {string} [profile='default']
+     * @param {Object} [overrides] - { memory: bytes | '32M' | null, oomScoreAdj }
+     * @returns {Object} Límites aplicados
+     */
+    apply(pid, profile = 'default', overrides = {}) {
+        const base = this.profiles[profile];
+        if (!base) {
+            throw new Error(`Perfil de recursos desconocido: ${profile}`);
+        }
+        const limits = {
+            profile: profile,
+            memory: 'memory' in overrides ? ResourceLimiter.parseSize(overrides.memory) : base.memory,
+            oomScoreAdj: 'oomScoreAdj' in overrides ? overrides.oomScoreAdj : base.oomScoreAdj
+        };
+        
+        this.getSymbol('mm_set_quota')(pid, limits.memory);
+        this.getSymbol('mm_set_oom_score_adj')(pid, limits.oomScoreAdj);
+        this.limits.set(pid, limits);
+        return { ...limits };
+    }
+
+    /**
+     * Uso de memoria del proceso frente a su cuota
+     */
+    getUsage(pid) {
+        const space = this.getSymbol('mm_stats')().processes.find(item => item.pid === pid);
+        const limits = this.limits.get(pid) || null;
+        const usage = space ? space.usage : 0;
+        const quota = space ? space.quota : (limits ? limits.memory : null);
+        return {
+            pid: pid,
+            profile: limits ? limits.profile : null,
+            usage: usage,
+            quota: quota,
+            percent: quota ? Number((usage / quota * 100).toFixed(1)) : null,
+            oomScore: space ? space.oomScore : 0
+        };
+    }
+
+    /**
+     * Olvidar los límites de un proceso que ha terminado
+     */
+    release(pid) {
+        return this.limits.delete(pid);
+    }
+
+    /**
+     * '64M', '512K', '1G' o bytes; null es sin cuota
+     */
+    static parseSize(value) {
+        if (value === null || typeof value === 'number') {
+            return value;
+        }
+        const match = /^(\d+(?:\.\d+)?)\s*([KMG])?B?$/i.exec(String(value).trim());
+        if (!match) {
+            throw new Error(`Tamaño inválido: ${value}`);
+        }
+        const unit = match[2] ? SIZE_UNITS[match[2].toUpperCase()] : 1;
+        return Math.round(Number(match[1]) * unit);
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+ResourceLimiter.PROFILES = PROFILES;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.ResourceLimiter = ResourceLimiter;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default ResourceLimiter;
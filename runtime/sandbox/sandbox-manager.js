@@ -1,10 +1,161 @@
-// sandbox-manager.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Sandbox: gestor de sandboxes
+ * Aislamiento de las apps al estilo de un contenedor con los namespaces del kernel
+ *
+ * Cada app se lanza desde un proceso lanzador (hijo de init) que separa con unshare sus
+ * namespaces de pid, mnt, uts e ipc y hace fork del programa de la app. La app es el PID 1
+ * de su namespace, solo ve su directorio y las rutas que se le conceden, tiene su propio
+ * hostname y sus propias claves IPC. Después se le aplican los perfiles de capacidades y
+ * de recursos. Al terminar la app termina todo su namespace de PIDs.
+ */
 
-console.log('sandbox-manager.js cargado');
+import CapabilitySystem from '../permissions/capability-system.js';
+import ResourceLimiter from './resource-limiter.js';
 
-function init() {
-    console.log('Aplicación inicializada');
+const INIT_PID = 1;
+
+class SandboxManager {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {CapabilitySystem} [options.capabilities]
+     * @param {ResourceLimiter} [options.limiter]
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.capabilities = options.capabilities || new CapabilitySystem({ bootLoader: this.bootLoader });
+        this.limiter = options.limiter || new ResourceLimiter({ bootLoader: this.bootLoader });
+        this.sandboxes = new Map();
+    }
+
+    /**
+     * Lanzar una app en su sandbox
+     * @param {string} appId
+     * @param {Function} program - Programa de la app (ver process-manager)
+     * @param {Object} [options]
+     * @param {string} [options.appDir] - Por defecto /apps/<appId>
+     * @param {Array} [options.grants] - Rutas concedidas: '/ruta' o { source, target, readonly }
+     * @param {string} [options.hostname] - Por defecto el appId
+     * @param {string} [options.profile='default'] - Perfil de capacidades y de recursos
+     * @param {Object} [options.capabilities] - { add, remove } del manifiesto
+     * @param {Object} [options.limits] - { memory, oomScoreAdj } del manifiesto
+     * @returns {Object} Sandbox: { appId, pid, launcherPid, namespaces, mounts }
+     */
+    launch(appId, program, options = {}) {
+        if (this.sandboxes.has(appId)) {
+            throw new Error(`EEXIST: la app ${appId} ya tiene un sandbox`);
+        }
+        const appDir = options.appDir || `/apps/${appId}`;
+        const mounts = [{ source: appDir, target: appDir }].concat((options.grants || []).map(grant =>
+            typeof grant === 'string' ? { source: grant, target: grant } : grant));
+        const profile = options.profile || 'default';
+        
+        const launcher = this.getSymbol('createProcess')(`sandbox:${appId}`, null, INIT_PID);
+        let app = null;
+        try {
+            this.getSymbol('ns_unshare')(launcher.pid, ['pid', 'mnt', 'uts', 'ipc'], {
+                mounts: mounts,
+                hostname: options.hostname || SandboxManager.hostnameFor(appId)
+            });
+            app = this.getSymbol('forkProcess')(launcher.pid, program);
+            this.getSymbol('changeDirectory')(app.pid, appDir);
+            if (!this.capabilities.installed) {
+                this.capabilities.install();
+            }
+            this.capabilities.apply(app.pid, profile, options.capabilities || {});
+            this.limiter.apply(app.pid, profile, options.limits || {});
+        } catch (error) {
+            if (app) {
+                this.getSymbol('sendSignal')(app.pid, 'SIGKILL');
+            }
+            this.getSymbol('sendSignal')(launcher.pid, 'SIGKILL');
+            throw error;
+        }
+        
+        const sandbox = {
+            appId: appId,
+            pid: app.pid,
+            launcherPid: launcher.pid,
+            profile: profile,
+            startedAt: Date.now()
+        };
+        this.sandboxes.set(appId, sandbox);
+        return this.describe(sandbox);
+    }
+
+    /**
+     * Terminar la app (y con ella su namespace de PIDs) y el lanzador
+     * @param {string} [signal='SIGTERM'] - SIGKILL para no dejar que la app limpie
+     */
+    stop(appId, signal = 'SIGTERM') {
+        const sandbox = this.sandboxes.get(appId);
+        if (!sandbox) {
+            return false;
+        }
+        const getProcess = this.getSymbol('getProcessById');
+        const sendSignal = this.getSymbol('sendSignal');
+        const app = getProcess(sandbox.pid);
+        if (app && app.state !== 'zombie') {
+            sendSignal(sandbox.pid, signal);
+        }
+        // El lanzador termina aunque la app siga: su zombie pasa a init
+        if (getProcess(sandbox.launcherPid)) {
+            sendSignal(sandbox.launcherPid, 'SIGKILL');
+        }
+        this.capabilities.release(sandbox.pid);
+        this.limiter.release(sandbox.pid);
+        this.sandboxes.delete(appId);
+        return true;
+    }
+
+    get(appId) {
+        const sandbox = this.sandboxes.get(appId);
+        return sandbox ? this.describe(sandbox) : null;
+    }
+
+    list() {
+        return [...this.sandboxes.values()].map(sandbox => this.describe(sandbox));
+    }
+
+    describe(sandbox) {
+        const app = this.getSymbol('getProcessById')(sandbox.pid);
+        const running = Boolean(app) && app.state !== 'zombie';
+        return {
+            ...sandbox,
+            running: running,
+            namespaces: running ? this.getSymbol('ns_get')(sandbox.pid) : null,
+            mounts: running ? this.getSymbol('ns_mounts')(sandbox.pid) : [],
+            hostname: running ? this.getSymbol('ns_gethostname')(sandbox.pid).nodename : null
+        };
+    }
+
+    /**
+     * Hostname válido a partir del identificador de la app (com.yos.notas → com-yos-notas)
+     */
+    static hostnameFor(appId) {
+        const name = String(appId).replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63);
+        return name || 'sandbox';
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.SandboxManager = SandboxManager;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default SandboxManager;
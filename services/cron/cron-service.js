@@ -0,0 +1,226 @@
+/**
+ * yOS WebOS - Cron Service
+ * Daemon cron de la unit boot/init.d/cron.json (exec.module)
+ *
+ * Horarios de crontab: minuto hora día-del-mes mes día-de-la-semana con *, listas (0,30),
+ * rangos (1-5) y pasos (0-59/15), o @hourly, @daily, @weekly, @monthly y @yearly. Se evalúan
+ * en la hora local de la zona del sistema (o la de la tarea), así que los cambios de
+ * horario de verano se respetan. Cada tarea espera su siguiente ejecución en la rueda de
+ * temporizadores del kernel.
+ * Las tareas de exec.jobs de la unit solo dejan constancia en el log; las que registran
+ * otros componentes con addJob ejecutan su función.
+ */
+
+const FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'día del mes', min: 1, max: 31 },
+    { name: 'mes', min: 1, max: 12 },
+    { name: 'día de la semana', min: 0, max: 7 }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Búsqueda de la siguiente ejecución: más de un año de pasos (días, horas o minutos)
+const MAX_STEPS = 20000;
+
+let context = null;
+let log = null;
+const jobs = new Map();
+
+export async function start(unitContext) {
+    context = unitContext;
+    log = context.klog.logger('cron');
+    for (const job of context.unit.exec.jobs || []) {
+        addJob(job.name, job.schedule, null, { timezone: job.timezone, message: job.message });
+    }
+    return { ...context.unit.exec.state, jobs: jobs.size };
+}
+
+export async function stop() {
+    for (const name of [...jobs.keys()]) {
+        removeJob(name);
+    }
+    context = null;
+    log = null;
+}
+
+export async function health() {
+    return context !== null && [...jobs.values()].every(job => job.timer !== null);
+}
+
+/**
+ * Programar una tarea
+ * @param {string} name
+ * @param {string} schedule - Línea de horario de crontab
+ * @param {Function} [task] - ({ name, scheduled }) => void | Promise
+ * @param {Object} [options] - { timezone, message }
+ * @returns {Object} { name, schedule, next }
+ */
+export function addJob(name, schedule, task = null, options = {}) {
+    if (!context) {
+        throw new Error('cron: el servicio no está en ejecución');
+    }
+    if (jobs.has(name)) {
+        throw new Error(`cron: ya existe la tarea ${name}`);
+    }
+    const job = {
+        name: name,
+        schedule: schedule,
+        fields: parse(schedule),
+        task: task,
+        timezone: options.timezone || null,
+        message: options.message || null,
+        timer: null,
+        next: null,
+        runs: 0,
+        lastRun: null,
+        lastError: null
+    };
+    jobs.set(name, job);
+    arm(job);
+    return describe(job);
+}
+
+export function removeJob(name) {
+    const job = jobs.get(name);
+    if (!job) {
+        return false;
+    }
+    if (job.timer !== null) {
+        context.symbol('timer_cancel')(job.timer);
+    }
+    jobs.delete(name);
+    return true;
+}
+
+export function list() {
+    return [...jobs.values()].map(describe);
+}
+
+/**
+ * Interpretar una línea de horario
+ * @returns {Object} { minute, hour, day, month, weekday, anyDay, anyWeekday } con Sets de valores
+ */
+export function parse(schedule) {
+    const expanded = MACROS[String(schedule).trim()] || String(schedule).trim();
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`cron: horario inválido "${schedule}" (se esperan ${FIELDS.length} campos)`);
+    }
+    const [minute, hour, day, month, weekday] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    // Domingo puede escribirse 0 o 7
+    if (weekday.has(7)) {
+        weekday.add(0);
+        weekday.delete(7);
+    }
+    return { minute, hour, day, month, weekday, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+/**
+ * Siguiente minuto que encaja con el horario a partir de from (ms desde la época)
+ */
+export function nextRun(fields, from, timezone) {
+    const localtime = context.symbol('localtime');
+    const zone = timezone || context.symbol('tz_get')().zone;
+    let candidate = Math.floor(from / 60000) * 60000 + 60000;
+    for (let step = 0; step < MAX_STEPS; step++) {
+        const time = localtime(candidate, zone);
+        if (!fields.month.has(time.month) || !matchesDay(fields, time)) {
+            // Al principio del día siguiente
+            candidate += ((23 - time.hour) * 60 + (60 - time.minute)) * 60000;
+        } else if (!fields.hour.has(time.hour)) {
+            candidate += (60 - time.minute) * 60000;
+        } else if (!fields.minute.has(time.minute)) {
+            candidate += 60000;
+        } else {
+            return candidate;
+        }
+    }
+    throw new Error('cron: el horario no se cumple en más de un año');
+}
+
+function parseField(part, field) {
+    const values = new Set();
+    for (const item of part.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+        if (!match) {
+            throw new Error(`cron: ${field.name} inválido: ${item}`);
+        }
+        const step = match[4] ? Number(match[4]) : 1;
+        const from = match[1] === '*' ? field.min : Number(match[2]);
+        // n/paso recorre de n al máximo, como en cron
+        const to = match[1] === '*' || (match[4] && match[3] === undefined) ? field.max : Number(match[3] === undefined ? match[2] : match[3]);
+        if (from < field.min || to > field.max || from > to || step < 1) {
+            throw new Error(`cron: ${field.name} fuera de rango: ${item}`);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Con día del mes y día de la semana restringidos basta con que encaje uno de los dos
+ */
+function matchesDay(fields, time) {
+    const day = fields.day.has(time.day);
+    const weekday = fields.weekday.has(time.weekday);
+    if (fields.anyDay || fields.anyWeekday) {
+        return day && weekday;
+    }
+    return day || weekday;
+}
+
+function arm(job) {
+    const now = context.symbol('clock_now')('CLOCK_REALTIME');
+    // Nunca la misma ejecución dos veces aunque el temporizador se adelante al reloj de pared
+    job.next = nextRun(job.fields, Math.max(now, job.next || 0), job.timezone);
+    job.timer = context.symbol('timer_create')(() => run(job), {
+        delay: Math.max(0, job.next - now),
+        name: `cron:${job.name}`
+    });
+}
+
+async function run(job) {
+    job.timer = null;
+    const scheduled = job.next;
+    if (!context || jobs.get(job.name) !== job) {
+        return;
+    }
+    arm(job);
+    job.runs++;
+    job.lastRun = Date.now();
+    log.info(`(${job.name}) ${job.message || 'ejecutada'}`);
+    if (!job.task) {
+        return;
+    }
+    try {
+        await job.task({ name: job.name, scheduled: scheduled });
+        job.lastError = null;
+    } catch (error) {
+        job.lastError = error.message;
+        log.error(`(${job.name}) falló: ${error.message}`);
+    }
+}
+
+function describe(job) {
+    return {
+        name: job.name,
+        schedule: job.schedule,
+        timezone: job.timezone,
+        next: job.next,
+        runs: job.runs,
+        lastRun: job.lastRun,
+        lastError: job.lastError
+    };
+}
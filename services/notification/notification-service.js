@@ -1,10 +1,155 @@
-// notification-service.js
-// Archivo creado automáticamente por PortalHub Creator v1.3
+/**
+ * yOS WebOS - Notification Service
+ * Notificaciones del sistema y de las apps, inmediatas o programadas
+ *
+ * Las programadas son alarmas del kernel (módulo timers) con prefijo 'notification:':
+ * vencen en la rueda de temporizadores y se guardan en el almacenamiento del host, así
+ * que sobreviven a una recarga. Las que vencieron con el sistema apagado se muestran al
+ * arrancar el servicio marcadas con missed.
+ */
 
-console.log('notification-service.js cargado');
+const ALARM_PREFIX = 'notification:';
+const DEFAULT_HISTORY = 100;
 
-function init() {
-    console.log('Aplicación inicializada');
+class NotificationService {
+    /**
+     * @param {Object} options
+     * @param {BootLoader} [options.bootLoader] - Por defecto window.yOS.bootLoader
+     * @param {number} [options.historySize=100]
+     */
+    constructor(options = {}) {
+        this.bootLoader = options.bootLoader || null;
+        this.historySize = options.historySize || DEFAULT_HISTORY;
+        this.history = [];
+        this.listeners = new Set();
+        this.unsubscribe = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Empezar a recibir las notificaciones programadas (también las ya vencidas)
+     */
+    start() {
+        if (!this.unsubscribe) {
+            this.unsubscribe = this.getSymbol('alarm_subscribe')(ALARM_PREFIX, (alarm) => {
+                this.deliver({ ...alarm.payload, scheduledAt: alarm.at, missed: alarm.missed });
+            });
+        }
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Mostrar una notificación ahora
+     * @param {Object} notification - { title, body, appId, icon, urgency: 'low'|'normal'|'critical' }
+     */
+    notify(notification) {
+        return this.deliver(this.normalize(notification));
+    }
+
+    /**
+     * Programar una notificación
+     * @param {Object} notification
+     * @param {Object} when - { at: ms desde la época | Date, delay: ms, repeat: ms }
+     * @returns {Object} Notificación con su id (para cancel)
+     */
+    schedule(notification, when = {}) {
+        const normalized = this.normalize(notification);
+        const at = when.at !== undefined
+            ? new Date(when.at).getTime()
+            : this.getSymbol('clock_now')('CLOCK_REALTIME') + (when.delay || 0);
+        if (!Number.isFinite(at)) {
+            throw new Error(`Hora de notificación inválida: ${when.at}`);
+        }
+        this.getSymbol('alarm_set')(`${ALARM_PREFIX}${normalized.id}`, at, {
+            interval: when.repeat || null,
+            payload: normalized
+        });
+        return { ...normalized, at: at, repeat: when.repeat || null };
+    }
+
+    cancel(id) {
+        return this.getSymbol('alarm_cancel')(`${ALARM_PREFIX}${id}`);
+    }
+
+    getScheduled() {
+        return this.getSymbol('alarm_list')(ALARM_PREFIX).map(alarm => ({
+            ...alarm.payload,
+            at: alarm.at,
+            repeat: alarm.interval
+        }));
+    }
+
+    getHistory() {
+        return [...this.history];
+    }
+
+    /**
+     * @param {Function} listener - (notification) => void
+     * @returns {Function} Cancelar la suscripción
+     */
+    onNotification(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    deliver(notification) {
+        const shown = { ...notification, shownAt: Date.now() };
+        this.history.push(shown);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        for (const listener of this.listeners) {
+            try {
+                listener(shown);
+            } catch (error) {
+                console.warn('⚠️ Listener de notificaciones:', error.message);
+            }
+        }
+        return shown;
+    }
+
+    normalize(notification) {
+        if (!notification || !notification.title) {
+            throw new Error('La notificación necesita un título');
+        }
+        return {
+            // Único entre recargas: las programadas se guardan con este id
+            id: notification.id || `${Date.now().toString(36)}-${this.nextId++}`,
+            title: String(notification.title),
+            body: notification.body ? String(notification.body) : '',
+            appId: notification.appId || 'system',
+            icon: notification.icon || null,
+            urgency: notification.urgency || 'normal'
+        };
+    }
+
+    getSymbol(symbol) {
+        const bootLoader = this.bootLoader
+            || (typeof window !== 'undefined' && window.yOS ? window.yOS.bootLoader : null);
+        if (!bootLoader) {
+            throw new Error('BootLoader no disponible');
+        }
+        const moduleLoader = bootLoader.getModuleLoader();
+        const fn = moduleLoader ? moduleLoader.resolveSymbol(symbol) : null;
+        if (!fn) {
+            throw new Error(`Símbolo del kernel no disponible: ${symbol}`);
+        }
+        return fn;
+    }
+}
+
+NotificationService.ALARM_PREFIX = ALARM_PREFIX;
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+    window.yOS = window.yOS || {};
+    window.yOS.NotificationService = NotificationService;
 }
 
-module.exports = { init };
\ No newline at end of file
+export default NotificationService;
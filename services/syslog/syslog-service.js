@@ -0,0 +1,70 @@
+/**
+ * yOS WebOS - Syslog Service
+ * Daemon syslog de la unit boot/init.d/syslog.json (exec.module)
+ *
+ * Se suscribe al log del kernel (context.klog) al arrancar, recoge también las entradas
+ * anteriores del buffer circular y las guarda como ficheros de log en memoria:
+ *   /var/log/syslog    todas las entradas
+ *   /var/log/kern.log  facilidad kernel
+ * Cada fichero conserva como mucho exec.maxLines líneas (por defecto 5000).
+ */
+
+import KernelLog from '../../kernel/core/klog.js';
+
+const DEFAULT_MAX_LINES = 5000;
+
+const LOG_FILES = {
+    '/var/log/syslog': () => true,
+    '/var/log/kern.log': (entry) => entry.facility === 'kernel'
+};
+
+let unsubscribe = null;
+const files = new Map();
+
+export async function start(context) {
+    if (!context.klog) {
+        throw new Error('syslog: log del kernel no disponible');
+    }
+
+    const maxLines = context.unit.exec.maxLines || DEFAULT_MAX_LINES;
+    for (const path of Object.keys(LOG_FILES)) {
+        files.set(path, []);
+    }
+
+    unsubscribe = context.klog.subscribe((entry) => {
+        const line = KernelLog.format(entry);
+        for (const [path, accepts] of Object.entries(LOG_FILES)) {
+            if (!accepts(entry)) {
+                continue;
+            }
+            const lines = files.get(path);
+            lines.push(line);
+            if (lines.length > maxLines) {
+                lines.shift();
+            }
+        }
+    }, { replay: true });
+
+    return { ...context.unit.exec.state, files: Object.keys(LOG_FILES) };
+}
+
+export async function stop() {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+}
+
+export async function health() {
+    return unsubscribe !== null;
+}
+
+/**
+ * Líneas de un fichero de log (/var/log/syslog, /var/log/kern.log)
+ */
+export function read(path) {
+    if (!files.has(path)) {
+        throw new Error(`${path}: no existe`);
+    }
+    return [...files.get(path)];
+}
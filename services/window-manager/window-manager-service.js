@@ -0,0 +1,185 @@
+/**
+ * yOS WebOS - Window Manager Service
+ * Daemon del gestor de ventanas de la unit boot/init.d/window-manager.json (exec.module)
+ *
+ * Lleva la tabla de ventanas abiertas: posición, tamaño, estado (normal, minimized,
+ * maximized) y orden de apilado; la ventana enfocada es la más alta que no está minimizada.
+ * Los cambios se notifican a los suscriptores (subscribe) para que la interfaz los pinte.
+ *
+ * Registra la sección 'windows' de la imagen de hibernación (context.hibernation): al
+ * reanudar, las ventanas vuelven con la misma geometría, estado y orden.
+ */
+
+const WINDOW_STATES = ['normal', 'minimized', 'maximized'];
+const DEFAULT_GEOMETRY = { x: 40, y: 40, width: 640, height: 480 };
+// Desplazamiento de cada ventana nueva respecto a la anterior (en cascada)
+const CASCADE_STEP = 24;
+
+let context = null;
+let nextId = 1;
+// Orden de apilado: la última es la de arriba
+const windows = new Map();
+const listeners = new Set();
+
+export async function start(unitContext) {
+    context = unitContext;
+    windows.clear();
+    nextId = 1;
+    if (context.hibernation) {
+        context.hibernation.register('windows', { save: save, restore: restore });
+    }
+    return { ...context.unit.exec.state, windows: windows.size };
+}
+
+export async function stop() {
+    if (context && context.hibernation) {
+        context.hibernation.unregister('windows');
+    }
+    windows.clear();
+    listeners.clear();
+    context = null;
+}
+
+export async function health() {
+    return context !== null;
+}
+
+/**
+ * Abrir una ventana encima de las demás
+ * @param {Object} options - { app, title, x, y, width, height, state }
+ */
+export function openWindow(options = {}) {
+    checkRunning();
+    const offset = (windows.size % 10) * CASCADE_STEP;
+    const win = {
+        id: nextId++,
+        app: options.app || null,
+        title: options.title || options.app || 'Ventana',
+        x: options.x !== undefined ? options.x : DEFAULT_GEOMETRY.x + offset,
+        y: options.y !== undefined ? options.y : DEFAULT_GEOMETRY.y + offset,
+        width: options.width || DEFAULT_GEOMETRY.width,
+        height: options.height || DEFAULT_GEOMETRY.height,
+        state: checkState(options.state || 'normal'),
+        openedAt: Date.now()
+    };
+    windows.set(win.id, win);
+    notify('open', win);
+    return { ...win };
+}
+
+export function closeWindow(id) {
+    const win = getWindow(id);
+    windows.delete(id);
+    notify('close', win);
+    return 0;
+}
+
+/**
+ * Subir la ventana a lo más alto (y sacarla de minimizada)
+ */
+export function focusWindow(id) {
+    const win = getWindow(id);
+    windows.delete(id);
+    windows.set(id, win);
+    if (win.state === 'minimized') {
+        win.state = 'normal';
+    }
+    notify('focus', win);
+    return { ...win };
+}
+
+export function moveWindow(id, x, y) {
+    const win = getWindow(id);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error(`EINVAL: posición inválida (${x}, ${y})`);
+    }
+    Object.assign(win, { x: x, y: y });
+    notify('update', win);
+    return { ...win };
+}
+
+export function resizeWindow(id, width, height) {
+    const win = getWindow(id);
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error(`EINVAL: tamaño inválido ${width}x${height}`);
+    }
+    Object.assign(win, { width: width, height: height });
+    notify('update', win);
+    return { ...win };
+}
+
+export function setWindowState(id, state) {
+    const win = getWindow(id);
+    win.state = checkState(state);
+    notify('update', win);
+    return { ...win };
+}
+
+/**
+ * Ventanas de abajo arriba
+ */
+export function listWindows() {
+    return [...windows.values()].map(win => ({ ...win }));
+}
+
+export function getFocusedWindow() {
+    const visible = [...windows.values()].filter(win => win.state !== 'minimized');
+    return visible.length > 0 ? { ...visible[visible.length - 1] } : null;
+}
+
+/**
+ * Suscribirse a los cambios: listener({ type: open|close|focus|update|restore, window })
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Sección 'windows' de la imagen de hibernación
+ */
+function save() {
+    return { nextId: nextId, windows: listWindows() };
+}
+
+async function restore(section) {
+    windows.clear();
+    for (const win of section.windows || []) {
+        windows.set(win.id, { ...win, state: WINDOW_STATES.includes(win.state) ? win.state : 'normal' });
+    }
+    nextId = Math.max(section.nextId || 1, ...[...windows.keys()].map(id => id + 1));
+    notify('restore', null);
+}
+
+function getWindow(id) {
+    checkRunning();
+    const win = windows.get(id);
+    if (!win) {
+        throw new Error(`ENOENT: la ventana ${id} no existe`);
+    }
+    return win;
+}
+
+function checkState(state) {
+    if (!WINDOW_STATES.includes(state)) {
+        throw new Error(`EINVAL: estado de ventana "${state}" no soportado (${WINDOW_STATES.join(', ')})`);
+    }
+    return state;
+}
+
+function checkRunning() {
+    if (!context) {
+        throw new Error('ESRCH: el gestor de ventanas no está en ejecución');
+    }
+}
+
+function notify(type, win) {
+    const event = { type: type, window: win ? { ...win } : null };
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (error) {
+            context.klog.logger('window-manager').error(`Error en suscriptor de ventanas: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,53 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ProcessMonitor from '../../../../apps/system/task-manager/monitors/process.js';
+import { loadKernel, delay } from '../../../helpers/kernel.js';
+
+let kernel;
+
+beforeEach(async () => {
+    kernel = await loadKernel(['process-manager']);
+});
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+/**
+ * Monitor sobre el kernel de prueba; overrides sustituye símbolos concretos
+ */
+function monitor(overrides = {}) {
+    const moduleLoader = {
+        resolveSymbol: (name) => overrides[name] || kernel.loader.resolveSymbol(name)
+    };
+    return new ProcessMonitor({ bootLoader: { getModuleLoader: () => moduleLoader } });
+}
+
+test('endTask termina con SIGTERM un proceso que no la captura', async () => {
+    const target = kernel.symbol('createProcess')('target', null);
+    const result = await monitor().endTask(target.pid, { grace: 200 });
+    assert.deepEqual(result, { pid: target.pid, signal: 'SIGTERM' });
+});
+
+test('endTask no falla si el proceso se recoge entre la última comprobación y SIGKILL', async () => {
+    const target = kernel.symbol('createProcess')('target', null);
+    // Vista retrasada: el monitor sigue viéndolo vivo aunque init ya lo haya recogido
+    const stale = monitor({ getProcessById: () => ({ pid: target.pid, state: 'sleeping' }) });
+    const result = await stale.endTask(target.pid, { grace: 100 });
+    await delay(10);
+    assert.equal(kernel.symbol('getProcessById')(target.pid), null);
+    assert.deepEqual(result, { pid: target.pid, signal: 'SIGTERM' });
+});
+
+test('endTask propaga los errores que no son ESRCH', async () => {
+    const target = kernel.symbol('createProcess')('target', null);
+    const failing = monitor({
+        getProcessById: () => ({ pid: target.pid, state: 'sleeping' }),
+        sendSignal: (pid, signal) => {
+            if (signal === 'SIGKILL') {
+                throw new Error('EPERM: operación no permitida');
+            }
+        }
+    });
+    await assert.rejects(failing.endTask(target.pid, { grace: 0 }), /^Error: EPERM/);
+});
@@ -0,0 +1,86 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import SystemCommands from '../../../../apps/system/terminal/commands/system-commands.js';
+import { loadKernel, delay } from '../../../helpers/kernel.js';
+
+let kernel;
+let pm;
+
+beforeEach(async () => {
+    kernel = await loadKernel(['syscalls']);
+    pm = {
+        create: kernel.symbol('createProcess'),
+        get: kernel.symbol('getProcessById'),
+        unshare: kernel.symbol('ns_unshare'),
+        vnr: kernel.symbol('ns_pid_vnr')
+    };
+});
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+function terminal(sessionPid) {
+    return new SystemCommands({
+        bootLoader: { getModuleLoader: () => kernel.loader },
+        sessionPid: sessionPid
+    });
+}
+
+/**
+ * Sesión aislada: el proceso del shell es el PID 1 de un namespace de PIDs nuevo
+ */
+function sandboxedSession() {
+    const launcher = pm.create('launcher', null);
+    pm.unshare(launcher.pid, 'pid');
+    return pm.create('shell', null, launcher.pid);
+}
+
+test('kill envía la señal a través de syscall_dispatch', async () => {
+    const victim = pm.create('victim', null);
+    const output = await terminal().execute(`kill -9 ${victim.pid}`);
+    await delay(20);
+    assert.deepEqual(output, []);
+    assert.equal(pm.get(victim.pid), null);
+});
+
+test('la señal llega con el proceso de la sesión como remitente', async () => {
+    const shell = pm.create('shell', null);
+    const victim = pm.create('victim', null);
+    const senders = [];
+    kernel.symbol('sigaction')(victim.pid, 'SIGUSR1', (signal, info) => senders.push(info.senderPid));
+
+    const output = await terminal(shell.pid).execute(`kill -s USR1 ${victim.pid}`);
+    assert.deepEqual(output, []);
+    assert.deepEqual(senders, [shell.pid]);
+});
+
+test('una sesión en un namespace de PIDs no puede señalar PIDs globales de fuera', async () => {
+    const outsider = pm.create('outsider', null);
+    const shell = sandboxedSession();
+    assert.equal(pm.vnr(shell.pid, shell.pid), 1);
+    assert.equal(pm.vnr(shell.pid, outsider.pid), 0);
+
+    const output = await terminal(shell.pid).execute(`kill -9 ${outsider.pid}`);
+    await delay(20);
+    assert.equal(output.length, 1);
+    assert.match(output[0], new RegExp(`^kill: \\(${outsider.pid}\\) ESRCH`));
+    assert.notEqual(pm.get(outsider.pid).state, 'zombie');
+});
+
+test('una sesión en un namespace de PIDs señala a sus procesos por el PID local', async () => {
+    const shell = sandboxedSession();
+    const worker = pm.create('worker', null, shell.pid);
+    const local = pm.vnr(shell.pid, worker.pid);
+    assert.equal(local, 2);
+
+    const output = await terminal(shell.pid).execute(`kill -KILL ${local}`);
+    await delay(20);
+    assert.deepEqual(output, []);
+    assert.equal(pm.get(worker.pid).state, 'zombie');
+});
+
+test('kill rechaza PIDs que no son números', async () => {
+    const output = await terminal().execute('kill -9 abc');
+    assert.deepEqual(output, ['uso: kill [-s señal | -señal] <pid...> | kill -l']);
+});
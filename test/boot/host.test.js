@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessHost } from '../../boot/host.js';
+
+test('el historial de eventos se limita a los últimos eventHistory', () => {
+    const host = new HeadlessHost({ eventHistory: 3 });
+    for (let i = 0; i < 10; i++) {
+        host.dispatch('yOS:test', { i });
+    }
+    assert.deepEqual(host.getEvents().map(event => event.detail.i), [7, 8, 9]);
+});
+
+test('los listeners reciben todos los eventos aunque el historial esté lleno', () => {
+    const host = new HeadlessHost({ eventHistory: 1 });
+    const received = [];
+    host.addEventListener('yOS:test', event => received.push(event.detail.i));
+    host.dispatch('yOS:test', { i: 1 });
+    host.dispatch('yOS:test', { i: 2 });
+    assert.deepEqual(received, [1, 2]);
+    assert.equal(host.getEvents('yOS:test').length, 1);
+});
+
+test('el historial por defecto no crece sin límite', () => {
+    const host = new HeadlessHost();
+    for (let i = 0; i < 1000; i++) {
+        host.dispatch('yOS:test', { i });
+    }
+    assert.equal(host.getEvents().length, host.eventHistory);
+});
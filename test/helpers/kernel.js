@@ -0,0 +1,71 @@
+/**
+ * Kernel mínimo para pruebas: carga módulos reales de kernel/modules.json con
+ * KernelModuleLoader sobre un HeadlessHost, sin pasar por las etapas de arranque
+ *
+ *   const kernel = await loadKernel(['process-manager']);
+ *   const createProcess = kernel.symbol('createProcess');
+ *   ...
+ *   await kernel.unload();
+ *
+ * Si se carga el módulo syscalls se registran los manejadores sys_* del KernelInitializer,
+ * como hace Stage 2, para probar syscall_dispatch de punta a punta.
+ */
+
+import KernelInitializer from '../../boot/kernel-init.js';
+import KernelModuleLoader from '../../kernel/core/module-loader.js';
+import KernelLog from '../../kernel/core/klog.js';
+import PidAllocator from '../../kernel/core/pid-allocator.js';
+import SyscallABI from '../../kernel/core/syscall-abi.js';
+import { HeadlessHost } from '../../boot/host.js';
+
+/**
+ * @param {Array<string>} modules - Módulos a cargar (con sus dependencias)
+ * @param {Object} [options]
+ * @param {Object} [options.kernelModules] - Parámetros de kernel.kernelModules (límites de ipc, memoria...)
+ * @param {Object} [options.moduleParams] - Parámetros por módulo, como modulo.param=valor en la línea de comandos
+ */
+export async function loadKernel(modules, options = {}) {
+    const host = new HeadlessHost();
+    const klog = new KernelLog();
+    const kernel = new KernelInitializer({ host: host, klog: klog });
+    kernel.kernelModules = { ...options.kernelModules };
+    kernel.pidAllocator = new PidAllocator();
+    kernel.initProcess = kernel.pidAllocator.allocate({ pid: PidAllocator.INIT_PID, parentPid: 0, name: 'init', type: 'kernel' });
+
+    const loader = new KernelModuleLoader({
+        kernel: kernel,
+        fetch: (url) => host.fetch(url),
+        klog: klog,
+        moduleParams: options.moduleParams
+    });
+    await loader.loadManifest();
+    const loaded = await loader.loadModules(modules);
+    kernel.attachModuleLoader(loader);
+
+    const register = loader.resolveSymbol('syscall_register');
+    if (register) {
+        for (const entry of SyscallABI.list()) {
+            register(entry.number, entry.name, kernel[`sys_${entry.name}`].bind(kernel));
+        }
+    }
+
+    return {
+        kernel: kernel,
+        loader: loader,
+        symbol: (name) => {
+            const fn = loader.resolveSymbol(name);
+            if (!fn) {
+                throw new Error(`Símbolo no cargado: ${name}`);
+            }
+            return fn;
+        },
+        // Descargar en orden inverso para que cada módulo libere sus dependencias
+        unload: async () => {
+            for (const record of [...loaded].reverse()) {
+                await loader.rmmod(record.name);
+            }
+        }
+    };
+}
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,150 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadKernel, delay } from '../../helpers/kernel.js';
+
+let kernel;
+let sys;
+let create;
+
+beforeEach(async () => {
+    kernel = await loadKernel(['ipc-system'], {
+        kernelModules: {
+            ipc: {
+                pipes: { buffer_size: 4 },
+                messageQueues: { max_queues: 16, max_messages: 64, max_msg_size: 256 },
+                sharedMemory: { max_segments: 16, max_size: 65536 }
+            }
+        }
+    });
+    // sys.pipe_create(...), sys.readFile(...): cualquier símbolo del kernel cargado
+    sys = new Proxy({}, { get: (target, name) => kernel.symbol(name) });
+    create = (name) => kernel.symbol('createProcess')(name, null);
+});
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+test('un pipe entrega los bytes en orden y sin escritores da fin de fichero', async () => {
+    const { pid } = create('shell');
+    const { readFd, writeFd } = sys.pipe_create(pid);
+
+    await sys.writeFile(pid, writeFd, 'hola');
+    assert.equal(text(await sys.readFile(pid, readFd, 16)), 'hola');
+
+    sys.closeFile(pid, writeFd);
+    assert.equal((await sys.readFile(pid, readFd, 16)).length, 0);
+});
+
+test('la escritura espera mientras el buffer del pipe está lleno', async () => {
+    const { pid } = create('shell');
+    const { readFd, writeFd } = sys.pipe_create(pid);
+    let written = false;
+    const write = sys.writeFile(pid, writeFd, 'abcdefgh').then(() => {
+        written = true;
+    });
+
+    await delay(5);
+    assert.equal(written, false);
+    assert.equal(sys.ipc_stats().pipes[0].blockedWriters, 1);
+
+    assert.equal(text(await sys.readFile(pid, readFd, 8)), 'abcd');
+    await write;
+    assert.equal(text(await sys.readFile(pid, readFd, 8)), 'efgh');
+});
+
+test('escribir en un pipe sin lectores falla con EPIPE y envía SIGPIPE', async () => {
+    const { pid } = create('shell');
+    const signals = [];
+    sys.sigaction(pid, 'SIGPIPE', (signal) => signals.push(signal));
+    const { readFd, writeFd } = sys.pipe_create(pid);
+
+    sys.closeFile(pid, readFd);
+    await assert.rejects(sys.writeFile(pid, writeFd, 'x'), /^Error: EPIPE/);
+    assert.deepEqual(signals, ['SIGPIPE']);
+});
+
+test('msgrcv elige los mensajes por tipo como System V', async () => {
+    const { pid } = create('shell');
+    const queue = sys.msgget(pid, 0, { create: true });
+    await sys.msgsnd(pid, queue, 3, 'tres');
+    await sys.msgsnd(pid, queue, 1, 'uno');
+    await sys.msgsnd(pid, queue, 2, 'dos');
+
+    assert.equal((await sys.msgrcv(pid, queue, -2)).data, 'uno');
+    assert.equal((await sys.msgrcv(pid, queue, 3)).data, 'tres');
+    assert.equal((await sys.msgrcv(pid, queue, 0)).data, 'dos');
+    await assert.rejects(sys.msgrcv(pid, queue, 0, { nowait: true }), /^Error: ENOMSG/);
+});
+
+test('borrar una cola despierta con EIDRM a quien espera en msgrcv', async () => {
+    const { pid } = create('shell');
+    const queue = sys.msgget(pid, 0, { create: true });
+    const receive = sys.msgrcv(pid, queue, 0);
+
+    assert.equal(sys.msgctl(pid, queue, 'IPC_RMID'), 0);
+    await assert.rejects(receive, /^Error: EIDRM/);
+    assert.throws(() => sys.msgctl(pid, queue, 'IPC_STAT'), /^Error: EINVAL/);
+});
+
+test('las claves IPC son del namespace ipc del proceso', () => {
+    const owner = create('owner');
+    const isolated = create('isolated');
+    sys.ns_unshare(isolated.pid, 'ipc');
+    const queue = sys.msgget(owner.pid, 1234, { create: true });
+
+    assert.equal(sys.msgget(create('neighbour').pid, 1234), queue);
+    assert.throws(() => sys.msgget(isolated.pid, 1234), /^Error: ENOENT/);
+    assert.throws(() => sys.msgctl(isolated.pid, queue, 'IPC_STAT'), /^Error: EINVAL/);
+});
+
+test('los permisos del segmento se comprueban con el uid del proceso', () => {
+    const owner = create('owner');
+    const other = create('other');
+    sys.setCredentials(owner.pid, { uid: 1000, gid: 1000 });
+    sys.setCredentials(other.pid, { uid: 1001, gid: 1000 });
+    const shmid = sys.shmget(owner.pid, 0, 4096, { create: true, mode: 0o640 });
+
+    assert.equal(sys.shmat(other.pid, shmid, { readonly: true }).readonly, true);
+    assert.throws(() => sys.shmat(other.pid, shmid), /^Error: EACCES/);
+    assert.throws(() => sys.shmctl(other.pid, shmid, 'IPC_RMID'), /^Error: EPERM/);
+});
+
+test('el segmento se carga a cada proceso adjunto y se borra al soltarlo el último', () => {
+    const { pid } = create('shell');
+    const usage = () => sys.mm_stats().processes.find(space => space.pid === pid).usage;
+    const shmid = sys.shmget(pid, 0, 8192, { create: true });
+
+    sys.shmat(pid, shmid);
+    assert.equal(usage(), 8192);
+    sys.shmctl(pid, shmid, 'IPC_RMID');
+    assert.throws(() => sys.shmat(pid, shmid), /^Error: EIDRM/);
+    assert.equal(sys.ipc_stats().segments.length, 1);
+
+    sys.shmdt(pid, shmid);
+    assert.equal(usage(), 0);
+    assert.equal(sys.ipc_stats().segments.length, 0);
+});
+
+test('futex_wait duerme hasta futex_wake y no espera si el valor cambió', async () => {
+    const { pid } = create('shell');
+    const shmid = sys.shmget(pid, 0, 64, { create: true });
+    const { buffer } = sys.shmat(pid, shmid);
+    // Atomics.waitAsync no mantiene vivo el bucle de eventos de Node
+    const keepAlive = setInterval(() => {}, 1000);
+    try {
+        assert.equal(await sys.futex_wait(pid, shmid, 0, 1), 'not-equal');
+        assert.equal(await sys.futex_wait(pid, shmid, 0, 0, 10), 'timed-out');
+        
+        const wait = sys.futex_wait(pid, shmid, 4, 0);
+        assert.equal(sys.ipc_stats().futexWaiters, 1);
+        Atomics.store(new Int32Array(buffer), 1, 1);
+        assert.equal(sys.futex_wake(pid, shmid, 4), 1);
+        assert.equal(await wait, 'ok');
+        assert.equal(sys.ipc_stats().futexWaiters, 0);
+    } finally {
+        clearInterval(keepAlive);
+    }
+});
@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadKernel, delay } from '../../helpers/kernel.js';
+
+const PAGE = 4096;
+const MB = 1024 * 1024;
+
+let kernel;
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+async function boot(budget = 64 * MB) {
+    kernel = await loadKernel(['process-manager'], { moduleParams: { 'memory-manager': { budget: budget } } });
+    return {
+        create: kernel.symbol('createProcess'),
+        mmap: kernel.symbol('mm_mmap'),
+        munmap: kernel.symbol('mm_munmap'),
+        stats: kernel.symbol('mm_stats'),
+        spaceOf: (pid) => kernel.symbol('mm_stats')().processes.find(space => space.pid === pid) || null
+    };
+}
+
+test('las llamadas sobre un PID sin proceso fallan con ESRCH y no crean espacio', async () => {
+    const mm = await boot();
+    assert.throws(() => kernel.symbol('mm_set_quota')(4242, MB), /^Error: ESRCH/);
+    assert.throws(() => kernel.symbol('mm_set_oom_score_adj')(4242, 100), /^Error: ESRCH/);
+    assert.throws(() => mm.mmap(4242, PAGE), /^Error: ESRCH/);
+    assert.throws(() => kernel.symbol('mm_create')(4242), /^Error: ESRCH/);
+    assert.equal(mm.spaceOf(4242), null);
+});
+
+test('el espacio se crea con el proceso y se libera al terminar', async () => {
+    const mm = await boot();
+    const process = mm.create('worker', null);
+    assert.equal(mm.spaceOf(process.pid).usage, 0);
+
+    kernel.symbol('sendSignal')(process.pid, 'SIGKILL');
+    await delay(10);
+    assert.equal(mm.spaceOf(process.pid), null);
+    assert.throws(() => mm.mmap(process.pid, PAGE), /^Error: ESRCH/);
+});
+
+test('la cuota propia falla con ENOMEM sin matar a nadie', async () => {
+    const mm = await boot();
+    const process = mm.create('worker', null);
+    kernel.symbol('mm_set_quota')(process.pid, 2 * PAGE);
+    mm.mmap(process.pid, 2 * PAGE);
+    assert.throws(() => mm.mmap(process.pid, PAGE), /^Error: ENOMEM: el proceso \d+ supera su cuota/);
+    assert.deepEqual(mm.stats().oomKills, []);
+});
+
+test('el OOM killer mata al proceso con mayor oom_score', async () => {
+    const mm = await boot(16 * MB);
+    const big = mm.create('big', null);
+    const small = mm.create('small', null);
+    const needy = mm.create('needy', null);
+    mm.mmap(big.pid, 8 * MB);
+    mm.mmap(small.pid, 2 * MB);
+
+    mm.mmap(needy.pid, 8 * MB);
+    await delay(10);
+    assert.deepEqual(mm.stats().oomKills.map(kill => kill.pid), [big.pid]);
+    assert.equal(kernel.symbol('getProcessById')(big.pid), null);
+    assert.notEqual(mm.spaceOf(small.pid), null);
+});
+
+test('el OOM killer no elige espacios cuyo proceso ya no existe', async () => {
+    const mm = await boot(16 * MB);
+    // Proceso creado fuera del gestor que desaparece sin liberar su memoria
+    const ghost = kernel.kernel.pidAllocator.allocate({ name: 'ghost', parentPid: 1 });
+    kernel.symbol('mm_create')(ghost.pid);
+    mm.mmap(ghost.pid, 10 * MB);
+    kernel.kernel.pidAllocator.release(ghost.pid);
+
+    const victim = mm.create('victim', null);
+    const needy = mm.create('needy', null);
+    mm.mmap(victim.pid, 2 * MB);
+
+    mm.mmap(needy.pid, 6 * MB);
+    assert.deepEqual(mm.stats().oomKills.map(kill => kill.pid), [victim.pid]);
+});
+
+test('munmap deja el hueco para el siguiente mmap y devuelve la base de mmap', async () => {
+    const mm = await boot();
+    const pid = mm.create('worker', null).pid;
+    const a = mm.mmap(pid, PAGE).address;
+    const b = mm.mmap(pid, 2 * PAGE).address;
+    const c = mm.mmap(pid, PAGE).address;
+    assert.equal(b, a - 2 * PAGE);
+    assert.equal(c, b - PAGE);
+
+    mm.munmap(pid, b, 2 * PAGE);
+    assert.equal(mm.mmap(pid, PAGE).address, b + PAGE);
+    assert.equal(mm.mmap(pid, PAGE).address, b);
+    assert.equal(mm.mmap(pid, 2 * PAGE).address, c - 2 * PAGE);
+
+    // Sin regiones la base vuelve a la cima y el siguiente mmap reutiliza la primera dirección
+    for (const line of kernel.symbol('mm_get_maps')(pid)) {
+        const [start, end] = line.split(' ')[0].split('-').map(value => parseInt(value, 16));
+        mm.munmap(pid, start, end - start);
+    }
+    assert.equal(mm.spaceOf(pid).mapped, 0);
+    assert.equal(mm.mmap(pid, PAGE).address, a);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import KernelModuleLoader from '../../../kernel/core/module-loader.js';
+
+const { satisfies } = KernelModuleLoader;
+
+const check = (range, accepted, rejected) => {
+    for (const version of accepted) {
+        assert.ok(satisfies(version, range), `${version} debería cumplir ${range}`);
+    }
+    for (const version of rejected) {
+        assert.ok(!satisfies(version, range), `${version} no debería cumplir ${range}`);
+    }
+};
+
+test('~1 admite cualquier 1.x.x', () => {
+    check('~1', ['1.0.0', '1.2.0', '1.9.9'], ['0.9.0', '2.0.0']);
+});
+
+test('~1.2 y ~1.2.3 fijan el minor', () => {
+    check('~1.2', ['1.2.0', '1.2.7'], ['1.1.9', '1.3.0']);
+    check('~1.2.3', ['1.2.3', '1.2.9'], ['1.2.2', '1.3.0']);
+});
+
+test('^ no cambia la primera parte distinta de cero', () => {
+    check('^1.2.0', ['1.2.0', '1.9.0'], ['1.1.0', '2.0.0']);
+    check('^0.2', ['0.2.0', '0.2.5'], ['0.1.9', '0.3.0', '1.0.0']);
+    check('^0.0.3', ['0.0.3'], ['0.0.4', '0.1.0']);
+    check('^0', ['0.0.0', '0.5.1'], ['1.0.0']);
+});
+
+test('comodines, comparadores y alternativas', () => {
+    check('1.x', ['1.0.0', '1.7.3'], ['0.9.0', '2.0.0']);
+    check('1.2.*', ['1.2.0', '1.2.9'], ['1.3.0']);
+    check('*', ['0.0.1', '9.9.9'], []);
+    check('>=1.2.0 <2.0.0', ['1.2.0', '1.99.0'], ['1.1.0', '2.0.0']);
+    check('^1.0.0 || ^3.0.0', ['1.4.0', '3.1.0'], ['2.0.0']);
+});
+
+test('un rango mal escrito se rechaza al validar el manifiesto', () => {
+    assert.throws(() => satisfies('1.0.0', '~>1'), /Rango semver inválido/);
+});
+
+test('una dependencia ~1 se resuelve contra la versión 1.2.0', () => {
+    const loader = new KernelModuleLoader({
+        manifest: {
+            modules: {
+                scheduler: { path: 'core/scheduler.js', version: '1.2.0' },
+                'process-manager': { path: 'core/process-manager.js', version: '1.0.0', dependencies: { scheduler: '~1' } }
+            }
+        }
+    });
+    assert.deepEqual(loader.resolveLoadOrder(['process-manager']), ['scheduler', 'process-manager']);
+});
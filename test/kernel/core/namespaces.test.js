@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadKernel, delay } from '../../helpers/kernel.js';
+
+let kernel;
+let ns;
+let create;
+
+beforeEach(async () => {
+    kernel = await loadKernel(['syscalls']);
+    ns = {
+        unshare: kernel.symbol('ns_unshare'),
+        setns: kernel.symbol('ns_setns'),
+        get: kernel.symbol('ns_get'),
+        list: kernel.symbol('ns_list'),
+        vnr: kernel.symbol('ns_pid_vnr'),
+        find: kernel.symbol('ns_find_pid')
+    };
+    create = (name, parentPid) => kernel.symbol('createProcess')(name, null, parentPid);
+});
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+/**
+ * Namespace de PIDs nuevo: el lanzador se queda fuera y su primer hijo es el PID 1
+ */
+function pidNamespace() {
+    const launcher = create('launcher');
+    ns.unshare(launcher.pid, 'pid');
+    const init = create('ns-init', launcher.pid);
+    return { launcher, init };
+}
+
+test('los PIDs de un namespace empiezan en 1 y se traducen en los dos sentidos', () => {
+    const outsider = create('outsider');
+    const { launcher, init } = pidNamespace();
+    const worker = create('worker', init.pid);
+
+    assert.equal(ns.get(launcher.pid).nspid, launcher.pid);
+    assert.equal(ns.vnr(init.pid, init.pid), 1);
+    assert.equal(ns.vnr(init.pid, worker.pid), 2);
+    assert.equal(ns.vnr(init.pid, outsider.pid), 0);
+    assert.equal(ns.vnr(init.pid, launcher.pid), 0);
+    assert.equal(ns.vnr(outsider.pid, worker.pid), worker.pid);
+
+    assert.equal(ns.find(init.pid, 2), worker.pid);
+    assert.equal(ns.find(init.pid, 3), null);
+    assert.equal(ns.find(outsider.pid, worker.pid), worker.pid);
+});
+
+test('un namespace anidado ve sus PIDs y el padre también los ve con los suyos', () => {
+    const { init } = pidNamespace();
+    ns.unshare(init.pid, 'pid');
+    const nested = create('nested', init.pid);
+
+    assert.equal(ns.vnr(nested.pid, nested.pid), 1);
+    assert.equal(ns.vnr(init.pid, nested.pid), 2);
+    assert.equal(ns.vnr(nested.pid, init.pid), 0);
+    assert.equal(ns.find(init.pid, 2), nested.pid);
+});
+
+test('getpid, getppid y fork devuelven PIDs del namespace del llamante', async () => {
+    const dispatch = kernel.symbol('syscall_dispatch');
+    const { init } = pidNamespace();
+
+    assert.equal((await dispatch(init.pid, 'getpid')).ret, 1);
+    // El padre queda fuera del namespace
+    assert.equal((await dispatch(init.pid, 'getppid')).ret, 0);
+
+    const fork = await dispatch(init.pid, 'fork');
+    assert.equal(fork.ret.pid, 2);
+    const child = ns.find(init.pid, 2);
+    assert.equal((await dispatch(child, 'getppid')).ret, 1);
+});
+
+test('si termina el init del namespace el resto recibe SIGKILL y no se puede crear más', async () => {
+    const { launcher, init } = pidNamespace();
+    // Hermano del init en el namespace: su padre (fuera) no lo recoge y queda como zombie
+    const worker = create('worker', launcher.pid);
+    assert.equal(ns.vnr(init.pid, worker.pid), 2);
+    const getProcess = kernel.symbol('getProcessById');
+
+    kernel.symbol('sendSignal')(init.pid, 'SIGKILL');
+    await delay(10);
+    assert.equal(getProcess(worker.pid).state, 'zombie');
+    assert.equal(getProcess(worker.pid).signal, 'SIGKILL');
+    assert.throws(() => create('late', launcher.pid), /^Error: ENOMEM/);
+});
+
+test('setns de pid no puede salir del namespace del proceso', () => {
+    const { launcher, init } = pidNamespace();
+    const outer = ns.get(launcher.pid).pid;
+    const inner = ns.get(init.pid).pid;
+
+    assert.throws(() => ns.setns(init.pid, outer), /^Error: EPERM/);
+    const other = create('other');
+    assert.equal(ns.setns(other.pid, inner).pid_for_children, inner);
+    assert.equal(ns.vnr(init.pid, create('joined', other.pid).pid), 2);
+});
+
+test('un namespace de montaje solo ve sus puntos de montaje', () => {
+    const { pid } = create('app');
+    const resolve = kernel.symbol('ns_resolve_path');
+    ns.unshare(pid, 'mnt', {
+        mounts: [
+            { source: '/apps/notes', target: '/app' },
+            { source: '/usr/share', target: '/usr/share', readonly: true }
+        ]
+    });
+
+    assert.equal(resolve(pid, '/app/data/../index.html'), '/apps/notes/index.html');
+    assert.equal(resolve(pid, '/usr/share/fonts'), '/usr/share/fonts');
+    assert.throws(() => resolve(pid, '/home/user'), /^Error: ENOENT/);
+    assert.throws(() => resolve(pid, '/usr/share/fonts', { write: true }), /^Error: EROFS/);
+    assert.equal(resolve(create('host').pid, '/home/user'), '/home/user');
+});
+
+test('el hostname de un namespace uts no cambia el de los demás', () => {
+    const hostname = kernel.symbol('ns_gethostname');
+    const { pid } = create('app');
+    const host = create('host');
+    ns.unshare(pid, 'uts', { hostname: 'notes' });
+
+    kernel.symbol('ns_sethostname')(pid, 'notes-2');
+    assert.equal(hostname(pid).nodename, 'notes-2');
+    assert.equal(hostname(host.pid).nodename, 'yos-webos');
+    assert.throws(() => kernel.symbol('ns_sethostname')(pid, '-bad'), /^Error: EINVAL/);
+});
+
+test('unshare rechaza los tipos no soportados', () => {
+    const { pid } = create('app');
+    assert.throws(() => ns.unshare(pid, 'net'), /^Error: EINVAL: los namespaces net/);
+    assert.throws(() => ns.unshare(pid, 'cgroup'), /^Error: EINVAL: tipo de namespace desconocido/);
+});
+
+test('un namespace desaparece cuando se recogen sus procesos', async () => {
+    const { pid } = create('app');
+    ns.unshare(pid, 'uts');
+    const id = ns.get(pid).uts;
+    assert.equal(ns.list().some(item => item.id === id), true);
+
+    kernel.symbol('sendSignal')(pid, 'SIGKILL');
+    await delay(10);
+    assert.equal(ns.list().some(item => item.id === id), false);
+});
@@ -0,0 +1,155 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadKernel, delay } from '../../helpers/kernel.js';
+
+let kernel;
+let pm;
+
+beforeEach(async () => {
+    kernel = await loadKernel(['process-manager']);
+    pm = {
+        create: kernel.symbol('createProcess'),
+        fork: kernel.symbol('forkProcess'),
+        exit: kernel.symbol('exitProcess'),
+        wait: kernel.symbol('waitProcess'),
+        kill: kernel.symbol('sendSignal'),
+        get: kernel.symbol('getProcessById')
+    };
+});
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+/**
+ * Hijo de un padre dormido que lo espera con wait4 (init recogería solo a sus hijos)
+ */
+function spawn(body) {
+    const parent = pm.create('parent', null);
+    const child = pm.create('child', body, parent.pid);
+    return { parent, child, status: pm.wait(parent.pid, child.pid) };
+}
+
+test('un proceso que se envía SIGKILL no ejecuta más rodajas', async () => {
+    const steps = [];
+    const { status } = spawn(function* ({ pid }) {
+        steps.push(1);
+        pm.kill(pid, 'SIGKILL');
+        yield;
+        steps.push(2);
+        yield;
+        steps.push(3);
+    });
+    const result = await status;
+    await delay(20);
+    assert.deepEqual(steps, [1]);
+    assert.equal(result.signal, 'SIGKILL');
+});
+
+test('una señal mortal por defecto a sí mismo termina el proceso en esa rodaja', async () => {
+    const steps = [];
+    const { status } = spawn(function* ({ pid }) {
+        steps.push(1);
+        pm.kill(pid, 'SIGTERM');
+        yield;
+        steps.push(2);
+    });
+    const result = await status;
+    await delay(20);
+    assert.deepEqual(steps, [1]);
+    assert.equal(result.signal, 'SIGTERM');
+});
+
+test('exit desde el propio programa detiene el generador y entrega el código', async () => {
+    const steps = [];
+    const { status } = spawn(function* ({ pid }) {
+        steps.push(1);
+        pm.exit(pid, 3);
+        yield;
+        steps.push(2);
+    });
+    const result = await status;
+    await delay(20);
+    assert.deepEqual(steps, [1]);
+    assert.equal(result.exitCode, 3);
+    assert.equal(result.signal, null);
+});
+
+test('fork y wait: el padre recoge el valor devuelto por el hijo', async () => {
+    const parent = pm.create('parent', null);
+    const child = pm.fork(parent.pid, function* () {
+        yield;
+        return 7;
+    });
+    assert.equal(child.ppid, parent.pid);
+    const result = await pm.wait(parent.pid, child.pid);
+    assert.equal(result.pid, child.pid);
+    assert.equal(result.exitCode, 7);
+});
+
+test('wait sin hijos da ECHILD y WNOHANG no bloquea', async () => {
+    const parent = pm.create('parent', null);
+    await assert.rejects(pm.wait(parent.pid), /ECHILD/);
+    pm.create('child', null, parent.pid);
+    assert.equal((await pm.wait(parent.pid, -1, { nohang: true })).pid, 0);
+});
+
+test('los huérfanos pasan a init al terminar el padre', () => {
+    const parent = pm.create('parent', null);
+    const child = pm.create('child', null, parent.pid);
+    pm.kill(parent.pid, 'SIGKILL');
+    assert.equal(pm.get(child.pid).ppid, 1);
+});
+
+test('el manejador de sigaction recibe la señal y el proceso que la envió', () => {
+    const target = pm.create('target', null);
+    const received = [];
+    kernel.symbol('sigaction')(target.pid, 'SIGUSR1', (signal, info) => received.push([signal, info.senderPid]));
+    pm.kill(target.pid, 'SIGUSR1', 42);
+    assert.deepEqual(received, [['SIGUSR1', 42]]);
+    assert.notEqual(pm.get(target.pid).state, 'zombie');
+});
+
+test('una señal bloqueada queda pendiente hasta que se desbloquea', () => {
+    const target = pm.create('target', null);
+    const sigprocmask = kernel.symbol('sigprocmask');
+    const received = [];
+    kernel.symbol('sigaction')(target.pid, 'SIGUSR1', (signal) => received.push(signal));
+    sigprocmask(target.pid, 'SIG_BLOCK', ['SIGUSR1', 'SIGKILL']);
+
+    const result = pm.kill(target.pid, 'SIGUSR1');
+    assert.equal(result.pending, true);
+    assert.deepEqual(kernel.symbol('sigpending')(target.pid), ['SIGUSR1']);
+    assert.deepEqual(received, []);
+
+    // SIGKILL no se puede bloquear: la máscara anterior solo tenía SIGUSR1
+    assert.deepEqual(sigprocmask(target.pid, 'SIG_UNBLOCK', ['SIGUSR1']), ['SIGUSR1']);
+    assert.deepEqual(received, ['SIGUSR1']);
+    assert.deepEqual(kernel.symbol('sigpending')(target.pid), []);
+});
+
+test('SIGKILL y SIGSTOP no se pueden capturar', () => {
+    const target = pm.create('target', null);
+    const sigaction = kernel.symbol('sigaction');
+    assert.throws(() => sigaction(target.pid, 'SIGKILL', () => {}), /^Error: EINVAL/);
+    assert.throws(() => sigaction(target.pid, 'SIGSTOP', 'SIG_IGN'), /^Error: EINVAL/);
+});
+
+test('SIGSTOP detiene el proceso y SIGCONT lo reanuda', async () => {
+    const steps = [];
+    const { child } = spawn(function* () {
+        for (let i = 0; i < 50; i++) {
+            steps.push(i);
+            yield;
+        }
+    });
+    pm.kill(child.pid, 'SIGSTOP');
+    assert.equal(pm.get(child.pid).state, 'stopped');
+    const stopped = steps.length;
+    await delay(30);
+    assert.equal(steps.length, stopped);
+
+    pm.kill(child.pid, 'SIGCONT');
+    await delay(30);
+    assert.ok(steps.length > stopped);
+});
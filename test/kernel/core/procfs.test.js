@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadKernel, delay } from '../../helpers/kernel.js';
+
+let kernel;
+let read;
+let readdir;
+let create;
+
+beforeEach(async () => {
+    kernel = await loadKernel(['procfs']);
+    read = kernel.symbol('proc_read');
+    readdir = kernel.symbol('proc_readdir');
+    create = (name, parentPid) => kernel.symbol('createProcess')(name, null, parentPid);
+});
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+/**
+ * Campos de /proc/<pid>/status como objeto
+ */
+function status(viewer, pid) {
+    return Object.fromEntries(read(viewer, `/proc/${pid}/status`).trim().split('\n').map(line => line.split(':\t')));
+}
+
+test('/proc solo lista los procesos del namespace de PIDs de quien lee, con sus PIDs', () => {
+    const outsider = create('outsider');
+    const launcher = create('launcher');
+    kernel.symbol('ns_unshare')(launcher.pid, 'pid');
+    const init = create('ns-init', launcher.pid);
+    const worker = create('worker', init.pid);
+
+    const entries = readdir(init.pid, '/proc');
+    assert.deepEqual(entries.filter(name => /^\d+$/.test(name)), ['1', '2']);
+    assert.ok(entries.includes('self'));
+    assert.ok(readdir(outsider.pid, '/proc').includes(String(worker.pid)));
+    assert.throws(() => read(init.pid, '/proc/3/status'), /^Error: ENOENT/);
+
+    const seen = status(init.pid, 2);
+    assert.equal(seen.Name, 'worker');
+    assert.equal(seen.Pid, '2');
+    assert.equal(seen.PPid, '1');
+    assert.equal(status(outsider.pid, worker.pid).NSpid, `${worker.pid}\t2`);
+    assert.equal(status(init.pid, 'self').Pid, '1');
+});
+
+test('status refleja el estado, las credenciales y las máscaras de señales', () => {
+    const { pid } = create('worker');
+    kernel.symbol('setCredentials')(pid, { uid: 1000, gid: 100 });
+    kernel.symbol('sigprocmask')(pid, 'SIG_BLOCK', ['SIGUSR1']);
+    kernel.symbol('sigaction')(pid, 'SIGTERM', () => {});
+    kernel.symbol('stopProcess')(pid);
+
+    const fields = status(pid, pid);
+    assert.equal(fields.State, 'T (stopped)');
+    assert.equal(fields.Uid, '1000\t1000\t1000\t1000');
+    assert.equal(fields.Gid, '100\t100\t100\t100');
+    // SIGUSR1 es la 10 (bit 9) y SIGTERM la 15 (bit 14)
+    assert.equal(fields.SigBlk, '0000000000000200');
+    assert.equal(fields.SigCgt, '0000000000004000');
+});
+
+test('maps muestra las regiones del proceso y queda vacío cuando es zombie', async () => {
+    const parent = create('parent');
+    const child = create('child', parent.pid);
+    const { address } = kernel.symbol('mm_mmap')(child.pid, 4096, 1, { name: '[stack]' });
+
+    const maps = read(child.pid, `/proc/${child.pid}/maps`);
+    assert.equal(maps, `${address.toString(16).padStart(12, '0')}-${(address + 4096).toString(16).padStart(12, '0')} r--p [stack]\n`);
+
+    kernel.symbol('sendSignal')(child.pid, 'SIGKILL');
+    await delay(10);
+    assert.equal(status(parent.pid, child.pid).State, 'Z (zombie)');
+    assert.equal(read(parent.pid, `/proc/${child.pid}/maps`), '');
+});
+
+test('cmdline y environ separan con NUL y fd lista los descriptores', () => {
+    const { pid } = create('worker');
+    kernel.symbol('setProcessEnv')(pid, 'LANG', 'es_ES.UTF-8');
+    const fd = kernel.symbol('openFile')(pid, '/proc/meminfo');
+
+    assert.equal(read(pid, '/proc/self/cmdline'), 'worker\0');
+    assert.ok(read(pid, '/proc/self/environ').split('\0').includes('LANG=es_ES.UTF-8'));
+    assert.ok(readdir(pid, '/proc/self/fd').includes(String(fd)));
+    assert.equal(read(pid, `/proc/self/fd/${fd}`), '/proc/meminfo\n');
+});
+
+test('open y read recorren el contenido generado al abrir', async () => {
+    const { pid } = create('reader');
+    const openFile = kernel.symbol('openFile');
+    const readFile = kernel.symbol('readFile');
+    const fd = openFile(pid, '/proc/self/status');
+    const content = new TextDecoder().decode(await readFile(pid, fd, 4096));
+
+    assert.ok(content.startsWith('Name:\treader\n'));
+    assert.equal(kernel.symbol('seekFile')(pid, fd, 0), 0);
+    assert.equal(new TextDecoder().decode(await readFile(pid, fd, 5)), 'Name:');
+    assert.equal(kernel.symbol('statFile')(pid, '/proc/self/status').size, content.length);
+
+    assert.throws(() => openFile(pid, '/proc/meminfo', { mode: 'w' }), /^Error: EACCES/);
+    await assert.rejects(readFile(pid, openFile(pid, '/proc/self'), 16), /^Error: EISDIR/);
+    assert.throws(() => read(pid, '/proc/nosuchfile'), /^Error: ENOENT/);
+});
+
+test('meminfo cuenta la memoria de los procesos', () => {
+    const { pid } = create('worker');
+    const field = (name) => Number(read(pid, '/proc/meminfo').match(new RegExp(`^${name}:\\s+(\\d+) kB$`, 'm'))[1]);
+    const before = field('AnonPages');
+    kernel.symbol('mm_mmap')(pid, 64 * 1024);
+    assert.equal(field('AnonPages'), before + 64);
+});
+
+test('/sys/class expone los dispositivos del árbol del kernel por clase', () => {
+    const { pid } = create('worker');
+    kernel.kernel.deviceTree = {
+        root: {
+            children: {
+                keyboard: { class: 'input', device: 'input0', name: 'AT Keyboard', driver: 'i8042', irq: 1 },
+                bus: { devices: [{ class: 'rtc', device: 'rtc0', name: 'CMOS RTC', driver: 'rtc_cmos', attributes: { since_epoch: 42 } }] }
+            }
+        }
+    };
+
+    assert.deepEqual(readdir(pid, '/sys/class'), ['input', 'rtc']);
+    assert.equal(read(pid, '/sys/class/input/input0/name'), 'AT Keyboard\n');
+    assert.equal(read(pid, '/sys/class/input/input0/uevent'), 'DRIVER=i8042\nDEVNAME=input0\nIRQ=1\n');
+    assert.equal(read(pid, '/sys/class/rtc/rtc0/since_epoch'), '42\n');
+    assert.throws(() => read(pid, '/sys/class/rtc/rtc0/irq'), /^Error: ENOENT/);
+});
@@ -0,0 +1,73 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as scheduler from '../../../kernel/core/scheduler.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Consumir CPU de verdad para que la rodaja cuente en la contabilidad
+const burn = (ms) => {
+    const start = performance.now();
+    while (performance.now() - start < ms) {
+        // espera activa
+    }
+};
+
+beforeEach(() => {
+    scheduler.init({ kernel: null, irq: null, log: () => {} });
+});
+
+afterEach(() => {
+    scheduler.exit();
+});
+
+test('deadline antes que tiempo real y tiempo real antes que CFS', async () => {
+    const order = [];
+    const once = (name) => () => {
+        order.push(name);
+        return false;
+    };
+    scheduler.sched_enqueue(10, once('fair'));
+    scheduler.sched_enqueue(11, once('rt'), { policy: 'SCHED_FIFO', rtPriority: 10 });
+    scheduler.sched_enqueue(12, once('deadline'), { policy: 'SCHED_DEADLINE', runtime: 1e6, deadline: 20e6, period: 20e6 });
+    await delay(50);
+    assert.deepEqual(order, ['deadline', 'rt', 'fair']);
+});
+
+test('una tarea que termina entrega su valor a onExit y sale de la cola', async () => {
+    const exits = [];
+    scheduler.sched_enqueue(10, function* () {
+        yield;
+        yield;
+        return 42;
+    }, { onExit: (error, value) => exits.push({ error, value }) });
+    await delay(50);
+    assert.deepEqual(exits, [{ error: null, value: 42 }]);
+    assert.throws(() => scheduler.sched_getattr(10), /Proceso no planificado/);
+});
+
+test('el despertar de una tarea deadline no se retrasa por otra con un periodo más largo', async () => {
+    const slices = { short: 0, long: 0 };
+    const busy = (name) => () => {
+        slices[name]++;
+        burn(2);
+        return true;
+    };
+    // Las dos agotan su runtime en la primera rodaja; la de 2 s se limita después
+    scheduler.sched_enqueue(10, busy('short'), { policy: 'SCHED_DEADLINE', runtime: 1e6, deadline: 20e6, period: 20e6 });
+    scheduler.sched_enqueue(11, busy('long'), { policy: 'SCHED_DEADLINE', runtime: 1e6, deadline: 2000e6, period: 2000e6 });
+    await delay(300);
+    assert.equal(slices.long, 1);
+    assert.ok(slices.short >= 5, `la tarea de 20 ms solo tuvo ${slices.short} rodajas en 300 ms`);
+});
+
+test('una tarea que se saca de la cola en su rodaja no vuelve a ejecutarse', async () => {
+    const steps = [];
+    scheduler.sched_enqueue(10, function* () {
+        steps.push(1);
+        scheduler.sched_dequeue(10);
+        yield;
+        steps.push(2);
+    });
+    await delay(50);
+    assert.deepEqual(steps, [1]);
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadKernel } from '../../helpers/kernel.js';
+
+let kernel;
+let dispatch;
+let create;
+
+beforeEach(async () => {
+    kernel = await loadKernel(['syscalls']);
+    dispatch = kernel.symbol('syscall_dispatch');
+    create = kernel.symbol('createProcess');
+});
+
+afterEach(async () => {
+    await kernel.unload();
+});
+
+test('syscall_dispatch ejecuta la llamada como el proceso llamante', async () => {
+    const process = create('caller', null);
+    assert.deepEqual(await dispatch(process.pid, 'getpid'), { ret: process.pid, errno: null, error: null });
+    assert.deepEqual(await dispatch(process.pid, 6), { ret: 1, errno: null, error: null });
+});
+
+test('los errores del ABI se devuelven como -errno', async () => {
+    const process = create('caller', null);
+
+    const unknown = await dispatch(process.pid, 'nosuchcall');
+    assert.equal(unknown.errno, 'ENOSYS');
+    assert.equal(unknown.ret, -38);
+
+    const tooMany = await dispatch(process.pid, 'getpid', [1]);
+    assert.equal(tooMany.errno, 'EINVAL');
+
+    const future = await dispatch(process.pid, 'sigprocmask', ['SIG_BLOCK', []], { abi: '1.0' });
+    assert.equal(future.errno, 'ENOSYS');
+});
+
+test('el comprobador de capacidades deniega con EPERM', async () => {
+    const process = create('caller', null);
+    const target = create('target', null);
+    kernel.symbol('syscall_set_capability_checker')((pid, capability) => capability !== 'signal');
+
+    const result = await dispatch(process.pid, 'kill', [target.pid, 'SIGKILL']);
+    assert.equal(result.errno, 'EPERM');
+    assert.notEqual(kernel.symbol('getProcessById')(target.pid).state, 'zombie');
+    assert.equal(kernel.symbol('syscall_stats')().denied, 1);
+});
+
+test('strace -f sigue al hijo por su PID global aunque fork devuelva el del namespace', async () => {
+    const launcher = create('launcher', null);
+    kernel.symbol('ns_unshare')(launcher.pid, 'pid');
+    const shell = create('shell', null, launcher.pid);
+
+    const events = [];
+    kernel.symbol('syscall_trace')(shell.pid, (event) => {
+        if (event.phase === 'exit') {
+            events.push([event.pid, event.name]);
+        }
+    }, { follow: true });
+
+    const fork = await dispatch(shell.pid, 'fork');
+    assert.equal(fork.ret.pid, 2);
+    const child = kernel.symbol('ns_find_pid')(shell.pid, fork.ret.pid);
+    assert.notEqual(child, 2);
+
+    await dispatch(child, 'getpid');
+    await dispatch(2, 'getpid');
+    assert.deepEqual(kernel.symbol('syscall_stats')().tracers[0].pids, [shell.pid, child]);
+    assert.deepEqual(events, [[shell.pid, 'fork'], [child, 'getpid']]);
+});
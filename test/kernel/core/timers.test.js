@@ -0,0 +1,201 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadKernel } from '../../helpers/kernel.js';
+
+const LEVEL_1 = 64;
+const LEVEL_2 = 64 ** 2;
+const WHEEL_RANGE = 64 ** 4;
+
+let kernel;
+let timers;
+let clock;
+
+/**
+ * Reloj falso: performance.now() y setTimeout del host avanzan solo con advance(ms)
+ */
+function fakeClock() {
+    const real = { performance: globalThis.performance, setTimeout: globalThis.setTimeout, clearTimeout: globalThis.clearTimeout };
+    const fake = { now: 1000, pending: new Map(), nextHandle: 1 };
+    const install = (values) => {
+        for (const [name, value] of Object.entries(values)) {
+            Object.defineProperty(globalThis, name, { value: value, configurable: true, writable: true });
+        }
+    };
+    install({
+        performance: { now: () => fake.now, timeOrigin: real.performance.timeOrigin },
+        setTimeout: (fn, delay = 0) => {
+            const handle = fake.nextHandle++;
+            fake.pending.set(handle, { fn, at: fake.now + Math.max(0, delay) });
+            return handle;
+        },
+        clearTimeout: (handle) => fake.pending.delete(handle)
+    });
+    return {
+        get now() {
+            return fake.now;
+        },
+        advance(ms) {
+            const target = fake.now + ms;
+            for (;;) {
+                const due = [...fake.pending].filter(([, entry]) => entry.at <= target).sort((a, b) => a[1].at - b[1].at)[0];
+                if (!due) {
+                    break;
+                }
+                fake.pending.delete(due[0]);
+                fake.now = Math.max(fake.now, due[1].at);
+                due[1].fn();
+            }
+            fake.now = target;
+        },
+        restore: () => install(real)
+    };
+}
+
+beforeEach(async () => {
+    clock = fakeClock();
+    kernel = await loadKernel(['timers']);
+    timers = {
+        create: kernel.symbol('timer_create'),
+        cancel: kernel.symbol('timer_cancel'),
+        modify: kernel.symbol('timer_modify'),
+        stats: kernel.symbol('timer_stats'),
+        list: kernel.symbol('timer_list')
+    };
+});
+
+afterEach(async () => {
+    await kernel.unload();
+    clock.restore();
+});
+
+/**
+ * Instantes (relativos al inicio) en que dispara un temporizador
+ */
+function record(options) {
+    const start = clock.now;
+    const fired = [];
+    const id = timers.create((event) => fired.push({ at: clock.now - start, overrun: event.overrun }), options);
+    return { id, fired };
+}
+
+test('un temporizador corto dispara en su milisegundo y no antes', () => {
+    const { fired } = record({ delay: 10 });
+    clock.advance(9);
+    assert.deepEqual(fired, []);
+    clock.advance(1);
+    assert.deepEqual(fired, [{ at: 10, overrun: 0 }]);
+    assert.equal(timers.stats().pending, 0);
+});
+
+test('un temporizador del nivel 1 baja en cascada y dispara a tiempo', () => {
+    const { id, fired } = record({ delay: 200 });
+    assert.equal(timers.list().find(timer => timer.id === id).level, 1);
+
+    clock.advance(199);
+    assert.deepEqual(fired, []);
+    assert.equal(timers.list().find(timer => timer.id === id).level, 0);
+    clock.advance(1);
+    assert.deepEqual(fired.map(event => event.at), [200]);
+    assert.ok(timers.stats().cascades >= 1);
+});
+
+test('un temporizador del nivel 2 cae nivel a nivel hasta su vencimiento', () => {
+    const delay = LEVEL_2 + 3 * LEVEL_1 + 5;
+    const { id, fired } = record({ delay: delay });
+    assert.equal(timers.list().find(timer => timer.id === id).level, 2);
+
+    clock.advance(delay - 1);
+    assert.deepEqual(fired, []);
+    clock.advance(1);
+    assert.deepEqual(fired.map(event => event.at), [delay]);
+    assert.ok(timers.stats().cascades >= 2);
+});
+
+test('un temporizador más allá del alcance de la rueda se recoloca y dispara a su hora', () => {
+    const delay = WHEEL_RANGE + 1234;
+    const { fired } = record({ delay: delay });
+
+    clock.advance(WHEEL_RANGE);
+    assert.deepEqual(fired, []);
+    assert.equal(timers.stats().pending, 1);
+    clock.advance(1233);
+    assert.deepEqual(fired, []);
+    clock.advance(1);
+    assert.deepEqual(fired.map(event => event.at), [delay]);
+});
+
+test('cancelar quita el temporizador de la rueda y desarma el host', () => {
+    const { id, fired } = record({ delay: LEVEL_2 });
+    assert.equal(timers.cancel(id), true);
+    assert.equal(timers.cancel(id), false);
+
+    assert.deepEqual(timers.stats().levels, [0, 0, 0, 0]);
+    assert.equal(timers.stats().nextEvent, null);
+    clock.advance(2 * LEVEL_2);
+    assert.deepEqual(fired, []);
+});
+
+test('timer_modify reprograma un temporizador pendiente', () => {
+    const { id, fired } = record({ delay: 500 });
+    clock.advance(100);
+    assert.equal(timers.modify(id, 50), true);
+    clock.advance(49);
+    assert.deepEqual(fired, []);
+    clock.advance(1);
+    assert.deepEqual(fired.map(event => event.at), [150]);
+});
+
+test('un temporizador periódico retrasado dispara una vez con los periodos perdidos', () => {
+    const { id, fired } = record({ delay: 10, interval: 10 });
+    clock.advance(10);
+    assert.deepEqual(fired, [{ at: 10, overrun: 0 }]);
+
+    // Vencen 20, 30, 40 y 50 sin que la rueda avance (pestaña en segundo plano): un disparo y 3 perdidos
+    kernel.symbol('timer_suspend')();
+    clock.advance(45);
+    kernel.symbol('timer_resume')();
+    assert.deepEqual(fired.slice(1), [{ at: 55, overrun: 3 }]);
+    assert.equal(timers.stats().overruns, 3);
+
+    clock.advance(5);
+    assert.deepEqual(fired.slice(2).map(event => event.at), [60]);
+    timers.cancel(id);
+});
+
+test('clock_nanosleep despierta en la rueda de temporizadores', async () => {
+    let woken = false;
+    const sleep = kernel.symbol('clock_nanosleep')({ sec: 1, nsec: 500000000 }).then(() => {
+        woken = true;
+    });
+    clock.advance(1499);
+    await Promise.resolve();
+    assert.equal(woken, false);
+    clock.advance(1);
+    await sleep;
+    assert.equal(woken, true);
+});
+
+test('una alarma sin suscriptor espera y se entrega con missed al suscribirse', () => {
+    const realtime = kernel.symbol('clock_now')('CLOCK_REALTIME');
+    kernel.symbol('alarm_set')('cron:backup', realtime + 1000, { payload: { job: 'backup' } });
+    clock.advance(1000);
+    assert.equal(kernel.symbol('alarm_list')('cron:')[0].due, true);
+
+    const events = [];
+    kernel.symbol('alarm_subscribe')('cron:', (event) => events.push(event));
+    assert.deepEqual(events, [{ name: 'cron:backup', at: realtime + 1000, payload: { job: 'backup' }, missed: true }]);
+    assert.deepEqual(kernel.symbol('alarm_list')('cron:'), []);
+});
+
+test('una alarma periódica no acumula las repeticiones perdidas', () => {
+    const realtime = kernel.symbol('clock_now')('CLOCK_REALTIME');
+    const events = [];
+    kernel.symbol('alarm_subscribe')('notification:', (event) => events.push(event.at - realtime));
+    kernel.symbol('alarm_set')('notification:1', realtime + 100, { interval: 100 });
+
+    kernel.symbol('timer_suspend')();
+    clock.advance(350);
+    kernel.symbol('timer_resume')();
+    assert.deepEqual(events, [100]);
+    assert.equal(kernel.symbol('alarm_list')('notification:')[0].at - realtime, 400);
+});